@@ -0,0 +1,213 @@
+/**
+ * BullBook - Admin Routes (user management)
+ */
+
+import express from 'express';
+import { authMiddleware, requireSession, adminMiddleware } from '../auth/jwt.js';
+import { listUsers, findUser, createUser, updateUser, resetUserPassword, deleteUser } from '../auth/users.js';
+import { resetTwoFactor } from '../auth/two-factor.js';
+import sessionStore from '../auth/session-store.js';
+import apiKeyStore from '../auth/api-key-store.js';
+import loginGuard from '../auth/login-guard.js';
+import bybitProxy from '../websocket/bybit-proxy.js';
+import { logAuth, logSystem } from '../utils/logger.js';
+
+const router = express.Router();
+
+// All routes require an admin, logged in (API keys never administer)
+router.use(authMiddleware, requireSession, adminMiddleware);
+
+/**
+ * Admins cannot lock themselves out (this also keeps at least one admin)
+ */
+function isSelf(req) {
+  return req.params.username === req.user.username;
+}
+
+/**
+ * GET /api/admin/users
+ * Every user with last login, open WebSocket sessions,
+ * login lockout (lockedUntil, null if none) and whether 2FA is on
+ */
+router.get('/users', (req, res) => {
+  const sessions = bybitProxy.getSessionCounts();
+
+  const users = listUsers().map(({ username, role, enabled, twoFactorEnabled, lastLogin, createdAt, updatedAt }) => ({
+    username,
+    role,
+    enabled: enabled !== false,
+    twoFactorEnabled,
+    createdAt,
+    updatedAt,
+    lastLogin: lastLogin || null,
+    sessions: sessions[username] || 0,
+    lockedUntil: loginGuard.lockedUntil(username)
+  }));
+
+  res.json({ users });
+});
+
+/**
+ * POST /api/admin/users
+ * Create a user ({ username, password, role?, enabled? })
+ */
+router.post('/users', async (req, res) => {
+  const { username, password, role, enabled } = req.body || {};
+
+  const result = await createUser({ username, password, role, enabled });
+
+  if (result.exists) {
+    return res.status(409).json({ error: 'User already exists' });
+  }
+
+  if (result.error) {
+    return res.status(400).json({ error: result.error });
+  }
+
+  logSystem('ADMIN_USER_CREATE', `${username} (${result.user.role}) by ${req.user.username}`);
+  res.status(201).json({ user: result.user });
+});
+
+/**
+ * PATCH /api/admin/users/:username
+ * Change role and/or enabled ({ role?, enabled? }); disabling closes the
+ * user's WebSocket sessions and rejects their token from now on
+ */
+router.patch('/users/:username', (req, res) => {
+  const { username } = req.params;
+  const { role, enabled } = req.body || {};
+
+  if (isSelf(req) && (enabled === false || (role !== undefined && role !== 'admin'))) {
+    return res.status(400).json({ error: 'You cannot disable or demote your own account' });
+  }
+
+  const result = updateUser(username, { role, enabled });
+
+  if (!result) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  if (result.error) {
+    return res.status(400).json({ error: result.error });
+  }
+
+  if (result.user.enabled === false) {
+    sessionStore.revokeUser(username);
+    bybitProxy.disconnectUser(username);
+  }
+
+  logSystem('ADMIN_USER_UPDATE', `${username} ${JSON.stringify({ role, enabled })} by ${req.user.username}`);
+  res.json({ user: result.user });
+});
+
+/**
+ * POST /api/admin/users/:username/password
+ * Reset a user's password ({ password }); signs the user out on every device
+ */
+router.post('/users/:username/password', async (req, res) => {
+  const { username } = req.params;
+  const { password } = req.body || {};
+
+  const result = await resetUserPassword(username, password);
+
+  if (!result) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  if (result.error) {
+    return res.status(400).json({ error: result.error });
+  }
+
+  // An admin resetting their own password stays signed in on this device
+  sessionStore.revokeUser(username, { except: req.user.sid })
+    .forEach(id => bybitProxy.disconnectSession(id, 'Password changed'));
+
+  logSystem('ADMIN_PASSWORD_RESET', `${username} by ${req.user.username}`);
+  res.json({ message: 'Password updated', user: result.user });
+});
+
+/**
+ * DELETE /api/admin/users/:username/2fa
+ * Turn off a user's two-factor authentication (lost device and recovery codes);
+ * they log in with the password alone until they enroll again
+ */
+router.delete('/users/:username/2fa', (req, res) => {
+  const { username } = req.params;
+
+  if (!findUser(username)) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  if (!resetTwoFactor(username)) {
+    return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+  }
+
+  logAuth('2FA_RESET', username, req);
+  logSystem('ADMIN_2FA_RESET', `${username} by ${req.user.username}`);
+  res.json({ message: 'Two-factor authentication turned off' });
+});
+
+/**
+ * DELETE /api/admin/users/:username
+ * Delete a user with their preferences, presets and API keys; closes their sessions
+ */
+router.delete('/users/:username', (req, res) => {
+  const { username } = req.params;
+
+  if (isSelf(req)) {
+    return res.status(400).json({ error: 'You cannot delete your own account' });
+  }
+
+  if (!findUser(username) || !deleteUser(username)) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  sessionStore.revokeUser(username);
+  apiKeyStore.revokeUser(username);
+  bybitProxy.disconnectUser(username, 'Account deleted');
+
+  logSystem('ADMIN_USER_DELETE', `${username} by ${req.user.username}`);
+  res.json({ message: 'User deleted' });
+});
+
+/**
+ * GET /api/admin/lockouts
+ * Usernames and IPs with recent failed logins (backoff or lockout)
+ */
+router.get('/lockouts', (req, res) => {
+  res.json(loginGuard.list());
+});
+
+/**
+ * DELETE /api/admin/lockouts/users/:username
+ * Lift a username lockout (also clears its failed attempts)
+ */
+router.delete('/lockouts/users/:username', (req, res) => {
+  const { username } = req.params;
+
+  if (!loginGuard.unlockUser(username)) {
+    return res.status(404).json({ error: 'No lockout for this user' });
+  }
+
+  logAuth('ACCOUNT_UNLOCKED', username, req);
+  logSystem('ADMIN_UNLOCK_USER', `${username} by ${req.user.username}`);
+  res.json({ message: 'User unlocked' });
+});
+
+/**
+ * DELETE /api/admin/lockouts/ips/:ip
+ * Lift an IP lockout (also clears its failed attempts)
+ */
+router.delete('/lockouts/ips/:ip', (req, res) => {
+  const { ip } = req.params;
+
+  if (!loginGuard.unlockIp(ip)) {
+    return res.status(404).json({ error: 'No lockout for this IP' });
+  }
+
+  logAuth('IP_UNLOCKED', `${ip} (by ${req.user.username})`, req);
+  logSystem('ADMIN_UNLOCK_IP', `${ip} by ${req.user.username}`);
+  res.json({ message: 'IP unlocked' });
+});
+
+export default router;
@@ -0,0 +1,82 @@
+/**
+ * BullBook - API Key Routes
+ *
+ * The current user's personal API keys (api-key-store.js). Managed from a
+ * login session only: a key cannot create or list keys.
+ */
+
+import express from 'express';
+import { authMiddleware, requireSession } from '../auth/jwt.js';
+import apiKeyStore, {
+  API_KEY_SCOPES,
+  DEFAULT_RATE_LIMIT,
+  MAX_RATE_LIMIT,
+  MAX_KEYS_PER_USER,
+  validateApiKeyInput,
+  toPublicApiKey
+} from '../auth/api-key-store.js';
+import rateLimiter from '../auth/rate-limiter.js';
+import bybitProxy from '../websocket/bybit-proxy.js';
+import { logAuth } from '../utils/logger.js';
+
+const router = express.Router();
+
+// All routes require a login session
+router.use(authMiddleware, requireSession);
+
+/**
+ * GET /api/keys
+ * The user's keys (without secrets) and the available scopes and limits
+ */
+router.get('/', (req, res) => {
+  res.json({
+    keys: apiKeyStore.listForUser(req.user.username).map(toPublicApiKey),
+    scopes: API_KEY_SCOPES,
+    defaultRateLimit: DEFAULT_RATE_LIMIT,
+    maxRateLimit: MAX_RATE_LIMIT
+  });
+});
+
+/**
+ * POST /api/keys
+ * Create a key ({ label, scopes, rateLimit? }); the full key is only in this response
+ */
+router.post('/', (req, res) => {
+  const { username } = req.user;
+  const { label, scopes, rateLimit } = req.body || {};
+
+  const error = validateApiKeyInput({ label, scopes, rateLimit });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  if (apiKeyStore.listForUser(username).length >= MAX_KEYS_PER_USER) {
+    return res.status(400).json({ error: `At most ${MAX_KEYS_PER_USER} API keys per user` });
+  }
+
+  const { key, apiKey } = apiKeyStore.create(username, { label, scopes, rateLimit });
+  logAuth('API_KEY_CREATED', `${username} (${key.label}: ${key.scopes.join(',')})`, req);
+
+  res.status(201).json({ key: toPublicApiKey(key), apiKey });
+});
+
+/**
+ * DELETE /api/keys/:id
+ * Revoke a key; sockets opened with it are closed
+ */
+router.delete('/:id', (req, res) => {
+  const key = apiKeyStore.get(req.params.id);
+
+  if (!key || key.username !== req.user.username) {
+    return res.status(404).json({ error: 'API key not found' });
+  }
+
+  apiKeyStore.revoke(key.id);
+  rateLimiter.reset(key.id);
+  bybitProxy.disconnectApiKey(key.id);
+  logAuth('API_KEY_REVOKED', `${key.username} (${key.label})`, req);
+
+  res.json({ message: 'API key revoked' });
+});
+
+export default router;
@@ -1,67 +1,327 @@
 /**
  * BullBook - Authentication Routes
+ *
+ * Login opens a session and returns a short-lived access token plus a
+ * refresh token; /refresh rotates the refresh token (see session-store.js).
+ * Accounts with two-factor authentication log in in two steps: the password
+ * returns a challenge token, /login/2fa exchanges it and a code for the session.
  */
 
 import express from 'express';
-import { validateCredentials } from '../auth/users.js';
-import { generateToken, verifyToken } from '../auth/jwt.js';
-import { logAuth, getRecentAuthLogs } from '../utils/logger.js';
+import { findUser, validateCredentials, getUserPreferences, recordLogin } from '../auth/users.js';
+import {
+  generateToken,
+  verifyToken,
+  authMiddleware,
+  requireSession,
+  adminMiddleware,
+  generateChallengeToken,
+  verifyChallengeToken
+} from '../auth/jwt.js';
+import {
+  isTwoFactorEnabled,
+  getTwoFactorStatus,
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+} from '../auth/two-factor.js';
+import sessionStore, { toPublicSession } from '../auth/session-store.js';
+import loginGuard from '../auth/login-guard.js';
+import bybitProxy from '../websocket/bybit-proxy.js';
+import { logAuth, getRecentAuthLogs, getClientInfo } from '../utils/logger.js';
 
 const router = express.Router();
 
+/**
+ * Reply 429 if the login guard holds back this username or IP
+ * An allowed attempt counts as in flight until its response is sent
+ *
+ * @returns {boolean} Whether the request was rejected
+ */
+function rejectIfThrottled(req, res, username) {
+  const { ip } = getClientInfo(req);
+  const verdict = loginGuard.begin(ip, username);
+  if (verdict.allowed) {
+    res.once('close', () => loginGuard.end(ip, username));
+    return false;
+  }
+
+  const retryAfter = Math.ceil(verdict.retryAfter / 1000);
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({
+    error: verdict.reason === 'locked' ? 'Too many failed logins, try again later' : 'Too many attempts, slow down',
+    retryAfter
+  });
+  return true;
+}
+
+/**
+ * Log a wrong password or code and count it against the username and IP
+ */
+function recordLoginFailure(req, username, event = 'LOGIN_FAILED') {
+  logAuth(event, username, req);
+  loginGuard.recordFailure(getClientInfo(req).ip, username).forEach(scope => {
+    logAuth(scope === 'user' ? 'ACCOUNT_LOCKED' : 'IP_LOCKED', username, req);
+  });
+}
+
+/**
+ * Open a session for a fully authenticated user and send the login response
+ */
+function sendSession(req, res, user, extra = {}) {
+  const client = getClientInfo(req);
+  loginGuard.recordSuccess(client.ip, user.username);
+  recordLogin(user.username, client.ip);
+
+  const { session, refreshToken } = sessionStore.create(user.username, client);
+  const token = generateToken(user, session.id);
+
+  // Log successful login
+  logAuth('LOGIN_SUCCESS', user.username, req);
+
+  res.json({
+    token,
+    refreshToken,
+    user: {
+      username: user.username,
+      role: user.role,
+      preferences: user.preferences
+    },
+    ...extra
+  });
+}
+
 /**
  * POST /api/auth/login
  * Login with username and password
+ * Repeated failures per username or IP are throttled, then locked (429, see login-guard.js)
+ * With 2FA enabled: { twoFactorRequired: true, challengeToken } and no session yet
  */
-router.post('/login', (req, res) => {
+router.post('/login', async (req, res) => {
   const { username, password } = req.body;
 
-  if (!username || !password) {
+  if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
     logAuth('LOGIN_FAILED', username || 'unknown', req);
     return res.status(400).json({ error: 'Username and password required' });
   }
 
-  const user = validateCredentials(username, password);
+  if (rejectIfThrottled(req, res, username)) return;
+
+  let user;
+  try {
+    user = await validateCredentials(username, password);
+  } catch (error) {
+    console.error('[Auth] Login failed:', error);
+    return res.status(500).json({ error: 'Login failed' });
+  }
 
   if (!user) {
-    logAuth('LOGIN_FAILED', username, req);
+    recordLoginFailure(req, username);
     return res.status(401).json({ error: 'Invalid credentials' });
   }
 
-  const token = generateToken(user);
+  // Failed attempts are only cleared once the second factor succeeds too
+  if (isTwoFactorEnabled(user.username)) {
+    logAuth('LOGIN_2FA_REQUIRED', user.username, req);
+    return res.json({ twoFactorRequired: true, challengeToken: generateChallengeToken(user.username) });
+  }
 
-  // Log successful login
-  logAuth('LOGIN_SUCCESS', username, req);
+  sendSession(req, res, user);
+});
+
+/**
+ * POST /api/auth/login/2fa
+ * Second login step: { challengeToken, code } where code is a TOTP code or
+ * a recovery code; same response as /login
+ */
+router.post('/login/2fa', (req, res) => {
+  const { challengeToken, code } = req.body || {};
+  const username = verifyChallengeToken(challengeToken);
+
+  if (!username) {
+    return res.status(401).json({ error: 'Login expired, sign in again' });
+  }
+
+  if (rejectIfThrottled(req, res, username)) return;
+
+  const account = findUser(username);
+  if (!account || account.enabled === false) {
+    return res.status(401).json({ error: 'Invalid credentials' });
+  }
+
+  const result = verifySecondFactor(username, code);
+  if (!result) {
+    recordLoginFailure(req, username, 'LOGIN_2FA_FAILED');
+    return res.status(401).json({ error: 'Invalid code' });
+  }
+
+  if (result.method === 'recovery') {
+    logAuth('RECOVERY_CODE_USED', username, req);
+  }
+
+  const user = { ...account, preferences: getUserPreferences(username) };
+  sendSession(req, res, user, result.method === 'recovery' ? { recoveryCodesLeft: result.recoveryCodesLeft } : {});
+});
+
+/**
+ * POST /api/auth/refresh
+ * New access token and refresh token for a refresh token ({ refreshToken })
+ * The old refresh token stops working; replaying it ends the session
+ */
+router.post('/refresh', (req, res) => {
+  const { refreshToken } = req.body || {};
+  const result = sessionStore.rotate(refreshToken, getClientInfo(req));
+
+  if (result?.reused) {
+    logAuth('REFRESH_REUSED', result.reused.username, req);
+    bybitProxy.disconnectSession(result.reused.id, 'Session revoked');
+  }
+
+  if (!result?.session) {
+    return res.status(401).json({ error: 'Invalid refresh token' });
+  }
+
+  const { session } = result;
+  const user = findUser(session.username);
+
+  if (!user || user.enabled === false) {
+    sessionStore.revoke(session.id);
+    return res.status(401).json({ error: 'Account disabled' });
+  }
 
   res.json({
-    token,
-    user: {
-      username: user.username,
-      preferences: user.preferences
-    }
+    token: generateToken(user, session.id),
+    refreshToken: result.refreshToken
   });
 });
 
 /**
- * GET /api/auth/logs
- * Get recent authentication logs (protected - requires valid token)
+ * POST /api/auth/logout
+ * End the session of the access token or of { refreshToken } (the access
+ * token may already be expired); always succeeds
  */
-router.get('/logs', (req, res) => {
-  // Verify token
-  const token = req.headers.authorization?.replace('Bearer ', '');
+router.post('/logout', (req, res) => {
+  const accessToken = req.headers.authorization?.replace('Bearer ', '');
+  const decoded = accessToken ? verifyToken(accessToken) : null;
+  const session = decoded ? sessionStore.get(decoded.sid) : sessionStore.findByRefreshToken(req.body?.refreshToken);
 
-  if (!token) {
-    return res.status(401).json({ error: 'Authorization required' });
+  if (session) {
+    sessionStore.revoke(session.id);
+    bybitProxy.disconnectSession(session.id, 'Logged out');
+    logAuth('LOGOUT', session.username, req);
   }
 
-  try {
-    const decoded = verifyToken(token);
+  res.json({ message: 'Logged out' });
+});
+
+/**
+ * GET /api/auth/sessions
+ * Open sessions of the current user (devices, IPs, last use)
+ */
+router.get('/sessions', authMiddleware, requireSession, (req, res) => {
+  const { username, sid } = req.user;
+  const sessions = sessionStore.listForUser(username).map(session => toPublicSession(session, sid));
+
+  res.json({ sessions });
+});
+
+/**
+ * DELETE /api/auth/sessions/:id
+ * Revoke one of the current user's sessions (signs that device out)
+ */
+router.delete('/sessions/:id', authMiddleware, requireSession, (req, res) => {
+  const session = sessionStore.get(req.params.id);
+
+  if (!session || session.username !== req.user.username) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+
+  sessionStore.revoke(session.id);
+  bybitProxy.disconnectSession(session.id, 'Session revoked');
+  logAuth('SESSION_REVOKED', session.username, req);
+
+  res.json({ message: 'Session revoked' });
+});
+
+/**
+ * GET /api/auth/2fa
+ * Two-factor status of the current user ({ enabled, enabledAt, recoveryCodesLeft })
+ */
+router.get('/2fa', authMiddleware, requireSession, (req, res) => {
+  res.json(getTwoFactorStatus(req.user.username));
+});
+
+/**
+ * Send the outcome of a 2FA settings change; wrong passwords and codes count
+ * as failed logins (a stolen access token must not allow guessing them)
+ */
+function sendTwoFactorResult(req, res, result, event) {
+  if (!result) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  if (result.error) {
+    if (result.wrongCredentials) recordLoginFailure(req, req.user.username, '2FA_CHANGE_FAILED');
+    return res.status(400).json({ error: result.error });
+  }
+
+  if (event) logAuth(event, req.user.username, req);
+  res.json(result);
+}
+
+/**
+ * POST /api/auth/2fa/setup
+ * Start enrollment ({ password }): new secret and its otpauth:// URI for the
+ * authenticator app; nothing changes until /2fa/enable
+ */
+router.post('/2fa/setup', authMiddleware, requireSession, async (req, res) => {
+  if (rejectIfThrottled(req, res, req.user.username)) return;
 
-    if (!decoded) {
-      return res.status(401).json({ error: 'Invalid token' });
-    }
+  const result = await beginEnrollment(req.user.username, req.body?.password);
+  sendTwoFactorResult(req, res, result);
+});
+
+/**
+ * POST /api/auth/2fa/enable
+ * Finish enrollment with a code from the app ({ code }); returns the recovery codes
+ */
+router.post('/2fa/enable', authMiddleware, requireSession, (req, res) => {
+  if (rejectIfThrottled(req, res, req.user.username)) return;
 
-    // Get recent logs
+  sendTwoFactorResult(req, res, confirmEnrollment(req.user.username, req.body?.code), '2FA_ENABLED');
+});
+
+/**
+ * POST /api/auth/2fa/recovery-codes
+ * Replace the recovery codes ({ code }: TOTP or recovery code)
+ */
+router.post('/2fa/recovery-codes', authMiddleware, requireSession, (req, res) => {
+  if (rejectIfThrottled(req, res, req.user.username)) return;
+
+  const result = regenerateRecoveryCodes(req.user.username, req.body?.code);
+  sendTwoFactorResult(req, res, result, 'RECOVERY_CODES_REGENERATED');
+});
+
+/**
+ * POST /api/auth/2fa/disable
+ * Turn 2FA off ({ password, code })
+ */
+router.post('/2fa/disable', authMiddleware, requireSession, async (req, res) => {
+  if (rejectIfThrottled(req, res, req.user.username)) return;
+
+  const { password, code } = req.body || {};
+  const result = await disableTwoFactor(req.user.username, password, code);
+  sendTwoFactorResult(req, res, result, '2FA_DISABLED');
+});
+
+/**
+ * GET /api/auth/logs
+ * Recent authentication logs of every account (admins only)
+ */
+router.get('/logs', authMiddleware, requireSession, adminMiddleware, (req, res) => {
+  try {
     const lines = parseInt(req.query.lines) || 50;
     const logs = getRecentAuthLogs(lines);
 
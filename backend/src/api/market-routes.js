@@ -0,0 +1,57 @@
+/**
+ * BullBook - Market Routes
+ *
+ * Bybit public market data through the backend (bybit-rest.js): browsers no
+ * longer call api.bybit.com, and equal requests from many users cost one
+ * upstream call. Responses are Bybit's `result` object; X-Cache tells whether
+ * it came from the shared cache (HIT) or a fresh upstream call (MISS).
+ */
+
+import express from 'express';
+import { authMiddleware } from '../auth/jwt.js';
+import bybitMarket, { MARKET_TTL } from '../exchanges/bybit-rest.js';
+
+const router = express.Router();
+
+// All routes require authentication (JWT or an API key with the read scope)
+router.use(authMiddleware);
+
+/**
+ * Serve one cached market endpoint
+ */
+function marketRoute(endpoint) {
+  return async (req, res) => {
+    try {
+      const { result, hit } = await bybitMarket.get(endpoint, req.query);
+
+      res.set('X-Cache', hit ? 'HIT' : 'MISS');
+      res.set('Cache-Control', `private, max-age=${Math.floor(MARKET_TTL[endpoint] / 1000)}`);
+      res.json(result);
+    } catch (error) {
+      if (!error.status) {
+        console.error(`[Market] ${endpoint} failed:`, error);
+      }
+      res.status(error.status || 500).json({ error: error.status ? error.message : 'Market data unavailable' });
+    }
+  };
+}
+
+/**
+ * GET /api/market/orderbook?category=linear&symbol=BTCUSDT&limit=500
+ * Deep orderbook snapshot ({ s, a, b, ts, u }); limit defaults to the category maximum
+ */
+router.get('/orderbook', marketRoute('orderbook'));
+
+/**
+ * GET /api/market/kline?category=linear&symbol=BTCUSDT&interval=5&start=&end=&limit=20
+ * Candles ({ list: [[start, open, high, low, close, volume, turnover], ...] }, newest first)
+ */
+router.get('/kline', marketRoute('kline'));
+
+/**
+ * GET /api/market/tickers?category=linear[&symbol=BTCUSDT]
+ * 24h tickers of a category ({ list: [...] })
+ */
+router.get('/tickers', marketRoute('tickers'));
+
+export default router;
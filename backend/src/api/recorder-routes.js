@@ -0,0 +1,78 @@
+/**
+ * BullBook - Orderbook Recorder Routes
+ *
+ * Anyone signed in can list sessions (replays); starting and stopping
+ * recordings costs upstream subscriptions and disk, so it is for admins.
+ */
+
+import express from 'express';
+import { authMiddleware, adminMiddleware } from '../auth/jwt.js';
+import bybitProxy from '../websocket/bybit-proxy.js';
+import { normalizeRecorderTopic, MAX_ACTIVE_RECORDINGS } from '../recorder/orderbook-recorder.js';
+import { logSystem } from '../utils/logger.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authMiddleware);
+
+/**
+ * GET /api/recorder
+ * Active recordings and every session on disk
+ */
+router.get('/', (req, res) => {
+  res.json({
+    active: bybitProxy.recorder.listActive(),
+    sessions: bybitProxy.recorder.listSessions()
+  });
+});
+
+/**
+ * POST /api/recorder/start
+ * Start recording a symbol/depth ({ symbol, depth, exchange?, category? }), admins only
+ * At most MAX_ACTIVE_RECORDINGS run at once (409 beyond)
+ */
+router.post('/start', adminMiddleware, (req, res) => {
+  const topic = normalizeRecorderTopic(req.body || {});
+
+  if (!topic) {
+    return res.status(400).json({ error: 'Valid symbol and depth required' });
+  }
+
+  const error = bybitProxy.topicError(topic.exchange, topic.category, topic.depth);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  if (!bybitProxy.isRecording(topic) && bybitProxy.recorder.listActive().length >= MAX_ACTIVE_RECORDINGS) {
+    return res.status(409).json({ error: `Too many active recordings (max ${MAX_ACTIVE_RECORDINGS})` });
+  }
+
+  const session = bybitProxy.startRecording(topic);
+
+  logSystem('RECORDER_START', `${session.id} by ${req.user.username}`);
+  res.json({ session });
+});
+
+/**
+ * POST /api/recorder/stop
+ * Stop recording a symbol/depth ({ symbol, depth, exchange?, category? }), admins only
+ */
+router.post('/stop', adminMiddleware, (req, res) => {
+  const topic = normalizeRecorderTopic(req.body || {});
+
+  if (!topic) {
+    return res.status(400).json({ error: 'Valid symbol and depth required' });
+  }
+
+  const session = bybitProxy.stopRecording(topic);
+
+  if (!session) {
+    return res.status(404).json({ error: 'Not recording' });
+  }
+
+  logSystem('RECORDER_STOP', `${session.id} by ${req.user.username} (${session.messages} messages)`);
+  res.json({ session });
+});
+
+export default router;
@@ -4,7 +4,8 @@
 
 import express from 'express';
 import { authMiddleware } from '../auth/jwt.js';
-import { getUserPreferences, updateUserPreferences } from '../auth/users.js';
+import { getUserPreferences, updateUserPreferences, saveUserPreset } from '../auth/users.js';
+import { normalizeSlot } from '../auth/preferences-store.js';
 
 const router = express.Router();
 
@@ -13,7 +14,7 @@ router.use(authMiddleware);
 
 /**
  * GET /api/user/preferences
- * Get user preferences
+ * Get user preferences (stored settings over defaults, plus presets)
  */
 router.get('/preferences', (req, res) => {
   const { username } = req.user;
@@ -28,23 +29,56 @@ router.get('/preferences', (req, res) => {
 
 /**
  * PUT /api/user/preferences
- * Update user preferences
+ * Update user preferences ({ preferences }: merged key by key, stale
+ * `updatedAt` values are ignored; presets are saved per slot below)
  */
 router.put('/preferences', (req, res) => {
   const { username } = req.user;
   const { preferences } = req.body;
 
-  if (!preferences) {
+  if (!preferences || typeof preferences !== 'object' || Array.isArray(preferences)) {
     return res.status(400).json({ error: 'Preferences required' });
   }
 
-  const success = updateUserPreferences(username, preferences);
+  const updated = updateUserPreferences(username, preferences);
 
-  if (!success) {
+  if (!updated) {
     return res.status(404).json({ error: 'User not found' });
   }
 
-  res.json({ message: 'Preferences updated' });
+  res.json({ message: 'Preferences updated', preferences: updated });
+});
+
+/**
+ * PUT /api/user/preferences/presets/:slot
+ * Save a preset slot (1-5) ({ preset, baseRev, force? })
+ * baseRev is the revision the client last saw (0 for an empty slot); if the
+ * slot changed since (another device saved it), 409 with the stored preset
+ */
+router.put('/preferences/presets/:slot', (req, res) => {
+  const { username } = req.user;
+  const slot = normalizeSlot(req.params.slot);
+  const { preset, baseRev = 0, force = false } = req.body || {};
+
+  if (!slot) {
+    return res.status(400).json({ error: 'Preset slot must be 1-5' });
+  }
+
+  const result = saveUserPreset(username, slot, preset, { baseRev, force: force === true });
+
+  if (!result) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  if (result.error) {
+    return res.status(400).json({ error: result.error });
+  }
+
+  if (result.conflict !== undefined) {
+    return res.status(409).json({ error: 'Preset was changed on another device', preset: result.conflict });
+  }
+
+  res.json({ preset: result.preset });
 });
 
 export default router;
@@ -0,0 +1,181 @@
+/**
+ * BullBook - API Key Store
+ *
+ * Personal API keys for scripts and bots ({DATA_DIR}/api-keys.json, owner
+ * read/write only). A key acts for its user, within its scopes, on the REST
+ * API and /ws, without the password or a login session:
+ *
+ *   bbk_<id>.<secret>
+ *
+ * The "bbk_" prefix tells keys apart from JWTs. Only a SHA-256 of the secret
+ * is stored, so a key is shown once, when it is created.
+ *
+ *   { id, username, label, scopes, rateLimit, hash, createdAt, lastUsedAt, lastUsedIp }
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import dotenv from 'dotenv';
+import { JsonStore, DATA_DIR } from '../utils/json-store.js';
+dotenv.config();
+
+export const API_KEY_PREFIX = 'bbk_';
+
+// What a key may do
+export const API_KEY_SCOPES = {
+  stream: 'Market data over /ws (books, trades, replays)',
+  read: 'GET requests (preferences, recordings)',
+  write: 'Other requests (preferences, presets, recorder control)'
+};
+
+// Requests (REST calls and /ws messages) per minute
+export const DEFAULT_RATE_LIMIT = parseInt(process.env.API_KEY_RATE_LIMIT) || 120;
+export const MAX_RATE_LIMIT = parseInt(process.env.API_KEY_MAX_RATE_LIMIT) || 600;
+
+export const MAX_KEYS_PER_USER = 10;
+const MAX_LABEL_LENGTH = 64;
+const ID_BYTES = 8;
+const SECRET_BYTES = 32;
+const TOUCH_INTERVAL = 60000; // lastUsedAt is written at most once a minute per key
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+/**
+ * Split "bbk_<id>.<secret>"
+ */
+function parseApiKey(apiKey) {
+  if (typeof apiKey !== 'string' || !apiKey.startsWith(API_KEY_PREFIX)) return null;
+
+  const [id, secret] = apiKey.slice(API_KEY_PREFIX.length).split('.');
+  return id && secret ? { id, secret } : null;
+}
+
+/**
+ * Whether a bearer credential is an API key (rather than a JWT)
+ */
+export function isApiKey(credential) {
+  return typeof credential === 'string' && credential.startsWith(API_KEY_PREFIX);
+}
+
+/**
+ * Check the fields of a new key
+ *
+ * @returns {string|null} Error message, null if acceptable
+ */
+export function validateApiKeyInput({ label, scopes, rateLimit }) {
+  if (typeof label !== 'string' || !label.trim() || label.length > MAX_LABEL_LENGTH) {
+    return `Label must be 1-${MAX_LABEL_LENGTH} characters`;
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => Object.hasOwn(API_KEY_SCOPES, scope))) {
+    return `Scopes must be one or more of: ${Object.keys(API_KEY_SCOPES).join(', ')}`;
+  }
+  if (rateLimit !== undefined && (!Number.isInteger(rateLimit) || rateLimit < 1 || rateLimit > MAX_RATE_LIMIT)) {
+    return `Rate limit must be 1-${MAX_RATE_LIMIT} requests per minute`;
+  }
+  return null;
+}
+
+export class ApiKeyStore {
+  /**
+   * @param {string} filePath - API keys JSON file
+   */
+  constructor(filePath) {
+    this.store = new JsonStore(filePath, { mode: 0o600 });
+  }
+
+  get(id) {
+    return this.store.get(id) || null;
+  }
+
+  /**
+   * Issue a key (input checked with validateApiKeyInput)
+   *
+   * @returns {object} { key: stored record, apiKey: the full key, shown once }
+   */
+  create(username, { label, scopes, rateLimit = DEFAULT_RATE_LIMIT }) {
+    const id = crypto.randomBytes(ID_BYTES).toString('hex');
+    const secret = crypto.randomBytes(SECRET_BYTES).toString('base64url');
+    const key = {
+      id,
+      username,
+      label: label.trim(),
+      scopes: [...new Set(scopes)],
+      rateLimit,
+      hash: hashSecret(secret).toString('base64'),
+      createdAt: Date.now(),
+      lastUsedAt: null,
+      lastUsedIp: null
+    };
+
+    this.store.set(id, key);
+    return { key, apiKey: `${API_KEY_PREFIX}${id}.${secret}` };
+  }
+
+  /**
+   * Key record of a full API key
+   *
+   * @returns {object|null} null if unknown, revoked or the secret does not match
+   */
+  verify(apiKey) {
+    const { id, secret } = parseApiKey(apiKey) || {};
+    const key = id ? this.get(id) : null;
+    if (!key) return null;
+
+    const expected = Buffer.from(key.hash, 'base64');
+    const actual = hashSecret(secret);
+    return expected.length === actual.length && crypto.timingSafeEqual(actual, expected) ? key : null;
+  }
+
+  /**
+   * Record a use of a key (throttled: not every request rewrites the file)
+   */
+  touch(id, ip) {
+    const key = this.get(id);
+    const now = Date.now();
+    if (!key || (key.lastUsedAt && now - key.lastUsedAt < TOUCH_INTERVAL && key.lastUsedIp === ip)) return;
+
+    this.store.set(id, { ...key, lastUsedAt: now, lastUsedIp: ip });
+  }
+
+  /**
+   * Keys of a user, newest first
+   */
+  listForUser(username) {
+    return this.store.keys()
+      .map(id => this.store.get(id))
+      .filter(key => key.username === username)
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * @returns {boolean} Whether the key existed
+   */
+  revoke(id) {
+    return this.store.delete(id);
+  }
+
+  /**
+   * Remove every key of a user (account deleted)
+   *
+   * @returns {string[]} Revoked key ids
+   */
+  revokeUser(username) {
+    const ids = this.listForUser(username).map(key => key.id);
+    ids.forEach(id => this.store.delete(id));
+    return ids;
+  }
+}
+
+/**
+ * Key as shown to its user (no hash)
+ */
+export function toPublicApiKey(key) {
+  const { id, label, scopes, rateLimit, createdAt, lastUsedAt, lastUsedIp } = key;
+  return { id, prefix: `${API_KEY_PREFIX}${id}`, label, scopes, rateLimit, createdAt, lastUsedAt, lastUsedIp };
+}
+
+const apiKeyStore = new ApiKeyStore(path.join(DATA_DIR, 'api-keys.json'));
+
+export default apiKeyStore;
@@ -1,21 +1,41 @@
 /**
  * BullBook - JWT Authentication
+ *
+ * Access tokens are short-lived (JWT_EXPIRES_IN) and tied to a login session
+ * (session-store.js): the app renews them with the session's refresh token,
+ * and they stop working as soon as the session is revoked.
+ *
+ * Accounts with two-factor authentication get a challenge token after the
+ * password instead: it only works for /api/auth/login/2fa, and the session
+ * (and its access token) is created once the second factor succeeds.
+ *
+ * authMiddleware also takes personal API keys (api-key-store.js) in place of
+ * the JWT, within the key's scopes and rate limit. Account and key management
+ * need a login session (requireSession).
  */
 
 import jwt from 'jsonwebtoken';
 import dotenv from 'dotenv';
+import { findUser } from './users.js';
+import sessionStore from './session-store.js';
+import apiKeyStore, { isApiKey } from './api-key-store.js';
+import rateLimiter from './rate-limiter.js';
+import { logAuth, getClientInfo } from '../utils/logger.js';
 dotenv.config();
 
 const JWT_SECRET = process.env.JWT_SECRET || 'bullbook-secret-change-me';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const CHALLENGE_AUDIENCE = 'bullbook-2fa';
+const CHALLENGE_EXPIRES_IN = '5m'; // Time to type the code after the password
 
 /**
- * Generate JWT token for user
+ * Generate an access token for a user's session
  */
-export function generateToken(user) {
+export function generateToken(user, sessionId) {
+  // Preferences are not embedded: they change after login and are served by /api/user/preferences
   const payload = {
     username: user.username,
-    preferences: user.preferences
+    sid: sessionId
   };
 
   return jwt.sign(payload, JWT_SECRET, {
@@ -24,18 +44,92 @@ export function generateToken(user) {
 }
 
 /**
- * Verify JWT token
+ * Verify JWT token (null if invalid, expired or its session was revoked)
  */
 export function verifyToken(token) {
+  let decoded;
   try {
-    return jwt.verify(token, JWT_SECRET);
+    decoded = jwt.verify(token, JWT_SECRET);
   } catch (error) {
     return null;
   }
+
+  return sessionStore.isActive(decoded.sid, decoded.username) ? decoded : null;
+}
+
+/**
+ * Token proving the password of a 2FA account (not an access token: it has no session)
+ */
+export function generateChallengeToken(username) {
+  return jwt.sign({ username }, JWT_SECRET, {
+    audience: CHALLENGE_AUDIENCE,
+    expiresIn: CHALLENGE_EXPIRES_IN
+  });
+}
+
+/**
+ * Verify a challenge token
+ *
+ * @returns {string|null} Username, null if invalid or expired
+ */
+export function verifyChallengeToken(token) {
+  try {
+    return jwt.verify(token, JWT_SECRET, { audience: CHALLENGE_AUDIENCE }).username;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Spend one request of an API key's rate limit
+ *
+ * @returns {object} RateLimiter verdict ({ allowed, remaining, retryAfter })
+ */
+export function takeApiKeyRequest(key) {
+  return rateLimiter.take(key.id, key.rateLimit);
+}
+
+/**
+ * authMiddleware for "Authorization: Bearer bbk_..." (scope: read for GET/HEAD, write otherwise)
+ */
+function apiKeyAuth(req, res, next, apiKey) {
+  const key = apiKeyStore.verify(apiKey);
+
+  if (!key) {
+    logAuth('API_KEY_INVALID', 'unknown', req);
+    return res.status(401).json({ error: 'Invalid API key' });
+  }
+
+  const account = findUser(key.username);
+  if (!account || account.enabled === false) {
+    return res.status(401).json({ error: 'Account disabled' });
+  }
+
+  const scope = ['GET', 'HEAD'].includes(req.method) ? 'read' : 'write';
+  if (!key.scopes.includes(scope)) {
+    return res.status(403).json({ error: `API key lacks the '${scope}' scope` });
+  }
+
+  const limit = takeApiKeyRequest(key);
+  res.set('X-RateLimit-Limit', String(key.rateLimit));
+  res.set('X-RateLimit-Remaining', String(limit.remaining));
+
+  if (!limit.allowed) {
+    const retryAfter = Math.ceil(limit.retryAfter / 1000);
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ error: 'Rate limit exceeded', retryAfter });
+  }
+
+  apiKeyStore.touch(key.id, getClientInfo(req).ip);
+  req.user = { username: key.username, role: account.role, apiKeyId: key.id, scopes: key.scopes };
+  next();
 }
 
 /**
  * Express middleware to protect routes
+ * The account must still exist and be enabled (disabling takes effect at once);
+ * req.user carries the current role from the user store, and apiKeyId when
+ * the request came with an API key
  */
 export function authMiddleware(req, res, next) {
   const authHeader = req.headers.authorization;
@@ -45,12 +139,42 @@ export function authMiddleware(req, res, next) {
   }
 
   const token = authHeader.substring(7); // Remove 'Bearer '
+  if (isApiKey(token)) {
+    return apiKeyAuth(req, res, next, token);
+  }
+
   const decoded = verifyToken(token);
 
   if (!decoded) {
     return res.status(401).json({ error: 'Invalid or expired token' });
   }
 
-  req.user = decoded;
+  const account = findUser(decoded.username);
+  if (!account || account.enabled === false) {
+    return res.status(401).json({ error: 'Account disabled' });
+  }
+
+  req.user = { ...decoded, role: account.role };
+  next();
+}
+
+/**
+ * Express middleware for routes that need a login session, not an API key
+ * (sessions, 2FA, API keys, admin; after authMiddleware)
+ */
+export function requireSession(req, res, next) {
+  if (req.user?.apiKeyId) {
+    return res.status(403).json({ error: 'Not available with an API key' });
+  }
+  next();
+}
+
+/**
+ * Express middleware for admin-only routes (after authMiddleware)
+ */
+export function adminMiddleware(req, res, next) {
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin role required' });
+  }
   next();
 }
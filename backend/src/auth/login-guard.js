@@ -0,0 +1,247 @@
+/**
+ * BullBook - Login Guard (brute-force protection)
+ *
+ * Counts failed logins per username and per client IP:
+ *
+ * - backoff: after a few free attempts, every failure blocks the next
+ *   attempt for an exponentially growing delay (1s, 2s, 4s... up to a cap)
+ * - lockout: too many failures lock the username (or IP) for a while;
+ *   an admin can lift it earlier (/api/admin/lockouts)
+ *
+ * Failures are forgotten FAILURE_WINDOW after the last one, and a successful
+ * login clears its username. Blocked attempts are rejected before the password
+ * is checked. Attempts still being checked (begin/end) count too, so parallel
+ * requests cannot all pass before the first failure is recorded. State is in
+ * memory: a restart clears it.
+ */
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+const MINUTE = 60 * 1000;
+
+const DEFAULT_POLICY = {
+  user: {
+    freeAttempts: 3,
+    lockoutThreshold: parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 10
+  },
+  ip: {
+    freeAttempts: 10, // Shared by everyone behind the same NAT
+    lockoutThreshold: 50
+  },
+  baseDelay: 1000, // First backoff step
+  maxDelay: MINUTE, // Backoff cap
+  lockoutDuration: (parseFloat(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * MINUTE,
+  failureWindow: 15 * MINUTE,
+  maxEntries: 10000 // Hard cap: random usernames must not grow memory
+};
+
+const PRUNE_INTERVAL = MINUTE; // Full rescan for expired entries at most this often
+
+export class LoginGuard {
+  /**
+   * @param {object} options - Policy overrides and { now } clock (tests)
+   */
+  constructor({ now = Date.now, ...policy } = {}) {
+    this.policy = { ...DEFAULT_POLICY, ...policy };
+    this.now = now;
+    this.entries = new Map(); // "user:<name>" | "ip:<address>" -> { failures, lastFailure, blockedUntil, lockedUntil }
+    this.inFlight = new Map(); // Same keys -> attempts between begin() and end()
+    this.lastPrune = 0;
+  }
+
+  entry(scope, id) {
+    const entry = this.entries.get(`${scope}:${id}`);
+    if (!entry) return null;
+
+    // Forget old failures once nothing is pending
+    const now = this.now();
+    if (entry.lockedUntil <= now && entry.blockedUntil <= now && now - entry.lastFailure > this.policy.failureWindow) {
+      this.entries.delete(`${scope}:${id}`);
+      return null;
+    }
+    return entry;
+  }
+
+  /**
+   * Whether a login attempt may be processed
+   * Attempts in flight count as failures: beyond the free attempts only one
+   * may be checked at a time
+   *
+   * @returns {object} { allowed: true } or { allowed: false, scope, reason: 'locked'|'backoff', retryAfter: ms }
+   */
+  check(ip, username) {
+    const now = this.now();
+    let verdict = { allowed: true };
+
+    [['user', username], ['ip', ip]].forEach(([scope, id]) => {
+      const entry = this.entry(scope, id);
+      const inFlight = this.inFlight.get(`${scope}:${id}`) || 0;
+      if (!entry && !inFlight) return;
+
+      const locked = entry ? entry.lockedUntil > now : false;
+      let retryAfter = entry ? (locked ? entry.lockedUntil : entry.blockedUntil) - now : 0;
+      if (retryAfter <= 0 && inFlight > 0 && (entry?.failures || 0) + inFlight >= this.policy[scope].freeAttempts) {
+        retryAfter = this.policy.baseDelay;
+      }
+
+      if (retryAfter > 0 && (verdict.allowed || retryAfter > verdict.retryAfter)) {
+        verdict = { allowed: false, scope, reason: locked ? 'locked' : 'backoff', retryAfter };
+      }
+    });
+
+    return verdict;
+  }
+
+  /**
+   * Check an attempt and, if allowed, hold its place until end()
+   *
+   * @returns {object} Verdict, as check()
+   */
+  begin(ip, username) {
+    const verdict = this.check(ip, username);
+    if (verdict.allowed) {
+      [`user:${username}`, `ip:${ip}`].forEach(key => this.inFlight.set(key, (this.inFlight.get(key) || 0) + 1));
+    }
+    return verdict;
+  }
+
+  /**
+   * Attempt checked (record its failure or success first)
+   */
+  end(ip, username) {
+    [`user:${username}`, `ip:${ip}`].forEach(key => {
+      const count = (this.inFlight.get(key) || 0) - 1;
+      if (count > 0) {
+        this.inFlight.set(key, count);
+      } else {
+        this.inFlight.delete(key);
+      }
+    });
+  }
+
+  /**
+   * Count a failed login
+   *
+   * @returns {string[]} Scopes locked by this failure ('user', 'ip')
+   */
+  recordFailure(ip, username) {
+    const now = this.now();
+    const locked = [];
+
+    [['user', username], ['ip', ip]].forEach(([scope, id]) => {
+      const { freeAttempts, lockoutThreshold } = this.policy[scope];
+      const entry = this.entry(scope, id) || { failures: 0, lastFailure: 0, blockedUntil: 0, lockedUntil: 0 };
+
+      entry.failures++;
+      entry.lastFailure = now;
+
+      if (entry.failures >= lockoutThreshold) {
+        // Locked: backoff starts over once the lock ends
+        entry.lockedUntil = now + this.policy.lockoutDuration;
+        entry.failures = 0;
+        entry.blockedUntil = 0;
+        locked.push(scope);
+      } else if (entry.failures >= freeAttempts) {
+        const delay = this.policy.baseDelay * Math.pow(2, entry.failures - freeAttempts);
+        entry.blockedUntil = now + Math.min(delay, this.policy.maxDelay);
+      }
+
+      // Re-inserted: the map stays ordered by last failure, oldest first
+      this.entries.delete(`${scope}:${id}`);
+      this.entries.set(`${scope}:${id}`, entry);
+    });
+
+    if (this.entries.size > this.policy.maxEntries) {
+      this.enforceCap();
+    }
+    return locked;
+  }
+
+  /**
+   * Back under maxEntries: drop expired entries (occasionally), then the
+   * oldest unlocked ones, then (only locks left) the oldest locks
+   */
+  enforceCap() {
+    const now = this.now();
+    if (now - this.lastPrune >= PRUNE_INTERVAL) {
+      this.lastPrune = now;
+      this.prune();
+    }
+
+    for (const [key, entry] of this.entries) {
+      if (this.entries.size <= this.policy.maxEntries) return;
+      if (entry.lockedUntil <= now) this.entries.delete(key);
+    }
+    for (const key of this.entries.keys()) {
+      if (this.entries.size <= this.policy.maxEntries) return;
+      this.entries.delete(key);
+    }
+  }
+
+  /**
+   * Successful login: the username starts clean (the IP keeps its count)
+   */
+  recordSuccess(ip, username) {
+    this.entries.delete(`user:${username}`);
+  }
+
+  /**
+   * Lift a username lockout/backoff (admin)
+   *
+   * @returns {boolean} Whether anything was cleared
+   */
+  unlockUser(username) {
+    return this.entries.delete(`user:${username}`);
+  }
+
+  /**
+   * Lift an IP lockout/backoff (admin)
+   */
+  unlockIp(ip) {
+    return this.entries.delete(`ip:${ip}`);
+  }
+
+  /**
+   * End of a username lockout (ms timestamp), null if not locked
+   */
+  lockedUntil(username) {
+    const entry = this.entry('user', username);
+    return entry && entry.lockedUntil > this.now() ? entry.lockedUntil : null;
+  }
+
+  /**
+   * Usernames and IPs with recent failures
+   *
+   * @returns {object} { users: [...], ips: [...] } of { id, failures, blockedUntil, lockedUntil }
+   */
+  list() {
+    const result = { users: [], ips: [] };
+    [...this.entries.keys()].forEach(key => {
+      const separator = key.indexOf(':');
+      const scope = key.slice(0, separator);
+      const id = key.slice(separator + 1);
+      const entry = this.entry(scope, id);
+      if (!entry) return;
+
+      const { failures, blockedUntil, lockedUntil } = entry;
+      result[scope === 'user' ? 'users' : 'ips'].push({ id, failures, blockedUntil, lockedUntil });
+    });
+    return result;
+  }
+
+  /**
+   * Drop entries with nothing pending
+   */
+  prune() {
+    [...this.entries.keys()].forEach(key => {
+      const separator = key.indexOf(':');
+      this.entry(key.slice(0, separator), key.slice(separator + 1));
+    });
+  }
+}
+
+// Singleton instance
+const loginGuard = new LoginGuard();
+
+export default loginGuard;
@@ -0,0 +1,81 @@
+/**
+ * BullBook - Password Hashing
+ *
+ * scrypt with a random salt per password, stored as one self-describing
+ * string so cost parameters can be raised later without breaking old hashes:
+ *
+ *   scrypt$N$r$p$<salt base64>$<hash base64>
+ *
+ * Verification compares with crypto.timingSafeEqual.
+ */
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+const COST = 16384; // N (2^14, ~16 MB of memory per hash with r=8)
+const BLOCK_SIZE = 8; // r
+const PARALLELISM = 1; // p
+const SALT_BYTES = 16;
+const KEY_BYTES = 64;
+
+export const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 256;
+
+/**
+ * Check a new password against the policy
+ *
+ * @returns {string|null} Error message, null if acceptable
+ */
+export function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (password.length > MAX_PASSWORD_LENGTH) {
+    return `Password must be at most ${MAX_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Hash a password for storage
+ *
+ * @returns {Promise<string>} scrypt$N$r$p$salt$hash
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const key = await scrypt(password, salt, KEY_BYTES, { N: COST, r: BLOCK_SIZE, p: PARALLELISM });
+
+  return ['scrypt', COST, BLOCK_SIZE, PARALLELISM, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+/**
+ * Check a password against a stored hash (false for malformed hashes)
+ */
+export async function verifyPassword(password, stored) {
+  const parts = typeof stored === 'string' ? stored.split('$') : [];
+  if (parts.length !== 6 || parts[0] !== 'scrypt') return false;
+
+  const [, N, r, p, saltB64, keyB64] = parts;
+  const expected = Buffer.from(keyB64, 'base64');
+  if (expected.length === 0) return false;
+  const cost = { N: parseInt(N), r: parseInt(r), p: parseInt(p), maxmem: 128 * parseInt(N) * parseInt(r) * 2 };
+
+  try {
+    const key = await scrypt(String(password), Buffer.from(saltB64, 'base64'), expected.length, cost);
+    return crypto.timingSafeEqual(key, expected);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Hash of a random password: unknown usernames are checked against it so
+// they take as long as wrong passwords (no username probing by timing)
+let dummyHash = null;
+
+export async function verifyAgainstDummy(password) {
+  dummyHash = dummyHash || await hashPassword(crypto.randomBytes(16).toString('hex'));
+  await verifyPassword(password, dummyHash);
+  return false;
+}
@@ -0,0 +1,99 @@
+/**
+ * BullBook - Preferences Store
+ *
+ * Saved per-user preferences, kept on the user record (user-store.js) and
+ * layered over the account defaults (`preferences`). Each record holds:
+ *
+ *   settings - depth, decimals, layout, books (current workspace)... merged
+ *              key by key. A value carrying `updatedAt` older than the one
+ *              stored is dropped, so a device coming back online with stale
+ *              edits does not overwrite newer ones from another device.
+ *   presets  - slots 1-5, each with a revision (`rev`). A save must name the
+ *              revision it was based on; saving over a newer one is a
+ *              conflict unless forced.
+ */
+
+import userStore from './user-store.js';
+
+export const PRESET_SLOTS = 5;
+const MAX_PRESET_BOOKS = 12;
+
+function entryFor(username) {
+  const record = userStore.get(username);
+  return { settings: record?.settings || {}, presets: record?.presets || {} };
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Stored settings and presets for a user ({ settings, presets })
+ */
+export function getStoredPreferences(username) {
+  const { settings, presets } = entryFor(username);
+  return { settings, presets };
+}
+
+/**
+ * Merge setting changes into the stored ones
+ *
+ * @returns {object|null} Stored settings after the merge, null if `changes` is not an object
+ */
+export function mergeSettings(username, changes) {
+  if (!isPlainObject(changes)) return null;
+
+  const entry = entryFor(username);
+  const settings = { ...entry.settings };
+
+  Object.entries(changes).forEach(([key, value]) => {
+    if (key === 'presets') return; // Presets have their own revisioned route
+
+    const stored = settings[key];
+    if (isPlainObject(value) && isPlainObject(stored) &&
+        typeof value.updatedAt === 'number' && typeof stored.updatedAt === 'number' &&
+        value.updatedAt < stored.updatedAt) {
+      return; // Stale edit
+    }
+    settings[key] = value;
+  });
+
+  userStore.update(username, { settings });
+  return settings;
+}
+
+/**
+ * Validate a preset slot number (1-5)
+ */
+export function normalizeSlot(slot) {
+  const n = parseInt(slot);
+  return n >= 1 && n <= PRESET_SLOTS ? n : null;
+}
+
+/**
+ * Save a preset slot
+ *
+ * @param {object} preset - Books (symbols and per-book arrays) and optional layout
+ * @param {object} options - { baseRev: revision the client edited (0 = new slot), force: overwrite on conflict }
+ * @returns {object} { preset } with the new revision, { conflict } with the stored preset, or { error }
+ */
+export function savePreset(username, slot, preset, { baseRev = 0, force = false } = {}) {
+  if (!isPlainObject(preset) || !Array.isArray(preset.symbols) || preset.symbols.length === 0 ||
+      preset.symbols.length > MAX_PRESET_BOOKS || !preset.symbols.every(symbol => typeof symbol === 'string')) {
+    return { error: `Preset needs 1-${MAX_PRESET_BOOKS} symbols` };
+  }
+
+  const entry = entryFor(username);
+  const current = entry.presets[slot] || null;
+  const currentRev = current ? current.rev : 0;
+
+  if (!force && (parseInt(baseRev) || 0) !== currentRev) {
+    return { conflict: current };
+  }
+
+  const { rev: _rev, updatedAt: _updatedAt, ...data } = preset;
+  const saved = { ...data, rev: currentRev + 1, updatedAt: Date.now() };
+
+  userStore.update(username, { presets: { ...entry.presets, [slot]: saved } });
+  return { preset: saved };
+}
@@ -0,0 +1,54 @@
+/**
+ * BullBook - Rate Limiter
+ *
+ * Token bucket per id (API keys): a key with a limit of N requests per
+ * minute starts with N tokens and regains N per minute, so bursts up to N
+ * pass and the sustained rate is capped at N. In memory: a restart refills
+ * every bucket.
+ */
+
+const MINUTE = 60 * 1000;
+
+export class RateLimiter {
+  /**
+   * @param {object} options - { now } clock (tests)
+   */
+  constructor({ now = Date.now } = {}) {
+    this.now = now;
+    this.buckets = new Map(); // id -> { tokens, updatedAt }
+  }
+
+  /**
+   * Spend one request of `limit` per minute
+   *
+   * @returns {object} { allowed, remaining, retryAfter: ms until the next token (0 if allowed) }
+   */
+  take(id, limit) {
+    const now = this.now();
+    const bucket = this.buckets.get(id) || { tokens: limit, updatedAt: now };
+
+    // Refill for the time since the last request, never above the limit
+    bucket.tokens = Math.min(limit, bucket.tokens + ((now - bucket.updatedAt) * limit) / MINUTE);
+    bucket.updatedAt = now;
+    this.buckets.set(id, bucket);
+
+    if (bucket.tokens < 1) {
+      return { allowed: false, remaining: 0, retryAfter: Math.ceil(((1 - bucket.tokens) * MINUTE) / limit) };
+    }
+
+    bucket.tokens -= 1;
+    return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfter: 0 };
+  }
+
+  /**
+   * Forget an id (key revoked)
+   */
+  reset(id) {
+    this.buckets.delete(id);
+  }
+}
+
+// Singleton instance (shared by the REST API and /ws)
+const rateLimiter = new RateLimiter();
+
+export default rateLimiter;
@@ -0,0 +1,210 @@
+/**
+ * BullBook - Session Store
+ *
+ * Server-side login sessions ({DATA_DIR}/sessions.json, owner read/write only).
+ * A login opens a session; access tokens (short-lived JWTs) carry its id
+ * and verifyToken accepts them only while the session exists, so logging
+ * out or revoking a device takes effect on the next request.
+ *
+ * Each session has one refresh token "<session id>.<secret>", rotated on
+ * every use. Only a SHA-256 of the secret is stored. Presenting the
+ * previous secret again is a replay (stolen token) and ends the session,
+ * except right after a rotation, when two tabs of the same browser may
+ * refresh at once.
+ *
+ *   { id, username, refreshHash, previousHash, rotatedAt, ip, userAgent,
+ *     createdAt, lastUsedAt, expiresAt }
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import dotenv from 'dotenv';
+import { JsonStore, DATA_DIR } from '../utils/json-store.js';
+dotenv.config();
+
+const DAY = 24 * 60 * 60 * 1000;
+const REFRESH_TOKEN_TTL = (parseFloat(process.env.REFRESH_TOKEN_DAYS) || 30) * DAY; // Idle time before a session ends
+const REUSE_GRACE = 30000; // 30 seconds (concurrent refresh from two tabs)
+const SECRET_BYTES = 32;
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+function matches(secret, storedHash) {
+  const expected = Buffer.from(storedHash || '', 'base64');
+  const actual = hashSecret(secret);
+  return expected.length === actual.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Split "<session id>.<secret>"
+ */
+function parseRefreshToken(refreshToken) {
+  const [id, secret] = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+  return id && secret ? { id, secret } : null;
+}
+
+/**
+ * New secret and its stored hash
+ */
+function newSecret() {
+  const secret = crypto.randomBytes(SECRET_BYTES).toString('base64url');
+  return { secret, hash: hashSecret(secret).toString('base64') };
+}
+
+export class SessionStore {
+  /**
+   * @param {string} filePath - sessions JSON file
+   * @param {object} options - { reuseGrace: ms the previous refresh token stays usable }
+   */
+  constructor(filePath, { reuseGrace = REUSE_GRACE } = {}) {
+    this.store = new JsonStore(filePath, { mode: 0o600 });
+    this.reuseGrace = reuseGrace;
+    this.prune();
+  }
+
+  get(id) {
+    const session = this.store.get(id);
+    return session && session.expiresAt > Date.now() ? session : null;
+  }
+
+  /**
+   * Whether an access token's session is still open
+   */
+  isActive(id, username) {
+    const session = typeof id === 'string' ? this.get(id) : null;
+    return Boolean(session) && session.username === username;
+  }
+
+  /**
+   * Open a session for a login
+   *
+   * @param {object} client - { ip, userAgent }
+   * @returns {object} { session, refreshToken }
+   */
+  create(username, { ip = 'unknown', userAgent = 'unknown' } = {}) {
+    this.prune();
+
+    const id = crypto.randomUUID();
+    const { secret, hash } = newSecret();
+    const now = Date.now();
+    const session = {
+      id,
+      username,
+      refreshHash: hash,
+      previousHash: null,
+      rotatedAt: null,
+      ip,
+      userAgent,
+      createdAt: now,
+      lastUsedAt: now,
+      expiresAt: now + REFRESH_TOKEN_TTL
+    };
+
+    this.store.set(id, session);
+    return { session, refreshToken: `${id}.${secret}` };
+  }
+
+  /**
+   * Exchange a refresh token for a new one (see header)
+   *
+   * @param {object} client - { ip, userAgent } now using the session
+   * @returns {object|null} { session, refreshToken }, { reused: session } if the
+   *   token was replayed (the session is ended), null if unknown or expired
+   */
+  rotate(refreshToken, { ip, userAgent } = {}) {
+    const { id, secret } = parseRefreshToken(refreshToken) || {};
+    const session = id ? this.get(id) : null;
+    if (!session) return null;
+
+    const now = Date.now();
+    const concurrent = session.rotatedAt && now - session.rotatedAt < this.reuseGrace;
+
+    if (!matches(secret, session.refreshHash) && !(concurrent && matches(secret, session.previousHash))) {
+      if (matches(secret, session.previousHash)) {
+        this.revoke(id);
+        return { reused: session };
+      }
+      return null;
+    }
+
+    const next = newSecret();
+    const rotated = {
+      ...session,
+      refreshHash: next.hash,
+      previousHash: session.refreshHash,
+      rotatedAt: now,
+      ip: ip || session.ip,
+      userAgent: userAgent || session.userAgent,
+      lastUsedAt: now,
+      expiresAt: now + REFRESH_TOKEN_TTL
+    };
+
+    this.store.set(id, rotated);
+    return { session: rotated, refreshToken: `${id}.${next.secret}` };
+  }
+
+  /**
+   * Session a refresh token belongs to, without rotating it (logout)
+   * The previous token is accepted too: ending a session is always safe
+   */
+  findByRefreshToken(refreshToken) {
+    const { id, secret } = parseRefreshToken(refreshToken) || {};
+    const session = id ? this.get(id) : null;
+    if (!session) return null;
+
+    return matches(secret, session.refreshHash) || matches(secret, session.previousHash) ? session : null;
+  }
+
+  /**
+   * Open sessions of a user, most recently used first
+   */
+  listForUser(username) {
+    return this.store.keys()
+      .map(id => this.get(id))
+      .filter(session => session && session.username === username)
+      .sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+  }
+
+  /**
+   * @returns {boolean} Whether the session existed
+   */
+  revoke(id) {
+    return this.store.delete(id);
+  }
+
+  /**
+   * End every session of a user (password reset, account disabled or deleted)
+   *
+   * @param {object} options - { except: session id to keep }
+   * @returns {string[]} Revoked session ids
+   */
+  revokeUser(username, { except = null } = {}) {
+    const ids = this.store.keys().filter(id => id !== except && this.store.get(id).username === username);
+    ids.forEach(id => this.store.delete(id));
+    return ids;
+  }
+
+  /**
+   * Drop expired sessions
+   */
+  prune() {
+    const now = Date.now();
+    this.store.keys()
+      .filter(id => !(this.store.get(id).expiresAt > now))
+      .forEach(id => this.store.delete(id));
+  }
+}
+
+/**
+ * Session as shown to its user (no token hashes)
+ */
+export function toPublicSession(session, currentId = null) {
+  const { id, ip, userAgent, createdAt, lastUsedAt, expiresAt } = session;
+  return { id, ip, userAgent, createdAt, lastUsedAt, expiresAt, current: id === currentId };
+}
+
+const sessionStore = new SessionStore(path.join(DATA_DIR, 'sessions.json'));
+
+export default sessionStore;
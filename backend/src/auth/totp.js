@@ -0,0 +1,146 @@
+/**
+ * BullBook - TOTP (RFC 6238)
+ *
+ * Time-based one-time passwords as generated by authenticator apps
+ * (Google Authenticator, Aegis, 1Password...): HMAC-SHA1 over the 30 s time
+ * step, 6 digits, secrets in base32 (RFC 4648, no padding). Plus single-use
+ * recovery codes, stored as SHA-256 hashes (they are random, so no salt or
+ * slow hash is needed).
+ */
+
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export const TOTP_PERIOD = 30; // Seconds per code
+export const TOTP_DIGITS = 6;
+const SECRET_BYTES = 20; // 160 bits (RFC 4226 recommendation)
+const RECOVERY_CODE_BYTES = 5; // 8 base32 characters
+
+/**
+ * Encode bytes as base32 (uppercase, no padding)
+ */
+export function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * Decode base32 (case, spaces and padding are ignored)
+ *
+ * @throws {Error} On characters outside the alphabet
+ */
+export function base32Decode(text) {
+  const clean = text.toUpperCase().replace(/[\s=]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error(`Invalid base32 character: ${char}`);
+
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * New random TOTP secret (base32)
+ */
+export function generateSecret() {
+  return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+/**
+ * Time step of a timestamp (ms)
+ */
+export function timeStep(now = Date.now()) {
+  return Math.floor(now / 1000 / TOTP_PERIOD);
+}
+
+/**
+ * Code for a time step (HOTP, RFC 4226)
+ */
+export function generateTotp(secret, step = timeStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const digest = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = digest[digest.length - 1] & 15;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Check a code, accepting `window` steps of clock drift either way
+ * Steps up to `after` are refused, so an accepted code cannot be replayed
+ *
+ * @returns {number|null} Matched time step, null if the code is wrong
+ */
+export function verifyTotp(secret, code, { now = Date.now(), window = 1, after = -1 } = {}) {
+  const candidate = String(code ?? '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(candidate)) return null;
+
+  const current = timeStep(now);
+  for (let step = current - window; step <= current + window; step++) {
+    if (step <= after) continue;
+    if (crypto.timingSafeEqual(Buffer.from(generateTotp(secret, step)), Buffer.from(candidate))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/**
+ * otpauth:// URI for authenticator apps (as a link or QR code)
+ */
+export function otpauthUri(secret, username, issuer = 'BullBook') {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(username)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD)
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+/**
+ * New recovery codes ("abcd-efgh"), shown to the user once
+ */
+export function generateRecoveryCodes(count = 10) {
+  return Array.from({ length: count }, () => {
+    const code = base32Encode(crypto.randomBytes(RECOVERY_CODE_BYTES)).toLowerCase();
+    return `${code.slice(0, 4)}-${code.slice(4)}`;
+  });
+}
+
+/**
+ * Stored form of a recovery code (case, spaces and dashes do not matter)
+ */
+export function hashRecoveryCode(code) {
+  const normalized = String(code ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
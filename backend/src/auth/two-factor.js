@@ -0,0 +1,199 @@
+/**
+ * BullBook - Two-Factor Authentication
+ *
+ * Optional TOTP second factor per account (totp.js). Enrollment takes two
+ * steps, so a secret that never made it into the authenticator app cannot
+ * lock the user out:
+ *
+ * 1. beginEnrollment: a new secret is kept as pending and returned with its
+ *    otpauth:// URI
+ * 2. confirmEnrollment: a code from the app turns 2FA on and returns the
+ *    recovery codes (shown once, stored hashed)
+ *
+ * On the user record (user-store.js; never returned by the API):
+ *
+ *   twoFactor: { secret, enabledAt, lastStep, recoveryCodes: [sha256...] }
+ *   twoFactorPending: { secret, createdAt }
+ *
+ * lastStep is the time step of the last accepted code: a code works once.
+ * Each recovery code works once too.
+ */
+
+import userStore from './user-store.js';
+import { verifyPassword } from './passwords.js';
+import { generateSecret, verifyTotp, otpauthUri, generateRecoveryCodes, hashRecoveryCode } from './totp.js';
+
+const PENDING_TTL = 10 * 60 * 1000; // Enrollment must be confirmed within 10 minutes
+
+/**
+ * Issue new recovery codes
+ *
+ * @returns {object} { codes: plain, hashes: stored }
+ */
+function newRecoveryCodes() {
+  const codes = generateRecoveryCodes();
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * Check a TOTP code or recovery code against an enabled second factor and
+ * consume it (the TOTP step or the recovery code cannot be used again)
+ *
+ * @returns {object|null} { method: 'totp'|'recovery', recoveryCodesLeft }, null if wrong
+ */
+function consumeCode(username, twoFactor, code) {
+  const step = verifyTotp(twoFactor.secret, code, { after: twoFactor.lastStep ?? -1 });
+  if (step !== null) {
+    userStore.update(username, { twoFactor: { ...twoFactor, lastStep: step } });
+    return { method: 'totp', recoveryCodesLeft: twoFactor.recoveryCodes.length };
+  }
+
+  const hash = hashRecoveryCode(code);
+  if (!twoFactor.recoveryCodes.includes(hash)) return null;
+
+  const recoveryCodes = twoFactor.recoveryCodes.filter(stored => stored !== hash);
+  userStore.update(username, { twoFactor: { ...twoFactor, recoveryCodes } });
+  return { method: 'recovery', recoveryCodesLeft: recoveryCodes.length };
+}
+
+/**
+ * Whether a user must pass the second factor to log in
+ */
+export function isTwoFactorEnabled(username) {
+  return Boolean(userStore.get(username)?.twoFactor);
+}
+
+/**
+ * 2FA state of a user (for the settings page)
+ *
+ * @returns {object|null} { enabled, enabledAt, recoveryCodesLeft }, null if the user does not exist
+ */
+export function getTwoFactorStatus(username) {
+  const record = userStore.get(username);
+  if (!record) return null;
+
+  const { twoFactor } = record;
+  return {
+    enabled: Boolean(twoFactor),
+    enabledAt: twoFactor?.enabledAt ?? null,
+    recoveryCodesLeft: twoFactor ? twoFactor.recoveryCodes.length : 0
+  };
+}
+
+/**
+ * Step 1 of enrollment: new pending secret (the current password is required)
+ *
+ * @returns {Promise<object|null>} { secret, otpauthUri } or { error }, null if the user does not exist
+ */
+export async function beginEnrollment(username, password) {
+  const record = userStore.get(username);
+  if (!record) return null;
+
+  if (record.twoFactor) {
+    return { error: 'Two-factor authentication is already enabled' };
+  }
+  if (!await verifyPassword(password, record.passwordHash)) {
+    return { error: 'Wrong password', wrongCredentials: true };
+  }
+
+  const secret = generateSecret();
+  userStore.update(username, { twoFactorPending: { secret, createdAt: Date.now() } });
+  return { secret, otpauthUri: otpauthUri(secret, username) };
+}
+
+/**
+ * Step 2 of enrollment: a code from the authenticator app turns 2FA on
+ *
+ * @returns {object|null} { recoveryCodes } or { error }, null if the user does not exist
+ */
+export function confirmEnrollment(username, code) {
+  const record = userStore.get(username);
+  if (!record) return null;
+
+  const pending = record.twoFactorPending;
+  if (record.twoFactor) {
+    return { error: 'Two-factor authentication is already enabled' };
+  }
+  if (!pending || Date.now() - pending.createdAt > PENDING_TTL) {
+    return { error: 'No setup in progress, start again' };
+  }
+
+  const step = verifyTotp(pending.secret, code);
+  if (step === null) {
+    return { error: 'Invalid code', wrongCredentials: true };
+  }
+
+  const { codes, hashes } = newRecoveryCodes();
+  userStore.update(username, {
+    twoFactor: { secret: pending.secret, enabledAt: Date.now(), lastStep: step, recoveryCodes: hashes },
+    twoFactorPending: undefined
+  });
+  return { recoveryCodes: codes };
+}
+
+/**
+ * Second login step: TOTP code or recovery code
+ *
+ * @returns {object|null} { method, recoveryCodesLeft }, null if the code is wrong or 2FA is off
+ */
+export function verifySecondFactor(username, code) {
+  const twoFactor = userStore.get(username)?.twoFactor;
+  return twoFactor ? consumeCode(username, twoFactor, code) : null;
+}
+
+/**
+ * Replace the recovery codes (a current TOTP or recovery code is required)
+ *
+ * @returns {object|null} { recoveryCodes } or { error }, null if the user does not exist
+ */
+export function regenerateRecoveryCodes(username, code) {
+  const record = userStore.get(username);
+  if (!record) return null;
+
+  if (!record.twoFactor) {
+    return { error: 'Two-factor authentication is not enabled' };
+  }
+  if (!consumeCode(username, record.twoFactor, code)) {
+    return { error: 'Invalid code', wrongCredentials: true };
+  }
+
+  const { codes, hashes } = newRecoveryCodes();
+  const { twoFactor } = userStore.get(username);
+  userStore.update(username, { twoFactor: { ...twoFactor, recoveryCodes: hashes } });
+  return { recoveryCodes: codes };
+}
+
+/**
+ * Turn 2FA off (password and a current TOTP or recovery code are required)
+ *
+ * @returns {Promise<object|null>} { disabled: true } or { error }, null if the user does not exist
+ */
+export async function disableTwoFactor(username, password, code) {
+  const record = userStore.get(username);
+  if (!record) return null;
+
+  if (!record.twoFactor) {
+    return { error: 'Two-factor authentication is not enabled' };
+  }
+  if (!await verifyPassword(password, record.passwordHash)) {
+    return { error: 'Wrong password', wrongCredentials: true };
+  }
+  if (!consumeCode(username, record.twoFactor, code)) {
+    return { error: 'Invalid code', wrongCredentials: true };
+  }
+
+  userStore.update(username, { twoFactor: undefined, twoFactorPending: undefined });
+  return { disabled: true };
+}
+
+/**
+ * Turn 2FA off without a code (admin, for users who lost their device)
+ *
+ * @returns {boolean} Whether 2FA was enabled
+ */
+export function resetTwoFactor(username) {
+  if (!isTwoFactorEnabled(username)) return false;
+
+  userStore.update(username, { twoFactor: undefined, twoFactorPending: undefined });
+  return true;
+}
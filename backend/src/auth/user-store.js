@@ -0,0 +1,106 @@
+/**
+ * BullBook - User Store
+ *
+ * Durable user repository ({DATA_DIR}/users.json, owner read/write only).
+ * One record per username:
+ *
+ *   { username, passwordHash, role, enabled, preferences, settings, presets, lastLogin, createdAt, updatedAt }
+ *
+ * lastLogin is { at: ISO timestamp, ip } of the last successful login (absent if never).
+ * preferences are the account defaults; settings and presets are what the
+ * user saved from the app (see preferences-store.js). Accounts with two-factor
+ * authentication also carry twoFactor / twoFactorPending (see two-factor.js).
+ * Password hashes and TOTP secrets never leave this layer: lookups for the
+ * API go through toPublicUser().
+ */
+
+import path from 'path';
+import { JsonStore, DATA_DIR } from '../utils/json-store.js';
+
+export const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{2,32}$/;
+export const ROLES = ['user', 'admin'];
+
+export class UserStore {
+  /**
+   * @param {string} filePath - users JSON file
+   */
+  constructor(filePath) {
+    this.store = new JsonStore(filePath, { mode: 0o600 });
+  }
+
+  get(username) {
+    return this.store.get(username) || null;
+  }
+
+  has(username) {
+    return this.store.has(username);
+  }
+
+  list() {
+    return this.store.keys().map(username => this.store.get(username));
+  }
+
+  get size() {
+    return this.store.keys().length;
+  }
+
+  /**
+   * Add a user record
+   *
+   * @returns {object} The stored record
+   * @throws {Error} If the username is invalid or taken
+   */
+  create({ username, passwordHash, role = 'user', enabled = true, preferences = {}, settings = {}, presets = {} }) {
+    if (!USERNAME_PATTERN.test(username || '')) {
+      throw new Error(`Invalid username: ${username}`);
+    }
+    if (!ROLES.includes(role)) {
+      throw new Error(`Invalid role: ${role}`);
+    }
+    if (this.has(username)) {
+      throw new Error(`User already exists: ${username}`);
+    }
+
+    const now = Date.now();
+    const record = { username, passwordHash, role, enabled, preferences, settings, presets, createdAt: now, updatedAt: now };
+    this.store.set(username, record);
+    return record;
+  }
+
+  /**
+   * Change fields of a user record (username and createdAt are fixed)
+   *
+   * @returns {object|null} The updated record, null if the user does not exist
+   */
+  update(username, changes) {
+    const record = this.get(username);
+    if (!record) return null;
+
+    const { username: _username, createdAt: _createdAt, ...rest } = changes;
+    const updated = { ...record, ...rest, updatedAt: Date.now() };
+    this.store.set(username, updated);
+    return updated;
+  }
+
+  delete(username) {
+    return this.store.delete(username);
+  }
+}
+
+/**
+ * User record without credentials (safe to return from the API)
+ */
+export function toPublicUser(record) {
+  if (!record) return null;
+
+  const { passwordHash: _passwordHash, twoFactor, twoFactorPending: _twoFactorPending, ...user } = record;
+  return {
+    ...user,
+    role: user.role || 'user', // Records from before roles
+    twoFactorEnabled: Boolean(twoFactor)
+  };
+}
+
+const userStore = new UserStore(path.join(DATA_DIR, 'users.json'));
+
+export default userStore;
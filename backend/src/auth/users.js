@@ -1,144 +1,290 @@
 /**
- * BullBook - User Management (v1.0 Simplified)
+ * BullBook - User Management
  *
- * Only 2 users: dag and bull
- * Passwords stored in .env (temporary - v2.0 will use NexusChat API)
+ * Accounts live in the durable user store (user-store.js) with scrypt
+ * password hashes (passwords.js).
+ *
+ * Migration from v1.0 (hardcoded accounts, plaintext passwords from .env):
+ * on start, every v1.0 account missing from the store is imported with the
+ * password in its USER_<NAME>_PASSWORD variable. Accounts whose variable is
+ * not set are skipped (the old built-in fallbacks such as "dag123" are not
+ * imported) and picked up on a later start once it is. After the import the
+ * store is authoritative: changing the variable no longer changes the password.
+ *
+ * Accounts are managed at runtime through the admin API (admin-routes.js);
+ * ADMIN_USERS (comma-separated) grants the admin role on start, so the first
+ * admin can be set up without one.
  */
 
+import path from 'path';
+import fs from 'fs';
 import dotenv from 'dotenv';
+import userStore, { ROLES, USERNAME_PATTERN, toPublicUser } from './user-store.js';
+import { hashPassword, validatePassword, verifyPassword, verifyAgainstDummy } from './passwords.js';
+import { getStoredPreferences, mergeSettings, savePreset } from './preferences-store.js';
+import { JsonStore, DATA_DIR } from '../utils/json-store.js';
 dotenv.config();
 
-// Hardcoded users for v1.0
-const users = [
-  {
-    username: 'dag',
-    password: process.env.USER_DAG_PASSWORD || 'dag123', // Change in .env!
-    enabled: true, // ✅ ACTIVE
-    preferences: {
-      symbols: ['BTCUSDT', 'ETHUSDT', 'SOLUSDT'], // Default preset: 3 books
-      volumeThreshold: 0, // No filter - show all coins
-      layout: {}
-    }
-  },
-  {
-    username: 'bull',
-    password: process.env.USER_BULL_PASSWORD || 'bull123', // Change in .env!
-    enabled: true, // ✅ ACTIVE (2025-10-30)
-    preferences: {
-      symbols: ['BTCUSDT', 'ETHUSDT', 'SOLUSDT'], // Default preset: 3 books
-      volumeThreshold: 0, // No filter - show all coins
-      layout: {}
-    }
-  },
-  {
-    username: 'Senior',
-    password: process.env.USER_SENIOR_PASSWORD || 'senior123', // Change in .env!
-    enabled: true, // ✅ ACTIVE (2025-10-30)
-    preferences: {
-      symbols: ['BTCUSDT', 'ETHUSDT', 'SOLUSDT'], // Default preset: 3 books
-      volumeThreshold: 0, // No filter - show all coins
-      depth: 20,
-      priceDecimals: 1,
-      sizeDecimals: 2,
-      layout: {}
-    }
-  },
-  {
-    username: 'piva',
-    password: process.env.USER_PIVA_PASSWORD || 'piva123', // Change in .env!
-    enabled: true, // ✅ ACTIVE (2025-10-30)
-    preferences: {
-      symbols: ['BTCUSDT', 'ETHUSDT', 'SOLUSDT'], // Default preset: 3 books
-      volumeThreshold: 0, // No filter - show all coins
-      layout: {}
-    }
-  },
-  {
-    username: 'ziodoc',
-    password: process.env.USER_ZIODOC_PASSWORD || 'ziodoc123', // Change in .env!
-    enabled: true, // ✅ ACTIVE (2025-10-30)
-    preferences: {
-      symbols: ['BTCUSDT', 'ETHUSDT', 'SOLUSDT'], // Default preset: 3 books
-      volumeThreshold: 0, // No filter - show all coins
-      layout: {}
-    }
-  },
-  {
-    username: 'matte',
-    password: process.env.USER_MATTE_PASSWORD || 'matte123', // Change in .env!
-    enabled: true, // ✅ ACTIVE (2025-10-30)
-    preferences: {
-      symbols: ['BTCUSDT', 'ETHUSDT', 'SOLUSDT'], // Default preset: 3 books
-      volumeThreshold: 0, // No filter - show all coins
-      layout: {}
-    }
-  },
-  {
-    username: 'Pask',
-    password: process.env.USER_PASK_PASSWORD || 'pask123', // Change in .env!
-    enabled: true, // ✅ ACTIVE (2025-10-30)
-    preferences: {
-      symbols: ['BTCUSDT', 'ETHUSDT', 'SOLUSDT'], // Default preset: 3 books
-      volumeThreshold: 0, // No filter - show all coins
-      layout: {}
+// Defaults for new accounts
+export const DEFAULT_PREFERENCES = {
+  symbols: ['BTCUSDT', 'ETHUSDT', 'SOLUSDT'], // Default preset: 3 books
+  volumeThreshold: 0, // No filter - show all coins
+  layout: {}
+};
+
+// v1.0 accounts and their preference overrides
+const LEGACY_USERS = [
+  { username: 'dag' },
+  { username: 'bull' },
+  { username: 'Senior', preferences: { depth: 20, priceDecimals: 1, sizeDecimals: 2 } },
+  { username: 'piva' },
+  { username: 'ziodoc' },
+  { username: 'matte' },
+  { username: 'Pask' },
+  { username: 'drfrank' }
+];
+
+// Saved preferences from before they moved onto the user records
+const LEGACY_PREFERENCES_FILE = path.join(DATA_DIR, 'preferences.json');
+
+/**
+ * Env variable holding a v1.0 account password (USER_DAG_PASSWORD)
+ */
+export function legacyPasswordVar(username) {
+  return `USER_${username.toUpperCase()}_PASSWORD`;
+}
+
+/**
+ * Import v1.0 accounts missing from the store (see header)
+ *
+ * @returns {Promise<string[]>} Imported usernames
+ */
+export async function importLegacyUsers(env = process.env) {
+  const legacyPreferences = fs.existsSync(LEGACY_PREFERENCES_FILE) ? new JsonStore(LEGACY_PREFERENCES_FILE) : null;
+  const imported = [];
+  const skipped = [];
+
+  for (const { username, preferences } of LEGACY_USERS) {
+    if (userStore.has(username)) continue;
+
+    const password = env[legacyPasswordVar(username)];
+    if (!password) {
+      skipped.push(username);
+      continue;
     }
-  },
-  {
-    username: 'drfrank',
-    password: process.env.USER_DRFRANK_PASSWORD || 'drfrank123', // Change in .env!
-    enabled: true, // ✅ ACTIVE (2025-11-02)
-    preferences: {
-      symbols: ['BTCUSDT', 'ETHUSDT', 'SOLUSDT'], // Default preset: 3 books
-      volumeThreshold: 0, // No filter - show all coins
-      layout: {}
+
+    const saved = legacyPreferences?.get(username) || {};
+    userStore.create({
+      username,
+      passwordHash: await hashPassword(password),
+      preferences: { ...DEFAULT_PREFERENCES, ...preferences },
+      settings: saved.settings || {},
+      presets: saved.presets || {}
+    });
+    imported.push(username);
+  }
+
+  if (imported.length > 0) {
+    console.log(`[Auth] Imported v1.0 users into the user store: ${imported.join(', ')}`);
+  }
+  if (skipped.length > 0) {
+    console.log(`[Auth] v1.0 users not imported (password variable not set): ${skipped.join(', ')}`);
+  }
+  return imported;
+}
+
+/**
+ * Grant the admin role to the accounts in ADMIN_USERS (never revokes it)
+ *
+ * @returns {string[]} Promoted usernames
+ */
+export function applyAdminUsers(env = process.env) {
+  const names = (env.ADMIN_USERS || '').split(',').map(name => name.trim()).filter(Boolean);
+  const promoted = [];
+
+  names.forEach(username => {
+    const record = userStore.get(username);
+    if (!record) {
+      console.warn(`[Auth] ADMIN_USERS: unknown user '${username}'`);
+    } else if (record.role !== 'admin') {
+      userStore.update(username, { role: 'admin' });
+      promoted.push(username);
     }
+  });
+
+  if (promoted.length > 0) {
+    console.log(`[Auth] Admin role granted from ADMIN_USERS: ${promoted.join(', ')}`);
   }
-];
+  return promoted;
+}
+
+await importLegacyUsers();
+applyAdminUsers();
 
 /**
- * Find user by username
+ * Find user by username (without credentials)
  */
 export function findUser(username) {
-  return users.find(u => u.username === username);
+  return toPublicUser(userStore.get(username));
+}
+
+/**
+ * Whether a user exists and is enabled (checked on every authenticated request)
+ */
+export function isUserActive(username) {
+  const record = userStore.get(username);
+  return Boolean(record) && record.enabled !== false;
+}
+
+/**
+ * Remember a successful login (admin page)
+ */
+export function recordLogin(username, ip) {
+  userStore.update(username, { lastLogin: { at: new Date().toISOString(), ip } });
 }
 
 /**
  * Validate user credentials
+ *
+ * @returns {Promise<object|null>} User without credentials, with stored preferences applied
  */
-export function validateCredentials(username, password) {
-  const user = findUser(username);
-  if (!user) return null;
+export async function validateCredentials(username, password) {
+  const record = userStore.get(username);
 
-  // Check if user is enabled
-  if (user.enabled === false) {
-    console.log(`[Auth] Login denied - user '${username}' is disabled`);
+  if (!record) {
+    await verifyAgainstDummy(password); // Same time as a wrong password
     return null;
   }
 
-  if (user.password === password) {
-    // Return user without password
-    const { password: _, ...userWithoutPassword } = user;
-    return userWithoutPassword;
+  if (!await verifyPassword(password, record.passwordHash)) {
+    return null;
   }
 
-  return null;
+  // Check if user is enabled (after the password, so disabled accounts are not revealed)
+  if (record.enabled === false) {
+    console.log(`[Auth] Login denied - user '${username}' is disabled`);
+    return null;
+  }
+
+  return { ...toPublicUser(record), preferences: getUserPreferences(username) };
 }
 
 /**
- * Get user preferences
+ * Get user preferences: account defaults, overridden by stored settings, plus presets
  */
 export function getUserPreferences(username) {
-  const user = findUser(username);
-  return user ? user.preferences : null;
+  const record = userStore.get(username);
+  if (!record) return null;
+
+  const { settings, presets } = getStoredPreferences(username);
+  return { ...record.preferences, ...settings, presets };
 }
 
 /**
- * Update user preferences (in-memory for v1.0)
+ * Update user preferences (persisted; presets are saved with saveUserPreset)
+ *
+ * @returns {object|null} Preferences after the update, null if the user does not exist
  */
 export function updateUserPreferences(username, preferences) {
-  const user = findUser(username);
-  if (!user) return false;
+  if (!userStore.has(username)) return null;
+
+  mergeSettings(username, preferences);
+  return getUserPreferences(username);
+}
+
+/**
+ * Save a preset slot with revision check (see preferences-store.js)
+ */
+export function saveUserPreset(username, slot, preset, options) {
+  if (!userStore.has(username)) return null;
+  return savePreset(username, slot, preset, options);
+}
+
+/**
+ * All users, without credentials
+ */
+export function listUsers() {
+  return userStore.list().map(toPublicUser);
+}
+
+/**
+ * Create an account with the default preferences
+ *
+ * @returns {Promise<object>} { user }, { error } for invalid input, { exists: true } if the name is taken
+ */
+export async function createUser({ username, password, role = 'user', enabled = true }) {
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+    return { error: 'Username must be 2-32 letters, digits, dots, dashes or underscores' };
+  }
+  if (!ROLES.includes(role)) {
+    return { error: `Role must be one of: ${ROLES.join(', ')}` };
+  }
+  const passwordError = validatePassword(password);
+  if (passwordError) {
+    return { error: passwordError };
+  }
+  if (userStore.has(username)) {
+    return { exists: true };
+  }
 
-  user.preferences = { ...user.preferences, ...preferences };
-  return true;
+  const passwordHash = await hashPassword(password);
+  if (userStore.has(username)) {
+    return { exists: true }; // Created while hashing
+  }
+
+  const record = userStore.create({
+    username,
+    passwordHash,
+    role,
+    enabled: enabled !== false,
+    preferences: { ...DEFAULT_PREFERENCES }
+  });
+  return { user: toPublicUser(record) };
+}
+
+/**
+ * Change role and/or enabled flag
+ *
+ * @returns {object|null} { user } or { error }, null if the user does not exist
+ */
+export function updateUser(username, { role, enabled } = {}) {
+  if (!userStore.has(username)) return null;
+
+  const changes = {};
+  if (role !== undefined) {
+    if (!ROLES.includes(role)) return { error: `Role must be one of: ${ROLES.join(', ')}` };
+    changes.role = role;
+  }
+  if (enabled !== undefined) {
+    if (typeof enabled !== 'boolean') return { error: 'enabled must be true or false' };
+    changes.enabled = enabled;
+  }
+
+  return { user: toPublicUser(userStore.update(username, changes)) };
+}
+
+/**
+ * Set a new password
+ *
+ * @returns {Promise<object|null>} { user } or { error }, null if the user does not exist
+ */
+export async function resetUserPassword(username, password) {
+  if (!userStore.has(username)) return null;
+
+  const passwordError = validatePassword(password);
+  if (passwordError) {
+    return { error: passwordError };
+  }
+
+  const record = userStore.update(username, { passwordHash: await hashPassword(password) });
+  return record ? { user: toPublicUser(record) } : null;
+}
+
+/**
+ * Remove an account with its preferences and presets
+ *
+ * @returns {boolean} Whether the user existed
+ */
+export function deleteUser(username) {
+  return userStore.delete(username);
 }
@@ -0,0 +1,182 @@
+/**
+ * BullBook - Binance USDⓈ-M Futures Adapter
+ *
+ * Diff depth stream {symbol}@depth@100ms synced against the REST snapshot
+ * (GET /fapi/v1/depth), following Binance's "manage a local order book":
+ * buffer diffs, fetch snapshot, drop diffs older than lastUpdateId, then
+ * chain each diff on its "pu" (previous final update id).
+ * Public trades come from {symbol}@aggTrade ("m" = buyer is maker).
+ */
+
+import dotenv from 'dotenv';
+import { ExchangeAdapter } from './exchange-adapter.js';
+dotenv.config();
+
+const BINANCE_WS_URL = process.env.BINANCE_WS_URL || 'wss://fstream.binance.com/stream';
+const BINANCE_REST_URL = process.env.BINANCE_REST_URL || 'https://fapi.binance.com';
+const SNAPSHOT_LIMIT = 1000; // Max REST depth
+const SNAPSHOT_RETRY_DELAY = 3000; // 3 seconds
+const MAX_BUFFERED_DIFFS = 1000; // ~100 s of diffs while the snapshot is retried (oldest dropped)
+
+export class BinanceAdapter extends ExchangeAdapter {
+  constructor(url = BINANCE_WS_URL, restUrl = BINANCE_REST_URL) {
+    super('binance', 'Binance', url); // Binance sends protocol pings, ws answers them
+    this.depths = [1, 50, 200, SNAPSHOT_LIMIT]; // Cut from the one diff stream, up to the snapshot depth
+    this.restUrl = restUrl;
+    this.sync = new Map(); // channel -> { synced, bridged, lastU, buffer }
+    this.requestId = 0;
+
+    this.on('close', () => this.sync.clear());
+  }
+
+  /**
+   * One diff stream per symbol serves every BullBook depth
+   */
+  channelFor(symbol) {
+    return `${symbol.toLowerCase()}@depth@100ms`;
+  }
+
+  tradeChannelFor(symbol) {
+    return `${symbol.toLowerCase()}@aggTrade`;
+  }
+
+  sendSubscribe(channels) {
+    this.send({ method: 'SUBSCRIBE', params: channels, id: ++this.requestId });
+    channels
+      .filter(channel => !this.channels.get(channel)?.trades)
+      .forEach(channel => this.startSync(channel));
+  }
+
+  sendUnsubscribe(channels) {
+    this.send({ method: 'UNSUBSCRIBE', params: channels, id: ++this.requestId });
+    channels.forEach(channel => this.sync.delete(channel));
+  }
+
+  /**
+   * Out of sequence: keep the stream, refetch the snapshot
+   */
+  resync(symbol) {
+    const channel = this.channelFor(symbol);
+    if (this.subscribedChannels.has(channel)) {
+      this.startSync(channel);
+    }
+  }
+
+  handleMessage(raw) {
+    const message = JSON.parse(raw);
+
+    // Subscription response
+    if (message.id !== undefined) {
+      if (message.error) {
+        console.error('[Binance] Subscription failed:', message.error.msg);
+      }
+      return;
+    }
+
+    // Combined stream payload: { stream, data }
+    if (message.stream && message.data?.e === 'depthUpdate') {
+      const state = this.sync.get(message.stream);
+      if (state) {
+        this.applyDiff(message.stream, state, message.data);
+      }
+      return;
+    }
+
+    if (message.stream && message.data?.e === 'aggTrade') {
+      const { a, T, p, q, m, E } = message.data;
+      this.emitTrades(message.stream, {
+        ts: E,
+        data: [{ i: String(a), T, p, v: q, S: m ? 'Sell' : 'Buy' }]
+      });
+    }
+  }
+
+  /**
+   * Start (or restart) snapshot sync for a channel, buffering diffs meanwhile
+   */
+  startSync(channel) {
+    const state = { synced: false, bridged: false, lastU: null, buffer: [] };
+    this.sync.set(channel, state);
+    this.fetchSnapshot(channel, state);
+  }
+
+  /**
+   * Fetch REST snapshot, emit it and replay buffered diffs on top
+   */
+  async fetchSnapshot(channel, state) {
+    const symbol = this.channels.get(channel)?.symbol;
+    if (!symbol) return;
+
+    try {
+      const response = await fetch(`${this.restUrl}/fapi/v1/depth?symbol=${encodeURIComponent(symbol)}&limit=${SNAPSHOT_LIMIT}`);
+      const snapshot = await response.json();
+
+      if (!response.ok) {
+        throw new Error(snapshot.msg || `HTTP ${response.status}`);
+      }
+
+      // Superseded by a newer sync (resync, unsubscribe or reconnect)
+      if (this.sync.get(channel) !== state) return;
+
+      this.emitOrderbook(channel, {
+        type: 'snapshot',
+        ts: snapshot.E || Date.now(),
+        cts: snapshot.T ?? null,
+        data: { b: snapshot.bids, a: snapshot.asks, u: snapshot.lastUpdateId }
+      });
+
+      state.lastU = snapshot.lastUpdateId;
+      state.synced = true;
+
+      const buffered = state.buffer;
+      state.buffer = [];
+      buffered.forEach(event => this.applyDiff(channel, state, event));
+    } catch (error) {
+      console.error(`[Binance] Snapshot failed for ${symbol}:`, error.message);
+
+      setTimeout(() => {
+        if (this.sync.get(channel) === state) {
+          this.fetchSnapshot(channel, state);
+        }
+      }, SNAPSHOT_RETRY_DELAY);
+    }
+  }
+
+  /**
+   * Apply one diff event (buffer until snapshot is in)
+   */
+  applyDiff(channel, state, event) {
+    if (!state.synced) {
+      // Diffs older than the snapshot are dropped anyway; a gap left by the
+      // cap fails the bridge check and resyncs
+      state.buffer.push(event);
+      if (state.buffer.length > MAX_BUFFERED_DIFFS) state.buffer.shift();
+      return;
+    }
+
+    // Already contained in the snapshot
+    if (event.u < state.lastU) return;
+
+    let pu = event.pu;
+
+    // First diff must straddle the snapshot: U <= lastUpdateId <= u
+    if (!state.bridged) {
+      if (event.U > state.lastU) {
+        console.warn(`[Binance] ⚠️ Snapshot gap on ${channel} - refetching`);
+        this.startSync(channel);
+        return;
+      }
+      pu = state.lastU;
+      state.bridged = true;
+    }
+
+    state.lastU = event.u;
+
+    this.emitOrderbook(channel, {
+      type: 'delta',
+      ts: event.E,
+      cts: event.T ?? null,
+      data: { b: event.b || [], a: event.a || [], u: event.u, pu }
+    });
+  }
+}
@@ -0,0 +1,106 @@
+/**
+ * BullBook - Bybit V5 Adapter
+ *
+ * Public streams: orderbook.{depth}.{symbol}, publicTrade.{symbol}
+ * Bybit messages already use BullBook's { b, a, u, seq } and trade shapes.
+ * Bybit serves each category on its own endpoint: /v5/public/{category}
+ */
+
+import dotenv from 'dotenv';
+import { ExchangeAdapter } from './exchange-adapter.js';
+dotenv.config();
+
+const BYBIT_WS_BASE_URL = process.env.BYBIT_WS_BASE_URL || 'wss://stream.bybit.com/v5/public';
+const BYBIT_WS_URL = process.env.BYBIT_WS_URL; // Optional override for the linear endpoint
+const HEARTBEAT_INTERVAL = 20000; // 20 seconds
+const MAX_ARGS_PER_REQUEST = 10; // Spot rejects more than 10 args per subscribe
+
+export const BYBIT_CATEGORIES = ['linear', 'inverse', 'spot'];
+
+// orderbook.{depth} levels served per category
+const BYBIT_DEPTHS = {
+  linear: [1, 50, 200, 1000],
+  inverse: [1, 50, 200, 1000],
+  spot: [1, 50, 200]
+};
+
+/**
+ * Public WebSocket endpoint for a Bybit category
+ */
+function bybitUrl(category) {
+  if (category === 'linear' && BYBIT_WS_URL) {
+    return BYBIT_WS_URL;
+  }
+  return `${BYBIT_WS_BASE_URL}/${category}`;
+}
+
+export class BybitAdapter extends ExchangeAdapter {
+  constructor(category = 'linear', url = bybitUrl(category)) {
+    super('bybit', `Bybit/${category}`, url, HEARTBEAT_INTERVAL, category);
+    this.depths = BYBIT_DEPTHS[category] || [];
+  }
+
+  channelFor(symbol, depth) {
+    return `orderbook.${depth}.${symbol}`;
+  }
+
+  tradeChannelFor(symbol) {
+    return `publicTrade.${symbol}`;
+  }
+
+  sendSubscribe(channels) {
+    for (let i = 0; i < channels.length; i += MAX_ARGS_PER_REQUEST) {
+      this.send({ op: 'subscribe', args: channels.slice(i, i + MAX_ARGS_PER_REQUEST) });
+    }
+  }
+
+  sendUnsubscribe(channels) {
+    for (let i = 0; i < channels.length; i += MAX_ARGS_PER_REQUEST) {
+      this.send({ op: 'unsubscribe', args: channels.slice(i, i + MAX_ARGS_PER_REQUEST) });
+    }
+  }
+
+  heartbeatMessage() {
+    return { op: 'ping' };
+  }
+
+  handleMessage(raw) {
+    const message = JSON.parse(raw);
+
+    // Heartbeat response
+    if (message.op === 'pong') {
+      return;
+    }
+
+    // Subscription response
+    if (message.op === 'subscribe') {
+      if (message.success) {
+        console.log(`[${this.label}] Subscription confirmed`);
+      } else {
+        console.error(`[${this.label}] Subscription failed:`, message.ret_msg);
+      }
+      return;
+    }
+
+    // Orderbook data (e.g. topic "orderbook.50.BTCUSDT")
+    if (message.topic && message.topic.startsWith('orderbook')) {
+      const { b, a, u, seq } = message.data || {};
+
+      this.emitOrderbook(message.topic, {
+        type: message.type,
+        ts: message.ts,
+        cts: message.cts,
+        data: { b: b || [], a: a || [], u, seq }
+      });
+      return;
+    }
+
+    // Public trades (e.g. topic "publicTrade.BTCUSDT")
+    if (message.topic && message.topic.startsWith('publicTrade.')) {
+      this.emitTrades(message.topic, {
+        ts: message.ts,
+        data: (message.data || []).map(({ i, T, p, v, S }) => ({ i, T, p, v, S }))
+      });
+    }
+  }
+}
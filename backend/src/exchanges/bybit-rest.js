@@ -0,0 +1,159 @@
+/**
+ * BullBook - Bybit Market REST Client
+ *
+ * Public market endpoints (orderbook, kline, tickers) fetched by the backend
+ * for every browser: responses are cached for a few seconds and concurrent
+ * requests for the same data share one upstream call (ttl-cache.js), so the
+ * exchange sees one client instead of every user's IP.
+ */
+
+import dotenv from 'dotenv';
+import { BYBIT_CATEGORIES } from './bybit-adapter.js';
+import { TtlCache } from '../utils/ttl-cache.js';
+dotenv.config();
+
+const BYBIT_REST_URL = process.env.BYBIT_REST_URL || 'https://api.bybit.com';
+const REQUEST_TIMEOUT = 5000; // 5 seconds
+
+// Milliseconds a response is shared (clients poll books every 10s, candles every 30s)
+export const MARKET_TTL = {
+  orderbook: 3000,
+  kline: 10000,
+  tickers: 10000
+};
+
+// Query parameters per endpoint and their checks
+export const SYMBOL_PATTERN = /^[A-Z0-9]{2,30}$/; // Also checks WebSocket subscriptions and recorded topics
+const KLINE_INTERVALS = ['1', '3', '5', '15', '30', '60', '120', '240', '360', '720', 'D', 'W', 'M'];
+const ORDERBOOK_LIMITS = { linear: 500, inverse: 500, spot: 200 }; // Max levels per category
+const MAX_KLINE_LIMIT = 1000;
+
+/**
+ * Error with the HTTP status to answer (400 bad request, 502 upstream)
+ */
+export class MarketError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'MarketError';
+    this.status = status;
+  }
+}
+
+function integer(value, name, min, max) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new MarketError(`${name} must be an integer between ${min} and ${max}`, 400);
+  }
+  return number;
+}
+
+function category(value) {
+  const result = value || 'linear';
+  if (!BYBIT_CATEGORIES.includes(result)) {
+    throw new MarketError(`category must be one of: ${BYBIT_CATEGORIES.join(', ')}`, 400);
+  }
+  return result;
+}
+
+function symbol(value) {
+  if (typeof value !== 'string' || !SYMBOL_PATTERN.test(value)) {
+    throw new MarketError('symbol must be an uppercase trading pair (e.g. BTCUSDT)', 400);
+  }
+  return value;
+}
+
+/**
+ * Checked upstream query of an endpoint (also the cache key, so equal
+ * requests share an entry whatever the order of their parameters)
+ *
+ * @throws {MarketError} 400 on invalid parameters
+ */
+export function marketParams(endpoint, query) {
+  if (endpoint === 'orderbook') {
+    const params = { category: category(query.category), symbol: symbol(query.symbol) };
+    const max = ORDERBOOK_LIMITS[params.category];
+    params.limit = query.limit === undefined ? max : integer(query.limit, 'limit', 1, max);
+    return params;
+  }
+
+  if (endpoint === 'kline') {
+    const params = { category: category(query.category), symbol: symbol(query.symbol), interval: query.interval || '5' };
+    if (!KLINE_INTERVALS.includes(params.interval)) {
+      throw new MarketError(`interval must be one of: ${KLINE_INTERVALS.join(', ')}`, 400);
+    }
+    if (query.start !== undefined) params.start = integer(query.start, 'start', 0, Number.MAX_SAFE_INTEGER);
+    if (query.end !== undefined) params.end = integer(query.end, 'end', 0, Number.MAX_SAFE_INTEGER);
+    if (query.limit !== undefined) params.limit = integer(query.limit, 'limit', 1, MAX_KLINE_LIMIT);
+    return params;
+  }
+
+  if (endpoint === 'tickers') {
+    const params = { category: category(query.category) };
+    if (query.symbol !== undefined) params.symbol = symbol(query.symbol);
+    return params;
+  }
+
+  throw new MarketError(`Unknown market endpoint: ${endpoint}`, 404);
+}
+
+export class BybitMarketClient {
+  /**
+   * @param {string} baseUrl - Bybit REST base URL
+   * @param {object} options - { cache } (TtlCache, tests)
+   */
+  constructor(baseUrl = BYBIT_REST_URL, { cache = new TtlCache() } = {}) {
+    this.baseUrl = baseUrl;
+    this.cache = cache;
+    this.upstreamRequests = 0; // Calls that reached Bybit (cache misses)
+  }
+
+  /**
+   * One upstream call: the `result` of a successful Bybit response
+   *
+   * @throws {MarketError} 400 when Bybit rejects the request, 502 when it cannot be reached
+   */
+  async request(endpoint, params) {
+    const url = `${this.baseUrl}/v5/market/${endpoint}?${new URLSearchParams(params)}`;
+    this.upstreamRequests++;
+
+    let response;
+    let body;
+    try {
+      response = await fetch(url, { signal: AbortSignal.timeout(REQUEST_TIMEOUT) });
+      body = await response.json();
+    } catch (error) {
+      console.error(`[BybitREST] ${endpoint} failed:`, error.message);
+      throw new MarketError('Bybit unavailable', 502);
+    }
+
+    if (!response.ok) {
+      console.error(`[BybitREST] ${endpoint} HTTP ${response.status}`);
+      throw new MarketError(`Bybit unavailable (HTTP ${response.status})`, 502);
+    }
+    if (body.retCode !== 0) {
+      throw new MarketError(body.retMsg || `Bybit error ${body.retCode}`, 400);
+    }
+    return body.result;
+  }
+
+  /**
+   * Cached market data (see header)
+   *
+   * @param {string} endpoint - 'orderbook', 'kline' or 'tickers'
+   * @param {object} query - Request query parameters (checked with marketParams)
+   * @returns {Promise<object>} { result, hit }
+   * @throws {MarketError}
+   */
+  async get(endpoint, query) {
+    const params = marketParams(endpoint, query);
+    const key = `${endpoint}?${new URLSearchParams(params)}`;
+
+    const { value, hit } = await this.cache.get(key, MARKET_TTL[endpoint], () => this.request(endpoint, params));
+    return { result: value, hit };
+  }
+}
+
+// Singleton instance (one cache for every client)
+const bybitMarket = new BybitMarketClient();
+
+export default bybitMarket;
@@ -0,0 +1,352 @@
+/**
+ * BullBook - Exchange Adapter Base
+ *
+ * Owns one upstream WebSocket (connect, heartbeat, reconnect) and the set of
+ * venue channels BullBook wants. Subclasses translate BullBook topics
+ * (symbol + depth) to venue channels and normalize venue messages to the
+ * BullBook orderbook shape, emitted as 'orderbook' events:
+ *
+ *   { exchange, category, symbol, depth, type: 'snapshot'|'delta', ts, cts,
+ *     data: { b, a, u, pu?, seq? } }
+ *
+ * Public trades are normalized to Bybit's publicTrade shape and emitted as
+ * 'trade' events (S = aggressor side, 'Buy' or 'Sell'):
+ *
+ *   { exchange, category, symbol, ts, data: [{ i, T, p, v, S }] }
+ *
+ * One adapter instance serves one market category (e.g. Bybit linear/spot).
+ *
+ * "pu" (previous update id) is set by venues that chain updates explicitly;
+ * without it, "u" must increase by exactly 1 per delta.
+ */
+
+import { EventEmitter } from 'events';
+import { WebSocket } from 'ws';
+
+const RECONNECT_DELAY = 5000; // 5 seconds
+
+export class ExchangeAdapter extends EventEmitter {
+  /**
+   * @param {string} name - Exchange id used in client messages (e.g. 'bybit')
+   * @param {string} label - Log prefix (e.g. 'Bybit')
+   * @param {string} url - Public WebSocket endpoint
+   * @param {number} heartbeatInterval - App-level ping interval in ms (0 = none)
+   * @param {string} category - Market category served by this connection
+   */
+  constructor(name, label, url, heartbeatInterval = 0, category = 'linear') {
+    super();
+    this.name = name;
+    this.category = category;
+    this.label = label;
+    this.url = url;
+    this.heartbeatIntervalMs = heartbeatInterval;
+    this.ws = null;
+    this.depths = []; // Orderbook depths the venue serves (set by subclasses)
+    this.channels = new Map(); // venue channel -> { symbol, depths: Set } (trade channels: { symbol, trades: true })
+    this.subscribedChannels = new Set(); // Channels confirmed sent on current socket
+    this.reconnectTimeout = null;
+    this.heartbeatInterval = null;
+    this.closing = false;
+  }
+
+  get isConnected() {
+    return this.ws?.readyState === WebSocket.OPEN;
+  }
+
+  /**
+   * Connect to the venue WebSocket
+   */
+  connect() {
+    if (this.ws) {
+      this.ws.removeAllListeners();
+      this.ws.terminate();
+    }
+    this.closing = false;
+
+    console.log(`[${this.label}] Connecting to`, this.url);
+    const ws = new WebSocket(this.url);
+    this.ws = ws;
+
+    ws.on('open', () => {
+      console.log(`[${this.label}] Connected`);
+      this.startHeartbeat();
+
+      // Resubscribe every channel BullBook still wants
+      this.sendSubscriptions([...this.channels.keys()]);
+      this.emit('open');
+    });
+
+    ws.on('message', (raw) => {
+      try {
+        this.handleMessage(raw.toString());
+      } catch (error) {
+        console.error(`[${this.label}] Message error:`, error.message);
+      }
+    });
+
+    ws.on('close', () => {
+      console.log(`[${this.label}] Connection closed`);
+      this.subscribedChannels.clear(); // Upstream subscriptions die with the socket
+      this.stopHeartbeat();
+      this.emit('close');
+
+      if (!this.closing) {
+        this.scheduleReconnect();
+      }
+    });
+
+    ws.on('error', (error) => {
+      console.error(`[${this.label}] Error:`, error.message);
+    });
+  }
+
+  /**
+   * Add BullBook topics; venue channels are subscribed once per channel
+   */
+  subscribe(symbols, depth) {
+    const newChannels = [];
+
+    symbols.forEach(symbol => {
+      const channel = this.channelFor(symbol, depth);
+      if (!this.channels.has(channel)) {
+        this.channels.set(channel, { symbol, depths: new Set() });
+        newChannels.push(channel);
+      }
+      this.channels.get(channel).depths.add(depth);
+    });
+
+    if (!this.ws) {
+      this.connect(); // Subscribes on open
+      return;
+    }
+
+    this.sendSubscriptions(newChannels);
+  }
+
+  /**
+   * Remove BullBook topics; venue channel is dropped with its last depth
+   */
+  unsubscribe(symbols, depth) {
+    const released = [];
+
+    symbols.forEach(symbol => {
+      const channel = this.channelFor(symbol, depth);
+      const entry = this.channels.get(channel);
+      if (!entry) return;
+
+      entry.depths.delete(depth);
+      if (entry.depths.size === 0) {
+        this.channels.delete(channel);
+        released.push(channel);
+      }
+    });
+
+    this.releaseChannels(released);
+  }
+
+  /**
+   * Add public trade streams (one venue channel per symbol)
+   */
+  subscribeTrades(symbols) {
+    const newChannels = [];
+
+    symbols.forEach(symbol => {
+      const channel = this.tradeChannelFor(symbol);
+      if (!this.channels.has(channel)) {
+        this.channels.set(channel, { symbol, trades: true });
+        newChannels.push(channel);
+      }
+    });
+
+    if (!this.ws) {
+      this.connect(); // Subscribes on open
+      return;
+    }
+
+    this.sendSubscriptions(newChannels);
+  }
+
+  /**
+   * Remove public trade streams
+   */
+  unsubscribeTrades(symbols) {
+    const released = symbols
+      .map(symbol => this.tradeChannelFor(symbol))
+      .filter(channel => this.channels.delete(channel));
+
+    this.releaseChannels(released);
+  }
+
+  /**
+   * Unsubscribe venue channels nobody wants anymore
+   */
+  releaseChannels(released) {
+    const subscribed = released.filter(channel => this.subscribedChannels.has(channel));
+    if (subscribed.length === 0 || !this.isConnected) return;
+
+    this.sendUnsubscribe(subscribed);
+    subscribed.forEach(channel => this.subscribedChannels.delete(channel));
+    console.log(`[${this.label}] Unsubscribed from`, subscribed);
+  }
+
+  /**
+   * Request a fresh snapshot for a topic whose book went out of sequence
+   * Default: resubscribe the venue channel
+   */
+  resync(symbol, depth) {
+    const channel = this.channelFor(symbol, depth);
+    if (!this.isConnected || !this.subscribedChannels.has(channel)) return;
+
+    this.sendUnsubscribe([channel]);
+    this.sendSubscribe([channel]);
+  }
+
+  /**
+   * Send subscribe for channels not yet subscribed on this socket
+   */
+  sendSubscriptions(channels) {
+    if (!this.isConnected) return;
+
+    const pending = channels.filter(channel => !this.subscribedChannels.has(channel));
+    if (pending.length === 0) return;
+
+    this.sendSubscribe(pending);
+    pending.forEach(channel => this.subscribedChannels.add(channel));
+    console.log(`[${this.label}] Subscribed to`, pending);
+  }
+
+  /**
+   * Emit a normalized orderbook update for every BullBook depth on a channel
+   */
+  emitOrderbook(channel, update) {
+    const entry = this.channels.get(channel);
+    if (!entry) return;
+
+    entry.depths.forEach(depth => {
+      this.emit('orderbook', {
+        exchange: this.name,
+        category: this.category,
+        symbol: entry.symbol,
+        depth,
+        ...update
+      });
+    });
+  }
+
+  /**
+   * Emit normalized public trades for a trade channel
+   */
+  emitTrades(channel, update) {
+    const entry = this.channels.get(channel);
+    if (!entry) return;
+
+    this.emit('trade', {
+      exchange: this.name,
+      category: this.category,
+      symbol: entry.symbol,
+      ...update
+    });
+  }
+
+  /**
+   * Send a JSON message on the venue socket
+   */
+  send(message) {
+    if (this.isConnected) {
+      this.ws.send(typeof message === 'string' ? message : JSON.stringify(message));
+    }
+  }
+
+  /**
+   * Start heartbeat to keep connection alive
+   */
+  startHeartbeat() {
+    this.stopHeartbeat();
+    if (!this.heartbeatIntervalMs) return;
+
+    this.heartbeatInterval = setInterval(() => {
+      const ping = this.heartbeatMessage();
+      if (ping) this.send(ping);
+    }, this.heartbeatIntervalMs);
+  }
+
+  /**
+   * Stop heartbeat
+   */
+  stopHeartbeat() {
+    if (this.heartbeatInterval) {
+      clearInterval(this.heartbeatInterval);
+      this.heartbeatInterval = null;
+    }
+  }
+
+  /**
+   * Schedule reconnection
+   */
+  scheduleReconnect() {
+    if (this.reconnectTimeout) {
+      clearTimeout(this.reconnectTimeout);
+    }
+
+    console.log(`[${this.label}] Reconnecting in ${RECONNECT_DELAY / 1000}s...`);
+    this.reconnectTimeout = setTimeout(() => {
+      this.reconnectTimeout = null;
+      this.connect();
+    }, RECONNECT_DELAY);
+  }
+
+  /**
+   * Cleanup (no reconnect afterwards)
+   */
+  cleanup() {
+    this.closing = true;
+    this.stopHeartbeat();
+
+    if (this.reconnectTimeout) {
+      clearTimeout(this.reconnectTimeout);
+      this.reconnectTimeout = null;
+    }
+
+    if (this.ws) {
+      this.ws.terminate();
+    }
+  }
+
+  // --- Venue-specific hooks (override in subclasses) ---
+
+  /**
+   * Venue channel carrying the orderbook for symbol at depth
+   */
+  channelFor(symbol, depth) {
+    throw new Error(`${this.name}: channelFor() not implemented`);
+  }
+
+  /**
+   * Venue channel carrying public trades for symbol
+   */
+  tradeChannelFor(symbol) {
+    throw new Error(`${this.name}: tradeChannelFor() not implemented`);
+  }
+
+  sendSubscribe(channels) {
+    throw new Error(`${this.name}: sendSubscribe() not implemented`);
+  }
+
+  sendUnsubscribe(channels) {
+    throw new Error(`${this.name}: sendUnsubscribe() not implemented`);
+  }
+
+  /**
+   * Parse a raw venue message and call emitOrderbook() / emitTrades()
+   */
+  handleMessage(raw) {
+    throw new Error(`${this.name}: handleMessage() not implemented`);
+  }
+
+  /**
+   * App-level ping payload (null = rely on protocol pings)
+   */
+  heartbeatMessage() {
+    return null;
+  }
+}
@@ -0,0 +1,30 @@
+/**
+ * BullBook - Exchange Adapter Registry
+ */
+
+import { BybitAdapter, BYBIT_CATEGORIES } from './bybit-adapter.js';
+import { BinanceAdapter } from './binance-adapter.js';
+
+export const DEFAULT_EXCHANGE = 'bybit';
+export const DEFAULT_CATEGORY = 'linear';
+
+/**
+ * Registry key for the adapter serving an exchange category
+ */
+export function adapterKey(exchange, category) {
+  return `${exchange}:${category}`;
+}
+
+/**
+ * Create one adapter (one upstream connection) per supported exchange category
+ */
+export function createExchangeAdapters() {
+  const adapters = new Map();
+
+  BYBIT_CATEGORIES.forEach(category => {
+    adapters.set(adapterKey('bybit', category), new BybitAdapter(category));
+  });
+  adapters.set(adapterKey('binance', 'linear'), new BinanceAdapter()); // USDⓈ-M futures
+
+  return adapters;
+}
@@ -0,0 +1,401 @@
+#!/usr/bin/env node
+/**
+ * BullBook - Mock Bybit V5 Public WebSocket Server
+ *
+ * Speaks the V5 public protocol for offline development and deterministic
+ * tests: subscribe/unsubscribe/ping ops, orderbook.{depth}.{symbol} snapshot
+ * then deltas with incrementing "u", publicTrade.{symbol}, occasional u=1
+ * resets and dropped connections. Data comes from a seeded random walk or
+ * from a scripted scenario (JSON, see scenarios/).
+ *
+ * Usage:
+ *   npm run mock:bybit
+ *   BYBIT_WS_BASE_URL=ws://localhost:8765/v5/public npm run dev
+ *   (or BYBIT_WS_URL=ws://localhost:8765/v5/public/linear for linear only)
+ *
+ * Environment:
+ *   MOCK_BYBIT_PORT (8765), MOCK_INTERVAL ms (100), MOCK_SEED,
+ *   MOCK_RESET_RATE (0.0005 per push), MOCK_DISCONNECT_RATE (0.0001 per tick),
+ *   MOCK_SCENARIO (path to a scenario JSON)
+ */
+
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { WebSocket, WebSocketServer } from 'ws';
+import { RandomWalkMarket, createRandom } from './random-walk.js';
+
+const DEFAULT_PORT = 8765;
+const DEFAULT_INTERVAL = 100; // ms between pushes
+const START_UPDATE_ID = 1000; // First "u" of a stream (1 is reserved for resets)
+
+// Orderbook depths served per category
+const DEPTHS = {
+  linear: [1, 50, 200, 1000],
+  inverse: [1, 50, 200, 1000],
+  spot: [1, 50, 200]
+};
+
+/**
+ * Load a scenario file
+ *
+ * Format: { interval?, loop?, topics: { "orderbook.50.BTCUSDT": [step, ...] } }
+ * Steps: { snapshot: { b, a } }, { delta: { b, a } }, { reset: { b, a } } (u=1 snapshot),
+ *        { gap: n } (skip n update ids), { trades: [{ p, v, S }] } (publicTrade topics),
+ *        { wait: ms }, { disconnect: true }
+ * Scripted topics ignore the random walk; cursors survive reconnects so a
+ * script can go on after a disconnect step.
+ */
+export function loadScenario(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+export class MockBybitServer {
+  /**
+   * @param {object} options
+   * @param {number} options.port - Listening port (0 = random free port)
+   * @param {number} options.interval - ms between pushes
+   * @param {number} options.seed - Random walk seed (same seed, same data)
+   * @param {number} options.resetRate - Probability of a u=1 reset per orderbook push
+   * @param {number} options.disconnectRate - Probability of dropping a connection per tick
+   * @param {object} options.scenario - Scripted topics (see loadScenario)
+   */
+  constructor({ port = DEFAULT_PORT, interval, seed = Date.now(), resetRate = 0, disconnectRate = 0, scenario = null } = {}) {
+    this.port = port;
+    this.interval = interval || scenario?.interval || DEFAULT_INTERVAL;
+    this.random = createRandom(seed);
+    this.resetRate = resetRate;
+    this.disconnectRate = disconnectRate;
+    this.scenario = scenario;
+    this.scriptCursors = new Map(); // topic -> { index, waitUntil, u }
+    this.markets = new Map(); // symbol -> RandomWalkMarket
+    this.connections = new Set();
+    this.wss = null;
+    this.timer = null;
+    this.seq = 1; // Cross sequence shared by every stream
+    this.connectionId = 0;
+  }
+
+  /**
+   * Start listening
+   *
+   * @returns {Promise<number>} Port actually bound
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.wss = new WebSocketServer({ port: this.port });
+      this.wss.on('connection', (ws, req) => this.handleConnection(ws, req));
+      this.wss.once('error', reject);
+      this.wss.once('listening', () => {
+        this.port = this.wss.address().port;
+        this.timer = setInterval(() => this.tick(), this.interval);
+        console.log(`[MockBybit] Listening on ws://localhost:${this.port}/v5/public/{category} (push every ${this.interval}ms)`);
+        resolve(this.port);
+      });
+    });
+  }
+
+  /**
+   * Stop the server and drop every connection
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.connections.forEach(connection => connection.ws.terminate());
+    this.connections.clear();
+
+    return new Promise(resolve => (this.wss ? this.wss.close(() => resolve()) : resolve()));
+  }
+
+  /**
+   * Drop every client connection (clients are expected to reconnect)
+   */
+  disconnectAll() {
+    this.connections.forEach(connection => connection.ws.terminate());
+  }
+
+  handleConnection(ws, req) {
+    const category = new URL(req.url, 'http://localhost').pathname.split('/').filter(Boolean).pop() || 'linear';
+    const connection = {
+      ws,
+      id: `mock-${++this.connectionId}`,
+      category: DEPTHS[category] ? category : 'linear',
+      streams: new Map() // topic -> { symbol, depth, trades, u, sent }
+    };
+    this.connections.add(connection);
+
+    ws.on('message', (raw) => {
+      try {
+        this.handleOp(connection, JSON.parse(raw.toString()));
+      } catch (error) {
+        console.error('[MockBybit] Bad message:', error.message);
+      }
+    });
+    ws.on('close', () => this.connections.delete(connection));
+    ws.on('error', () => {});
+  }
+
+  handleOp(connection, message) {
+    const { op, args = [], req_id: reqId = '' } = message;
+
+    if (op === 'ping') {
+      // Spot answers with op "pong", derivatives echo "ping" with ret_msg "pong"
+      this.send(connection, connection.category === 'spot'
+        ? { op: 'pong', args: [String(Date.now())], conn_id: connection.id }
+        : { success: true, ret_msg: 'pong', conn_id: connection.id, req_id: reqId, op: 'ping' });
+      return;
+    }
+
+    if (op === 'subscribe') {
+      const invalid = args.filter(topic => !this.parseTopic(connection, topic));
+      this.send(connection, {
+        success: invalid.length === 0,
+        ret_msg: invalid.length ? `error:handler not found,topic:${invalid.join(',')}` : '',
+        conn_id: connection.id,
+        req_id: reqId,
+        op
+      });
+      args.filter(topic => !invalid.includes(topic)).forEach(topic => this.subscribe(connection, topic));
+      return;
+    }
+
+    if (op === 'unsubscribe') {
+      args.forEach(topic => connection.streams.delete(topic));
+      this.send(connection, { success: true, ret_msg: '', conn_id: connection.id, req_id: reqId, op });
+    }
+  }
+
+  /**
+   * Validate a topic for the connection's category
+   *
+   * @returns {object|null} { symbol, depth, trades }
+   */
+  parseTopic(connection, topic) {
+    const parts = topic.split('.');
+
+    if (parts[0] === 'publicTrade' && parts.length === 2) {
+      return { symbol: parts[1], depth: null, trades: true };
+    }
+
+    if (parts[0] === 'orderbook' && parts.length === 3) {
+      const depth = parseInt(parts[1]);
+      if (DEPTHS[connection.category].includes(depth)) {
+        return { symbol: parts[2], depth, trades: false };
+      }
+    }
+    return null;
+  }
+
+  subscribe(connection, topic) {
+    if (connection.streams.has(topic)) return;
+
+    const stream = { topic, ...this.parseTopic(connection, topic), u: START_UPDATE_ID, sent: null };
+    connection.streams.set(topic, stream);
+
+    if (this.isScripted(topic)) return;
+
+    if (!this.markets.has(stream.symbol)) {
+      this.markets.set(stream.symbol, new RandomWalkMarket(stream.symbol, this.random));
+    }
+    if (!stream.trades) {
+      this.sendSnapshot(connection, stream, Date.now());
+    }
+  }
+
+  isScripted(topic) {
+    return Boolean(this.scenario?.topics?.[topic]);
+  }
+
+  /**
+   * One push: advance markets, then send what each stream needs
+   */
+  tick() {
+    const now = Date.now();
+    const trades = new Map(); // symbol -> trades printed this tick
+
+    this.markets.forEach((market, symbol) => trades.set(symbol, market.step(now)));
+    const scripted = this.advanceScripts(now);
+
+    this.connections.forEach(connection => {
+      if (this.disconnectRate && this.random() < this.disconnectRate) {
+        console.log(`[MockBybit] Dropping connection ${connection.id}`);
+        connection.ws.terminate();
+        return;
+      }
+
+      connection.streams.forEach(stream => {
+        if (this.isScripted(stream.topic)) {
+          this.sendScripted(connection, stream, scripted.get(stream.topic), now);
+        } else if (stream.trades) {
+          const printed = trades.get(stream.symbol) || [];
+          if (printed.length > 0) {
+            this.send(connection, {
+              topic: stream.topic,
+              type: 'snapshot',
+              ts: now,
+              data: printed.map(trade => ({ ...trade, s: stream.symbol, BT: false }))
+            });
+          }
+        } else if (this.resetRate && this.random() < this.resetRate) {
+          console.log(`[MockBybit] u=1 reset on ${stream.topic} (${connection.id})`);
+          stream.u = 0;
+          this.sendSnapshot(connection, stream, now);
+        } else {
+          this.sendDelta(connection, stream, now);
+        }
+      });
+    });
+  }
+
+  /**
+   * Send the current random walk book as a snapshot
+   */
+  sendSnapshot(connection, stream, now) {
+    const { b, a } = this.markets.get(stream.symbol).levels(stream.depth);
+    stream.u++;
+    stream.sent = { b: new Map(b), a: new Map(a) };
+
+    this.sendBook(connection, stream, 'snapshot', { b, a }, now);
+  }
+
+  /**
+   * Send changes since the last push (sizes "0" for levels that left the book)
+   */
+  sendDelta(connection, stream, now) {
+    const { b, a } = this.markets.get(stream.symbol).levels(stream.depth);
+    const changes = {
+      b: diffLevels(stream.sent.b, b),
+      a: diffLevels(stream.sent.a, a)
+    };
+    if (changes.b.length === 0 && changes.a.length === 0) return;
+
+    stream.u++;
+    stream.sent = { b: new Map(b), a: new Map(a) };
+    this.sendBook(connection, stream, 'delta', changes, now);
+  }
+
+  sendBook(connection, stream, type, { b, a }, now) {
+    this.send(connection, {
+      topic: stream.topic,
+      type,
+      ts: now,
+      data: { s: stream.symbol, b, a, u: stream.u, seq: this.seq++ },
+      cts: now - 2
+    });
+  }
+
+  /**
+   * Advance scripted topics one step (shared by every connection)
+   *
+   * @returns {Map} topic -> step to send this tick
+   */
+  advanceScripts(now) {
+    const steps = new Map();
+    if (!this.scenario?.topics) return steps;
+
+    Object.entries(this.scenario.topics).forEach(([topic, script]) => {
+      const subscribed = [...this.connections].some(connection => connection.streams.has(topic));
+      if (!subscribed) return;
+
+      if (!this.scriptCursors.has(topic)) {
+        this.scriptCursors.set(topic, { index: 0, waitUntil: 0, u: START_UPDATE_ID });
+      }
+      const cursor = this.scriptCursors.get(topic);
+      if (now < cursor.waitUntil) return;
+
+      if (cursor.index >= script.length) {
+        if (!this.scenario.loop) return;
+        cursor.index = 0;
+      }
+
+      const step = script[cursor.index++];
+      if (step.wait) {
+        cursor.waitUntil = now + step.wait;
+        return;
+      }
+      if (step.gap) {
+        cursor.u += step.gap;
+        return;
+      }
+      if (step.reset) cursor.u = 0;
+      if (step.snapshot || step.delta || step.reset) cursor.u++;
+
+      steps.set(topic, { ...step, u: cursor.u });
+    });
+
+    return steps;
+  }
+
+  sendScripted(connection, stream, step, now) {
+    if (!step) return;
+
+    if (step.disconnect) {
+      console.log(`[MockBybit] Scripted disconnect of ${connection.id} (${stream.topic})`);
+      connection.ws.terminate();
+      return;
+    }
+
+    if (step.trades) {
+      this.send(connection, {
+        topic: stream.topic,
+        type: 'snapshot',
+        ts: now,
+        data: step.trades.map((trade, i) => ({
+          i: `script-${now}-${i}`,
+          T: now,
+          s: stream.symbol,
+          BT: false,
+          ...trade
+        }))
+      });
+      return;
+    }
+
+    const book = step.snapshot || step.delta || step.reset;
+    if (!book) return;
+
+    stream.u = step.u;
+    this.sendBook(connection, stream, step.delta ? 'delta' : 'snapshot', { b: book.b || [], a: book.a || [] }, now);
+  }
+
+  send(connection, message) {
+    if (connection.ws.readyState === WebSocket.OPEN) {
+      connection.ws.send(JSON.stringify(message));
+    }
+  }
+}
+
+/**
+ * Levels that changed between two pushes ([[price, size]], removed = "0")
+ */
+function diffLevels(previous, levels) {
+  const current = new Map(levels);
+  const changes = [];
+
+  current.forEach((size, price) => {
+    if (previous.get(price) !== size) changes.push([price, size]);
+  });
+  previous.forEach((_, price) => {
+    if (!current.has(price)) changes.push([price, '0']);
+  });
+  return changes;
+}
+
+// Run standalone: node src/mock/bybit-mock-server.js
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const mock = new MockBybitServer({
+    port: parseInt(process.env.MOCK_BYBIT_PORT) || DEFAULT_PORT,
+    interval: parseInt(process.env.MOCK_INTERVAL) || undefined,
+    seed: parseInt(process.env.MOCK_SEED) || undefined,
+    resetRate: parseFloat(process.env.MOCK_RESET_RATE ?? 0.0005),
+    disconnectRate: parseFloat(process.env.MOCK_DISCONNECT_RATE ?? 0.0001),
+    scenario: process.env.MOCK_SCENARIO ? loadScenario(process.env.MOCK_SCENARIO) : null
+  });
+
+  mock.start();
+
+  const shutdown = () => {
+    console.log('\n[MockBybit] Shutting down...');
+    mock.stop().then(() => process.exit(0));
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
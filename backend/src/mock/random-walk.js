@@ -0,0 +1,128 @@
+/**
+ * BullBook - Random Walk Market (mock exchange data)
+ *
+ * One simulated market per symbol: the mid price walks one tick at a time,
+ * resting sizes change a few levels per step and trades print at the touch.
+ * Every book view (L1/L50/L200/L1000) is cut from the same levels, so depths
+ * stay consistent with each other like on the real exchange.
+ */
+
+const MAX_LEVELS = 1000; // Deepest book served per side
+const CHANGED_LEVELS = 8; // Levels whose size changes per step
+const NEAR_LEVELS = 50; // Changes concentrate near the spread
+
+// Start price and tick size of well-known symbols (others: 100 / 0.01)
+const MARKETS = {
+  BTCUSDT: { price: 100000, tickSize: 0.1 },
+  BTCUSD: { price: 100000, tickSize: 0.5 },
+  BTCPERP: { price: 100000, tickSize: 0.5 },
+  ETHUSDT: { price: 3500, tickSize: 0.01 },
+  ETHUSD: { price: 3500, tickSize: 0.05 },
+  SOLUSDT: { price: 180, tickSize: 0.01 },
+  XRPUSDT: { price: 2.5, tickSize: 0.0001 },
+  DOGEUSDT: { price: 0.2, tickSize: 0.00001 }
+};
+
+/**
+ * Seedable PRNG (mulberry32): same seed, same market
+ *
+ * @returns {function} () => number in [0, 1)
+ */
+export function createRandom(seed = Date.now()) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export class RandomWalkMarket {
+  constructor(symbol, random, { price, tickSize } = MARKETS[symbol] || { price: 100, tickSize: 0.01 }) {
+    this.symbol = symbol;
+    this.random = random;
+    this.tickSize = tickSize;
+    this.decimals = Math.max(0, Math.ceil(-Math.log10(tickSize)));
+    this.bestBidTick = Math.round(price / tickSize);
+    this.sizes = new Map(); // tick -> resting size (bid below/at best bid, ask above)
+    this.tradeId = 0;
+
+    for (let i = 0; i < MAX_LEVELS; i++) {
+      this.sizes.set(this.bestBidTick - i, this.randomSize(i));
+      this.sizes.set(this.bestBidTick + 1 + i, this.randomSize(i));
+    }
+  }
+
+  /**
+   * Random resting size, larger away from the spread
+   */
+  randomSize(distance) {
+    return Math.round((0.05 + this.random() * (1 + distance / 50)) * 1000) / 1000;
+  }
+
+  sizeAt(tick) {
+    if (!this.sizes.has(tick)) {
+      this.sizes.set(tick, this.randomSize(Math.abs(tick - this.bestBidTick)));
+    }
+    return this.sizes.get(tick);
+  }
+
+  /**
+   * Advance the market one step
+   *
+   * @returns {Array} Trades printed during the step [{ i, T, p, v, S }]
+   */
+  step(now = Date.now()) {
+    const move = this.random();
+    const trades = [];
+
+    // Price walk: the side being taken prints trades at the touch
+    if (move < 0.2) {
+      trades.push(this.trade(this.bestBidTick, 'Sell', now));
+      this.bestBidTick--;
+    } else if (move > 0.8) {
+      trades.push(this.trade(this.bestBidTick + 1, 'Buy', now));
+      this.bestBidTick++;
+    } else if (move > 0.65) {
+      trades.push(this.trade(move > 0.725 ? this.bestBidTick + 1 : this.bestBidTick, move > 0.725 ? 'Buy' : 'Sell', now));
+    }
+
+    // Resting liquidity changes, mostly near the spread
+    for (let i = 0; i < CHANGED_LEVELS; i++) {
+      const distance = Math.floor(this.random() * this.random() * NEAR_LEVELS * 4);
+      const tick = this.random() < 0.5 ? this.bestBidTick - distance : this.bestBidTick + 1 + distance;
+      this.sizes.set(tick, this.randomSize(distance));
+    }
+
+    return trades;
+  }
+
+  trade(tick, side, now) {
+    return {
+      i: `mock-${this.symbol}-${++this.tradeId}`,
+      T: now,
+      p: this.formatPrice(tick),
+      v: String(Math.round(this.random() * 2000) / 1000 || 0.001),
+      S: side
+    };
+  }
+
+  formatPrice(tick) {
+    return (tick * this.tickSize).toFixed(this.decimals);
+  }
+
+  /**
+   * Top levels of the book, Bybit format ([[price, size]] strings, best first)
+   */
+  levels(depth) {
+    const bids = [];
+    const asks = [];
+    for (let i = 0; i < depth; i++) {
+      bids.push([this.formatPrice(this.bestBidTick - i), String(this.sizeAt(this.bestBidTick - i))]);
+      asks.push([this.formatPrice(this.bestBidTick + 1 + i), String(this.sizeAt(this.bestBidTick + 1 + i))]);
+    }
+    return { b: bids, a: asks };
+  }
+}
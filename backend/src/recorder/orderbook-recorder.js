@@ -0,0 +1,279 @@
+/**
+ * BullBook - Orderbook Recorder
+ *
+ * Writes every orderbook snapshot/delta received for recorded topics to
+ * append-only, gzip-compressed NDJSON segments, one directory per session:
+ *
+ *   recordings/{sessionId}/meta.json
+ *   recordings/{sessionId}/part-0001.ndjson.gz
+ *
+ * Each line is { rt, msg }: receive timestamp (ms) and the exact client
+ * message BullBook forwards on /ws, so sessions can be replayed as-is.
+ * Segments rotate by age and size; gzip is flushed periodically so a crash
+ * loses at most FLUSH_INTERVAL of data. A write failure (disk full, directory
+ * removed) stops the session and emits 'failed'.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { EventEmitter } from 'events';
+import { pipeline } from 'stream';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { SYMBOL_PATTERN } from '../exchanges/bybit-rest.js';
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const RECORDINGS_DIR = process.env.RECORDINGS_DIR || path.join(__dirname, '../../recordings');
+const SEGMENT_MAX_AGE = 60 * 60 * 1000; // Rotate every hour
+const SEGMENT_MAX_BYTES = 64 * 1024 * 1024; // ...or every 64 MB of uncompressed data
+const FLUSH_INTERVAL = 5000; // 5 seconds
+export const MAX_ACTIVE_RECORDINGS = parseInt(process.env.RECORDER_MAX_ACTIVE) || 10; // Started from the API
+
+/**
+ * Validate and normalize a topic to record
+ *
+ * @returns {object|null} { exchange, category, symbol, depth } or null if invalid
+ */
+export function normalizeRecorderTopic({ exchange = 'bybit', category = 'linear', symbol, depth }) {
+  const upperSymbol = typeof symbol === 'string' ? symbol.toUpperCase() : '';
+  const numericDepth = parseInt(depth);
+
+  if (!SYMBOL_PATTERN.test(upperSymbol) || !(numericDepth > 0)) return null;
+  if (!/^[a-z]+$/.test(exchange) || !/^[a-z]+$/.test(category)) return null;
+
+  return { exchange, category, symbol: upperSymbol, depth: numericDepth };
+}
+
+/**
+ * Parse RECORDER_TOPICS: comma-separated "[exchange:category:]SYMBOL:DEPTH"
+ * (e.g. "BTCUSDT:50,binance:linear:ETHUSDT:1000")
+ */
+export function parseRecorderTopics(value = process.env.RECORDER_TOPICS || '') {
+  return value
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const parts = entry.split(':');
+      const topic = parts.length === 4
+        ? { exchange: parts[0], category: parts[1], symbol: parts[2], depth: parts[3] }
+        : { symbol: parts[0], depth: parts[1] };
+      return normalizeRecorderTopic(topic);
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Compact UTC timestamp for ids and file names (20250101T120000Z)
+ */
+function compactTimestamp(time) {
+  return new Date(time).toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+}
+
+/**
+ * One recording run of one topic, split in rotating segments
+ */
+class RecordingSession {
+  /**
+   * @param {string} dir - Recordings directory
+   * @param {object} topic - { exchange, category, symbol, depth }
+   * @param {function} onError - (error) => void, once, when a segment cannot be written
+   */
+  constructor(dir, topic, onError) {
+    const startedAt = Date.now();
+    const { exchange, category, symbol, depth } = topic;
+
+    this.id = `${exchange}_${category}_${symbol}_${depth}_${compactTimestamp(startedAt)}`;
+    this.dir = path.join(dir, this.id);
+    this.meta = {
+      id: this.id,
+      exchange,
+      category,
+      symbol,
+      depth,
+      startedAt,
+      stoppedAt: null,
+      messages: 0,
+      segments: []
+    };
+    this.gzip = null;
+    this.segment = null;
+    this.onError = onError;
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    this.openSegment();
+
+    this.flushInterval = setInterval(() => this.gzip?.flush(), FLUSH_INTERVAL);
+  }
+
+  /**
+   * Start a new segment file (closing the current one)
+   */
+  openSegment() {
+    this.closeSegment();
+
+    const file = `part-${String(this.meta.segments.length + 1).padStart(4, '0')}.ndjson.gz`;
+    this.segment = { file, startedAt: Date.now(), endedAt: null, messages: 0, bytes: 0 };
+    this.meta.segments.push(this.segment);
+
+    const gzip = zlib.createGzip();
+    this.gzip = gzip;
+    pipeline(gzip, fs.createWriteStream(path.join(this.dir, file), { flags: 'a' }), (error) => {
+      if (!error || this.meta.error) return;
+
+      console.error(`[Recorder] ${this.id} write error:`, error.message);
+      this.meta.error = error.message;
+      if (this.gzip === gzip) this.gzip = null; // Nothing more is written
+      this.onError?.(error);
+    });
+
+    this.writeMeta();
+  }
+
+  /**
+   * Finish the current segment (gzip trailer written on end)
+   */
+  closeSegment() {
+    if (!this.gzip) return;
+
+    this.segment.endedAt = Date.now();
+    this.gzip.end();
+    this.gzip = null;
+  }
+
+  /**
+   * Append one received message
+   */
+  write(message, receivedAt) {
+    if (!this.gzip) return;
+
+    if (receivedAt - this.segment.startedAt >= SEGMENT_MAX_AGE || this.segment.bytes >= SEGMENT_MAX_BYTES) {
+      this.openSegment();
+    }
+
+    const line = JSON.stringify({ rt: receivedAt, msg: message }) + '\n';
+    this.gzip.write(line);
+    this.segment.bytes += line.length;
+    this.segment.messages++;
+    this.meta.messages++;
+  }
+
+  stop() {
+    clearInterval(this.flushInterval);
+    this.closeSegment();
+    this.meta.stoppedAt = Date.now();
+    this.writeMeta();
+  }
+
+  writeMeta() {
+    try {
+      fs.writeFileSync(path.join(this.dir, 'meta.json'), JSON.stringify(this.meta, null, 2));
+    } catch (error) {
+      console.error(`[Recorder] ${this.id} meta write failed:`, error.message);
+    }
+  }
+}
+
+export class OrderbookRecorder extends EventEmitter {
+  constructor(dir = RECORDINGS_DIR) {
+    super();
+    this.dir = dir;
+    this.sessions = new Map(); // topic key -> RecordingSession
+  }
+
+  isRecording(key) {
+    return this.sessions.has(key);
+  }
+
+  /**
+   * Start recording a topic (no-op if already recording)
+   *
+   * @returns {object} Session meta
+   */
+  start(key, topic) {
+    if (!this.sessions.has(key)) {
+      const session = new RecordingSession(this.dir, topic, () => {
+        if (this.sessions.get(key) !== session) return;
+        this.stop(key);
+        this.emit('failed', key, session.meta);
+      });
+      this.sessions.set(key, session);
+      console.log(`[Recorder] Started ${session.id}`);
+    }
+    return this.sessions.get(key).meta;
+  }
+
+  /**
+   * Append a message received for a topic being recorded
+   */
+  record(key, message, receivedAt = Date.now()) {
+    this.sessions.get(key)?.write(message, receivedAt);
+  }
+
+  /**
+   * Stop recording a topic
+   *
+   * @returns {object|null} Final session meta, null if not recording
+   */
+  stop(key) {
+    const session = this.sessions.get(key);
+    if (!session) return null;
+
+    session.stop();
+    this.sessions.delete(key);
+    console.log(`[Recorder] Stopped ${session.id} (${session.meta.messages} messages)`);
+    return session.meta;
+  }
+
+  /**
+   * Sessions currently recording
+   */
+  listActive() {
+    return Array.from(this.sessions.values()).map(session => session.meta);
+  }
+
+  /**
+   * Every session on disk, newest first
+   */
+  listSessions() {
+    if (!fs.existsSync(this.dir)) return [];
+
+    return fs.readdirSync(this.dir)
+      .map(id => this.getSession(id))
+      .filter(Boolean)
+      .sort((a, b) => b.startedAt - a.startedAt);
+  }
+
+  /**
+   * Session meta by id (null if unknown)
+   */
+  getSession(id) {
+    if (!/^[\w-]+$/.test(id)) return null;
+
+    try {
+      return JSON.parse(fs.readFileSync(path.join(this.dir, id, 'meta.json'), 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Directory holding a session's segments
+   */
+  sessionDir(id) {
+    return path.join(this.dir, id);
+  }
+
+  /**
+   * Stop every recording (server shutdown)
+   */
+  cleanup() {
+    for (const key of [...this.sessions.keys()]) {
+      this.stop(key);
+    }
+  }
+}
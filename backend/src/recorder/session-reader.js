@@ -0,0 +1,49 @@
+/**
+ * BullBook - Recorded Session Reader
+ *
+ * Streams { rt, msg } lines of a recorded session in order, segment after
+ * segment. Segments still being written (or cut by a crash) end without a
+ * gzip trailer: they are read up to the last complete line.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import readline from 'readline';
+import { pipeline } from 'stream';
+
+/**
+ * Read every recorded line of a session
+ *
+ * @param {string} dir - Session directory
+ * @param {object} meta - Session meta (segments in order)
+ * @returns {AsyncGenerator<{ rt: number, msg: object }>}
+ */
+export async function* readSessionLines(dir, meta) {
+  for (const { file } of meta.segments) {
+    const filePath = path.join(dir, file);
+    if (!fs.existsSync(filePath)) continue;
+
+    // pipeline hands read errors (file removed or unreadable) on to gunzip,
+    // where the loop below catches them
+    const gunzip = zlib.createGunzip({ finishFlush: zlib.constants.Z_SYNC_FLUSH });
+    pipeline(fs.createReadStream(filePath), gunzip, () => {});
+    const lines = readline.createInterface({ input: gunzip, crlfDelay: Infinity });
+
+    try {
+      for await (const line of lines) {
+        if (!line) continue;
+        try {
+          yield JSON.parse(line);
+        } catch {
+          // Truncated last line of an unfinished segment
+        }
+      }
+    } catch (error) {
+      console.warn(`[Replay] ${meta.id}/${file} read stopped: ${error.message}`);
+    } finally {
+      lines.close();
+      gunzip.destroy();
+    }
+  }
+}
@@ -2,8 +2,9 @@
 /**
  * BullBook Backend Server
  *
- * - Express REST API for auth and preferences
- * - WebSocket proxy for Bybit L50 orderbook
+ * - Express REST API for auth, preferences and user administration
+ * - WebSocket proxy for exchange orderbooks (Bybit, Binance)
+ * - Orderbook recorder (compressed session files)
  * - JWT authentication
  */
 
@@ -13,8 +14,14 @@ import http from 'http';
 import dotenv from 'dotenv';
 import authRoutes from './api/auth-routes.js';
 import userRoutes from './api/user-routes.js';
+import recorderRoutes from './api/recorder-routes.js';
+import adminRoutes from './api/admin-routes.js';
+import apiKeyRoutes from './api/api-key-routes.js';
+import marketRoutes from './api/market-routes.js';
 import bybitProxy from './websocket/bybit-proxy.js';
+import { parseRecorderTopics } from './recorder/orderbook-recorder.js';
 import { logSystem } from './utils/logger.js';
+import { TRUST_PROXY } from './utils/trust-proxy.js';
 
 dotenv.config();
 
@@ -24,8 +31,8 @@ const CORS_ORIGIN = process.env.CORS_ORIGIN || 'http://localhost:5173';
 // Express app
 const app = express();
 
-// Trust proxy (behind Apache reverse proxy)
-app.set('trust proxy', true);
+// Trust proxy (behind Apache reverse proxy, see trust-proxy.js)
+app.set('trust proxy', TRUST_PROXY);
 
 // Middleware
 app.use(cors({
@@ -40,13 +47,18 @@ app.get('/health', (req, res) => {
     status: 'ok',
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
-    bybit: bybitProxy.bybitWs?.readyState === 1 ? 'connected' : 'disconnected'
+    bybit: bybitProxy.adapterFor('bybit', 'linear').isConnected ? 'connected' : 'disconnected',
+    exchanges: bybitProxy.getExchangeStatus()
   });
 });
 
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/user', userRoutes);
+app.use('/api/recorder', recorderRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/keys', apiKeyRoutes);
+app.use('/api/market', marketRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -64,7 +76,17 @@ const server = http.createServer(app);
 
 // Initialize WebSocket proxy
 bybitProxy.initializeServer(server);
-bybitProxy.connectToBybit();
+bybitProxy.connectExchanges();
+
+// Start configured recordings (RECORDER_TOPICS)
+parseRecorderTopics().forEach(topic => {
+  const session = bybitProxy.startRecording(topic);
+  if (session) {
+    logSystem('RECORDER_START', `${session.id} (configured)`);
+  } else {
+    console.warn(`[Recorder] RECORDER_TOPICS: ${bybitProxy.topicError(topic.exchange, topic.category, topic.depth)}`);
+  }
+});
 
 // Start server
 server.listen(PORT, () => {
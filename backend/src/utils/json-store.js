@@ -0,0 +1,89 @@
+/**
+ * BullBook - JSON File Store
+ *
+ * Small durable key/value store backed by one JSON file. The document is
+ * kept in memory and rewritten on every change through a temp file and a
+ * rename, so a crash leaves either the previous or the new version on disk.
+ * Meant for low-rate data (preferences, accounts), not for market data.
+ *
+ * Keys may come from users (usernames), so the document is a prototype-free
+ * object: "__proto__" or "constructor" are plain keys like any other.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../../data');
+
+export class JsonStore {
+  /**
+   * @param {string} filePath - JSON file (created on first write)
+   * @param {object} options - { mode: file permissions, e.g. 0o600 for credentials }
+   */
+  constructor(filePath, { mode = 0o644 } = {}) {
+    this.filePath = filePath;
+    this.mode = mode;
+    this.data = Object.assign(Object.create(null), this.load());
+  }
+
+  load() {
+    let raw;
+    try {
+      raw = fs.readFileSync(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`[Store] Failed to read ${this.filePath}:`, error.message);
+      }
+      return {};
+    }
+
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      // Keep the unreadable file for inspection instead of overwriting it
+      const aside = `${this.filePath}.corrupt-${Date.now()}`;
+      console.error(`[Store] ${this.filePath} is not valid JSON, moved to ${aside}`);
+      fs.renameSync(this.filePath, aside);
+      return {};
+    }
+  }
+
+  get(key) {
+    return this.data[key];
+  }
+
+  has(key) {
+    return key in this.data;
+  }
+
+  keys() {
+    return Object.keys(this.data);
+  }
+
+  set(key, value) {
+    this.data[key] = value;
+    this.save();
+  }
+
+  delete(key) {
+    if (!(key in this.data)) return false;
+
+    delete this.data[key];
+    this.save();
+    return true;
+  }
+
+  save() {
+    const tmpPath = `${this.filePath}.tmp`;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(tmpPath, JSON.stringify(this.data, null, 2), { encoding: 'utf8', mode: this.mode });
+    fs.renameSync(tmpPath, this.filePath);
+  }
+}
@@ -6,12 +6,15 @@
 
 import fs from 'fs';
 import path from 'path';
+import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
+import { requestAddress } from './trust-proxy.js';
+dotenv.config();
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const LOG_DIR = path.join(__dirname, '../../logs');
+const LOG_DIR = process.env.LOG_DIR || path.join(__dirname, '../../logs');
 const AUTH_LOG = path.join(LOG_DIR, 'auth.log');
 const SYSTEM_LOG = path.join(LOG_DIR, 'system.log');
 
@@ -28,11 +31,19 @@ function formatTimestamp() {
 }
 
 /**
- * Write log entry to file
+ * Escape control characters (as \uXXXX) so client-supplied values such as
+ * login usernames cannot start a forged log line
+ */
+function escapeControl(value) {
+  return String(value).replace(/[\u0000-\u001f\u007f]/g, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+}
+
+/**
+ * Write log entry to file (always one line)
  */
 function writeLog(filePath, message) {
   const timestamp = formatTimestamp();
-  const logEntry = `[${timestamp}] ${message}\n`;
+  const logEntry = `[${timestamp}] ${escapeControl(message)}\n`;
 
   try {
     fs.appendFileSync(filePath, logEntry, 'utf8');
@@ -42,24 +53,28 @@ function writeLog(filePath, message) {
 }
 
 /**
- * Log authentication event (login/logout)
+ * Client IP and user agent of a request (used for logs, sessions and login limits)
  */
-export function logAuth(event, username, req = null) {
-  // Get real IP behind reverse proxy (Apache)
+export function getClientInfo(req = null) {
+  // Real IP behind the reverse proxy (Apache), X-Forwarded-For only through trusted proxies
   let ip = 'unknown';
-  if (req) {
-    // Try X-Forwarded-For first (Apache/Nginx reverse proxy)
-    const forwardedFor = req.headers['x-forwarded-for'];
-    if (forwardedFor) {
-      // X-Forwarded-For can be a comma-separated list, take first (client IP)
-      ip = forwardedFor.split(',')[0].trim();
-    } else {
-      // Fallback to req.ip or connection IP
-      ip = req.ip || req.connection?.remoteAddress || 'unknown';
-    }
+  if (req?.app && req.ip) {
+    // Express request: req.ip already applies the app's 'trust proxy' setting (TRUST_PROXY)
+    ip = req.ip;
+  } else if (req?.socket) {
+    // Raw request (WebSocket upgrade): same TRUST_PROXY rules
+    ip = requestAddress(req) || 'unknown';
   }
 
   const userAgent = req ? (req.headers['user-agent'] || 'unknown') : 'unknown';
+  return { ip, userAgent };
+}
+
+/**
+ * Log authentication event (login/logout)
+ */
+export function logAuth(event, username, req = null) {
+  const { ip, userAgent } = getClientInfo(req);
 
   const message = `${event.toUpperCase()} | User: ${username} | IP: ${ip} | UA: ${userAgent}`;
 
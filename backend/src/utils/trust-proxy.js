@@ -0,0 +1,45 @@
+/**
+ * BullBook - Trusted Proxies
+ *
+ * TRUST_PROXY decides which X-Forwarded-For entries are believed for the
+ * client IP (login limits, sessions, logs). Express applies it to req.ip;
+ * raw WebSocket upgrade requests go through the same check here.
+ *
+ * Values: a hop count (default 1: the reverse proxy in front of the backend),
+ * comma-separated addresses/subnets (e.g. loopback,10.0.0.0/8), false (no
+ * proxy) or true. true believes whatever the client puts in the header, so
+ * anyone can pick a new IP per request and skip the per-IP limits.
+ */
+
+import proxyaddr from 'proxy-addr';
+import dotenv from 'dotenv';
+dotenv.config();
+
+/**
+ * Parse a TRUST_PROXY value into an Express "trust proxy" setting
+ */
+export function parseTrustProxy(value = '1') {
+  if (value === 'true' || value === 'false') return value === 'true';
+  return /^\d+$/.test(value) ? parseInt(value) : value;
+}
+
+/**
+ * Trust function for proxy-addr (same rules as Express)
+ */
+export function compileTrust(setting) {
+  if (setting === true) return () => true;
+  if (typeof setting === 'number') return (address, hop) => hop < setting;
+  if (typeof setting === 'string') return proxyaddr.compile(setting.split(',').map(entry => entry.trim()));
+  return proxyaddr.compile([]);
+}
+
+export const TRUST_PROXY = parseTrustProxy(process.env.TRUST_PROXY);
+
+const trust = compileTrust(TRUST_PROXY);
+
+/**
+ * Client address of a raw Node request (WebSocket upgrade)
+ */
+export function requestAddress(req) {
+  return proxyaddr(req, trust);
+}
@@ -0,0 +1,82 @@
+/**
+ * BullBook - TTL Cache
+ *
+ * Short-lived in-memory cache with request coalescing: concurrent misses for
+ * the same key share one load, and its result is served to everyone until
+ * it expires. Failed loads are not cached. Beyond maxEntries the entries
+ * closest to expiry are dropped first.
+ */
+
+export class TtlCache {
+  /**
+   * @param {object} options - { maxEntries, now } (now: clock, for tests)
+   */
+  constructor({ maxEntries = 1000, now = Date.now } = {}) {
+    this.maxEntries = maxEntries;
+    this.now = now;
+    this.entries = new Map(); // key -> { value, expiresAt }
+    this.pending = new Map(); // key -> Promise of the load in progress
+  }
+
+  /**
+   * Cached value of a key, loading it on a miss
+   *
+   * @param {string} key - Cache key
+   * @param {number} ttl - Milliseconds a loaded value stays fresh
+   * @param {function} load - async () => value
+   * @returns {Promise<object>} { value, hit: true if served from cache or a shared load }
+   */
+  async get(key, ttl, load) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt > this.now()) {
+      return { value: entry.value, hit: true };
+    }
+
+    if (this.pending.has(key)) {
+      return { value: await this.pending.get(key), hit: true };
+    }
+
+    const loading = (async () => {
+      try {
+        const value = await load();
+        this.set(key, value, ttl);
+        return value;
+      } finally {
+        this.pending.delete(key);
+      }
+    })();
+
+    this.pending.set(key, loading);
+    return { value: await loading, hit: false };
+  }
+
+  set(key, value, ttl) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: this.now() + ttl });
+
+    if (this.entries.size > this.maxEntries) {
+      this.prune();
+    }
+  }
+
+  /**
+   * Drop expired entries, then the ones closest to expiry while over maxEntries
+   */
+  prune() {
+    const now = this.now();
+    this.entries.forEach((entry, key) => {
+      if (entry.expiresAt <= now) this.entries.delete(key);
+    });
+
+    if (this.entries.size > this.maxEntries) {
+      [...this.entries.entries()]
+        .sort((a, b) => a[1].expiresAt - b[1].expiresAt)
+        .slice(0, this.entries.size - this.maxEntries)
+        .forEach(([key]) => this.entries.delete(key));
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
@@ -1,25 +1,65 @@
 /**
- * BullBook - Bybit WebSocket L50 Proxy
+ * BullBook - Exchange WebSocket Proxy
  *
- * Connects to Bybit WebSocket API and proxies orderbook.50 data to clients
+ * Connects to exchange WebSocket APIs (Bybit, Binance) through adapters and
+ * proxies normalized orderbook data and public trades to subscribed clients
  */
 
 import { WebSocket, WebSocketServer } from 'ws';
 import dotenv from 'dotenv';
+import { OrderBookState } from './orderbook-state.js';
+import { createExchangeAdapters, adapterKey, DEFAULT_EXCHANGE, DEFAULT_CATEGORY } from '../exchanges/index.js';
+import { DeltaConflator, normalizeUpdateInterval } from './delta-conflator.js';
+import { ReplaySession } from './replay-session.js';
+import { verifyToken, takeApiKeyRequest } from '../auth/jwt.js';
+import { isUserActive } from '../auth/users.js';
+import apiKeyStore, { isApiKey } from '../auth/api-key-store.js';
+import { logAuth, getClientInfo } from '../utils/logger.js';
+import { OrderbookRecorder } from '../recorder/orderbook-recorder.js';
+import { SYMBOL_PATTERN } from '../exchanges/bybit-rest.js';
 dotenv.config();
 
-const BYBIT_WS_URL = process.env.BYBIT_WS_URL || 'wss://stream.bybit.com/v5/public/linear';
-const RECONNECT_DELAY = 5000; // 5 seconds
-const HEARTBEAT_INTERVAL = 20000; // 20 seconds
+const UNSUBSCRIBE_GRACE = 5000; // 5 seconds (avoid churn on preset switches)
+const AUTH_TIMEOUT = 10000; // 10 seconds to authenticate after connecting
+const MAX_TIMER_DELAY = 2147483647; // setTimeout limit (~24.8 days)
+
+const TRADES = 'trades'; // Depth slot of public trade topic keys
+
+// Client close codes (4000-4999 are reserved for applications)
+export const WS_CLOSE_UNAUTHORIZED = 4001;
+export const WS_CLOSE_TOKEN_EXPIRED = 4002;
+export const WS_CLOSE_ACCOUNT_DISABLED = 4003;
+export const WS_CLOSE_FORBIDDEN = 4004; // API key without the stream scope
+const WS_CLOSE_TRY_AGAIN_LATER = 1013; // Standard code (RFC 6455 registry): API key rate limit
+
+/**
+ * Build a topic key "exchange:category:symbol:depth" (e.g. "bybit:linear:BTCUSDT:50")
+ * Public trade topics use "trades" as depth (e.g. "bybit:linear:BTCUSDT:trades")
+ */
+function topicKey(exchange, category, symbol, depth) {
+  return `${exchange}:${category}:${symbol}:${depth}`;
+}
+
+/**
+ * Split a topic key into its parts
+ */
+function parseTopicKey(key) {
+  const [exchange, category, symbol, depth] = key.split(':');
+  const trades = depth === TRADES;
+  return { exchange, category, symbol, depth: trades ? null : parseInt(depth), trades };
+}
 
 class BybitProxy {
   constructor() {
-    this.bybitWs = null;
     this.clientWss = null;
-    this.subscribedSymbols = new Set();
-    this.reconnectTimeout = null;
-    this.heartbeatInterval = null;
-    this.snapshotCache = new Map(); // Cache snapshots for new clients
+    this.exchanges = createExchangeAdapters(); // "exchange:category" -> ExchangeAdapter (one upstream socket each)
+    this.books = new Map(); // topic key -> OrderBookState (live merged book)
+    this.topicClients = new Map(); // topic key -> Map of client socket -> DeltaConflator (null = realtime)
+    this.releaseTimers = new Map(); // topic key -> pending upstream unsubscribe
+    this.recorder = new OrderbookRecorder(); // Recorded topics stay subscribed without clients
+    this.recorder.on('failed', (key) => {
+      if (!this.topicClients.has(key)) this.scheduleRelease(key);
+    });
   }
 
   /**
@@ -28,8 +68,24 @@ class BybitProxy {
   initializeServer(server) {
     this.clientWss = new WebSocketServer({ server, path: '/ws' });
 
-    this.clientWss.on('connection', (ws) => {
+    this.clientWss.on('connection', (ws, req) => {
       console.log('[WebSocket] Client connected');
+      ws.upgradeReq = req;
+      ws.user = null;
+      ws.replays = new Map(); // replayId -> ReplaySession
+
+      ws.authTimeout = setTimeout(() => {
+        if (!ws.user) {
+          console.log('[WebSocket] Client did not authenticate in time');
+          ws.close(WS_CLOSE_UNAUTHORIZED, 'Authentication required');
+        }
+      }, AUTH_TIMEOUT);
+
+      // Token (JWT or API key) can come as query param (?token=...) or in the first auth message
+      const queryToken = new URL(req.url, 'http://localhost').searchParams.get('token');
+      if (queryToken) {
+        this.authenticateClient(ws, queryToken);
+      }
 
       ws.on('message', (message) => {
         try {
@@ -41,7 +97,11 @@ class BybitProxy {
       });
 
       ws.on('close', () => {
-        console.log('[WebSocket] Client disconnected');
+        console.log(`[WebSocket] Client disconnected${ws.username ? ` (${ws.username})` : ''}`);
+        clearTimeout(ws.authTimeout);
+        clearTimeout(ws.expiryTimeout);
+        ws.replays.forEach(replay => replay.stop());
+        this.removeClient(ws);
       });
 
       ws.on('error', (error) => {
@@ -53,260 +113,649 @@ class BybitProxy {
   }
 
   /**
-   * Connect to Bybit WebSocket
+   * Verify JWT for a client socket and schedule close on token expiry
+   * Re-authenticating with a fresh token extends the session
    */
-  connectToBybit() {
-    if (this.bybitWs) {
-      this.bybitWs.terminate();
+  authenticateClient(ws, token) {
+    if (isApiKey(token)) {
+      return this.authenticateApiKey(ws, token);
     }
 
-    console.log('[Bybit] Connecting to', BYBIT_WS_URL);
-    this.bybitWs = new WebSocket(BYBIT_WS_URL);
+    const decoded = token ? verifyToken(token) : null;
+
+    if (!decoded) {
+      logAuth('WS_AUTH_FAILED', ws.username || 'unknown', ws.upgradeReq);
+      ws.close(WS_CLOSE_UNAUTHORIZED, 'Invalid or expired token');
+      return false;
+    }
 
-    this.bybitWs.on('open', () => {
-      console.log('[Bybit] Connected');
-      this.startHeartbeat();
+    if (!isUserActive(decoded.username)) {
+      logAuth('WS_AUTH_DENIED', decoded.username, ws.upgradeReq);
+      ws.close(WS_CLOSE_ACCOUNT_DISABLED, 'Account disabled');
+      return false;
+    }
 
-      // Resubscribe to symbols if any
-      if (this.subscribedSymbols.size > 0) {
-        this.subscribeToSymbols([...this.subscribedSymbols]);
+    ws.user = decoded;
+    ws.username = decoded.username;
+    ws.sessionId = decoded.sid;
+    ws.apiKey = null;
+    clearTimeout(ws.authTimeout);
+    clearTimeout(ws.expiryTimeout);
+
+    if (decoded.exp) {
+      const remaining = Math.min(decoded.exp * 1000 - Date.now(), MAX_TIMER_DELAY);
+      ws.expiryTimeout = setTimeout(() => {
+        console.log(`[WebSocket] Token expired for ${ws.username} - closing`);
+        ws.close(WS_CLOSE_TOKEN_EXPIRED, 'Token expired');
+      }, Math.max(remaining, 0));
+    }
+
+    console.log(`[WebSocket] Client authenticated as ${ws.username}`);
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({ type: 'authenticated', username: ws.username }));
+    }
+    return true;
+  }
+
+  /**
+   * Authenticate a socket with an API key (needs the stream scope)
+   * The key does not expire; its rate limit applies to the socket's messages
+   */
+  authenticateApiKey(ws, apiKey) {
+    const key = apiKeyStore.verify(apiKey);
+
+    if (!key) {
+      logAuth('WS_AUTH_FAILED', 'unknown (API key)', ws.upgradeReq);
+      ws.close(WS_CLOSE_UNAUTHORIZED, 'Invalid API key');
+      return false;
+    }
+
+    if (!isUserActive(key.username)) {
+      logAuth('WS_AUTH_DENIED', key.username, ws.upgradeReq);
+      ws.close(WS_CLOSE_ACCOUNT_DISABLED, 'Account disabled');
+      return false;
+    }
+
+    if (!key.scopes.includes('stream')) {
+      ws.close(WS_CLOSE_FORBIDDEN, "API key lacks the 'stream' scope");
+      return false;
+    }
+
+    // Connecting counts as a request, so reconnect loops are limited too
+    if (!takeApiKeyRequest(key).allowed) {
+      ws.close(WS_CLOSE_TRY_AGAIN_LATER, 'Rate limit exceeded');
+      return false;
+    }
+
+    ws.user = { username: key.username, apiKeyId: key.id };
+    ws.username = key.username;
+    ws.sessionId = null;
+    ws.apiKey = key;
+    clearTimeout(ws.authTimeout);
+    clearTimeout(ws.expiryTimeout);
+
+    apiKeyStore.touch(key.id, getClientInfo(ws.upgradeReq).ip);
+    console.log(`[WebSocket] Client authenticated as ${ws.username} (API key ${key.label})`);
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({ type: 'authenticated', username: ws.username, apiKey: key.id }));
+    }
+    return true;
+  }
+
+  /**
+   * Close every socket of a user (account disabled or deleted)
+   *
+   * @returns {number} Sockets closed
+   */
+  disconnectUser(username, reason = 'Account disabled') {
+    let closed = 0;
+    this.clientWss?.clients.forEach(ws => {
+      if (ws.username === username && ws.readyState === WebSocket.OPEN) {
+        ws.close(WS_CLOSE_ACCOUNT_DISABLED, reason);
+        closed++;
       }
     });
 
-    this.bybitWs.on('message', (data) => {
-      try {
-        const message = JSON.parse(data);
-        this.handleBybitMessage(message);
-      } catch (error) {
-        console.error('[Bybit] Parse error:', error.message);
+    if (closed > 0) {
+      console.log(`[WebSocket] Closed ${closed} session(s) of ${username}: ${reason}`);
+    }
+    return closed;
+  }
+
+  /**
+   * Close the sockets of one login session (logout or revoked)
+   *
+   * @returns {number} Sockets closed
+   */
+  disconnectSession(sessionId, reason = 'Session revoked') {
+    let closed = 0;
+    this.clientWss?.clients.forEach(ws => {
+      if (ws.sessionId === sessionId && ws.readyState === WebSocket.OPEN) {
+        ws.close(WS_CLOSE_UNAUTHORIZED, reason);
+        closed++;
       }
     });
+    return closed;
+  }
 
-    this.bybitWs.on('close', () => {
-      console.log('[Bybit] Connection closed');
-      this.stopHeartbeat();
-      this.scheduleReconnect();
+  /**
+   * Close the sockets opened with an API key (key revoked)
+   *
+   * @returns {number} Sockets closed
+   */
+  disconnectApiKey(keyId, reason = 'API key revoked') {
+    let closed = 0;
+    this.clientWss?.clients.forEach(ws => {
+      if (ws.apiKey?.id === keyId && ws.readyState === WebSocket.OPEN) {
+        ws.close(WS_CLOSE_UNAUTHORIZED, reason);
+        closed++;
+      }
+    });
+    return closed;
+  }
+
+  /**
+   * Open authenticated sockets per username
+   */
+  getSessionCounts() {
+    const counts = {};
+    this.clientWss?.clients.forEach(ws => {
+      if (ws.username && ws.readyState === WebSocket.OPEN) {
+        counts[ws.username] = (counts[ws.username] || 0) + 1;
+      }
+    });
+    return counts;
+  }
+
+  /**
+   * Connect exchange adapters and route their normalized orderbook updates
+   * Bybit linear connects at startup; other connections open on first subscribe
+   */
+  connectExchanges() {
+    this.exchanges.forEach((adapter, id) => {
+      adapter.on('orderbook', (update) => this.handleOrderbookUpdate(update));
+      adapter.on('trade', (update) => this.handleTradeUpdate(update));
+
+      adapter.on('close', () => {
+        // Books are stale until fresh snapshots arrive
+        for (const key of [...this.books.keys()]) {
+          const { exchange, category } = parseTopicKey(key);
+          if (adapterKey(exchange, category) === id) {
+            this.books.delete(key);
+          }
+        }
+      });
     });
 
-    this.bybitWs.on('error', (error) => {
-      console.error('[Bybit] Error:', error.message);
+    this.exchanges.get(adapterKey(DEFAULT_EXCHANGE, DEFAULT_CATEGORY)).connect();
+  }
+
+  /**
+   * Adapter serving a topic
+   */
+  adapterFor(exchange, category) {
+    return this.exchanges.get(adapterKey(exchange, category));
+  }
+
+  /**
+   * Why an orderbook topic cannot be served (null if it can)
+   */
+  topicError(exchange, category, depth) {
+    const adapter = this.adapterFor(exchange, category);
+    if (!adapter) return `Unsupported market: ${exchange} ${category}`;
+    if (!adapter.depths.includes(depth)) {
+      return `Unsupported depth for ${exchange} ${category}: ${depth} (${adapter.depths.join(', ')})`;
+    }
+    return null;
+  }
+
+  /**
+   * Exchange connection status for health checks
+   */
+  getExchangeStatus() {
+    const status = {};
+    this.exchanges.forEach((adapter, id) => {
+      status[id] = adapter.isConnected ? 'connected' : 'disconnected';
     });
+    return status;
   }
 
   /**
    * Handle messages from clients
    */
   handleClientMessage(ws, data) {
+    // API key sockets: every message counts against the key's rate limit
+    if (ws.apiKey) {
+      const limit = takeApiKeyRequest(ws.apiKey);
+      if (!limit.allowed) {
+        ws.send(JSON.stringify({ type: 'error', error: 'Rate limit exceeded', retryAfter: Math.ceil(limit.retryAfter / 1000) }));
+        return;
+      }
+    }
+
     // Handle ping/pong keepalive
     if (data.type === 'ping') {
       ws.send(JSON.stringify({ type: 'pong', timestamp: Date.now() }));
       return;
     }
 
-    const { action, symbols, depth } = data;
+    if (data.type === 'auth') {
+      this.authenticateClient(ws, data.token);
+      return;
+    }
+
+    // Everything else requires an authenticated socket
+    if (!ws.user) {
+      ws.send(JSON.stringify({ type: 'error', error: 'Authentication required' }));
+      return;
+    }
+
+    if (data.type === 'replay') {
+      this.handleReplayMessage(ws, data);
+      return;
+    }
+
+    const { action, symbols, depth, interval } = data;
+    if (action !== 'subscribe' && action !== 'unsubscribe') return;
+
     const orderDepth = depth || 50; // Default to 50 if not specified
+    const updateInterval = normalizeUpdateInterval(interval); // 0 = realtime
+    const exchange = data.exchange || DEFAULT_EXCHANGE;
+    const category = data.category || DEFAULT_CATEGORY;
+
+    const error = this.subscriptionError(exchange, category, symbols, data.stream === TRADES ? TRADES : orderDepth);
+    if (error) {
+      ws.send(JSON.stringify({ type: 'error', error }));
+      return;
+    }
 
-    if (action === 'subscribe' && symbols && Array.isArray(symbols)) {
-      console.log(`[Client] Subscribe request:`, symbols, `depth: ${orderDepth}`);
-      this.subscribeToSymbols(symbols, orderDepth);
+    if (data.stream === TRADES) {
+      this.handleTradeSubscription(ws, action, symbols, exchange, category);
+      return;
+    }
+
+    if (action === 'subscribe') {
+      console.log(`[Client] ${ws.username} subscribe request:`, symbols, `exchange: ${exchange}/${category}`, `depth: ${orderDepth}`, `interval: ${updateInterval}ms`);
 
-      // Send cached snapshots immediately to new client
+      // Register client for routing, then send current book snapshot to it only
       symbols.forEach(symbol => {
-        const cacheKey = `${symbol}-${orderDepth}`;
-        const cachedSnapshot = this.snapshotCache.get(cacheKey);
-        if (cachedSnapshot) {
-          console.log(`[Client] Sending cached snapshot for ${symbol} L${orderDepth}`);
-          ws.send(JSON.stringify(cachedSnapshot));
+        const key = topicKey(exchange, category, symbol, orderDepth);
+        this.addClientTopic(ws, key, updateInterval);
+
+        const book = this.books.get(key);
+        if (book && book.isReady) {
+          console.log(`[Client] Sending live snapshot for ${exchange}/${category} ${symbol} L${orderDepth} (u=${book.updateId})`);
+          ws.send(JSON.stringify(book.toSnapshotMessage()));
         }
       });
 
       // Acknowledge subscription
       ws.send(JSON.stringify({
         type: 'subscribed',
+        exchange,
+        category,
         symbols,
-        depth: orderDepth
+        depth: orderDepth,
+        interval: updateInterval
       }));
     }
 
-    if (action === 'unsubscribe' && symbols && Array.isArray(symbols)) {
-      console.log(`[Client] Unsubscribe request:`, symbols, `depth: ${orderDepth}`);
-      this.unsubscribeFromSymbols(symbols, orderDepth);
+    if (action === 'unsubscribe') {
+      console.log(`[Client] ${ws.username} unsubscribe request:`, symbols, `exchange: ${exchange}/${category}`, `depth: ${orderDepth}`);
+      // Upstream topic is released only when its last client goes away
+      symbols.forEach(symbol => this.removeClientTopic(ws, topicKey(exchange, category, symbol, orderDepth)));
     }
   }
 
   /**
-   * Subscribe to symbols on Bybit
+   * Why a subscribe/unsubscribe request cannot be served (null if it can)
+   * Checked before any topic key is built: keys are split on ':' and symbols
+   * end up in upstream subscriptions
    */
-  subscribeToSymbols(symbols, depth = 50) {
-    if (!this.bybitWs || this.bybitWs.readyState !== WebSocket.OPEN) {
-      console.error('[Bybit] Cannot subscribe - not connected');
-      return;
+  subscriptionError(exchange, category, symbols, depth) {
+    if (!this.adapterFor(exchange, category)) return `Unsupported market: ${exchange} ${category}`;
+    if (!Array.isArray(symbols) || !symbols.every(symbol => typeof symbol === 'string' && SYMBOL_PATTERN.test(symbol))) {
+      return 'symbols must be uppercase trading pairs (e.g. BTCUSDT)';
     }
+    return depth === TRADES ? null : this.topicError(exchange, category, depth);
+  }
 
-    // Filter out already subscribed symbols to avoid "already subscribed" errors
-    const newSymbols = symbols.filter(symbol => {
-      const key = `${symbol}-${depth}`;
-      return !this.subscribedSymbols.has(key);
-    });
+  /**
+   * Subscribe/unsubscribe a client to public trades
+   * Trades are never conflated: every print goes out as it happens
+   */
+  handleTradeSubscription(ws, action, symbols, exchange, category) {
+    if (action === 'subscribe') {
+      console.log(`[Client] ${ws.username} trades subscribe request:`, symbols, `exchange: ${exchange}/${category}`);
+      symbols.forEach(symbol => this.addClientTopic(ws, topicKey(exchange, category, symbol, TRADES)));
 
-    if (newSymbols.length === 0) {
-      console.log(`[Bybit] All symbols already subscribed, skipping:`, symbols, `depth: ${depth}`);
-      return;
+      ws.send(JSON.stringify({ type: 'subscribed', stream: TRADES, exchange, category, symbols }));
     }
 
-    const args = newSymbols.map(symbol => `orderbook.${depth}.${symbol}`);
+    if (action === 'unsubscribe') {
+      console.log(`[Client] ${ws.username} trades unsubscribe request:`, symbols, `exchange: ${exchange}/${category}`);
+      symbols.forEach(symbol => this.removeClientTopic(ws, topicKey(exchange, category, symbol, TRADES)));
+    }
+  }
 
-    this.bybitWs.send(JSON.stringify({
-      op: 'subscribe',
-      args
-    }));
+  /**
+   * Control a replay of a recorded session on this socket
+   * Actions: start (sessionId, from, speed), pause, resume, seek (time), speed (speed), stop
+   */
+  handleReplayMessage(ws, data) {
+    const { action, replayId } = data;
+    if (!replayId) return;
+
+    if (action === 'start') {
+      const meta = this.recorder.getSession(data.sessionId);
+      if (!meta) {
+        ws.send(JSON.stringify({ type: 'error', error: `Unknown replay session: ${data.sessionId}`, replayId }));
+        return;
+      }
 
-    newSymbols.forEach(symbol => this.subscribedSymbols.add(`${symbol}-${depth}`));
-    console.log(`[Bybit] Subscribed to`, newSymbols, `depth: ${depth}`);
+      console.log(`[Client] ${ws.username} replay ${meta.id} from ${data.from ?? 'start'} at ${data.speed || 1}x`);
+      ws.replays.get(replayId)?.stop();
+      const replay = new ReplaySession(ws, replayId, meta, this.recorder.sessionDir(meta.id));
+      ws.replays.set(replayId, replay);
+      replay.start(data.from, data.speed);
+      return;
+    }
 
-    // Log skipped symbols if any
-    const skipped = symbols.filter(s => !newSymbols.includes(s));
-    if (skipped.length > 0) {
-      console.log(`[Bybit] Skipped already subscribed:`, skipped, `depth: ${depth}`);
+    const replay = ws.replays.get(replayId);
+    if (!replay) return;
+
+    switch (action) {
+      case 'pause':
+        replay.pause();
+        break;
+      case 'resume':
+        replay.resume();
+        break;
+      case 'seek':
+        replay.seek(data.time);
+        break;
+      case 'speed':
+        replay.setSpeed(data.speed);
+        break;
+      case 'stop':
+        replay.stop();
+        ws.replays.delete(replayId);
+        break;
     }
   }
 
   /**
-   * Unsubscribe from symbols
+   * Register client interest in a topic (subscribes upstream for the first client)
+   * Re-subscribing replaces the client's update interval for that topic
    */
-  unsubscribeFromSymbols(symbols, depth = 50) {
-    if (!this.bybitWs || this.bybitWs.readyState !== WebSocket.OPEN) {
-      return;
+  addClientTopic(ws, key, updateInterval = 0) {
+    this.cancelRelease(key);
+
+    if (!this.topicClients.has(key)) {
+      this.topicClients.set(key, new Map());
+      this.subscribeUpstream(key);
     }
+    const clients = this.topicClients.get(key);
 
-    // Filter only actually subscribed symbols
-    const subscribedSymbols = symbols.filter(symbol => {
-      const key = `${symbol}-${depth}`;
-      return this.subscribedSymbols.has(key);
-    });
+    clients.get(ws)?.reset();
+    clients.set(ws, updateInterval > 0 ? new DeltaConflator(ws, updateInterval) : null);
+  }
 
-    if (subscribedSymbols.length === 0) {
-      console.log(`[Bybit] No subscribed symbols to unsubscribe:`, symbols, `depth: ${depth}`);
-      return;
+  /**
+   * Subscribe a topic upstream (adapters ignore channels already wanted)
+   */
+  subscribeUpstream(key) {
+    const { exchange, category, symbol, depth, trades } = parseTopicKey(key);
+    const adapter = this.adapterFor(exchange, category);
+    if (trades) {
+      adapter.subscribeTrades([symbol]);
+    } else {
+      adapter.subscribe([symbol], depth);
     }
+  }
 
-    const args = subscribedSymbols.map(symbol => `orderbook.${depth}.${symbol}`);
-
-    this.bybitWs.send(JSON.stringify({
-      op: 'unsubscribe',
-      args
-    }));
+  /**
+   * Remove client interest in a topic
+   */
+  removeClientTopic(ws, key) {
+    const clients = this.topicClients.get(key);
+    if (!clients) return;
+
+    clients.get(ws)?.reset();
+    clients.delete(ws);
+    if (clients.size === 0) {
+      this.topicClients.delete(key);
+      this.scheduleRelease(key);
+    }
+  }
 
-    subscribedSymbols.forEach(symbol => this.subscribedSymbols.delete(`${symbol}-${depth}`));
-    console.log(`[Bybit] Unsubscribed from`, subscribedSymbols, `depth: ${depth}`);
+  /**
+   * Drop a disconnected client from every topic it was routed
+   */
+  removeClient(ws) {
+    for (const key of [...this.topicClients.keys()]) {
+      this.removeClientTopic(ws, key);
+    }
   }
 
   /**
-   * Handle messages from Bybit
+   * Start recording an orderbook topic (subscribes upstream if no client did)
+   * A topic already live starts its session with the current book: the
+   * exchange only sends a snapshot on subscribe
+   *
+   * @returns {object|null} Session meta, null if the market or depth is not supported (topicError)
    */
-  handleBybitMessage(message) {
-    // Heartbeat response
-    if (message.op === 'pong') {
-      return;
+  startRecording({ exchange, category, symbol, depth }) {
+    if (this.topicError(exchange, category, depth)) return null;
+
+    const key = topicKey(exchange, category, symbol, depth);
+    const recording = this.recorder.isRecording(key);
+    this.cancelRelease(key);
+    if (!this.topicClients.has(key) && !recording) {
+      this.subscribeUpstream(key);
     }
 
-    // Subscription response
-    if (message.op === 'subscribe') {
-      if (message.success) {
-        console.log('[Bybit] Subscription confirmed');
-      } else {
-        console.error('[Bybit] Subscription failed:', message.ret_msg);
-      }
-      return;
+    const meta = this.recorder.start(key, { exchange, category, symbol, depth });
+    const book = this.books.get(key);
+    if (!recording && book?.isReady) {
+      this.recorder.record(key, book.toSnapshotMessage());
     }
+    return meta;
+  }
 
-    // Orderbook data - cache snapshot and broadcast to all connected clients
-    if (message.topic && message.topic.startsWith('orderbook')) {
-      // Extract depth and symbol from topic (e.g., "orderbook.50.BTCUSDT" -> depth=50, symbol=BTCUSDT)
-      const parts = message.topic.split('.');
-      const depth = parts[1];
-      const symbol = parts[2];
+  /**
+   * Whether an orderbook topic is being recorded
+   */
+  isRecording({ exchange, category, symbol, depth }) {
+    return this.recorder.isRecording(topicKey(exchange, category, symbol, depth));
+  }
 
-      // Cache snapshot for new clients (keyed by symbol-depth)
-      if (message.type === 'snapshot') {
-        const cacheKey = `${symbol}-${depth}`;
-        console.log(`[Bybit] Caching snapshot for ${symbol} L${depth}`);
-        this.snapshotCache.set(cacheKey, message);
+  /**
+   * Stop recording an orderbook topic (upstream released if no client uses it)
+   *
+   * @returns {object|null} Final session meta, null if it was not recording
+   */
+  stopRecording({ exchange, category, symbol, depth }) {
+    const key = topicKey(exchange, category, symbol, depth);
+    const meta = this.recorder.stop(key);
+
+    if (meta && !this.topicClients.has(key)) {
+      this.scheduleRelease(key);
+    }
+    return meta;
+  }
+
+  /**
+   * Unsubscribe upstream topic after grace period if no client came back
+   */
+  scheduleRelease(key) {
+    this.cancelRelease(key);
+
+    const timer = setTimeout(() => {
+      this.releaseTimers.delete(key);
+      if (this.topicClients.has(key) || this.recorder.isRecording(key)) return;
+
+      const { exchange, category, symbol, depth, trades } = parseTopicKey(key);
+      const adapter = this.adapterFor(exchange, category);
+      console.log(`[Proxy] Releasing ${exchange}/${category} ${symbol} ${trades ? 'trades' : `L${depth}`} - no clients left`);
+
+      if (trades) {
+        adapter.unsubscribeTrades([symbol]);
+      } else {
+        adapter.unsubscribe([symbol], depth);
+        this.books.delete(key);
       }
+    }, UNSUBSCRIBE_GRACE);
 
-      // Debug: log asks and bids count
-      const asksCount = message.data?.a?.length || 0;
-      const bidsCount = message.data?.b?.length || 0;
+    this.releaseTimers.set(key, timer);
+  }
 
-      const clientCount = this.clientWss ? this.clientWss.clients.size : 0;
-      console.log(`[Bybit] ${message.type} ${message.topic} | Asks: ${asksCount} | Bids: ${bidsCount} | Broadcasting to ${clientCount} clients`);
-      this.broadcast(message);
+  /**
+   * Cancel a pending upstream release (client resubscribed in time)
+   */
+  cancelRelease(key) {
+    const timer = this.releaseTimers.get(key);
+    if (timer) {
+      clearTimeout(timer);
+      this.releaseTimers.delete(key);
     }
   }
 
   /**
-   * Broadcast message to all connected clients
+   * Handle a normalized orderbook update from an exchange adapter
+   * Apply to live book and forward to subscribed clients
    */
-  broadcast(message) {
-    if (!this.clientWss) return;
+  handleOrderbookUpdate(update) {
+    const receivedAt = Date.now();
+    const { exchange, category, symbol, depth, type, ts, cts, data } = update;
+    const key = topicKey(exchange, category, symbol, depth);
+
+    // Client message keeps Bybit's topic format, tagged with venue and category
+    const message = {
+      topic: `orderbook.${depth}.${symbol}`,
+      exchange,
+      category,
+      type,
+      ts,
+      data: { s: symbol, ...data },
+      cts
+    };
+
+    // Record as received (before sequence checks: replays hit the same gaps)
+    if (this.recorder.isRecording(key)) {
+      this.recorder.record(key, message, receivedAt);
+    }
 
-    const data = JSON.stringify(message);
+    if (!this.updateBook(key, message)) {
+      return;
+    }
 
-    this.clientWss.clients.forEach((client) => {
-      if (client.readyState === WebSocket.OPEN) {
-        client.send(data);
-      }
+    // Debug: log asks and bids count
+    const asksCount = data.a?.length || 0;
+    const bidsCount = data.b?.length || 0;
+
+    const clientCount = this.topicClients.get(key)?.size || 0;
+    console.log(`[Proxy] ${exchange}/${category} ${type} ${message.topic} | Asks: ${asksCount} | Bids: ${bidsCount} | Forwarding to ${clientCount} clients`);
+    this.sendToSubscribers(key, message);
+  }
+
+  /**
+   * Handle normalized public trades from an exchange adapter
+   * Client message keeps Bybit's publicTrade format, tagged with venue and category
+   */
+  handleTradeUpdate(update) {
+    const { exchange, category, symbol, ts, data } = update;
+
+    this.sendToSubscribers(topicKey(exchange, category, symbol, TRADES), {
+      topic: `publicTrade.${symbol}`,
+      exchange,
+      category,
+      type: 'snapshot',
+      ts,
+      data
     });
   }
 
   /**
-   * Start heartbeat to keep connection alive
+   * Apply snapshot/delta to the live book for a topic
+   *
+   * @returns {boolean} true if the message is consistent and can be forwarded
    */
-  startHeartbeat() {
-    this.heartbeatInterval = setInterval(() => {
-      if (this.bybitWs && this.bybitWs.readyState === WebSocket.OPEN) {
-        this.bybitWs.send(JSON.stringify({ op: 'ping' }));
+  updateBook(key, message) {
+    const { exchange, category, symbol, depth } = parseTopicKey(key);
+
+    if (!this.books.has(key)) {
+      this.books.set(key, new OrderBookState(exchange, category, symbol, depth));
+    }
+    const book = this.books.get(key);
+
+    if (message.type === 'snapshot') {
+      if (exchange === 'bybit' && message.data?.u === 1) {
+        console.warn(`[Bybit] ⚠️ Service restart detected (u=1) for ${category} ${symbol} L${depth}`);
       }
-    }, HEARTBEAT_INTERVAL);
+      book.applySnapshot(message);
+      return true;
+    }
+
+    // Delta before first snapshot: nothing to apply it to yet
+    if (!book.isReady) {
+      return false;
+    }
+
+    const previousId = book.updateId;
+    if (!book.applyDelta(message)) {
+      console.warn(`[Proxy] ⚠️ Sequence gap on ${exchange}/${category} ${symbol} L${depth} (u ${previousId} -> ${message.data?.u}) - resyncing`);
+      this.resyncTopic(key);
+      return false;
+    }
+
+    return true;
   }
 
   /**
-   * Stop heartbeat
+   * Drop a corrupted book and ask the exchange for a fresh snapshot
    */
-  stopHeartbeat() {
-    if (this.heartbeatInterval) {
-      clearInterval(this.heartbeatInterval);
-      this.heartbeatInterval = null;
-    }
+  resyncTopic(key) {
+    const { exchange, category, symbol, depth } = parseTopicKey(key);
+
+    this.books.delete(key);
+    this.adapterFor(exchange, category).resync(symbol, depth);
   }
 
   /**
-   * Schedule reconnection
+   * Send message only to clients subscribed to the topic
+   * Throttled clients get deltas conflated; snapshots and u=1 resets go out immediately
    */
-  scheduleReconnect() {
-    if (this.reconnectTimeout) {
-      clearTimeout(this.reconnectTimeout);
-    }
+  sendToSubscribers(key, message) {
+    const clients = this.topicClients.get(key);
+    if (!clients || clients.size === 0) return;
+
+    const isReset = message.type === 'snapshot' || (message.data?.pu === undefined && message.data?.u === 1);
+    let data = null;
+
+    clients.forEach((conflator, client) => {
+      if (conflator && !isReset) {
+        conflator.push(message);
+        return;
+      }
 
-    console.log(`[Bybit] Reconnecting in ${RECONNECT_DELAY / 1000}s...`);
-    this.reconnectTimeout = setTimeout(() => {
-      this.connectToBybit();
-    }, RECONNECT_DELAY);
+      conflator?.reset();
+      if (client.readyState === WebSocket.OPEN) {
+        data = data || JSON.stringify(message);
+        client.send(data);
+      }
+    });
   }
 
   /**
    * Cleanup
    */
   cleanup() {
-    this.stopHeartbeat();
+    this.releaseTimers.forEach(timer => clearTimeout(timer));
+    this.releaseTimers.clear();
 
-    if (this.reconnectTimeout) {
-      clearTimeout(this.reconnectTimeout);
-    }
-
-    if (this.bybitWs) {
-      this.bybitWs.terminate();
-    }
+    this.recorder.cleanup();
+    this.exchanges.forEach(adapter => adapter.cleanup());
 
     if (this.clientWss) {
       this.clientWss.close();
@@ -0,0 +1,100 @@
+/**
+ * BullBook - Delta Conflator
+ *
+ * Merges orderbook deltas for one client/topic into a single delta per
+ * interval (last size per price wins), so slow clients get fewer messages
+ * without losing book correctness.
+ */
+
+import { WebSocket } from 'ws';
+
+export const MIN_UPDATE_INTERVAL = 50; // ms
+export const MAX_UPDATE_INTERVAL = 5000; // ms
+
+/**
+ * Normalize requested update interval (0 = realtime, no conflation)
+ */
+export function normalizeUpdateInterval(interval) {
+  const value = parseInt(interval) || 0;
+  if (value <= 0) return 0;
+  return Math.min(Math.max(value, MIN_UPDATE_INTERVAL), MAX_UPDATE_INTERVAL);
+}
+
+export class DeltaConflator {
+  constructor(ws, interval) {
+    this.ws = ws;
+    this.interval = interval;
+    this.pending = null; // Merged delta waiting to be flushed
+    this.timer = null;
+  }
+
+  /**
+   * Merge a delta into the pending update and schedule flush
+   */
+  push(message) {
+    const { data } = message;
+
+    if (!this.pending) {
+      // Routing fields: clients key their books by exchange/category/topic
+      this.pending = {
+        exchange: message.exchange,
+        category: message.category,
+        replay: message.replay,
+        topic: message.topic,
+        type: 'delta',
+        bids: new Map(),
+        asks: new Map(),
+        data: null,
+        ts: null,
+        cts: null
+      };
+    }
+
+    (data.b || []).forEach(([price, size]) => this.pending.bids.set(price, size));
+    (data.a || []).forEach(([price, size]) => this.pending.asks.set(price, size));
+    this.pending.data = data;
+    this.pending.ts = message.ts;
+    this.pending.cts = message.cts;
+
+    if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), this.interval);
+    }
+  }
+
+  /**
+   * Send the merged delta (if any) to the client
+   */
+  flush() {
+    this.timer = null;
+
+    const pending = this.pending;
+    this.pending = null;
+    if (!pending || this.ws.readyState !== WebSocket.OPEN) return;
+
+    this.ws.send(JSON.stringify({
+      exchange: pending.exchange,
+      category: pending.category,
+      replay: pending.replay,
+      topic: pending.topic,
+      type: 'delta',
+      ts: pending.ts,
+      data: {
+        ...pending.data,
+        b: Array.from(pending.bids.entries()),
+        a: Array.from(pending.asks.entries())
+      },
+      cts: pending.cts
+    }));
+  }
+
+  /**
+   * Discard pending changes (a snapshot supersedes them)
+   */
+  reset() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.pending = null;
+  }
+}
@@ -0,0 +1,101 @@
+/**
+ * BullBook - Server-side OrderBook State
+ *
+ * Maintains the live merged orderbook for one topic
+ * (exchange + category + symbol + depth)
+ * by applying snapshots and deltas, and validates update continuity so that
+ * late-joining clients always receive a consistent snapshot.
+ * Level storage is the shared OrderBookEngine.
+ */
+
+import { OrderBookEngine } from '../../../shared/orderbook-engine.js';
+
+export class OrderBookState {
+  constructor(exchange, category, symbol, depth) {
+    this.exchange = exchange;
+    this.category = category;
+    this.symbol = symbol;
+    this.depth = depth;
+    this.engine = new OrderBookEngine(); // Untrimmed: venues may send levels beyond depth
+    this.cts = null;
+  }
+
+  /**
+   * True once a snapshot has been applied
+   */
+  get isReady() {
+    return this.engine.isReady;
+  }
+
+  get updateId() {
+    return this.engine.updateId;
+  }
+
+  /**
+   * Replace the whole book with a snapshot
+   */
+  applySnapshot(message) {
+    this.engine.applySnapshot(message.data, message.ts || Date.now());
+    this.cts = message.cts ?? null;
+  }
+
+  /**
+   * Apply a delta on top of the current book
+   *
+   * Venues sending "pu" (previous update id) chain explicitly on it.
+   * Otherwise (Bybit) "u" increments by 1 on every push and "u"=1 means the
+   * service restarted: the message must be treated as a fresh snapshot.
+   *
+   * @returns {boolean} false if the delta is out of sequence (book is stale)
+   */
+  applyDelta(message) {
+    const { data } = message;
+    const { engine } = this;
+    const chained = data.pu !== undefined;
+
+    if (!chained && data.u === 1) {
+      this.applySnapshot(message);
+      return true;
+    }
+
+    if (!engine.isReady) {
+      return false;
+    }
+
+    if (chained ? data.pu !== engine.updateId : data.u !== engine.updateId + 1) {
+      return false;
+    }
+
+    if (data.seq !== undefined && engine.seq !== null && data.seq < engine.seq) {
+      return false;
+    }
+
+    engine.applyDelta(data, message.ts || Date.now());
+    this.cts = message.cts ?? this.cts;
+    return true;
+  }
+
+  /**
+   * Build a client snapshot message of the current book
+   */
+  toSnapshotMessage() {
+    const { engine } = this;
+    const { bids, asks } = engine.toLevels(this.depth);
+
+    return {
+      topic: `orderbook.${this.depth}.${this.symbol}`,
+      exchange: this.exchange,
+      category: this.category,
+      type: 'snapshot',
+      ts: engine.timestamp,
+      data: {
+        s: this.symbol,
+        b: bids,
+        a: asks,
+        u: engine.updateId,
+        seq: engine.seq
+      },
+      cts: this.cts
+    };
+  }
+}
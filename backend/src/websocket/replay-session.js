@@ -0,0 +1,305 @@
+/**
+ * BullBook - Replay Session
+ *
+ * Plays a recorded session back to one client socket at adjustable speed,
+ * in the same message format as live orderbook updates (tagged with the
+ * client's replayId). Supports pause/resume, speed changes and seek: seeking
+ * rebuilds the book up to the target time and starts with its snapshot.
+ */
+
+import { WebSocket } from 'ws';
+import { OrderBookState } from './orderbook-state.js';
+import { readSessionLines } from '../recorder/session-reader.js';
+
+export const MIN_REPLAY_SPEED = 0.5;
+export const MAX_REPLAY_SPEED = 20;
+const STATUS_INTERVAL = 1000; // Position updates while playing
+const MAX_TIMER_DELAY = 1000; // Re-check clock at least every second
+
+/**
+ * Normalize requested replay speed (default 1x)
+ */
+export function normalizeReplaySpeed(speed) {
+  const value = parseFloat(speed) || 1;
+  return Math.min(Math.max(value, MIN_REPLAY_SPEED), MAX_REPLAY_SPEED);
+}
+
+export class ReplaySession {
+  constructor(ws, replayId, meta, dir) {
+    this.ws = ws;
+    this.replayId = replayId;
+    this.meta = meta;
+    this.dir = dir;
+    this.speed = 1;
+    this.state = 'paused'; // 'playing' | 'paused' | 'ended'
+    this.position = meta.startedAt; // Recorded time reached
+    this.anchor = null; // { wall, rt }: wall clock time matching recorded time rt
+    this.lines = null; // Session line iterator
+    this.reading = null; // Line read in flight
+    this.pending = null; // Next line, not due yet
+    this.book = null; // Book rebuilt from replayed messages
+    this.generation = 0; // Bumped on seek/stop: stale pumps bail out
+    this.seeking = false;
+    this.playAfterSeek = false; // Resume once the running seek is done
+    this.timer = null;
+    this.statusInterval = null;
+  }
+
+  /**
+   * Recorded end of the session (still recording: last known time)
+   */
+  get endTime() {
+    return this.meta.stoppedAt || this.meta.segments[this.meta.segments.length - 1]?.endedAt || Date.now();
+  }
+
+  /**
+   * Recorded time matching now
+   */
+  get clock() {
+    if (this.state !== 'playing' || !this.anchor) return this.position;
+    return this.anchor.rt + (Date.now() - this.anchor.wall) * this.speed;
+  }
+
+  /**
+   * Start playing from a recorded time (default: session start)
+   */
+  start(from, speed) {
+    this.speed = normalizeReplaySpeed(speed);
+    this.playAfterSeek = true;
+    this.seek(from ?? this.meta.startedAt);
+  }
+
+  pause() {
+    this.playAfterSeek = false;
+    if (this.state !== 'playing') return;
+
+    this.position = this.clock;
+    this.state = 'paused';
+    clearTimeout(this.timer);
+    clearInterval(this.statusInterval);
+    this.sendStatus();
+  }
+
+  resume() {
+    if (this.state === 'playing') return;
+    if (this.seeking) {
+      this.playAfterSeek = true;
+      return;
+    }
+    if (this.state === 'ended') {
+      this.start(this.meta.startedAt, this.speed);
+      return;
+    }
+
+    this.state = 'playing';
+    this.anchor = { wall: Date.now(), rt: this.position };
+    this.statusInterval = setInterval(() => this.sendStatus(), STATUS_INTERVAL);
+    this.sendStatus();
+    this.pump(this.generation);
+  }
+
+  setSpeed(speed) {
+    this.position = this.clock;
+    this.anchor = { wall: Date.now(), rt: this.position };
+    this.speed = normalizeReplaySpeed(speed);
+
+    if (this.state === 'playing') {
+      clearTimeout(this.timer);
+      this.pump(this.generation);
+    }
+    this.sendStatus();
+  }
+
+  /**
+   * Jump to a recorded time: rebuild the book silently up to it, then send its snapshot
+   */
+  seek(time) {
+    this.seekTo(time).catch(error => this.fail(error));
+  }
+
+  async seekTo(time) {
+    const target = Math.min(Math.max(parseInt(time) || this.meta.startedAt, this.meta.startedAt), this.endTime);
+    const generation = ++this.generation;
+
+    this.playAfterSeek = this.playAfterSeek || this.state === 'playing';
+    this.seeking = true;
+    this.state = 'paused';
+    clearTimeout(this.timer);
+    clearInterval(this.statusInterval);
+
+    // Going back: read again from the start
+    if (!this.lines || target < this.position) {
+      this.openLines();
+    }
+
+    // Fast-forward without sending
+    while (true) {
+      const line = await this.peek();
+      if (generation !== this.generation) return;
+      if (!line || line.rt >= target) break;
+
+      this.take();
+      this.applyToBook(line.msg);
+    }
+
+    this.seeking = false;
+    this.position = target;
+    if (this.book?.isReady) {
+      this.send(this.book.toSnapshotMessage());
+    }
+
+    if (!this.pending) {
+      this.end();
+    } else if (this.playAfterSeek) {
+      this.playAfterSeek = false;
+      this.resume();
+    } else {
+      this.sendStatus();
+    }
+  }
+
+  /**
+   * Unexpected error while reading or applying lines (e.g. a malformed record):
+   * the replay ends and the client is told
+   */
+  fail(error) {
+    console.error(`[Replay] ${this.meta.id} failed:`, error);
+    this.stop();
+    this.sendStatus();
+
+    if (this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify({ type: 'error', error: 'Replay failed', replayId: this.replayId }));
+    }
+  }
+
+  stop() {
+    this.generation++;
+    this.state = 'ended';
+    clearTimeout(this.timer);
+    clearInterval(this.statusInterval);
+    this.lines?.return();
+    this.lines = null;
+  }
+
+  /**
+   * Send every line that is due, then sleep until the next one
+   */
+  pump(generation) {
+    this.pumpLines(generation).catch(error => this.fail(error));
+  }
+
+  async pumpLines(generation) {
+    while (generation === this.generation && this.state === 'playing') {
+      const line = await this.peek();
+      if (generation !== this.generation) return;
+      if (!line) {
+        this.end();
+        return;
+      }
+
+      const delay = (line.rt - this.clock) / this.speed;
+      if (delay > 0) {
+        this.timer = setTimeout(() => this.pump(generation), Math.min(delay, MAX_TIMER_DELAY));
+        return;
+      }
+
+      this.take();
+      this.position = line.rt;
+      if (this.applyToBook(line.msg)) {
+        this.send(line.msg);
+      }
+    }
+  }
+
+  /**
+   * Restart reading the session from its first line
+   */
+  openLines() {
+    this.lines?.return();
+    this.lines = readSessionLines(this.dir, this.meta);
+    this.reading = null;
+    this.pending = null;
+    this.book = null;
+  }
+
+  /**
+   * Next line without consuming it (one read in flight, shared by seek and pump)
+   *
+   * @returns {Promise<object|null>} null at the end of the session
+   */
+  peek() {
+    if (this.pending) return Promise.resolve(this.pending);
+
+    if (!this.reading) {
+      const lines = this.lines;
+      this.reading = lines.next().then(({ value }) => {
+        if (lines !== this.lines) return null;
+        this.reading = null;
+        this.pending = value || null;
+        return this.pending;
+      });
+    }
+    return this.reading;
+  }
+
+  /**
+   * Consume the line returned by peek()
+   */
+  take() {
+    this.pending = null;
+  }
+
+  /**
+   * Apply a recorded message to the replay book (same consistency rules as live)
+   *
+   * @returns {boolean} true if the message can be forwarded
+   */
+  applyToBook(message) {
+    if (!this.book) {
+      const { exchange, category, symbol, depth } = this.meta;
+      this.book = new OrderBookState(exchange, category, symbol, depth);
+    }
+
+    if (message.type === 'snapshot') {
+      this.book.applySnapshot(message);
+      return true;
+    }
+
+    if (this.book.applyDelta(message)) {
+      return true;
+    }
+
+    // Gap: wait for the next recorded snapshot (the live proxy resynced too)
+    this.book = null;
+    return false;
+  }
+
+  end() {
+    this.position = this.endTime;
+    this.state = 'ended';
+    clearTimeout(this.timer);
+    clearInterval(this.statusInterval);
+    this.sendStatus();
+  }
+
+  send(message) {
+    if (this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify({ ...message, replay: this.replayId }));
+    }
+  }
+
+  sendStatus() {
+    if (this.ws.readyState !== WebSocket.OPEN) return;
+
+    this.ws.send(JSON.stringify({
+      type: 'replay',
+      replayId: this.replayId,
+      sessionId: this.meta.id,
+      state: this.state,
+      time: Math.min(this.clock, this.endTime),
+      speed: this.speed,
+      startedAt: this.meta.startedAt,
+      endedAt: this.endTime
+    }));
+  }
+}
@@ -0,0 +1,170 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers.js';
+
+// dag becomes admin through ADMIN_USERS
+const app = await startApp({
+  '/api/auth': '../src/api/auth-routes.js',
+  '/api/admin': '../src/api/admin-routes.js'
+}, {
+  USER_DAG_PASSWORD: 'dag-test-password',
+  USER_BULL_PASSWORD: 'bull-test-password',
+  ADMIN_USERS: 'dag'
+});
+
+const { default: sessionStore } = await import('../src/auth/session-store.js');
+const { default: loginGuard } = await import('../src/auth/login-guard.js');
+const { beginEnrollment, confirmEnrollment } = await import('../src/auth/two-factor.js');
+const { generateTotp } = await import('../src/auth/totp.js');
+
+const { tokenFor } = app;
+const adminToken = tokenFor('dag');
+let userToken = tokenFor('bull');
+
+function call(method, route, body, token = adminToken) {
+  return app.request(method, `/api${route}`, { body, token });
+}
+
+function login(username, password) {
+  return call('POST', '/auth/login', { username, password }, '');
+}
+
+test('admin routes require an admin', async () => {
+  assert.equal((await call('GET', '/admin/users', undefined, '')).status, 401);
+
+  const { status, body } = await call('GET', '/admin/users', undefined, userToken);
+  assert.equal(status, 403);
+  assert.deepEqual(body, { error: 'Admin role required' });
+});
+
+test('users are listed with role and last login', async () => {
+  const { body: session } = await login('dag', 'dag-test-password');
+  assert.equal(session.user.role, 'admin');
+
+  const { status, body } = await call('GET', '/admin/users');
+  assert.equal(status, 200);
+
+  const dag = body.users.find(user => user.username === 'dag');
+  const bull = body.users.find(user => user.username === 'bull');
+  assert.equal(dag.role, 'admin');
+  assert.equal(bull.role, 'user');
+  assert.ok(dag.lastLogin.at && dag.lastLogin.ip);
+  assert.equal(bull.lastLogin, null);
+  assert.equal(dag.sessions, 0);
+  assert.ok(body.users.every(user => user.passwordHash === undefined));
+});
+
+test('the auth log is for admins only', async () => {
+  assert.equal((await call('GET', '/auth/logs', undefined, '')).status, 401);
+  assert.equal((await call('GET', '/auth/logs', undefined, userToken)).status, 403);
+
+  const { status, body } = await call('GET', '/auth/logs?lines=5');
+  assert.equal(status, 200);
+  assert.equal(body.count, body.logs.length);
+  assert.ok(body.count <= 5);
+  assert.ok(body.logs.some(line => line.includes('LOGIN_SUCCESS') && line.includes('dag')));
+});
+
+test('created users can log in', async () => {
+  const { status, body } = await call('POST', '/admin/users', { username: 'newbie', password: 'newbie-password' });
+  assert.equal(status, 201);
+  assert.equal(body.user.role, 'user');
+  assert.equal(body.user.enabled, true);
+
+  const { status: loginStatus, body: session } = await login('newbie', 'newbie-password');
+  assert.equal(loginStatus, 200);
+  assert.deepEqual(session.user.preferences.symbols, ['BTCUSDT', 'ETHUSDT', 'SOLUSDT']);
+});
+
+test('invalid or duplicate users are rejected', async () => {
+  assert.equal((await call('POST', '/admin/users', { username: 'bull', password: 'long-enough' })).status, 409);
+  assert.equal((await call('POST', '/admin/users', { username: 'x', password: 'long-enough' })).status, 400);
+  assert.equal((await call('POST', '/admin/users', { username: 'shorty', password: 'short' })).status, 400);
+  assert.equal((await call('POST', '/admin/users', { username: 'boss', password: 'long-enough', role: 'root' })).status, 400);
+});
+
+test('disabling blocks login and existing tokens until re-enabled', async () => {
+  const disabled = await call('PATCH', '/admin/users/bull', { enabled: false });
+  assert.equal(disabled.status, 200);
+  assert.equal(disabled.body.user.enabled, false);
+
+  assert.equal((await login('bull', 'bull-test-password')).status, 401);
+  assert.equal((await call('GET', '/admin/users', undefined, userToken)).status, 401);
+
+  await call('PATCH', '/admin/users/bull', { enabled: true });
+  assert.equal((await login('bull', 'bull-test-password')).status, 200);
+
+  // Disabling ended bull's sessions: the old token stays invalid
+  assert.equal((await call('GET', '/admin/users', undefined, userToken)).status, 401);
+  userToken = tokenFor('bull');
+});
+
+test('role changes apply to existing tokens', async () => {
+  await call('PATCH', '/admin/users/bull', { role: 'admin' });
+  assert.equal((await call('GET', '/admin/users', undefined, userToken)).status, 200);
+
+  await call('PATCH', '/admin/users/bull', { role: 'user' });
+  assert.equal((await call('GET', '/admin/users', undefined, userToken)).status, 403);
+});
+
+test('admins cannot disable, demote or delete themselves', async () => {
+  assert.equal((await call('PATCH', '/admin/users/dag', { enabled: false })).status, 400);
+  assert.equal((await call('PATCH', '/admin/users/dag', { role: 'user' })).status, 400);
+  assert.equal((await call('DELETE', '/admin/users/dag')).status, 400);
+});
+
+test('password reset replaces the old password', async () => {
+  assert.equal((await call('POST', '/admin/users/newbie/password', { password: 'tiny' })).status, 400);
+
+  const { body: session } = await login('newbie', 'newbie-password');
+  const { status } = await call('POST', '/admin/users/newbie/password', { password: 'replaced-password' });
+  assert.equal(status, 200);
+  assert.equal(sessionStore.findByRefreshToken(session.refreshToken), null);
+  assert.equal((await login('newbie', 'newbie-password')).status, 401);
+  assert.equal((await login('newbie', 'replaced-password')).status, 200);
+});
+
+test('deleted users are gone', async () => {
+  assert.equal((await call('DELETE', '/admin/users/newbie')).status, 200);
+  assert.equal((await call('DELETE', '/admin/users/newbie')).status, 404);
+  assert.equal((await call('PATCH', '/admin/users/newbie', { enabled: true })).status, 404);
+  assert.equal((await login('newbie', 'replaced-password')).status, 401);
+});
+
+test('locked users are listed and can be unlocked', async () => {
+  for (let i = 0; i < 10; i++) loginGuard.recordFailure('203.0.113.7', 'bull');
+
+  assert.equal((await login('bull', 'bull-test-password')).status, 429);
+  const { body } = await call('GET', '/admin/users');
+  assert.ok(body.users.find(user => user.username === 'bull').lockedUntil > Date.now());
+
+  const lockouts = await call('GET', '/admin/lockouts');
+  assert.ok(lockouts.body.users.find(entry => entry.id === 'bull').lockedUntil > Date.now());
+  assert.ok(lockouts.body.ips.some(entry => entry.id === '203.0.113.7'));
+
+  assert.equal((await call('DELETE', '/admin/lockouts/users/bull')).status, 200);
+  assert.equal((await call('DELETE', '/admin/lockouts/users/bull')).status, 404);
+  assert.equal((await call('DELETE', '/admin/lockouts/ips/203.0.113.7')).status, 200);
+  assert.equal((await login('bull', 'bull-test-password')).status, 200);
+});
+
+test('unlocking requires an admin', async () => {
+  assert.equal((await call('GET', '/admin/lockouts', undefined, userToken)).status, 403);
+  assert.equal((await call('DELETE', '/admin/lockouts/users/dag', undefined, userToken)).status, 403);
+});
+
+test('admins can turn off a user\'s 2FA', async () => {
+  const { secret } = await beginEnrollment('bull', 'bull-test-password');
+  confirmEnrollment('bull', generateTotp(secret));
+
+  const { body } = await call('GET', '/admin/users');
+  assert.equal(body.users.find(user => user.username === 'bull').twoFactorEnabled, true);
+  assert.ok(body.users.every(user => user.twoFactor === undefined));
+  assert.equal((await login('bull', 'bull-test-password')).body.twoFactorRequired, true);
+
+  assert.equal((await call('DELETE', '/admin/users/bull/2fa', undefined, userToken)).status, 403);
+  assert.equal((await call('DELETE', '/admin/users/bull/2fa')).status, 200);
+  assert.equal((await call('DELETE', '/admin/users/bull/2fa')).status, 400);
+  assert.equal((await call('DELETE', '/admin/users/nobody/2fa')).status, 404);
+  assert.ok((await login('bull', 'bull-test-password')).body.token);
+});
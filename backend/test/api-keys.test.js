@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { startApp } from './helpers.js';
+
+const app = await startApp({
+  '/api/auth': '../src/api/auth-routes.js',
+  '/api/user': '../src/api/user-routes.js',
+  '/api/admin': '../src/api/admin-routes.js',
+  '/api/keys': '../src/api/api-key-routes.js'
+}, {
+  USER_DAG_PASSWORD: 'dag-test-password',
+  ADMIN_USERS: 'dag'
+});
+
+const { default: apiKeyStore } = await import('../src/auth/api-key-store.js');
+const { RateLimiter } = await import('../src/auth/rate-limiter.js');
+
+const token = app.tokenFor('dag');
+
+function call(method, route, body, credential = token) {
+  return app.request(method, `/api${route}`, { body, token: credential });
+}
+
+test('rate limiter allows bursts up to the limit and refills over time', () => {
+  const clock = { time: 0 };
+  const limiter = new RateLimiter({ now: () => clock.time });
+
+  for (let i = 0; i < 3; i++) assert.equal(limiter.take('k', 3).allowed, true);
+  const blocked = limiter.take('k', 3);
+  assert.equal(blocked.allowed, false);
+  assert.equal(blocked.retryAfter, 20000);
+
+  clock.time += 20000;
+  assert.deepEqual(limiter.take('k', 3), { allowed: true, remaining: 0, retryAfter: 0 });
+  assert.equal(limiter.take('other', 3).remaining, 2);
+});
+
+test('keys are created once, stored hashed and listed without secrets', async () => {
+  const { status, body } = await call('POST', '/keys', { label: 'bot', scopes: ['read', 'stream'] });
+  assert.equal(status, 201);
+  assert.match(body.apiKey, /^bbk_[0-9a-f]{16}\.[\w-]+$/);
+  assert.equal(body.key.rateLimit, 120);
+
+  const stored = fs.readFileSync(path.join(app.dataDir, 'api-keys.json'), 'utf8');
+  assert.ok(!stored.includes(body.apiKey.split('.')[1]));
+  assert.equal(apiKeyStore.verify(body.apiKey).id, body.key.id);
+  assert.equal(apiKeyStore.verify(`${body.apiKey}x`), null);
+
+  const list = await call('GET', '/keys');
+  assert.deepEqual(list.body.keys.map(key => key.label), ['bot']);
+  assert.ok(list.body.keys.every(key => key.hash === undefined));
+  assert.deepEqual(Object.keys(list.body.scopes), ['stream', 'read', 'write']);
+});
+
+test('invalid keys are rejected', async () => {
+  assert.equal((await call('POST', '/keys', { label: '', scopes: ['read'] })).status, 400);
+  assert.equal((await call('POST', '/keys', { label: 'x', scopes: [] })).status, 400);
+  assert.equal((await call('POST', '/keys', { label: 'x', scopes: ['admin'] })).status, 400);
+  assert.equal((await call('POST', '/keys', { label: 'x', scopes: ['read'], rateLimit: 100000 })).status, 400);
+});
+
+test('keys authenticate within their scopes', async () => {
+  const { body } = await call('POST', '/keys', { label: 'reader', scopes: ['read'] });
+
+  const read = await call('GET', '/user/preferences', undefined, body.apiKey);
+  assert.equal(read.status, 200);
+  assert.equal(read.headers.get('x-ratelimit-limit'), '120');
+
+  const write = await call('PUT', '/user/preferences', { preferences: { depth: 20 } }, body.apiKey);
+  assert.equal(write.status, 403);
+  assert.equal(write.body.error, "API key lacks the 'write' scope");
+
+  assert.equal((await call('GET', '/user/preferences', undefined, 'bbk_0000.bogus')).status, 401);
+  assert.ok(apiKeyStore.get(body.key.id).lastUsedAt);
+});
+
+test('keys cannot manage sessions, 2FA, keys or users', async () => {
+  const { body } = await call('POST', '/keys', { label: 'full', scopes: ['read', 'write', 'stream'] });
+
+  assert.equal((await call('GET', '/keys', undefined, body.apiKey)).status, 403);
+  assert.equal((await call('POST', '/keys', { label: 'more', scopes: ['read'] }, body.apiKey)).status, 403);
+  assert.equal((await call('GET', '/auth/sessions', undefined, body.apiKey)).status, 403);
+  assert.equal((await call('GET', '/auth/2fa', undefined, body.apiKey)).status, 403);
+  assert.equal((await call('GET', '/admin/users', undefined, body.apiKey)).status, 403);
+});
+
+test('each key has its own rate limit', async () => {
+  const { body } = await call('POST', '/keys', { label: 'slow', scopes: ['read'], rateLimit: 2 });
+
+  assert.equal((await call('GET', '/user/preferences', undefined, body.apiKey)).status, 200);
+  assert.equal((await call('GET', '/user/preferences', undefined, body.apiKey)).status, 200);
+
+  const limited = await call('GET', '/user/preferences', undefined, body.apiKey);
+  assert.equal(limited.status, 429);
+  assert.ok(Number(limited.headers.get('retry-after')) > 0);
+  assert.equal(limited.body.error, 'Rate limit exceeded');
+});
+
+test('revoked keys stop working', async () => {
+  const { body } = await call('POST', '/keys', { label: 'temp', scopes: ['read'] });
+
+  assert.equal((await call('DELETE', `/keys/${body.key.id}`)).status, 200);
+  assert.equal((await call('DELETE', `/keys/${body.key.id}`)).status, 404);
+  assert.equal((await call('GET', '/user/preferences', undefined, body.apiKey)).status, 401);
+});
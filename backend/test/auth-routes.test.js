@@ -0,0 +1,251 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { startApp } from './helpers.js';
+
+// dag is imported into a fresh user store
+const app = await startApp({ '/api/auth': '../src/api/auth-routes.js' }, { USER_DAG_PASSWORD: 'dag-test-password' });
+
+const { verifyToken } = await import('../src/auth/jwt.js');
+const { SessionStore } = await import('../src/auth/session-store.js');
+const { createUser } = await import('../src/auth/users.js');
+const { generateTotp, timeStep } = await import('../src/auth/totp.js');
+const { default: loginGuard } = await import('../src/auth/login-guard.js');
+const { getRecentAuthLogs } = await import('../src/utils/logger.js');
+
+const baseUrl = `${app.baseUrl}/api/auth`;
+
+function login(body) {
+  return fetch(`${baseUrl}/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+}
+
+function post(route, body, token) {
+  return app.request('POST', `/api/auth${route}`, { body, token });
+}
+
+async function session() {
+  return (await login({ username: 'dag', password: 'dag-test-password' })).json();
+}
+
+test('login with valid credentials returns a token and the user', async () => {
+  const response = await login({ username: 'dag', password: 'dag-test-password' });
+  assert.equal(response.status, 200);
+
+  const { token, refreshToken, user } = await response.json();
+  assert.equal(user.username, 'dag');
+  assert.match(refreshToken, /^[\w-]+\.[\w-]+$/);
+  assert.ok(user.preferences);
+  assert.equal(user.password, undefined);
+  assert.equal(verifyToken(token).username, 'dag');
+});
+
+test('login with a wrong password is rejected', async () => {
+  const response = await login({ username: 'dag', password: 'dag123' });
+
+  assert.equal(response.status, 401);
+  assert.deepEqual(await response.json(), { error: 'Invalid credentials' });
+});
+
+test('login with an unknown user is rejected', async () => {
+  const response = await login({ username: 'nobody', password: 'whatever' });
+
+  assert.equal(response.status, 401);
+});
+
+test('login without username or password is a bad request', async () => {
+  assert.equal((await login({ username: 'dag' })).status, 400);
+  assert.equal((await login({ password: 'dag-test-password' })).status, 400);
+  assert.equal((await login({})).status, 400);
+  assert.equal((await login({ username: 'dag', password: ['dag-test-password'] })).status, 400);
+});
+
+test('usernames cannot forge auth log lines', async () => {
+  const forged = 'x\n[2026-01-01T00:00:00.000Z] LOGIN_SUCCESS | User: dag | IP: 1.2.3.4 |';
+  assert.equal((await login({ username: forged, password: 'wrong' })).status, 401);
+
+  const line = getRecentAuthLogs(1)[0];
+  assert.match(line, /LOGIN_FAILED \| User: x\\u000a\[2026/);
+  loginGuard.unlockUser(forged);
+});
+
+test('logs require a token', async () => {
+  const response = await fetch(`${baseUrl}/logs`);
+
+  assert.equal(response.status, 401);
+  assert.deepEqual(await response.json(), { error: 'No token provided' });
+});
+
+test('logs reject an invalid token', async () => {
+  const response = await fetch(`${baseUrl}/logs`, {
+    headers: { Authorization: 'Bearer not-a-jwt' }
+  });
+
+  assert.equal(response.status, 401);
+  assert.deepEqual(await response.json(), { error: 'Invalid or expired token' });
+});
+
+test('logs are not shown to regular users', async () => {
+  const { token } = await (await login({ username: 'dag', password: 'dag-test-password' })).json();
+  const response = await fetch(`${baseUrl}/logs?lines=5`, {
+    headers: { Authorization: `Bearer ${token}` }
+  });
+
+  assert.equal(response.status, 403);
+  assert.deepEqual(await response.json(), { error: 'Admin role required' });
+});
+
+test('refresh rotates the refresh token', async () => {
+  const { refreshToken } = await session();
+
+  const first = await post('/refresh', { refreshToken });
+  assert.equal(first.status, 200);
+  assert.equal(verifyToken(first.body.token).username, 'dag');
+  assert.notEqual(first.body.refreshToken, refreshToken);
+
+  const second = await post('/refresh', { refreshToken: first.body.refreshToken });
+  assert.equal(second.status, 200);
+  assert.equal(verifyToken(second.body.token).sid, verifyToken(first.body.token).sid);
+});
+
+test('replaying a rotated refresh token ends the session', () => {
+  const store = new SessionStore(path.join(app.dataDir, 'replay.json'), { reuseGrace: 0 });
+  const { session, refreshToken } = store.create('dag');
+  const rotated = store.rotate(refreshToken);
+
+  const replay = store.rotate(refreshToken);
+  assert.equal(replay.reused.id, session.id);
+  assert.equal(store.get(session.id), null);
+  assert.equal(store.rotate(rotated.refreshToken), null);
+});
+
+test('two tabs refreshing at once both succeed', async () => {
+  const { refreshToken } = await session();
+  const first = await post('/refresh', { refreshToken });
+  const second = await post('/refresh', { refreshToken });
+
+  assert.equal(first.status, 200);
+  assert.equal(second.status, 200);
+  assert.ok(verifyToken(second.body.token));
+});
+
+test('invalid refresh tokens are rejected', async () => {
+  assert.equal((await post('/refresh', {})).status, 401);
+  assert.equal((await post('/refresh', { refreshToken: 'nope' })).status, 401);
+
+  const { refreshToken } = await session();
+  const [id] = refreshToken.split('.');
+  assert.equal((await post('/refresh', { refreshToken: `${id}.forged` })).status, 401);
+});
+
+test('logout revokes the access and refresh token', async () => {
+  const { token, refreshToken } = await session();
+
+  assert.equal((await post('/logout', {}, token)).status, 200);
+  assert.equal(verifyToken(token), null);
+  assert.equal((await post('/refresh', { refreshToken })).status, 401);
+});
+
+test('logout with only the refresh token (expired access token)', async () => {
+  const { token, refreshToken } = await session();
+
+  assert.equal((await post('/logout', { refreshToken })).status, 200);
+  assert.equal(verifyToken(token), null);
+  assert.equal((await post('/logout', { refreshToken: 'unknown.token' })).status, 200);
+});
+
+test('users list and revoke their own sessions', async () => {
+  const current = await session();
+  const other = await session();
+  const headers = { Authorization: `Bearer ${current.token}` };
+
+  const { sessions } = await (await fetch(`${baseUrl}/sessions`, { headers })).json();
+  const mine = sessions.find(s => s.current);
+  const otherId = verifyToken(other.token).sid;
+  assert.equal(mine.id, verifyToken(current.token).sid);
+  assert.ok(sessions.some(s => s.id === otherId));
+  assert.ok(sessions.every(s => s.refreshHash === undefined && s.ip));
+
+  const revoked = await fetch(`${baseUrl}/sessions/${otherId}`, { method: 'DELETE', headers });
+  assert.equal(revoked.status, 200);
+  assert.equal(verifyToken(other.token), null);
+  assert.ok(verifyToken(current.token));
+
+  const missing = await fetch(`${baseUrl}/sessions/${otherId}`, { method: 'DELETE', headers });
+  assert.equal(missing.status, 404);
+});
+
+test('repeated failures for a username are throttled with Retry-After', async () => {
+  for (let i = 0; i < 3; i++) {
+    assert.equal((await login({ username: 'guessed', password: `wrong-${i}` })).status, 401);
+  }
+
+  const response = await login({ username: 'guessed', password: 'wrong-again' });
+  assert.equal(response.status, 429);
+  assert.equal(response.headers.get('retry-after'), '1');
+  assert.equal((await response.json()).retryAfter, 1);
+
+  // Other usernames from the same IP are not affected yet
+  assert.equal((await login({ username: 'dag', password: 'dag-test-password' })).status, 200);
+});
+
+test('concurrent failures cannot skip the backoff', async () => {
+  const responses = await Promise.all(
+    Array.from({ length: 6 }, (_, i) => login({ username: 'raced', password: `wrong-${i}` }))
+  );
+  const statuses = responses.map(response => response.status).sort();
+
+  assert.deepEqual(statuses, [401, 401, 401, 429, 429, 429]);
+  assert.equal((await login({ username: 'raced', password: 'wrong-again' })).status, 429);
+  loginGuard.unlockUser('raced');
+  loginGuard.list().ips.forEach(({ id }) => loginGuard.unlockIp(id)); // Keep the IP budget for later tests
+});
+
+test('2FA: enrollment, two-step login, recovery codes and disable', async () => {
+  await createUser({ username: 'otto', password: 'otto-password' });
+  const { token } = await (await login({ username: 'otto', password: 'otto-password' })).json();
+
+  assert.equal((await post('/2fa/setup', { password: 'wrong-password' }, token)).status, 400);
+  const setup = await post('/2fa/setup', { password: 'otto-password' }, token);
+  assert.equal(setup.status, 200);
+  assert.match(setup.body.otpauthUri, /^otpauth:\/\/totp\/BullBook:otto\?secret=/);
+  const { secret } = setup.body;
+
+  assert.equal((await post('/2fa/enable', { code: '000000' }, token)).status, 400);
+  const enabled = await post('/2fa/enable', { code: generateTotp(secret) }, token);
+  assert.equal(enabled.status, 200);
+  assert.equal(enabled.body.recoveryCodes.length, 10);
+
+  // The password alone gives a challenge, not a session
+  const firstStep = await (await login({ username: 'otto', password: 'otto-password' })).json();
+  assert.equal(firstStep.twoFactorRequired, true);
+  assert.equal(firstStep.token, undefined);
+  assert.equal(verifyToken(firstStep.challengeToken), null);
+
+  const { challengeToken } = firstStep;
+  assert.equal((await post('/login/2fa', { challengeToken, code: generateTotp(secret) })).status, 401); // Used to enable
+  assert.equal((await post('/login/2fa', { challengeToken: token, code: generateTotp(secret, timeStep() + 1) })).status, 401);
+  assert.equal((await post('/login/2fa', { challengeToken, code: generateTotp(secret, timeStep() + 1) })).status, 429);
+  loginGuard.unlockUser('otto'); // Third wrong password or code: backoff
+
+  const loggedIn = await post('/login/2fa', { challengeToken, code: generateTotp(secret, timeStep() + 1) });
+  assert.equal(loggedIn.status, 200);
+  assert.equal(verifyToken(loggedIn.body.token).username, 'otto');
+  assert.ok(loggedIn.body.refreshToken);
+
+  const [recoveryCode] = enabled.body.recoveryCodes;
+  const recovered = await post('/login/2fa', { challengeToken, code: recoveryCode });
+  assert.equal(recovered.status, 200);
+  assert.equal(recovered.body.recoveryCodesLeft, 9);
+  assert.equal((await post('/login/2fa', { challengeToken, code: recoveryCode })).status, 401);
+
+  const status = await (await fetch(`${baseUrl}/2fa`, { headers: { Authorization: `Bearer ${token}` } })).json();
+  assert.deepEqual({ enabled: status.enabled, recoveryCodesLeft: status.recoveryCodesLeft }, { enabled: true, recoveryCodesLeft: 9 });
+
+  const disabled = await post('/2fa/disable', { password: 'otto-password', code: enabled.body.recoveryCodes[1] }, token);
+  assert.equal(disabled.status, 200);
+  assert.ok((await (await login({ username: 'otto', password: 'otto-password' })).json()).token);
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { BinanceAdapter } from '../src/exchanges/binance-adapter.js';
+
+const CHANNEL = 'btcusdt@depth@100ms';
+
+/**
+ * REST stub answering every snapshot request with lastUpdateId
+ */
+async function snapshotServer(lastUpdateId) {
+  const urls = [];
+  const server = http.createServer((req, res) => {
+    urls.push(req.url);
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ lastUpdateId, bids: [['100', '1']], asks: [['101', '1']] }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, urls, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+test('diffs buffered before the snapshot are capped, newest kept', async (t) => {
+  const rest = await snapshotServer(1003);
+  t.after(() => rest.server.close());
+
+  const adapter = new BinanceAdapter('ws://127.0.0.1:1', rest.url);
+  adapter.channels.set(CHANNEL, { symbol: 'BTCUSDT', depths: new Set([50]) });
+  const updates = [];
+  adapter.on('orderbook', update => updates.push(update));
+
+  const state = { synced: false, bridged: false, lastU: null, buffer: [] };
+  adapter.sync.set(CHANNEL, state);
+  for (let id = 1; id <= 1005; id++) {
+    adapter.applyDiff(CHANNEL, state, { E: id, U: id, u: id, pu: id - 1, b: [], a: [] });
+  }
+  assert.equal(state.buffer.length, 1000);
+  assert.equal(state.buffer[0].u, 6);
+
+  await adapter.fetchSnapshot(CHANNEL, state);
+
+  assert.deepEqual(updates.map(update => [update.type, update.data.u]), [
+    ['snapshot', 1003], ['delta', 1003], ['delta', 1004], ['delta', 1005]
+  ]);
+  assert.equal(state.buffer.length, 0);
+});
+
+test('the snapshot request escapes the symbol', async (t) => {
+  const rest = await snapshotServer(1);
+  t.after(() => rest.server.close());
+
+  const adapter = new BinanceAdapter('ws://127.0.0.1:1', rest.url);
+  adapter.channels.set(CHANNEL, { symbol: 'BTCUSDT&limit=5', depths: new Set([50]) });
+  const state = { synced: false, bridged: false, lastU: null, buffer: [] };
+  adapter.sync.set(CHANNEL, state);
+
+  await adapter.fetchSnapshot(CHANNEL, state);
+  assert.deepEqual(rest.urls, ['/fapi/v1/depth?symbol=BTCUSDT%26limit%3D5&limit=1000']);
+});
@@ -0,0 +1,350 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { WebSocket } from 'ws';
+import { MockBybitServer } from '../src/mock/bybit-mock-server.js';
+
+const UNSUBSCRIBE_GRACE = 5000; // Mirrors the proxy's upstream release grace
+const TOPIC = 'orderbook.50.BTCUSDT';
+const KEY = 'bybit:linear:BTCUSDT:50';
+
+const mock = new MockBybitServer({ port: 0, interval: 50, seed: 42 });
+const mockPort = await mock.start();
+
+// Read at import time by the adapters, auth and recorder
+process.env.BYBIT_WS_BASE_URL = `ws://127.0.0.1:${mockPort}/v5/public`;
+delete process.env.BYBIT_WS_URL;
+process.env.JWT_SECRET = 'bullbook-test-secret';
+process.env.RECORDINGS_DIR = path.join(os.tmpdir(), `bullbook-test-recordings-${process.pid}`);
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bullbook-proxy-'));
+process.env.DATA_DIR = dataDir;
+process.env.LOG_DIR = path.join(dataDir, 'logs');
+
+const {
+  default: proxy,
+  WS_CLOSE_UNAUTHORIZED,
+  WS_CLOSE_ACCOUNT_DISABLED,
+  WS_CLOSE_FORBIDDEN
+} = await import('../src/websocket/bybit-proxy.js');
+const { generateToken } = await import('../src/auth/jwt.js');
+const { default: userStore } = await import('../src/auth/user-store.js');
+const { default: sessionStore } = await import('../src/auth/session-store.js');
+const { default: apiKeyStore } = await import('../src/auth/api-key-store.js');
+const { readSessionLines } = await import('../src/recorder/session-reader.js');
+
+userStore.create({ username: 'tester', passwordHash: 'unused' });
+
+const testerSession = sessionStore.create('tester').session;
+const token = generateToken({ username: 'tester' }, testerSession.id);
+const clients = [];
+let server;
+let wsUrl;
+
+before(async () => {
+  server = http.createServer();
+  proxy.initializeServer(server);
+  proxy.connectExchanges();
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  wsUrl = `ws://127.0.0.1:${server.address().port}/ws`;
+});
+
+after(async () => {
+  clients.forEach(client => client.ws.terminate());
+  proxy.cleanup();
+  await new Promise(resolve => server.close(resolve));
+  await mock.stop();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+  fs.rmSync(process.env.RECORDINGS_DIR, { recursive: true, force: true });
+});
+
+/**
+ * Client socket with a message queue: next() waits for the first match
+ */
+function connect(query = `?token=${token}`) {
+  const ws = new WebSocket(`${wsUrl}${query}`);
+  const messages = [];
+  const waiters = [];
+
+  ws.on('message', (raw) => {
+    const message = JSON.parse(raw.toString());
+    const waiter = waiters.find(w => w.match(message));
+    if (waiter) {
+      waiters.splice(waiters.indexOf(waiter), 1);
+      waiter.resolve(message);
+    } else {
+      messages.push(message);
+    }
+  });
+
+  const client = {
+    ws,
+    send: (message) => ws.send(JSON.stringify(message)),
+    next(match, timeout = 3000) {
+      const index = messages.findIndex(match);
+      if (index !== -1) return Promise.resolve(messages.splice(index, 1)[0]);
+
+      return new Promise((resolve, reject) => {
+        const waiter = { match, resolve };
+        waiters.push(waiter);
+        setTimeout(() => {
+          waiters.splice(waiters.indexOf(waiter), 1);
+          reject(new Error('Timed out waiting for message'));
+        }, timeout);
+      });
+    },
+    drain: () => messages.splice(0)
+  };
+
+  clients.push(client);
+  return client;
+}
+
+function mockStreams() {
+  return [...mock.connections].flatMap(connection => [...connection.streams.keys()]);
+}
+
+async function waitFor(condition, timeout = 3000) {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+const isSnapshot = message => message.topic === TOPIC && message.type === 'snapshot';
+const isDelta = message => message.topic === TOPIC && message.type === 'delta';
+
+test('unauthenticated clients cannot subscribe', async () => {
+  const client = connect('');
+  await new Promise(resolve => client.ws.once('open', resolve));
+
+  client.send({ action: 'subscribe', symbols: ['BTCUSDT'], depth: 50 });
+  const error = await client.next(message => message.type === 'error');
+
+  assert.equal(error.error, 'Authentication required');
+  assert.equal(proxy.topicClients.has(KEY), false);
+  client.ws.close();
+});
+
+test('unsupported markets are rejected', async () => {
+  const client = connect();
+  await client.next(message => message.type === 'authenticated');
+
+  client.send({ action: 'subscribe', symbols: ['BTCUSDT'], exchange: 'kraken', category: 'linear' });
+  const error = await client.next(message => message.type === 'error');
+
+  assert.equal(error.error, 'Unsupported market: kraken linear');
+  client.ws.close();
+});
+
+test('malformed symbols and unserved depths are rejected before any topic is built', async () => {
+  const client = connect();
+  await client.next(message => message.type === 'authenticated');
+  const topics = proxy.topicClients.size;
+
+  for (const symbols of ['BTCUSDT', ['BTC:USDT'], ['btcusdt'], [42]]) {
+    client.send({ action: 'subscribe', symbols, depth: 50 });
+    const error = await client.next(message => message.type === 'error');
+    assert.equal(error.error, 'symbols must be uppercase trading pairs (e.g. BTCUSDT)');
+  }
+
+  client.send({ action: 'subscribe', stream: 'trades', symbols: ['BTCUSDT:50'] });
+  assert.match((await client.next(message => message.type === 'error')).error, /symbols must be/);
+
+  client.send({ action: 'subscribe', symbols: ['BTCUSDT'], depth: 7 });
+  assert.equal((await client.next(message => message.type === 'error')).error, 'Unsupported depth for bybit linear: 7 (1, 50, 200, 1000)');
+
+  client.send({ action: 'subscribe', symbols: ['BTCUSDT'], depth: 1000, category: 'spot' });
+  assert.match((await client.next(message => message.type === 'error')).error, /Unsupported depth for bybit spot/);
+
+  assert.equal(proxy.topicClients.size, topics);
+  client.ws.close();
+});
+
+test('disabled users are disconnected and cannot authenticate', async () => {
+  const client = connect();
+  await client.next(message => message.type === 'authenticated');
+  assert.equal(proxy.getSessionCounts().tester, 1);
+
+  userStore.update('tester', { enabled: false });
+  const closed = new Promise(resolve => client.ws.once('close', resolve));
+  assert.equal(proxy.disconnectUser('tester'), 1);
+  assert.equal(await closed, WS_CLOSE_ACCOUNT_DISABLED);
+
+  const retry = connect();
+  assert.equal(await new Promise(resolve => retry.ws.once('close', resolve)), WS_CLOSE_ACCOUNT_DISABLED);
+
+  userStore.update('tester', { enabled: true });
+});
+
+test('revoked sessions are disconnected', async () => {
+  const { session } = sessionStore.create('tester');
+  const client = connect(`?token=${generateToken({ username: 'tester' }, session.id)}`);
+  await client.next(message => message.type === 'authenticated');
+
+  const closed = new Promise(resolve => client.ws.once('close', resolve));
+  sessionStore.revoke(session.id);
+  assert.equal(proxy.disconnectSession(session.id), 1);
+  assert.equal(await closed, WS_CLOSE_UNAUTHORIZED);
+});
+
+test('API keys with the stream scope authenticate until revoked', async () => {
+  const { key, apiKey } = apiKeyStore.create('tester', { label: 'bot', scopes: ['stream'] });
+  const client = connect(`?token=${apiKey}`);
+  const authenticated = await client.next(message => message.type === 'authenticated');
+  assert.equal(authenticated.username, 'tester');
+
+  client.send({ action: 'subscribe', symbols: ['BTCUSDT'], exchange: 'kraken', category: 'linear' });
+  assert.equal((await client.next(message => message.type === 'error')).error, 'Unsupported market: kraken linear');
+
+  const closed = new Promise(resolve => client.ws.once('close', resolve));
+  apiKeyStore.revoke(key.id);
+  assert.equal(proxy.disconnectApiKey(key.id), 1);
+  assert.equal(await closed, WS_CLOSE_UNAUTHORIZED);
+
+  const readOnly = apiKeyStore.create('tester', { label: 'reader', scopes: ['read'] });
+  const rejected = connect(`?token=${readOnly.apiKey}`);
+  assert.equal(await new Promise(resolve => rejected.ws.once('close', resolve)), WS_CLOSE_FORBIDDEN);
+});
+
+test('API key sockets are rate limited per message', async () => {
+  const { apiKey } = apiKeyStore.create('tester', { label: 'chatty', scopes: ['stream'], rateLimit: 2 });
+  const client = connect(`?token=${apiKey}`); // Connecting takes the first request
+  await client.next(message => message.type === 'authenticated');
+
+  client.send({ type: 'ping' });
+  await client.next(message => message.type === 'pong');
+  client.send({ type: 'ping' });
+  const error = await client.next(message => message.type === 'error');
+
+  assert.equal(error.error, 'Rate limit exceeded');
+  assert.ok(error.retryAfter > 0);
+  client.ws.close();
+});
+
+test('subscribe, share, unsubscribe and release', async (t) => {
+  const first = connect();
+  const second = connect();
+  await first.next(message => message.type === 'authenticated');
+  await second.next(message => message.type === 'authenticated');
+
+  await t.test('first subscriber gets the ack, a snapshot and chained deltas', async () => {
+    first.send({ action: 'subscribe', symbols: ['BTCUSDT'], depth: 50 });
+
+    const ack = await first.next(message => message.type === 'subscribed');
+    assert.deepEqual(ack, { type: 'subscribed', exchange: 'bybit', category: 'linear', symbols: ['BTCUSDT'], depth: 50, interval: 0 });
+
+    const snapshot = await first.next(isSnapshot);
+    assert.equal(snapshot.exchange, 'bybit');
+    assert.equal(snapshot.data.b.length, 50);
+    assert.equal(snapshot.data.a.length, 50);
+    assert.ok(parseFloat(snapshot.data.b[0][0]) < parseFloat(snapshot.data.a[0][0]));
+
+    const delta = await first.next(isDelta);
+    assert.equal(delta.data.u, snapshot.data.u + 1);
+    assert.deepEqual(mockStreams(), [TOPIC]);
+  });
+
+  await t.test('second subscriber shares the upstream topic and gets the live book', async () => {
+    second.send({ action: 'subscribe', symbols: ['BTCUSDT'], depth: 50 });
+
+    const snapshot = await second.next(isSnapshot);
+    await second.next(message => message.type === 'subscribed');
+    const delta = await second.next(isDelta);
+    assert.equal(delta.data.u, snapshot.data.u + 1);
+
+    assert.equal(proxy.topicClients.get(KEY).size, 2);
+    assert.deepEqual(mockStreams(), [TOPIC]);
+  });
+
+  await t.test('upstream stays while a client is left', async () => {
+    first.send({ action: 'unsubscribe', symbols: ['BTCUSDT'], depth: 50 });
+    await waitFor(() => proxy.topicClients.get(KEY).size === 1);
+
+    assert.equal(proxy.releaseTimers.has(KEY), false);
+    await second.next(isDelta); // Deltas in flight before the unsubscribe land meanwhile
+    first.drain();
+    await second.next(isDelta);
+    assert.equal(first.drain().some(isDelta), false);
+  });
+
+  await t.test('resubscribing within the grace period cancels the release', async () => {
+    second.send({ action: 'unsubscribe', symbols: ['BTCUSDT'], depth: 50 });
+    await waitFor(() => !proxy.topicClients.has(KEY));
+    assert.equal(proxy.releaseTimers.has(KEY), true);
+
+    second.send({ action: 'subscribe', symbols: ['BTCUSDT'], depth: 50 });
+    await second.next(message => message.type === 'subscribed');
+
+    assert.equal(proxy.releaseTimers.has(KEY), false);
+    assert.deepEqual(mockStreams(), [TOPIC]);
+  });
+
+  await t.test('last unsubscribe releases the upstream topic after the grace period', async () => {
+    second.send({ action: 'unsubscribe', symbols: ['BTCUSDT'], depth: 50 });
+    await waitFor(() => proxy.releaseTimers.has(KEY));
+
+    assert.deepEqual(mockStreams(), [TOPIC]);
+    await waitFor(() => mockStreams().length === 0, UNSUBSCRIBE_GRACE + 2000);
+
+    assert.equal(proxy.books.has(KEY), false);
+    assert.equal(proxy.releaseTimers.has(KEY), false);
+  });
+});
+
+test('conflated deltas keep their exchange and category', async () => {
+  const client = connect();
+  await client.next(message => message.type === 'authenticated');
+
+  client.send({ action: 'subscribe', symbols: ['BTCUSDT'], exchange: 'bybit', category: 'spot', depth: 50, interval: 200 });
+  const ack = await client.next(message => message.type === 'subscribed');
+  assert.equal(ack.interval, 200);
+
+  const snapshot = await client.next(isSnapshot);
+  assert.equal(snapshot.category, 'spot');
+
+  const delta = await client.next(isDelta);
+  assert.equal(delta.exchange, 'bybit');
+  assert.equal(delta.category, 'spot');
+  assert.ok(delta.data.u > snapshot.data.u);
+
+  client.send({ action: 'unsubscribe', symbols: ['BTCUSDT'], exchange: 'bybit', category: 'spot', depth: 50 });
+  await waitFor(() => !proxy.topicClients.has('bybit:spot:BTCUSDT:50'));
+  client.ws.close();
+});
+
+test('recording a live topic starts with its book and replays it', async () => {
+  const topic = { exchange: 'bybit', category: 'linear', symbol: 'ETHUSDT', depth: 50 };
+  const client = connect();
+  await client.next(message => message.type === 'authenticated');
+
+  client.send({ action: 'subscribe', symbols: ['ETHUSDT'], depth: 50 });
+  await client.next(message => message.topic === 'orderbook.50.ETHUSDT' && message.type === 'delta');
+
+  // Upstream snapshot long gone: the session must open with the live book
+  const meta = proxy.startRecording(topic);
+  await client.next(message => message.topic === 'orderbook.50.ETHUSDT' && message.type === 'delta');
+  proxy.stopRecording(topic);
+  await new Promise(resolve => setTimeout(resolve, 200)); // gzip trailer
+
+  const lines = [];
+  for await (const line of readSessionLines(proxy.recorder.sessionDir(meta.id), proxy.recorder.getSession(meta.id))) {
+    lines.push(line);
+  }
+  assert.equal(lines[0].msg.type, 'snapshot');
+  assert.equal(lines[0].msg.data.b.length, 50);
+  assert.ok(lines.slice(1).some(line => line.msg.type === 'delta'));
+
+  client.send({ type: 'replay', action: 'start', replayId: 'r1', sessionId: meta.id, speed: 20 });
+  const replayed = await client.next(message => message.replay === 'r1' && message.topic === 'orderbook.50.ETHUSDT');
+  assert.equal(replayed.type, 'snapshot');
+  assert.deepEqual(replayed.data.b, lines[0].msg.data.b);
+
+  client.send({ type: 'replay', action: 'stop', replayId: 'r1' });
+  client.send({ action: 'unsubscribe', symbols: ['ETHUSDT'], depth: 50 });
+  client.ws.close();
+});
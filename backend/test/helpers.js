@@ -0,0 +1,74 @@
+/**
+ * BullBook - Shared setup of the route suites
+ */
+
+import { after } from 'node:test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import express from 'express';
+
+/**
+ * Serve routers on a random local port for the rest of the suite
+ *
+ * The environment is set first: the stores, auth and exchange modules read
+ * it at import time, so import them only after this resolves. Data and logs
+ * go to a fresh directory, removed with the server once the suite is done.
+ *
+ * @param {object} routes - Mount path -> router module (e.g. { '/api/auth': '../src/api/auth-routes.js' })
+ * @param {object} env - Variables on top of DATA_DIR, LOG_DIR and JWT_SECRET (undefined deletes one)
+ * @returns {Promise<object>} { baseUrl, dataDir, request(method, route, { body, token }), tokenFor(username) }
+ */
+export async function startApp(routes, env = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bullbook-test-'));
+  Object.entries({
+    DATA_DIR: dataDir,
+    LOG_DIR: path.join(dataDir, 'logs'),
+    JWT_SECRET: 'bullbook-test-secret',
+    ...env
+  }).forEach(([name, value]) => {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  });
+
+  const app = express();
+  app.use(express.json());
+  for (const [mountPath, modulePath] of Object.entries(routes)) {
+    app.use(mountPath, (await import(modulePath)).default);
+  }
+
+  const server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  const { generateToken } = await import('../src/auth/jwt.js');
+  const { default: sessionStore } = await import('../src/auth/session-store.js');
+
+  return {
+    baseUrl,
+    dataDir,
+
+    /**
+     * JSON request (Bearer token if given); body is the parsed answer
+     */
+    async request(method, route, { body, token } = {}) {
+      const response = await fetch(`${baseUrl}${route}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+      return { status: response.status, headers: response.headers, body: await response.json() };
+    },
+
+    /**
+     * Access token of a new session (the account must exist)
+     */
+    tokenFor: username => generateToken({ username }, sessionStore.create(username).session.id)
+  };
+}
@@ -0,0 +1,144 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LoginGuard } from '../src/auth/login-guard.js';
+
+const MINUTE = 60 * 1000;
+
+function guard(overrides = {}) {
+  const clock = { time: 1_000_000 };
+  const instance = new LoginGuard({
+    now: () => clock.time,
+    user: { freeAttempts: 3, lockoutThreshold: 6 },
+    ip: { freeAttempts: 5, lockoutThreshold: 10 },
+    baseDelay: 1000,
+    maxDelay: 4000,
+    lockoutDuration: 15 * MINUTE,
+    failureWindow: 15 * MINUTE,
+    ...overrides
+  });
+  return { guard: instance, clock };
+}
+
+function fail(instance, times, ip = '1.2.3.4', username = 'dag') {
+  let locked = [];
+  for (let i = 0; i < times; i++) locked = instance.recordFailure(ip, username);
+  return locked;
+}
+
+test('free attempts, then exponential backoff up to the cap', () => {
+  const { guard: instance, clock } = guard();
+
+  fail(instance, 2);
+  assert.deepEqual(instance.check('1.2.3.4', 'dag'), { allowed: true });
+
+  fail(instance, 1);
+  assert.deepEqual(instance.check('1.2.3.4', 'dag'), { allowed: false, scope: 'user', reason: 'backoff', retryAfter: 1000 });
+
+  clock.time += 1000;
+  assert.equal(instance.check('1.2.3.4', 'dag').allowed, true);
+
+  fail(instance, 1);
+  assert.equal(instance.check('1.2.3.4', 'dag').retryAfter, 2000);
+  fail(instance, 1);
+  assert.equal(instance.check('1.2.3.4', 'dag').retryAfter, 4000);
+});
+
+test('attempts in flight count against the free attempts', () => {
+  const { guard: instance } = guard();
+
+  for (let i = 0; i < 3; i++) {
+    assert.equal(instance.begin('1.2.3.4', 'dag').allowed, true);
+  }
+  assert.deepEqual(instance.begin('1.2.3.4', 'dag'), { allowed: false, scope: 'user', reason: 'backoff', retryAfter: 1000 });
+
+  // Two fail while the third is still being checked
+  fail(instance, 2);
+  instance.end('1.2.3.4', 'dag');
+  instance.end('1.2.3.4', 'dag');
+  assert.equal(instance.check('1.2.3.4', 'dag').allowed, false);
+
+  instance.recordSuccess('1.2.3.4', 'dag');
+  instance.end('1.2.3.4', 'dag');
+  assert.equal(instance.inFlight.size, 0);
+  assert.equal(instance.check('1.2.3.4', 'dag').allowed, true);
+});
+
+test('too many failures lock the username for the lockout duration', () => {
+  const { guard: instance, clock } = guard();
+
+  assert.deepEqual(fail(instance, 5), []);
+  assert.deepEqual(fail(instance, 1), ['user']);
+
+  const verdict = instance.check('5.6.7.8', 'dag');
+  assert.equal(verdict.reason, 'locked');
+  assert.equal(verdict.retryAfter, 15 * MINUTE);
+  assert.equal(instance.lockedUntil('dag'), clock.time + 15 * MINUTE);
+
+  clock.time += 15 * MINUTE;
+  assert.equal(instance.check('5.6.7.8', 'dag').allowed, true);
+  assert.equal(instance.lockedUntil('dag'), null);
+
+  // Backoff starts over after the lock
+  fail(instance, 1, '5.6.7.8');
+  assert.equal(instance.check('9.9.9.9', 'dag').allowed, true);
+});
+
+test('an IP trying many usernames is throttled and locked', () => {
+  const { guard: instance } = guard();
+
+  ['a', 'b', 'c', 'd', 'e'].forEach(username => fail(instance, 1, '1.2.3.4', username));
+  assert.deepEqual(instance.check('1.2.3.4', 'f'), { allowed: false, scope: 'ip', reason: 'backoff', retryAfter: 1000 });
+  assert.equal(instance.check('4.3.2.1', 'f').allowed, true);
+
+  const locked = ['f', 'g', 'h', 'i', 'j'].flatMap(username => fail(instance, 1, '1.2.3.4', username));
+  assert.deepEqual(locked, ['ip']);
+  assert.equal(instance.check('1.2.3.4', 'anyone').reason, 'locked');
+});
+
+test('success clears the username but not the IP', () => {
+  const { guard: instance } = guard();
+
+  fail(instance, 2);
+  instance.recordSuccess('1.2.3.4', 'dag');
+  fail(instance, 2);
+  assert.equal(instance.check('1.2.3.4', 'dag').allowed, true);
+  assert.equal(instance.list().ips[0].failures, 4);
+});
+
+test('failures are forgotten after the window', () => {
+  const { guard: instance, clock } = guard();
+
+  fail(instance, 2);
+  clock.time += 16 * MINUTE;
+  fail(instance, 2);
+
+  assert.equal(instance.check('1.2.3.4', 'dag').allowed, true);
+  assert.equal(instance.list().users[0].failures, 2);
+});
+
+test('admins can lift lockouts', () => {
+  const { guard: instance } = guard();
+
+  fail(instance, 6);
+  assert.deepEqual(instance.list().users.map(entry => entry.id), ['dag']);
+
+  assert.equal(instance.unlockUser('dag'), true);
+  assert.equal(instance.unlockUser('dag'), false);
+  assert.equal(instance.unlockIp('1.2.3.4'), true);
+  assert.equal(instance.check('1.2.3.4', 'dag').allowed, true);
+  assert.deepEqual(instance.list(), { users: [], ips: [] });
+});
+
+test('sprayed usernames stay under the cap and locks are evicted last', () => {
+  const { guard: instance } = guard({ maxEntries: 5 });
+  fail(instance, 6); // dag locked
+
+  for (let i = 0; i < 50; i++) {
+    fail(instance, 1, `10.0.0.${i}`, `random-${i}`);
+    assert.ok(instance.entries.size <= 5);
+  }
+
+  assert.ok(instance.lockedUntil('dag'));
+  assert.ok(instance.entries.has('user:random-49'));
+  assert.equal(instance.entries.has('user:random-0'), false);
+});
@@ -0,0 +1,112 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { startApp } from './helpers.js';
+
+// Fake Bybit REST API: counts calls, answers slowly enough for requests to overlap
+const upstreamCalls = [];
+const upstream = http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  upstreamCalls.push(`${url.pathname}?${url.searchParams}`);
+
+  const reply = url.searchParams.get('symbol') === 'NOPEUSDT'
+    ? { retCode: 10001, retMsg: 'params error: symbol invalid', result: {} }
+    : { retCode: 0, retMsg: 'OK', result: { s: url.searchParams.get('symbol'), list: [], a: [['101', '2']], b: [['100', '1']] } };
+  setTimeout(() => res.end(JSON.stringify(reply)), 50);
+});
+await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+
+const app = await startApp({ '/api/market': '../src/api/market-routes.js' }, {
+  BYBIT_REST_URL: `http://127.0.0.1:${upstream.address().port}`
+});
+after(() => new Promise(resolve => upstream.close(resolve)));
+
+const { TtlCache } = await import('../src/utils/ttl-cache.js');
+const { BybitMarketClient } = await import('../src/exchanges/bybit-rest.js');
+const { default: userStore } = await import('../src/auth/user-store.js');
+
+userStore.create({ username: 'trader', passwordHash: 'unused' });
+const token = app.tokenFor('trader');
+
+async function get(route, credential = token) {
+  const { status, headers, body } = await app.request('GET', `/api/market${route}`, { token: credential });
+  return { status, cache: headers.get('x-cache'), body };
+}
+
+test('ttl cache expires entries and does not cache failures', async () => {
+  const clock = { time: 0 };
+  const cache = new TtlCache({ now: () => clock.time });
+  let loads = 0;
+  const load = async () => ++loads;
+
+  assert.deepEqual(await cache.get('k', 1000, load), { value: 1, hit: false });
+  assert.deepEqual(await cache.get('k', 1000, load), { value: 1, hit: true });
+  clock.time = 1000;
+  assert.deepEqual(await cache.get('k', 1000, load), { value: 2, hit: false });
+
+  await assert.rejects(cache.get('bad', 1000, async () => { throw new Error('down'); }), /down/);
+  assert.deepEqual(await cache.get('bad', 1000, load), { value: 3, hit: false });
+});
+
+test('ttl cache keeps at most maxEntries', async () => {
+  const cache = new TtlCache({ maxEntries: 2 });
+  for (const key of ['a', 'b', 'c']) await cache.get(key, 1000, async () => key);
+
+  assert.deepEqual([...cache.entries.keys()], ['b', 'c']);
+});
+
+test('market data requires authentication', async () => {
+  assert.equal((await get('/tickers?category=linear', 'nope')).status, 401);
+});
+
+test('orderbook is proxied with the category depth limit and cached', async () => {
+  upstreamCalls.length = 0;
+  const first = await get('/orderbook?category=spot&symbol=BTCUSDT');
+  assert.equal(first.status, 200);
+  assert.equal(first.cache, 'MISS');
+  assert.deepEqual(first.body.a, [['101', '2']]);
+  assert.deepEqual(upstreamCalls, ['/v5/market/orderbook?category=spot&symbol=BTCUSDT&limit=200']);
+
+  const second = await get('/orderbook?symbol=BTCUSDT&category=spot');
+  assert.equal(second.cache, 'HIT');
+  assert.equal(upstreamCalls.length, 1);
+});
+
+test('concurrent requests share one upstream call', async () => {
+  upstreamCalls.length = 0;
+  const responses = await Promise.all(
+    Array.from({ length: 5 }, () => get('/kline?category=linear&symbol=ETHUSDT&interval=5&limit=20'))
+  );
+
+  assert.ok(responses.every(response => response.status === 200));
+  assert.equal(responses.filter(response => response.cache === 'MISS').length, 1);
+  assert.deepEqual(upstreamCalls, ['/v5/market/kline?category=linear&symbol=ETHUSDT&interval=5&limit=20']);
+});
+
+test('invalid parameters are rejected before reaching Bybit', async () => {
+  upstreamCalls.length = 0;
+
+  assert.equal((await get('/orderbook?category=futures&symbol=BTCUSDT')).status, 400);
+  assert.equal((await get('/orderbook?symbol=btc/usdt')).status, 400);
+  assert.equal((await get('/orderbook?symbol=BTCUSDT&category=spot&limit=500')).status, 400);
+  assert.equal((await get('/kline?symbol=BTCUSDT&interval=7')).status, 400);
+  assert.equal((await get('/kline?symbol=BTCUSDT&start=yesterday')).status, 400);
+  assert.equal((await get('/tickers?category=linear&category=spot')).status, 400);
+  assert.equal(upstreamCalls.length, 0);
+});
+
+test('Bybit errors are passed on and not cached', async () => {
+  upstreamCalls.length = 0;
+  const rejected = await get('/tickers?category=linear&symbol=NOPEUSDT');
+
+  assert.equal(rejected.status, 400);
+  assert.equal(rejected.body.error, 'params error: symbol invalid');
+  await get('/tickers?category=linear&symbol=NOPEUSDT');
+  assert.equal(upstreamCalls.length, 2);
+});
+
+test('an unreachable Bybit is a 502', async () => {
+  const client = new BybitMarketClient('http://127.0.0.1:1');
+
+  await assert.rejects(client.get('tickers', { category: 'spot' }), { name: 'MarketError', status: 502 });
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { once } from 'events';
+import { OrderbookRecorder } from '../src/recorder/orderbook-recorder.js';
+import { readSessionLines } from '../src/recorder/session-reader.js';
+import { ReplaySession } from '../src/websocket/replay-session.js';
+
+const KEY = 'bybit:linear:BTCUSDT:50';
+const TOPIC = { exchange: 'bybit', category: 'linear', symbol: 'BTCUSDT', depth: 50 };
+
+test('a session that cannot be written is stopped, not fatal', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bullbook-recorder-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const recorder = new OrderbookRecorder(dir);
+  const meta = recorder.start(KEY, TOPIC);
+  fs.rmSync(path.join(dir, meta.id), { recursive: true, force: true }); // Before the segment file opens
+
+  const [key, failed] = await once(recorder, 'failed');
+  assert.equal(key, KEY);
+  assert.match(failed.error, /ENOENT/);
+  assert.equal(recorder.isRecording(KEY), false);
+
+  recorder.record(KEY, { type: 'delta' }); // Ignored, no throw
+});
+
+test('recorded sessions are read back and unreadable segments are skipped', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bullbook-recorder-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const recorder = new OrderbookRecorder(dir);
+  recorder.start(KEY, TOPIC);
+  recorder.record(KEY, { type: 'snapshot' }, 1000);
+  recorder.record(KEY, { type: 'delta' }, 1100);
+  const meta = recorder.stop(KEY);
+  await new Promise(resolve => setTimeout(resolve, 100)); // gzip trailer
+
+  // A directory where a segment should be: reading it fails after existsSync
+  const broken = { ...meta, segments: [{ file: '.' }, ...meta.segments] };
+  const lines = [];
+  for await (const line of readSessionLines(recorder.sessionDir(meta.id), broken)) {
+    lines.push(line);
+  }
+
+  assert.deepEqual(lines, [{ rt: 1000, msg: { type: 'snapshot' } }, { rt: 1100, msg: { type: 'delta' } }]);
+});
+
+test('a malformed recorded line ends the replay with an error', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bullbook-recorder-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const recorder = new OrderbookRecorder(dir);
+  recorder.start(KEY, TOPIC);
+  recorder.record(KEY, null, Date.now());
+  const meta = recorder.stop(KEY);
+  await new Promise(resolve => setTimeout(resolve, 100)); // gzip trailer
+
+  const sent = [];
+  const ws = { readyState: 1, send: raw => sent.push(JSON.parse(raw)) }; // WebSocket.OPEN
+  const replay = new ReplaySession(ws, 'r1', meta, recorder.sessionDir(meta.id));
+  replay.start(meta.stoppedAt, 20);
+
+  await new Promise(resolve => setTimeout(resolve, 200));
+  assert.deepEqual(sent.at(-1), { type: 'error', error: 'Replay failed', replayId: 'r1' });
+  assert.equal(replay.state, 'ended');
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OrderBookState } from '../src/websocket/orderbook-state.js';
+
+function snapshot(u, extra = {}) {
+  return {
+    type: 'snapshot',
+    ts: 1,
+    data: { b: [['100', '1'], ['99', '2']], a: [['101', '1'], ['102', '2']], u, ...extra }
+  };
+}
+
+function delta(data) {
+  return { type: 'delta', ts: 2, data };
+}
+
+test('delta before snapshot is rejected', () => {
+  const book = new OrderBookState('bybit', 'linear', 'BTCUSDT', 50);
+
+  assert.equal(book.isReady, false);
+  assert.equal(book.applyDelta(delta({ b: [['100', '3']], u: 5 })), false);
+});
+
+test('consecutive deltas apply, zero size removes the level', () => {
+  const book = new OrderBookState('bybit', 'linear', 'BTCUSDT', 50);
+  book.applySnapshot(snapshot(10));
+
+  assert.equal(book.applyDelta(delta({ b: [['99', '0'], ['99.5', '4']], a: [['101', '3']], u: 11 })), true);
+
+  const { data } = book.toSnapshotMessage();
+  assert.deepEqual(data.b, [['100', '1'], ['99.5', '4']]);
+  assert.deepEqual(data.a, [['101', '3'], ['102', '2']]);
+  assert.equal(data.u, 11);
+});
+
+test('gap in u is rejected and leaves the book untouched', () => {
+  const book = new OrderBookState('bybit', 'linear', 'BTCUSDT', 50);
+  book.applySnapshot(snapshot(10));
+
+  assert.equal(book.applyDelta(delta({ b: [['100', '9']], u: 12 })), false);
+  assert.equal(book.updateId, 10);
+  assert.deepEqual(book.toSnapshotMessage().data.b[0], ['100', '1']);
+});
+
+test('u=1 without pu resets the book', () => {
+  const book = new OrderBookState('bybit', 'linear', 'BTCUSDT', 50);
+  book.applySnapshot(snapshot(500));
+
+  assert.equal(book.applyDelta(delta({ b: [['50', '1']], a: [['51', '1']], u: 1 })), true);
+
+  const { data } = book.toSnapshotMessage();
+  assert.deepEqual(data.b, [['50', '1']]);
+  assert.deepEqual(data.a, [['51', '1']]);
+  assert.equal(data.u, 1);
+});
+
+test('pu chains explicitly (Binance style)', () => {
+  const book = new OrderBookState('binance', 'linear', 'BTCUSDT', 50);
+  book.applySnapshot(snapshot(100));
+
+  assert.equal(book.applyDelta(delta({ b: [['100', '2']], u: 140, pu: 100 })), true);
+  assert.equal(book.applyDelta(delta({ b: [['100', '3']], u: 150, pu: 139 })), false);
+  assert.equal(book.updateId, 140);
+});
+
+test('stale seq is rejected', () => {
+  const book = new OrderBookState('bybit', 'linear', 'BTCUSDT', 50);
+  book.applySnapshot(snapshot(10, { seq: 1000 }));
+
+  assert.equal(book.applyDelta(delta({ b: [['100', '2']], u: 11, seq: 999 })), false);
+  assert.equal(book.applyDelta(delta({ b: [['100', '2']], u: 11, seq: 1001 })), true);
+});
+
+test('snapshot message is sorted and trimmed to depth', () => {
+  const book = new OrderBookState('bybit', 'linear', 'BTCUSDT', 2);
+  book.applySnapshot({
+    type: 'snapshot',
+    ts: 1,
+    data: { b: [['9', '1'], ['10', '1'], ['8', '1']], a: [['12', '1'], ['100', '1'], ['11', '1']], u: 1 }
+  });
+
+  const message = book.toSnapshotMessage();
+  assert.equal(message.topic, 'orderbook.2.BTCUSDT');
+  assert.deepEqual(message.data.b, [['10', '1'], ['9', '1']]);
+  assert.deepEqual(message.data.a, [['11', '1'], ['12', '1']]);
+});
@@ -0,0 +1,75 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startApp } from './helpers.js';
+import { MockBybitServer } from '../src/mock/bybit-mock-server.js';
+
+const mock = new MockBybitServer({ port: 0, interval: 50, seed: 42 });
+const mockPort = await mock.start();
+
+// dag becomes admin through ADMIN_USERS
+const app = await startApp({ '/api/recorder': '../src/api/recorder-routes.js' }, {
+  BYBIT_WS_BASE_URL: `ws://127.0.0.1:${mockPort}/v5/public`,
+  BYBIT_WS_URL: undefined,
+  RECORDINGS_DIR: path.join(os.tmpdir(), `bullbook-test-recordings-${process.pid}`),
+  RECORDER_MAX_ACTIVE: '2',
+  USER_DAG_PASSWORD: 'dag-test-password',
+  USER_BULL_PASSWORD: 'bull-test-password',
+  ADMIN_USERS: 'dag'
+});
+
+const { default: proxy } = await import('../src/websocket/bybit-proxy.js');
+
+after(async () => {
+  proxy.cleanup();
+  await mock.stop();
+  fs.rmSync(process.env.RECORDINGS_DIR, { recursive: true, force: true });
+});
+
+const adminToken = app.tokenFor('dag');
+const userToken = app.tokenFor('bull');
+
+function call(method, route, body, token = adminToken) {
+  return app.request(method, `/api/recorder${route}`, { body, token });
+}
+
+test('only admins start and stop recordings', async () => {
+  const topic = { symbol: 'BTCUSDT', depth: 50 };
+
+  assert.equal((await call('GET', '', undefined, userToken)).status, 200);
+  const { status, body } = await call('POST', '/start', topic, userToken);
+  assert.equal(status, 403);
+  assert.deepEqual(body, { error: 'Admin role required' });
+  assert.equal((await call('POST', '/stop', topic, userToken)).status, 403);
+  assert.equal(proxy.isRecording({ exchange: 'bybit', category: 'linear', ...topic }), false);
+});
+
+test('depths the venue does not serve are rejected', async () => {
+  const { status, body } = await call('POST', '/start', { symbol: 'BTCUSDT', depth: 7 });
+  assert.equal(status, 400);
+  assert.match(body.error, /Unsupported depth/);
+
+  const spot = await call('POST', '/start', { symbol: 'BTCUSDT', depth: 1000, category: 'spot' });
+  assert.equal(spot.status, 400);
+  assert.equal((await call('GET', '')).body.active.length, 0);
+});
+
+test('active recordings are capped', async () => {
+  assert.equal((await call('POST', '/start', { symbol: 'BTCUSDT', depth: 50 })).status, 200);
+  assert.equal((await call('POST', '/start', { symbol: 'ETHUSDT', depth: 50 })).status, 200);
+
+  const { status, body } = await call('POST', '/start', { symbol: 'SOLUSDT', depth: 50 });
+  assert.equal(status, 409);
+  assert.deepEqual(body, { error: 'Too many active recordings (max 2)' });
+
+  // Starting one already recording is a no-op, not a new recording
+  assert.equal((await call('POST', '/start', { symbol: 'BTCUSDT', depth: 50 })).status, 200);
+
+  assert.equal((await call('POST', '/stop', { symbol: 'ETHUSDT', depth: 50 })).status, 200);
+  assert.equal((await call('POST', '/start', { symbol: 'SOLUSDT', depth: 50 })).status, 200);
+
+  assert.equal((await call('POST', '/stop', { symbol: 'BTCUSDT', depth: 50 })).status, 200);
+  assert.equal((await call('POST', '/stop', { symbol: 'SOLUSDT', depth: 50 })).status, 200);
+});
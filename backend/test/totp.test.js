@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  otpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} from '../src/auth/totp.js';
+
+// RFC 6238 appendix B (SHA-1 secret "12345678901234567890"), last 6 digits
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+const RFC_VECTORS = [[59, '287082'], [1111111109, '081804'], [1111111111, '050471'], [1234567890, '005924'], [2000000000, '279037']];
+
+test('base32 round-trips and ignores case, spaces and padding', () => {
+  assert.equal(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  assert.equal(base32Decode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq').toString(), '12345678901234567890');
+  assert.equal(base32Decode(base32Encode(Buffer.from('f'))).toString(), 'f');
+  assert.equal(base32Decode('MY======').toString(), 'f');
+  assert.throws(() => base32Decode('ABC1'), /Invalid base32/);
+  assert.match(generateSecret(), /^[A-Z2-7]{32}$/);
+});
+
+test('codes match the RFC 6238 test vectors', () => {
+  RFC_VECTORS.forEach(([seconds, code]) => {
+    assert.equal(generateTotp(RFC_SECRET, Math.floor(seconds / 30)), code);
+    assert.equal(verifyTotp(RFC_SECRET, code, { now: seconds * 1000, window: 0 }), Math.floor(seconds / 30));
+  });
+});
+
+test('one step of clock drift is accepted, used steps are not', () => {
+  const now = 1111111111 * 1000;
+  const step = Math.floor(now / 30000);
+
+  assert.equal(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step - 1), { now }), step - 1);
+  assert.equal(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step + 1), { now }), step + 1);
+  assert.equal(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step - 2), { now }), null);
+  assert.equal(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step), { now, after: step }), null);
+  assert.equal(verifyTotp(RFC_SECRET, '050 471', { now }), step);
+  assert.equal(verifyTotp(RFC_SECRET, 'abcdef', { now }), null);
+  assert.equal(verifyTotp(RFC_SECRET, undefined, { now }), null);
+});
+
+test('otpauth URIs carry the secret and issuer', () => {
+  const uri = new URL(otpauthUri('JBSWY3DPEHPK3PXP', 'Senior'));
+
+  assert.equal(uri.protocol, 'otpauth:');
+  assert.equal(uri.host, 'totp');
+  assert.equal(decodeURIComponent(uri.pathname), '/BullBook:Senior');
+  assert.equal(uri.searchParams.get('secret'), 'JBSWY3DPEHPK3PXP');
+  assert.equal(uri.searchParams.get('issuer'), 'BullBook');
+  assert.equal(uri.searchParams.get('digits'), '6');
+});
+
+test('recovery codes are unique and hashed independently of formatting', () => {
+  const codes = generateRecoveryCodes();
+
+  assert.equal(codes.length, 10);
+  assert.equal(new Set(codes).size, 10);
+  codes.forEach(code => assert.match(code, /^[a-z2-7]{4}-[a-z2-7]{4}$/));
+  assert.equal(hashRecoveryCode(codes[0]), hashRecoveryCode(` ${codes[0].toUpperCase().replace('-', '')} `));
+  assert.notEqual(hashRecoveryCode(codes[0]), hashRecoveryCode(codes[1]));
+});
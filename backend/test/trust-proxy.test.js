@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import proxyaddr from 'proxy-addr';
+import { parseTrustProxy, compileTrust } from '../src/utils/trust-proxy.js';
+
+// Client 6.6.6.6 spoofs 1.2.3.4; the proxy at 127.0.0.1 appends the address it saw
+const req = {
+  socket: { remoteAddress: '127.0.0.1' },
+  headers: { 'x-forwarded-for': '1.2.3.4, 6.6.6.6' }
+};
+
+const clientIp = value => proxyaddr(req, compileTrust(parseTrustProxy(value)));
+
+test('one trusted hop by default ignores spoofed entries', () => {
+  assert.equal(parseTrustProxy(), 1);
+  assert.equal(clientIp(undefined), '6.6.6.6');
+});
+
+test('trusted proxies by address', () => {
+  assert.equal(clientIp('loopback'), '6.6.6.6');
+  assert.equal(clientIp('10.0.0.0/8'), '127.0.0.1');
+});
+
+test('false ignores the header, true believes all of it', () => {
+  assert.equal(clientIp('false'), '127.0.0.1');
+  assert.equal(clientIp('true'), '1.2.3.4');
+});
@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { startApp } from './helpers.js';
+
+const app = await startApp({ '/api/user': '../src/api/user-routes.js' }, { USER_BULL_PASSWORD: 'bull-test-password' });
+const { dataDir } = app;
+
+const { JsonStore } = await import('../src/utils/json-store.js');
+
+const token = app.tokenFor('bull');
+
+function call(method, route, body) {
+  return app.request(method, `/api/user${route}`, { body, token });
+}
+
+function storedEntry() {
+  return new JsonStore(path.join(dataDir, 'users.json')).get('bull');
+}
+
+const preset = { symbols: ['BTCUSDT', 'ETHUSDT'], manualSources: ['L50', 'L200'] };
+
+test('preferences require a token', async () => {
+  assert.equal((await app.request('GET', '/api/user/preferences')).status, 401);
+});
+
+test('defaults are returned with an empty preset map', async () => {
+  const { status, body } = await call('GET', '/preferences');
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.preferences.symbols, ['BTCUSDT', 'ETHUSDT', 'SOLUSDT']);
+  assert.deepEqual(body.preferences.presets, {});
+});
+
+test('updates are merged and written to the store file', async () => {
+  const layout = { columns: 2, rows: 0, colSizes: [1, 1], rowHeights: [] };
+  const { status, body } = await call('PUT', '/preferences', { preferences: { layout, depth: 20 } });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.preferences.layout, layout);
+  assert.equal(body.preferences.depth, 20);
+  assert.deepEqual(storedEntry().settings, { layout, depth: 20 });
+});
+
+test('stale updatedAt values do not overwrite newer ones', async () => {
+  await call('PUT', '/preferences', { preferences: { books: { symbols: ['SOLUSDT'], updatedAt: 2000 } } });
+  const { body } = await call('PUT', '/preferences', {
+    preferences: { books: { symbols: ['XRPUSDT'], updatedAt: 1000 }, priceDecimals: 1 }
+  });
+
+  assert.deepEqual(body.preferences.books, { symbols: ['SOLUSDT'], updatedAt: 2000 });
+  assert.equal(body.preferences.priceDecimals, 1);
+});
+
+test('presets cannot be written through the settings route', async () => {
+  const { body } = await call('PUT', '/preferences', { preferences: { presets: { 1: preset } } });
+
+  assert.deepEqual(body.preferences.presets, {});
+});
+
+test('non-object preferences are rejected', async () => {
+  assert.equal((await call('PUT', '/preferences', { preferences: ['x'] })).status, 400);
+  assert.equal((await call('PUT', '/preferences', {})).status, 400);
+});
+
+test('preset revisions: create, update, conflict and forced overwrite', async () => {
+  const created = await call('PUT', '/preferences/presets/1', { preset, baseRev: 0 });
+  assert.equal(created.status, 200);
+  assert.equal(created.body.preset.rev, 1);
+  assert.deepEqual(created.body.preset.symbols, preset.symbols);
+
+  const updated = await call('PUT', '/preferences/presets/1', { preset: { symbols: ['SOLUSDT'] }, baseRev: 1 });
+  assert.equal(updated.body.preset.rev, 2);
+
+  // Second device still on revision 1
+  const conflict = await call('PUT', '/preferences/presets/1', { preset, baseRev: 1 });
+  assert.equal(conflict.status, 409);
+  assert.deepEqual(conflict.body.preset.symbols, ['SOLUSDT']);
+  assert.equal(conflict.body.preset.rev, 2);
+
+  const forced = await call('PUT', '/preferences/presets/1', { preset, baseRev: 1, force: true });
+  assert.equal(forced.status, 200);
+  assert.equal(forced.body.preset.rev, 3);
+
+  const { body } = await call('GET', '/preferences');
+  assert.deepEqual(body.preferences.presets['1'].symbols, preset.symbols);
+  assert.equal(storedEntry().presets['1'].rev, 3);
+});
+
+test('saving a new slot that another device already filled is a conflict', async () => {
+  await call('PUT', '/preferences/presets/2', { preset, baseRev: 0 });
+  const { status, body } = await call('PUT', '/preferences/presets/2', { preset, baseRev: 0 });
+
+  assert.equal(status, 409);
+  assert.equal(body.preset.rev, 1);
+});
+
+test('invalid slots and presets are rejected', async () => {
+  assert.equal((await call('PUT', '/preferences/presets/6', { preset })).status, 400);
+  assert.equal((await call('PUT', '/preferences/presets/abc', { preset })).status, 400);
+  assert.equal((await call('PUT', '/preferences/presets/3', { preset: { symbols: [] } })).status, 400);
+  assert.equal((await call('PUT', '/preferences/presets/3', {})).status, 400);
+});
+
+test('store survives a reload and sets corrupt files aside', () => {
+  const file = path.join(dataDir, 'reload.json');
+  new JsonStore(file).set('dag', { settings: { depth: 50 } });
+  assert.deepEqual(new JsonStore(file).get('dag'), { settings: { depth: 50 } });
+
+  fs.writeFileSync(file, '{ not json');
+  const store = new JsonStore(file);
+  assert.equal(store.get('dag'), undefined);
+  assert.ok(fs.readdirSync(dataDir).some(name => name.startsWith('reload.json.corrupt-')));
+});
@@ -0,0 +1,86 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Read at import time by the user store (only dag and Senior have v1.0 passwords)
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bullbook-users-'));
+process.env.DATA_DIR = dataDir;
+process.env.LOG_DIR = path.join(dataDir, 'logs');
+process.env.USER_DAG_PASSWORD = 'dag-test-password';
+process.env.USER_SENIOR_PASSWORD = 'senior-test-password';
+delete process.env.USER_BULL_PASSWORD;
+
+const { hashPassword, verifyPassword } = await import('../src/auth/passwords.js');
+const { default: userStore } = await import('../src/auth/user-store.js');
+const { findUser, validateCredentials, importLegacyUsers } = await import('../src/auth/users.js');
+
+const usersFile = path.join(dataDir, 'users.json');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('password hashes are salted and verified', async () => {
+  const first = await hashPassword('secret');
+  const second = await hashPassword('secret');
+
+  assert.match(first, /^scrypt\$16384\$8\$1\$[^$]+\$[^$]+$/);
+  assert.notEqual(first, second);
+  assert.equal(await verifyPassword('secret', first), true);
+  assert.equal(await verifyPassword('Secret', first), false);
+});
+
+test('malformed hashes never verify', async () => {
+  assert.equal(await verifyPassword('secret', undefined), false);
+  assert.equal(await verifyPassword('secret', 'secret'), false);
+  assert.equal(await verifyPassword('secret', 'scrypt$16384$8$1$c2FsdA==$'), false);
+  assert.equal(await verifyPassword('secret', 'bcrypt$1$2$3$4$5'), false);
+});
+
+test('only v1.0 accounts with a password variable are imported', () => {
+  assert.deepEqual(userStore.list().map(user => user.username).sort(), ['Senior', 'dag']);
+  assert.equal(findUser('bull'), null);
+  assert.equal(findUser('Senior').preferences.depth, 20);
+  assert.deepEqual(findUser('dag').preferences.symbols, ['BTCUSDT', 'ETHUSDT', 'SOLUSDT']);
+});
+
+test('the store file holds hashes only and is private', () => {
+  const content = fs.readFileSync(usersFile, 'utf8');
+
+  assert.ok(!content.includes('dag-test-password'));
+  assert.ok(JSON.parse(content).dag.passwordHash.startsWith('scrypt$'));
+  assert.equal(fs.statSync(usersFile).mode & 0o777, 0o600);
+  assert.equal(findUser('dag').passwordHash, undefined);
+});
+
+test('later imports pick up new variables and leave existing users alone', async () => {
+  const imported = await importLegacyUsers({
+    USER_DAG_PASSWORD: 'changed',
+    USER_BULL_PASSWORD: 'bull-test-password'
+  });
+
+  assert.deepEqual(imported, ['bull']);
+  assert.ok(await validateCredentials('dag', 'dag-test-password'));
+  assert.equal(await validateCredentials('dag', 'changed'), null);
+});
+
+test('credentials are checked against the stored hash', async () => {
+  const user = await validateCredentials('dag', 'dag-test-password');
+
+  assert.equal(user.username, 'dag');
+  assert.equal(user.passwordHash, undefined);
+  assert.deepEqual(user.preferences.presets, {});
+  assert.equal(await validateCredentials('dag', 'dag123'), null);
+  assert.equal(await validateCredentials('nobody', 'dag-test-password'), null);
+});
+
+test('disabled users cannot log in', async () => {
+  userStore.update('Senior', { enabled: false });
+
+  assert.equal(await validateCredentials('Senior', 'senior-test-password'), null);
+});
+
+test('usernames are validated and unique', () => {
+  assert.throws(() => userStore.create({ username: '../etc', passwordHash: 'x' }), /Invalid username/);
+  assert.throws(() => userStore.create({ username: 'dag', passwordHash: 'x' }), /already exists/);
+});
@@ -1,71 +1,59 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useMemo, useRef } from 'react'
 import { AuthProvider, useAuth } from './context/AuthContext'
 import { WebSocketProvider } from './context/WebSocketContext'
 import { Login } from './components/Login'
 import { OrderBook } from './components/OrderBook'
+import { BookGrid } from './components/BookGrid'
+import { AdminPanel } from './components/AdminPanel'
+import { SessionsPanel } from './components/SessionsPanel'
+import {
+  MAX_BOOKS,
+  MAX_COLUMNS,
+  MAX_ROWS,
+  fitArray,
+  moveItem,
+  normalizeLayout,
+  removeAt,
+  withColumns,
+  withRows
+} from './utils/gridLayout'
+import { LEGACY_BOOK_KEYS, normalizeBooks, reshapeBooks, sameBooks, setBookField } from './utils/books'
+import { safeGetJSON, safeRemove, safeSetJSON } from './utils/storage'
 import './App.css'
 
-function AppContent() {
-  const { user, isLoading, logout } = useAuth()
-  const [status, setStatus] = useState('Loading...')
+const PRESET_SLOTS = [1, 2, 3, 4, 5]
 
-  // Preset system: initialize with lazy function to avoid re-renders
-  const [currentSymbols, setCurrentSymbols] = useState(() => {
-    // Try to load from localStorage first
-    const saved = localStorage.getItem('bullbook_current_symbols')
-    if (saved) {
-      try {
-        return JSON.parse(saved)
-      } catch (e) {
-        console.error('[App] Failed to load symbols:', e)
-      }
-    }
-    // Fallback to defaults
-    return ['BTCUSDT', 'ETHUSDT', 'SOLUSDT']
-  })
+// Stable React keys for books, so moving a book keeps its component (and subscription)
+let bookIdCounter = 0
+const newBookId = () => `book-${++bookIdCounter}`
 
-  // Per-book settings for L source and tick (independent for each book)
-  const [manualSources, setManualSources] = useState(() => {
-    const saved = localStorage.getItem('bullbook_manual_sources')
-    if (saved) {
-      try {
-        return JSON.parse(saved)
-      } catch (e) {
-        console.error('[App] Failed to load manual sources:', e)
-      }
-    }
-    // Default: L200 for all books
-    return ['L200', 'L200', 'L200']
+/**
+ * Workspace from localStorage keys written before preferences were stored server-side
+ */
+function loadLegacyBooks() {
+  const legacy = {}
+  Object.entries(LEGACY_BOOK_KEYS).forEach(([field, key]) => {
+    legacy[field] = safeGetJSON(key)
   })
+  return legacy
+}
 
-  const [tickSizeModes, setTickSizeModes] = useState(() => {
-    const saved = localStorage.getItem('bullbook_tick_modes')
-    if (saved) {
-      try {
-        return JSON.parse(saved)
-      } catch (e) {
-        console.error('[App] Failed to load tick modes:', e)
-      }
-    }
-    // Default: auto for all books
-    return ['auto', 'auto', 'auto']
-  })
+function formatSavedAt(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString('it-IT', { hour12: false }) : 'unknown time'
+}
 
-  const [manualTickSizes, setManualTickSizes] = useState(() => {
-    const saved = localStorage.getItem('bullbook_manual_ticks')
-    if (saved) {
-      try {
-        return JSON.parse(saved)
-      } catch (e) {
-        console.error('[App] Failed to load manual ticks:', e)
-      }
-    }
-    // Default: 1 for all books
-    return [1, 1, 1]
-  })
+function Dashboard() {
+  const { user, logout, updatePreferences, savePreset } = useAuth()
+  const [status, setStatus] = useState('Loading...')
+  const [showAdmin, setShowAdmin] = useState(false)
+  const [showSessions, setShowSessions] = useState(false)
+
+  // Books on screen: server workspace first, then what older versions kept in localStorage
+  const [books, setBooks] = useState(() => normalizeBooks(user.preferences?.books || loadLegacyBooks()))
+  const [bookIds, setBookIds] = useState(() => books.symbols.map(newBookId))
 
   const [activePreset, setActivePreset] = useState(() => {
-    // Load active preset from localStorage (persistent across refreshes)
+    // Load active preset from localStorage (persistent across refreshes, per device)
     const saved = localStorage.getItem('bullbook_active_preset')
     return saved ? parseInt(saved) : null
   })
@@ -79,20 +67,30 @@ function AppContent() {
     }
   }, [activePreset])
 
-  // Auto-save L sources to localStorage when they change
-  useEffect(() => {
-    localStorage.setItem('bullbook_manual_sources', JSON.stringify(manualSources))
-  }, [manualSources])
+  // Last books exchanged with preferences ({ books, updatedAt }); a workspace never
+  // stored server-side (first start, legacy localStorage) is uploaded right away
+  const remoteBooks = user.preferences?.books
+  const syncedRef = useRef(remoteBooks ? { books, updatedAt: remoteBooks.updatedAt || 0 } : { books: null, updatedAt: 0 })
 
-  // Auto-save tick modes to localStorage when they change
+  // Local edits go to preferences.books, stamped so older edits from other devices lose
   useEffect(() => {
-    localStorage.setItem('bullbook_tick_modes', JSON.stringify(tickSizeModes))
-  }, [tickSizeModes])
+    if (sameBooks(books, syncedRef.current.books)) return
+
+    const updatedAt = Date.now()
+    syncedRef.current = { books, updatedAt }
+    updatePreferences({ books: { ...books, updatedAt } })
+  }, [books, updatePreferences])
 
-  // Auto-save manual tick sizes to localStorage when they change
+  // Newer books from another device replace the local ones (books in the same position keep their component)
   useEffect(() => {
-    localStorage.setItem('bullbook_manual_ticks', JSON.stringify(manualTickSizes))
-  }, [manualTickSizes])
+    if (!remoteBooks || !(remoteBooks.updatedAt > syncedRef.current.updatedAt)) return
+
+    const next = normalizeBooks(remoteBooks)
+    syncedRef.current = { books: next, updatedAt: remoteBooks.updatedAt }
+    setBooks(prev => (sameBooks(prev, next) ? prev : next))
+    setBookIds(prev => fitArray(prev, next.symbols.length, null).map(id => id || newBookId()))
+    setActivePreset(null)
+  }, [remoteBooks])
 
   // Test backend health
   const testBackend = async () => {
@@ -112,132 +110,119 @@ function AppContent() {
     return () => clearInterval(interval)
   }, [])
 
-  // Save preset to localStorage (1-5)
-  const savePreset = (slot) => {
-    if (slot < 1 || slot > 5) return
+  // Presets (slots 1-5) live in preferences, with a revision per slot
+  const presets = user.preferences?.presets || {}
+
+  // Presets saved in localStorage by older versions are uploaded once
+  // (a slot already filled on the server keeps the server copy)
+  useEffect(() => {
+    PRESET_SLOTS.forEach(async slot => {
+      const legacy = safeGetJSON(`bullbook_preset_${slot}`)
+      if (!legacy) return
 
-    const preset = {
-      symbols: currentSymbols,
-      manualSources: manualSources,
-      tickSizeModes: tickSizeModes,
-      manualTickSizes: manualTickSizes,
-      timestamp: Date.now()
+      const result = await savePreset(slot, normalizeBooks(legacy), { baseRev: 0 })
+      if (result.error) return // Retried on next start
+
+      if (result.conflict) {
+        console.warn(`[Preset] Slot ${slot} already saved on the server, local copy dropped`)
+      }
+      safeRemove(`bullbook_preset_${slot}`)
+    })
+  }, [])
+
+  // Grid layout lives in user preferences
+  const layout = useMemo(() => normalizeLayout(user.preferences?.layout), [user])
+
+  const handleLayoutChange = (newLayout) => {
+    updatePreferences({ layout: normalizeLayout(newLayout) })
+  }
+
+  // Save current books and layout to a preset slot (1-5); if another device
+  // saved the slot since we last saw it, ask before overwriting its version
+  const handleSavePreset = async (slot) => {
+    const preset = { ...books, layout }
+    let result = await savePreset(slot, preset)
+
+    if (result.conflict !== undefined) {
+      const savedAt = formatSavedAt(result.conflict?.updatedAt)
+      const overwrite = window.confirm(
+        `Preset ${slot} was changed on another device (saved ${savedAt}).\n\n` +
+        'OK: overwrite it with the current books\nCancel: keep the other version'
+      )
+      if (!overwrite) return
+      result = await savePreset(slot, preset, { force: true })
+    }
+
+    if (result.error) {
+      alert(`Failed to save preset ${slot}: ${result.error}`)
+      return
     }
 
-    localStorage.setItem(`bullbook_preset_${slot}`, JSON.stringify(preset))
     setActivePreset(slot)
-    console.log(`[Preset] Saved slot ${slot}:`, preset)
+    console.log(`[Preset] Saved slot ${slot} (rev ${result.preset.rev})`)
   }
 
-  // Load preset from localStorage (1-5)
+  // Load preset (1-5)
   const loadPreset = (slot) => {
-    if (slot < 1 || slot > 5) return
-
-    const saved = localStorage.getItem(`bullbook_preset_${slot}`)
-    if (!saved) {
+    const preset = presets[slot]
+    if (!preset) {
       console.log(`[Preset] Slot ${slot} is empty`)
       return
     }
 
     // Auto-save current state to backup if unsaved changes
     if (activePreset === null) {
-      const backup = {
-        symbols: currentSymbols,
-        manualSources: manualSources,
-        tickSizeModes: tickSizeModes,
-        manualTickSizes: manualTickSizes,
-        timestamp: Date.now()
-      }
-      localStorage.setItem('bullbook_preset_backup', JSON.stringify(backup))
+      safeSetJSON('bullbook_preset_backup', { ...books, timestamp: Date.now() })
       console.log('[Preset] Auto-saved current state to backup')
     }
 
-    try {
-      const preset = JSON.parse(saved)
-      setCurrentSymbols(preset.symbols)
-
-      // Handle both old single-value and new array format
-      setManualSources(preset.manualSources || [preset.manualSource || 'L200', 'L200', 'L200'])
-      setTickSizeModes(preset.tickSizeModes || [preset.tickSizeMode || 'auto', 'auto', 'auto'])
-      setManualTickSizes(preset.manualTickSizes || [preset.manualTickSize || 1, 1, 1])
-      setActivePreset(slot)
-
-      // Save to current state
-      localStorage.setItem('bullbook_current_symbols', JSON.stringify(preset.symbols))
-      localStorage.setItem('bullbook_manual_sources', JSON.stringify(preset.manualSources || [preset.manualSource || 'L200', 'L200', 'L200']))
-      localStorage.setItem('bullbook_tick_modes', JSON.stringify(preset.tickSizeModes || [preset.tickSizeMode || 'auto', 'auto', 'auto']))
-      localStorage.setItem('bullbook_manual_ticks', JSON.stringify(preset.manualTickSizes || [preset.manualTickSize || 1, 1, 1]))
-
-      console.log(`[Preset] Loaded slot ${slot}:`, preset)
-    } catch (e) {
-      console.error(`[Preset] Failed to load slot ${slot}:`, e)
+    // Presets keep their own book count (and layout, if saved with one)
+    const next = normalizeBooks(preset)
+    setBooks(next)
+    setBookIds(next.symbols.map(newBookId))
+    if (preset.layout) {
+      handleLayoutChange(preset.layout)
     }
-  }
+    setActivePreset(slot)
 
-  // Check if a preset slot has data
-  const isSlotFilled = (slot) => {
-    return localStorage.getItem(`bullbook_preset_${slot}`) !== null
+    console.log(`[Preset] Loaded slot ${slot} (rev ${preset.rev})`)
   }
 
-  // Handle symbol change from OrderBook
-  const handleSymbolChange = (index, newSymbol) => {
-    const newSymbols = [...currentSymbols]
-    newSymbols[index] = newSymbol
-    setCurrentSymbols(newSymbols)
-    setActivePreset(null) // Mark as modified
-
-    // Save to localStorage immediately
-    localStorage.setItem('bullbook_current_symbols', JSON.stringify(newSymbols))
+  // Change one setting of one book (mark preset as modified)
+  const handleBookChange = (index, field, value) => {
+    setBooks(prev => setBookField(prev, field, index, value))
+    setActivePreset(null)
   }
 
-  // Handle L source change for specific book (mark preset as modified)
-  const handleManualSourceChange = (index, newSource) => {
-    const newSources = [...manualSources]
-    newSources[index] = newSource
-    setManualSources(newSources)
+  // Add/remove/move apply to every per-book array and the book ids alike
+  const changeBooks = (transform) => {
+    setBooks(prev => reshapeBooks(prev, transform))
+    setBookIds(prev => transform(prev, null).map(id => id || newBookId()))
     setActivePreset(null) // Mark as modified
   }
 
-  // Handle tick mode change for specific book (mark preset as modified)
-  const handleTickSizeModeChange = (index, newMode) => {
-    const newModes = [...tickSizeModes]
-    newModes[index] = newMode
-    setTickSizeModes(newModes)
-    setActivePreset(null) // Mark as modified
+  const handleAddBook = () => {
+    if (books.symbols.length >= MAX_BOOKS) return
+    changeBooks((list, fallback) => [...list, fallback])
   }
 
-  // Handle manual tick size change for specific book (mark preset as modified)
-  const handleManualTickSizeChange = (index, newSize) => {
-    const newSizes = [...manualTickSizes]
-    newSizes[index] = newSize
-    setManualTickSizes(newSizes)
-    setActivePreset(null) // Mark as modified
+  const handleRemoveBook = (index) => {
+    if (books.symbols.length <= 1) return
+    changeBooks(list => removeAt(list, index))
   }
 
-  // Show loading while checking auth
-  if (isLoading) {
-    return (
-      <div className="app">
-        <div className="loading-screen">
-          <h1>🐂 BullBook</h1>
-          <p>Loading...</p>
-        </div>
-      </div>
-    )
-  }
-
-  // Show login if not authenticated
-  if (!user) {
-    return <Login />
+  const handleMoveBook = (from, to) => {
+    changeBooks(list => moveItem(list, from, to))
   }
 
   // Get user preferences or use defaults
   const depth = user.preferences?.depth || 50
   const priceDecimals = user.preferences?.priceDecimals || 2
   const sizeDecimals = user.preferences?.sizeDecimals || 3
+  const updateInterval = user.preferences?.updateInterval // ms, undefined = auto (realtime desktop, throttled mobile)
 
   return (
-    <WebSocketProvider>
+    <WebSocketProvider updateInterval={updateInterval}>
       <div className="app">
         <header className="app-header">
           <div className="header-left">
@@ -245,7 +230,14 @@ function AppContent() {
             <p className="subtitle">Bybit Perpetual OrderBook</p>
           </div>
           <div className="header-right">
-            <span className="user-badge">👤 {user.username}</span>
+            <button onClick={() => setShowSessions(true)} className="user-badge" title="Sessions, two-factor authentication and API keys">
+              👤 {user.username}
+            </button>
+            {user.role === 'admin' && (
+              <button onClick={() => setShowAdmin(true)} className="admin-btn" title="Manage users">
+                👥 Users
+              </button>
+            )}
             <button onClick={logout} className="logout-btn">
               🚪 Logout
             </button>
@@ -256,12 +248,12 @@ function AppContent() {
           <span>{status}</span>
           <span className="status-separator">|</span>
           <div className="preset-buttons">
-            {[1, 2, 3, 4, 5].map(slot => (
+            {PRESET_SLOTS.map(slot => (
               <button
                 key={slot}
-                className={`preset-btn ${activePreset === slot ? 'active' : ''} ${isSlotFilled(slot) ? 'filled' : ''}`}
+                className={`preset-btn ${activePreset === slot ? 'active' : ''} ${presets[slot] ? 'filled' : ''}`}
                 onClick={() => loadPreset(slot)}
-                title={`Preset ${slot}${isSlotFilled(slot) ? ' (saved)' : ' (empty)'}`}
+                title={`Preset ${slot}${presets[slot] ? ` (saved ${formatSavedAt(presets[slot].updatedAt)})` : ' (empty)'}`}
               >
                 {slot}
               </button>
@@ -271,8 +263,8 @@ function AppContent() {
               onClick={() => {
                 const slot = prompt('Save to preset slot (1-5):')
                 const slotNum = parseInt(slot)
-                if (!isNaN(slotNum) && slotNum >= 1 && slotNum <= 5) {
-                  savePreset(slotNum)
+                if (PRESET_SLOTS.includes(slotNum)) {
+                  handleSavePreset(slotNum)
                 }
               }}
               title="Save current books to preset"
@@ -280,26 +272,67 @@ function AppContent() {
               💾
             </button>
           </div>
+          <span className="status-separator">|</span>
+          <div className="layout-controls">
+            <button
+              className="layout-add-btn"
+              onClick={handleAddBook}
+              disabled={books.symbols.length >= MAX_BOOKS}
+              title={`Add book (max ${MAX_BOOKS})`}
+            >
+              ➕ Book
+            </button>
+            <label className="layout-select" title="Books per row">
+              Cols
+              <select value={layout.columns} onChange={(e) => handleLayoutChange(withColumns(layout, e.target.value))}>
+                {Array.from({ length: MAX_COLUMNS }, (_, i) => i + 1).map(n => (
+                  <option key={n} value={n}>{n}</option>
+                ))}
+              </select>
+            </label>
+            <label className="layout-select" title="Rows per screen (auto = books keep their natural height)">
+              Rows
+              <select value={layout.rows} onChange={(e) => handleLayoutChange(withRows(layout, e.target.value))}>
+                <option value={0}>auto</option>
+                {Array.from({ length: MAX_ROWS }, (_, i) => i + 1).map(n => (
+                  <option key={n} value={n}>{n}</option>
+                ))}
+              </select>
+            </label>
+          </div>
         </div>
 
-        <main className="app-main orderbook-grid">
-          {currentSymbols.map((symbol, index) => (
+        <BookGrid
+          ids={bookIds}
+          layout={layout}
+          onLayoutChange={handleLayoutChange}
+          onMove={handleMoveBook}
+          onRemove={handleRemoveBook}
+          renderBook={(index) => (
             <OrderBook
-              key={`orderbook-${index}`}
-              symbol={symbol}
+              symbol={books.symbols[index]}
               maxLevels={depth}
               priceDecimals={priceDecimals}
               sizeDecimals={sizeDecimals}
-              onSymbolChange={(newSymbol) => handleSymbolChange(index, newSymbol)}
-              manualSource={manualSources[index] || 'L200'}
-              onManualSourceChange={(newSource) => handleManualSourceChange(index, newSource)}
-              tickSizeMode={tickSizeModes[index] || 'auto'}
-              onTickSizeModeChange={(newMode) => handleTickSizeModeChange(index, newMode)}
-              manualTickSize={manualTickSizes[index] || 1}
-              onManualTickSizeChange={(newSize) => handleManualTickSizeChange(index, newSize)}
+              onSymbolChange={(newSymbol) => handleBookChange(index, 'symbols', newSymbol)}
+              exchange={books.exchanges[index]}
+              onExchangeChange={(newExchange) => handleBookChange(index, 'exchanges', newExchange)}
+              category={books.categories[index]}
+              onCategoryChange={(newCategory) => handleBookChange(index, 'categories', newCategory)}
+              view={books.views[index]}
+              onViewChange={(newView) => handleBookChange(index, 'views', newView)}
+              manualSource={books.manualSources[index]}
+              onManualSourceChange={(newSource) => handleBookChange(index, 'manualSources', newSource)}
+              tickSizeMode={books.tickSizeModes[index]}
+              onTickSizeModeChange={(newMode) => handleBookChange(index, 'tickSizeModes', newMode)}
+              manualTickSize={books.manualTickSizes[index]}
+              onManualTickSizeChange={(newSize) => handleBookChange(index, 'manualTickSizes', newSize)}
             />
-          ))}
-        </main>
+          )}
+        />
+
+        {showAdmin && <AdminPanel onClose={() => setShowAdmin(false)} />}
+        {showSessions && <SessionsPanel onClose={() => setShowSessions(false)} />}
 
         <footer className="app-footer">
           <div className="footer-content">
@@ -320,6 +353,30 @@ function AppContent() {
   )
 }
 
+function AppContent() {
+  const { user, isLoading } = useAuth()
+
+  // Show loading while checking auth
+  if (isLoading) {
+    return (
+      <div className="app">
+        <div className="loading-screen">
+          <h1>🐂 BullBook</h1>
+          <p>Loading...</p>
+        </div>
+      </div>
+    )
+  }
+
+  // Show login if not authenticated
+  if (!user) {
+    return <Login />
+  }
+
+  // Dashboard state is initialized from the logged-in user's preferences
+  return <Dashboard key={user.username} />
+}
+
 function App() {
   return (
     <AuthProvider>
@@ -0,0 +1,255 @@
+import { useState, useEffect, useCallback } from 'react'
+import { useAuth } from '../context/AuthContext'
+import './AdminPanel.css'
+
+const ROLES = ['user', 'admin']
+const MIN_PASSWORD_LENGTH = 8 // Mirrors the backend policy (passwords.js)
+
+function formatTime(timestamp) {
+  return new Date(timestamp).toLocaleString('it-IT', { hour12: false })
+}
+
+function formatLogin(lastLogin) {
+  if (!lastLogin) return 'never'
+  return `${formatTime(lastLogin.at)} (${lastLogin.ip})`
+}
+
+/**
+ * Admin Panel - list users (last login, open sessions, login lockouts, 2FA) and create,
+ * enable/disable, change role, reset password or 2FA, unlock or delete them; unlock blocked IPs
+ *
+ * @param {function} onClose - Back to the dashboard
+ */
+export function AdminPanel({ onClose }) {
+  const { user, request } = useAuth()
+  const [users, setUsers] = useState([])
+  const [blockedIps, setBlockedIps] = useState([])
+  const [error, setError] = useState(null)
+  const [notice, setNotice] = useState(null)
+  const [busy, setBusy] = useState(false)
+  const [draft, setDraft] = useState({ username: '', password: '', role: 'user' })
+
+  // JSON call to /api/admin; throws with the backend message on failure
+  const callAdmin = useCallback(async (method, path, body) => {
+    const response = await request(`/api/admin${path}`, {
+      method,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    })
+    const data = await response.json()
+    if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`)
+    return data
+  }, [request])
+
+  const loadUsers = useCallback(async () => {
+    try {
+      const [data, lockouts] = await Promise.all([callAdmin('GET', '/users'), callAdmin('GET', '/lockouts')])
+      const now = Date.now()
+      setUsers(data.users)
+      setBlockedIps(lockouts.ips.filter(entry => Math.max(entry.lockedUntil, entry.blockedUntil) > now))
+      setError(null)
+    } catch (err) {
+      console.error('[AdminPanel] Failed to load users:', err)
+      setError(err.message)
+    }
+  }, [callAdmin])
+
+  useEffect(() => {
+    loadUsers()
+  }, [loadUsers])
+
+  // Run an action, then reload the list (sessions and flags change server-side)
+  const runAction = async (action, successMessage) => {
+    setBusy(true)
+    setError(null)
+    setNotice(null)
+    try {
+      await action()
+      setNotice(successMessage)
+      await loadUsers()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleCreate = (e) => {
+    e.preventDefault()
+    const { username, password, role } = draft
+    runAction(async () => {
+      await callAdmin('POST', '/users', { username: username.trim(), password, role })
+      setDraft({ username: '', password: '', role: 'user' })
+    }, `User ${username.trim()} created`)
+  }
+
+  const handleToggleEnabled = (target) => {
+    const enabled = !target.enabled
+    runAction(
+      () => callAdmin('PATCH', `/users/${encodeURIComponent(target.username)}`, { enabled }),
+      `${target.username} ${enabled ? 'enabled' : 'disabled'}`
+    )
+  }
+
+  const handleRoleChange = (target, role) => {
+    runAction(
+      () => callAdmin('PATCH', `/users/${encodeURIComponent(target.username)}`, { role }),
+      `${target.username} is now ${role}`
+    )
+  }
+
+  const handleResetPassword = (target) => {
+    const password = prompt(`New password for ${target.username} (min ${MIN_PASSWORD_LENGTH} characters):`)
+    if (!password) return
+    runAction(
+      () => callAdmin('POST', `/users/${encodeURIComponent(target.username)}/password`, { password }),
+      `Password of ${target.username} updated`
+    )
+  }
+
+  const handleResetTwoFactor = (target) => {
+    if (!window.confirm(`Turn off two-factor authentication for ${target.username}? They will log in with the password only.`)) return
+    runAction(
+      () => callAdmin('DELETE', `/users/${encodeURIComponent(target.username)}/2fa`),
+      `2FA of ${target.username} turned off`
+    )
+  }
+
+  const handleUnlock = (target) => {
+    runAction(
+      () => callAdmin('DELETE', `/lockouts/users/${encodeURIComponent(target.username)}`),
+      `${target.username} unlocked`
+    )
+  }
+
+  const handleUnlockIp = (ip) => {
+    runAction(() => callAdmin('DELETE', `/lockouts/ips/${encodeURIComponent(ip)}`), `${ip} unlocked`)
+  }
+
+  const handleDelete = (target) => {
+    if (!window.confirm(`Delete ${target.username} with their preferences and presets?`)) return
+    runAction(
+      () => callAdmin('DELETE', `/users/${encodeURIComponent(target.username)}`),
+      `${target.username} deleted`
+    )
+  }
+
+  return (
+    <div className="admin-overlay">
+      <div className="admin-panel">
+        <div className="admin-header">
+          <h2>👥 Users</h2>
+          <button className="admin-close" onClick={onClose} title="Back to books">✕</button>
+        </div>
+
+        {error && <div className="admin-message admin-error">{error}</div>}
+        {notice && <div className="admin-message admin-notice">{notice}</div>}
+
+        <div className="admin-table-wrap">
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th>User</th>
+                <th>Role</th>
+                <th>Status</th>
+                <th>Last login</th>
+                <th>Sessions</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {users.map(target => {
+                const isSelf = target.username === user.username
+                return (
+                  <tr key={target.username} className={target.enabled ? '' : 'disabled'}>
+                    <td className="admin-username">{target.username}{isSelf && ' (you)'}</td>
+                    <td>
+                      <select
+                        value={target.role}
+                        disabled={busy || isSelf}
+                        onChange={(e) => handleRoleChange(target, e.target.value)}
+                      >
+                        {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+                      </select>
+                    </td>
+                    <td>
+                      <button
+                        className={`admin-status ${target.enabled ? 'enabled' : ''}`}
+                        disabled={busy || isSelf}
+                        onClick={() => handleToggleEnabled(target)}
+                        title={target.enabled ? 'Disable (closes open sessions)' : 'Enable'}
+                      >
+                        {target.enabled ? 'Enabled' : 'Disabled'}
+                      </button>
+                      {target.twoFactorEnabled && (
+                        <button
+                          className="admin-twofa"
+                          disabled={busy}
+                          onClick={() => handleResetTwoFactor(target)}
+                          title="Two-factor authentication on - click to turn it off (lost device)"
+                        >
+                          🛡️ 2FA
+                        </button>
+                      )}
+                      {target.lockedUntil && (
+                        <button
+                          className="admin-unlock"
+                          disabled={busy}
+                          onClick={() => handleUnlock(target)}
+                          title={`Locked after failed logins until ${formatTime(target.lockedUntil)}`}
+                        >
+                          🔒 Unlock
+                        </button>
+                      )}
+                    </td>
+                    <td className="admin-login">{formatLogin(target.lastLogin)}</td>
+                    <td>{target.sessions}</td>
+                    <td className="admin-actions">
+                      <button disabled={busy} onClick={() => handleResetPassword(target)} title="Reset password">🔑</button>
+                      <button disabled={busy || isSelf} onClick={() => handleDelete(target)} title="Delete user">🗑</button>
+                    </td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        {blockedIps.length > 0 && (
+          <div className="admin-blocked">
+            <span className="admin-blocked-label">Blocked IPs</span>
+            {blockedIps.map(entry => (
+              <span key={entry.id} className="admin-blocked-ip">
+                {entry.id} ({entry.failures} failed, until {formatTime(Math.max(entry.lockedUntil, entry.blockedUntil))})
+                <button disabled={busy} onClick={() => handleUnlockIp(entry.id)}>Unlock</button>
+              </span>
+            ))}
+          </div>
+        )}
+
+        <form className="admin-create" onSubmit={handleCreate}>
+          <input
+            type="text"
+            placeholder="Username"
+            value={draft.username}
+            onChange={(e) => setDraft({ ...draft, username: e.target.value })}
+            autoComplete="off"
+            required
+          />
+          <input
+            type="password"
+            placeholder={`Password (min ${MIN_PASSWORD_LENGTH})`}
+            value={draft.password}
+            onChange={(e) => setDraft({ ...draft, password: e.target.value })}
+            autoComplete="new-password"
+            minLength={MIN_PASSWORD_LENGTH}
+            required
+          />
+          <select value={draft.role} onChange={(e) => setDraft({ ...draft, role: e.target.value })}>
+            {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+          </select>
+          <button type="submit" disabled={busy}>➕ Add user</button>
+        </form>
+      </div>
+    </div>
+  )
+}
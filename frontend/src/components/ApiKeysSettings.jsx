@@ -0,0 +1,158 @@
+import { useState, useEffect, useCallback } from 'react'
+import { useAuth } from '../context/AuthContext'
+import './ApiKeysSettings.css'
+
+function formatTime(timestamp) {
+  return new Date(timestamp).toLocaleString('it-IT', { hour12: false })
+}
+
+/**
+ * API Keys Settings - personal keys for scripts and bots: create (label,
+ * scopes, rate limit), copy once, revoke
+ */
+export function ApiKeysSettings() {
+  const { request } = useAuth()
+  const [keys, setKeys] = useState([])
+  const [scopes, setScopes] = useState({}) // scope -> description (from the backend)
+  const [limits, setLimits] = useState({ defaultRateLimit: 120, maxRateLimit: 600 })
+  const [draft, setDraft] = useState({ label: '', scopes: ['stream'], rateLimit: '' })
+  const [created, setCreated] = useState(null) // Full key, shown once
+  const [error, setError] = useState(null)
+  const [busy, setBusy] = useState(false)
+
+  // JSON call to /api/keys; throws with the backend message on failure
+  const callKeys = useCallback(async (method, path, body) => {
+    const response = await request(`/api/keys${path}`, {
+      method,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    })
+    const data = await response.json()
+    if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`)
+    return data
+  }, [request])
+
+  const loadKeys = useCallback(async () => {
+    try {
+      const data = await callKeys('GET', '')
+      setKeys(data.keys)
+      setScopes(data.scopes)
+      setLimits({ defaultRateLimit: data.defaultRateLimit, maxRateLimit: data.maxRateLimit })
+      setError(null)
+    } catch (err) {
+      console.error('[ApiKeysSettings] Failed to load keys:', err)
+      setError(err.message)
+    }
+  }, [callKeys])
+
+  useEffect(() => {
+    loadKeys()
+  }, [loadKeys])
+
+  const run = async (action) => {
+    setBusy(true)
+    setError(null)
+    try {
+      await action()
+      await loadKeys()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const toggleScope = (scope) => {
+    const selected = draft.scopes.includes(scope)
+      ? draft.scopes.filter(s => s !== scope)
+      : [...draft.scopes, scope]
+    setDraft({ ...draft, scopes: selected })
+  }
+
+  const handleCreate = (e) => {
+    e.preventDefault()
+    const rateLimit = draft.rateLimit === '' ? undefined : Number(draft.rateLimit)
+    run(async () => {
+      const data = await callKeys('POST', '', { label: draft.label.trim(), scopes: draft.scopes, rateLimit })
+      setCreated(data.apiKey)
+      setDraft({ label: '', scopes: ['stream'], rateLimit: '' })
+    })
+  }
+
+  const handleRevoke = (key) => {
+    if (!window.confirm(`Revoke the API key "${key.label}"? Scripts using it stop working.`)) return
+    run(() => callKeys('DELETE', `/${key.id}`))
+  }
+
+  return (
+    <section className="apikeys">
+      <h3>🔑 API keys</h3>
+      <p className="apikeys-text">
+        For scripts and bots: send a key as <code>Authorization: Bearer &lt;key&gt;</code> or
+        as <code>/ws?token=&lt;key&gt;</code>. A key acts as you, within its scopes.
+      </p>
+
+      {created && (
+        <div className="apikeys-created">
+          <p>New key - copy it now, it is not shown again:</p>
+          <code>{created}</code>
+          <div className="apikeys-buttons">
+            <button onClick={() => navigator.clipboard?.writeText(created)}>📋 Copy</button>
+            <button onClick={() => setCreated(null)}>Done</button>
+          </div>
+        </div>
+      )}
+
+      {keys.length > 0 && (
+        <ul className="apikeys-list">
+          {keys.map(key => (
+            <li key={key.id} className="apikeys-item">
+              <div className="apikeys-name">
+                {key.label} <span className="apikeys-prefix">{key.prefix}…</span>
+              </div>
+              <div className="apikeys-meta">
+                {key.scopes.join(', ')} · {key.rateLimit}/min · created {formatTime(key.createdAt)}
+                {' · '}{key.lastUsedAt ? `last used ${formatTime(key.lastUsedAt)} (${key.lastUsedIp})` : 'never used'}
+              </div>
+              <button className="apikeys-revoke" disabled={busy} onClick={() => handleRevoke(key)}>Revoke</button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form className="apikeys-form" onSubmit={handleCreate}>
+        <input
+          type="text"
+          placeholder="Label (e.g. trading bot)"
+          value={draft.label}
+          onChange={(e) => setDraft({ ...draft, label: e.target.value })}
+          maxLength={64}
+          required
+        />
+        <input
+          type="number"
+          placeholder={`${limits.defaultRateLimit}/min`}
+          title={`Requests per minute (max ${limits.maxRateLimit})`}
+          value={draft.rateLimit}
+          onChange={(e) => setDraft({ ...draft, rateLimit: e.target.value })}
+          min={1}
+          max={limits.maxRateLimit}
+        />
+        <div className="apikeys-scopes">
+          {Object.entries(scopes).map(([scope, description]) => (
+            <label key={scope} title={description}>
+              <input
+                type="checkbox"
+                checked={draft.scopes.includes(scope)}
+                onChange={() => toggleScope(scope)}
+              />
+              {scope}
+            </label>
+          ))}
+        </div>
+        <button type="submit" disabled={busy || draft.scopes.length === 0}>➕ Create key</button>
+      </form>
+
+      {error && <div className="apikeys-error">{error}</div>}
+    </section>
+  )
+}
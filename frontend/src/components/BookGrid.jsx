@@ -0,0 +1,158 @@
+import { useState, useRef } from 'react'
+import { gridTemplate, resizeColumns, resizeRow } from '../utils/gridLayout'
+import './BookGrid.css'
+
+/**
+ * Book Grid - lays books out in the user's grid and handles rearranging:
+ * drag a book by its bar onto another to move it there, drag the right or
+ * bottom edge of a book to resize its column or row
+ *
+ * @param {string[]} ids - Stable book ids (React keys), in grid order
+ * @param {object} layout - Normalized layout (see utils/gridLayout)
+ * @param {function} onLayoutChange - Called with the new layout once a resize ends
+ * @param {function} onMove - Called with (from, to) when a book is dropped on another
+ * @param {function} onRemove - Called with the index of the book to remove
+ * @param {function} renderBook - Renders the book at an index
+ */
+export function BookGrid({ ids, layout, onLayoutChange, onMove, onRemove, renderBook }) {
+  const [draft, setDraft] = useState(null) // Layout while a resize drag is in progress
+  const [dragIndex, setDragIndex] = useState(null)
+  const [dropIndex, setDropIndex] = useState(null)
+  const gridRef = useRef(null)
+  const draftRef = useRef(null)
+
+  const current = draft || layout
+  const template = gridTemplate(current, ids.length)
+
+  // Edge drag: columns share width in fr, rows take the dragged height in px
+  const startResize = (event, axis, track) => {
+    if (event.button !== 0) return
+    event.preventDefault()
+    event.stopPropagation()
+
+    const startX = event.clientX
+    const startY = event.clientY
+    const gridWidth = gridRef.current.clientWidth
+    const panelHeight = event.currentTarget.parentElement.getBoundingClientRect().height
+    const totalFr = layout.colSizes.reduce((sum, size) => sum + size, 0)
+
+    const handleMove = (e) => {
+      const next = axis === 'column'
+        ? { ...layout, colSizes: resizeColumns(layout.colSizes, track, (e.clientX - startX) / gridWidth * totalFr) }
+        : { ...layout, rowHeights: resizeRow(layout.rowHeights, track, panelHeight + e.clientY - startY) }
+      draftRef.current = next
+      setDraft(next)
+    }
+
+    const handleUp = () => {
+      window.removeEventListener('pointermove', handleMove)
+      window.removeEventListener('pointerup', handleUp)
+      document.body.classList.remove('book-grid-resizing')
+
+      if (draftRef.current) {
+        onLayoutChange(draftRef.current)
+      }
+      draftRef.current = null
+      setDraft(null)
+    }
+
+    document.body.classList.add('book-grid-resizing')
+    window.addEventListener('pointermove', handleMove)
+    window.addEventListener('pointerup', handleUp)
+  }
+
+  // Double-click on an edge puts the row back to its default height
+  const resetRow = (row) => {
+    onLayoutChange({ ...layout, rowHeights: resizeRow(layout.rowHeights, row, null) })
+  }
+
+  const handleDragStart = (event, index) => {
+    event.dataTransfer.effectAllowed = 'move'
+    event.dataTransfer.setData('text/plain', String(index)) // Firefox needs data to start a drag
+    setDragIndex(index)
+  }
+
+  const handleDragEnd = () => {
+    setDragIndex(null)
+    setDropIndex(null)
+  }
+
+  const handleDragOver = (event, index) => {
+    if (dragIndex === null) return // Not one of our books (e.g. a dragged file)
+    event.preventDefault()
+    event.dataTransfer.dropEffect = 'move'
+    if (dropIndex !== index) setDropIndex(index)
+  }
+
+  const handleDrop = (event, index) => {
+    event.preventDefault()
+    if (dragIndex !== null && dragIndex !== index) {
+      onMove(dragIndex, index)
+    }
+    handleDragEnd()
+  }
+
+  return (
+    <main
+      ref={gridRef}
+      className="app-main orderbook-grid book-grid"
+      style={{ '--book-grid-columns': template.columns, '--book-grid-rows': template.rows }}
+    >
+      {ids.map((id, index) => {
+        const column = index % current.columns
+        const row = Math.floor(index / current.columns)
+        const classes = [
+          'book-grid-panel',
+          dragIndex === index ? 'dragging' : '',
+          dropIndex === index && dragIndex !== index ? 'drop-target' : ''
+        ].filter(Boolean).join(' ')
+
+        return (
+          <section
+            key={id}
+            className={classes}
+            onDragOver={(e) => handleDragOver(e, index)}
+            onDrop={(e) => handleDrop(e, index)}
+          >
+            <div
+              className="book-grid-bar"
+              draggable
+              onDragStart={(e) => handleDragStart(e, index)}
+              onDragEnd={handleDragEnd}
+              title="Drag to move this book"
+            >
+              <span className="book-grid-handle">⠿</span>
+              <span className="book-grid-position">#{index + 1}</span>
+              <button
+                className="book-grid-remove"
+                onClick={() => onRemove(index)}
+                disabled={ids.length <= 1}
+                title="Remove book"
+              >
+                ✕
+              </button>
+            </div>
+
+            <div className="book-grid-content">
+              {renderBook(index)}
+            </div>
+
+            {column < current.columns - 1 && index < ids.length - 1 && (
+              <div
+                className="book-grid-resize column"
+                onPointerDown={(e) => startResize(e, 'column', column)}
+                title="Drag to resize column"
+              />
+            )}
+            <div
+              className="book-grid-resize row"
+              onPointerDown={(e) => startResize(e, 'row', row)}
+              onDoubleClick={() => resetRow(row)}
+              title="Drag to resize row (double-click to reset)"
+            />
+          </section>
+        )
+      })}
+    </main>
+  )
+}
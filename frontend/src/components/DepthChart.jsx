@@ -0,0 +1,185 @@
+import { useState, useEffect, useRef, useMemo } from 'react'
+import './DepthChart.css'
+
+const PADDING = { top: 12, right: 8, bottom: 22, left: 8 } // px around the plot
+const PRICE_TICKS = 5 // Price labels on the x axis
+
+/**
+ * Sort levels and accumulate size and value from the spread outwards
+ *
+ * @returns {Array} [{ price, size, cumSize, cumValue }]
+ */
+function accumulate(levels, direction) {
+  const sorted = levels
+    .map(([price, size]) => ({ price: parseFloat(price), size: parseFloat(size) }))
+    .filter(({ price, size }) => !isNaN(price) && !isNaN(size) && size > 0)
+    .sort((a, b) => direction === 'desc' ? b.price - a.price : a.price - b.price)
+
+  let cumSize = 0
+  let cumValue = 0
+  return sorted.map(({ price, size }) => {
+    cumSize += size
+    cumValue += size * price
+    return { price, size, cumSize, cumValue }
+  })
+}
+
+/**
+ * Cumulative totals up to a price (last step reached walking away from the spread)
+ */
+function cumulativeAt(steps, reached) {
+  let found = null
+  for (const step of steps) {
+    if (!reached(step.price)) break
+    found = step
+  }
+  return found
+}
+
+/**
+ * Depth Chart - cumulative bid/ask depth curve of the merged book
+ * (WebSocket levels near the spread + REST deep levels beyond)
+ *
+ * @param {Array} asks - Merged ask levels [[price, size]]
+ * @param {Array} bids - Merged bid levels [[price, size]]
+ * @param {number} midPrice - Mid price (chart center, distance reference)
+ */
+export function DepthChart({ asks, bids, midPrice, quote = 'USDT', formatPrice, formatSize, formatValue }) {
+  const containerRef = useRef(null)
+  const [size, setSize] = useState({ width: 0, height: 0 })
+  const [hoverX, setHoverX] = useState(null)
+
+  // Track container size (SVG drawn in CSS pixels, text stays crisp)
+  useEffect(() => {
+    const container = containerRef.current
+    if (!container) return
+
+    const observer = new ResizeObserver(([entry]) => {
+      const { width, height } = entry.contentRect
+      setSize({ width, height })
+    })
+    observer.observe(container)
+    return () => observer.disconnect()
+  }, [])
+
+  const bidSteps = useMemo(() => accumulate(bids, 'desc'), [bids])
+  const askSteps = useMemo(() => accumulate(asks, 'asc'), [asks])
+
+  // Symmetric price range around mid, as deep as the shallower side goes
+  const chart = useMemo(() => {
+    if (!midPrice || bidSteps.length === 0 || askSteps.length === 0 || !size.width) return null
+
+    const span = Math.min(midPrice - bidSteps[bidSteps.length - 1].price, askSteps[askSteps.length - 1].price - midPrice)
+    if (span <= 0) return null
+
+    const minPrice = midPrice - span
+    const maxPrice = midPrice + span
+    const bidsInRange = bidSteps.filter(step => step.price >= minPrice)
+    const asksInRange = askSteps.filter(step => step.price <= maxPrice)
+    const maxCum = Math.max(bidsInRange[bidsInRange.length - 1]?.cumSize || 0, asksInRange[asksInRange.length - 1]?.cumSize || 0) || 1
+
+    const plotWidth = size.width - PADDING.left - PADDING.right
+    const plotHeight = size.height - PADDING.top - PADDING.bottom
+    const xOf = (price) => PADDING.left + ((price - minPrice) / (maxPrice - minPrice)) * plotWidth
+    const yOf = (cum) => PADDING.top + plotHeight - (cum / maxCum) * plotHeight
+    const baseline = yOf(0)
+
+    // Step path from the spread outwards, closed on the baseline for the fill
+    const buildPath = (steps, edgePrice) => {
+      if (steps.length === 0) return ''
+      let path = `M ${xOf(steps[0].price)} ${baseline}`
+      let previousCum = 0
+      steps.forEach(({ price, cumSize }) => {
+        const x = xOf(price)
+        path += ` L ${x} ${yOf(previousCum)} L ${x} ${yOf(cumSize)}`
+        previousCum = cumSize
+      })
+      path += ` L ${xOf(edgePrice)} ${yOf(previousCum)} L ${xOf(edgePrice)} ${baseline} Z`
+      return path
+    }
+
+    return {
+      minPrice,
+      maxPrice,
+      plotWidth,
+      baseline,
+      xOf,
+      yOf,
+      bidPath: buildPath(bidsInRange, minPrice),
+      askPath: buildPath(asksInRange, maxPrice)
+    }
+  }, [bidSteps, askSteps, midPrice, size])
+
+  // Hover readout: cumulative size/value from the spread to the hovered price
+  const hover = useMemo(() => {
+    if (!chart || hoverX === null) return null
+
+    const price = chart.minPrice + ((hoverX - PADDING.left) / chart.plotWidth) * (chart.maxPrice - chart.minPrice)
+    const isBid = price < midPrice
+    const step = isBid
+      ? cumulativeAt(bidSteps, (levelPrice) => levelPrice >= price)
+      : cumulativeAt(askSteps, (levelPrice) => levelPrice <= price)
+
+    return {
+      x: hoverX,
+      price,
+      isBid,
+      cumSize: step?.cumSize || 0,
+      cumValue: step?.cumValue || 0,
+      distance: ((price - midPrice) / midPrice) * 100
+    }
+  }, [chart, hoverX, bidSteps, askSteps, midPrice])
+
+  const handlePointerMove = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect()
+    const x = e.clientX - rect.left
+    setHoverX(Math.min(Math.max(x, PADDING.left), size.width - PADDING.right))
+  }
+
+  return (
+    <div className="depth-chart" ref={containerRef}>
+      {!chart ? (
+        <div className="depth-chart-empty">Waiting for depth...</div>
+      ) : (
+        <svg
+          width={size.width}
+          height={size.height}
+          onPointerMove={handlePointerMove}
+          onPointerLeave={() => setHoverX(null)}
+        >
+          <path d={chart.bidPath} className="depth-bids" />
+          <path d={chart.askPath} className="depth-asks" />
+
+          {/* Mid price */}
+          <line x1={chart.xOf(midPrice)} x2={chart.xOf(midPrice)} y1={PADDING.top} y2={chart.baseline} className="depth-mid" />
+
+          {/* Price axis */}
+          {Array.from({ length: PRICE_TICKS }, (_, i) => {
+            const price = chart.minPrice + ((chart.maxPrice - chart.minPrice) * (i + 0.5)) / PRICE_TICKS
+            return (
+              <text key={i} x={chart.xOf(price)} y={size.height - 6} className="depth-axis-label" textAnchor="middle">
+                {formatPrice(price)}
+              </text>
+            )
+          })}
+
+          {hover && (
+            <line x1={hover.x} x2={hover.x} y1={PADDING.top} y2={chart.baseline} className="depth-crosshair" />
+          )}
+        </svg>
+      )}
+
+      {hover && (
+        <div
+          className={`depth-tooltip ${hover.isBid ? 'bid' : 'ask'}`}
+          style={hover.x > size.width / 2 ? { right: size.width - hover.x + 8 } : { left: hover.x + 8 }}
+        >
+          <div>Price: {formatPrice(hover.price)}</div>
+          <div>Cum. size: {formatSize(hover.cumSize)}</div>
+          <div>Cum. value: {formatValue(hover.cumValue)} {quote}</div>
+          <div>From mid: {hover.distance > 0 ? '+' : ''}{hover.distance.toFixed(2)}%</div>
+        </div>
+      )}
+    </div>
+  )
+}
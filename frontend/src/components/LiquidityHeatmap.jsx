@@ -0,0 +1,207 @@
+import { useState, useEffect, useRef } from 'react'
+import { HEATMAP_SAMPLE_INTERVAL } from '../hooks/useHeatmapHistory'
+import './LiquidityHeatmap.css'
+
+// Selectable time windows
+const WINDOWS = [
+  { label: '1m', ms: 60 * 1000 },
+  { label: '5m', ms: 5 * 60 * 1000 },
+  { label: '15m', ms: 15 * 60 * 1000 }
+]
+
+const ROW_HEIGHT = 4 // px per price bucket
+const AXIS_WIDTH = 64 // px reserved for price labels
+const LABEL_EVERY = 10 // Price label every N rows
+const SCALE_COLUMNS = 60 // Recent columns used to scale intensity
+const SCALE_PERCENTILE = 0.95 // Single huge wall must not wash out the rest
+
+// Intensity color ramp (dark -> blue -> cyan -> yellow -> white)
+const COLOR_STOPS = [
+  [0, [11, 14, 17]],
+  [0.25, [13, 59, 102]],
+  [0.5, [31, 162, 255]],
+  [0.75, [255, 209, 102]],
+  [1, [255, 255, 255]]
+]
+
+/**
+ * Map intensity 0..1 to an rgb() color along COLOR_STOPS
+ */
+function heatColor(intensity) {
+  const t = Math.min(Math.max(intensity, 0), 1)
+  for (let i = 1; i < COLOR_STOPS.length; i++) {
+    const [stop, color] = COLOR_STOPS[i]
+    if (t <= stop) {
+      const [prevStop, prevColor] = COLOR_STOPS[i - 1]
+      const f = (t - prevStop) / (stop - prevStop)
+      const rgb = color.map((c, j) => Math.round(prevColor[j] + (c - prevColor[j]) * f))
+      return `rgb(${rgb[0]}, ${rgb[1]}, ${rgb[2]})`
+    }
+  }
+  return 'rgb(255, 255, 255)'
+}
+
+// Precomputed ramp: one fillStyle string per intensity step
+const PALETTE_SIZE = 64
+const PALETTE = Array.from({ length: PALETTE_SIZE }, (_, i) => heatColor(i / (PALETTE_SIZE - 1)))
+
+/**
+ * Size at SCALE_PERCENTILE over the most recent columns
+ */
+function intensityScale(history) {
+  const sizes = []
+  history.slice(-SCALE_COLUMNS).forEach(column => {
+    column.sizes.forEach(size => sizes.push(size))
+  })
+  if (sizes.length === 0) return 1
+
+  sizes.sort((a, b) => a - b)
+  return sizes[Math.floor((sizes.length - 1) * SCALE_PERCENTILE)] || 1
+}
+
+/**
+ * Liquidity Heatmap - Bookmap-style canvas of grouped book depth over time
+ * Y = price bucket (current tick size), X = time, color = resting size;
+ * trade prints are overlaid as circles sized by value (green buy, red sell)
+ *
+ * @param {object} historyRef - Columns recorded by useHeatmapHistory
+ * @param {number} tickSize - Current tick size (row height in price)
+ * @param {function} formatPrice - Price formatter for the axis
+ */
+export function LiquidityHeatmap({ historyRef, tickSize, formatPrice }) {
+  const [windowMs, setWindowMs] = useState(WINDOWS[1].ms)
+  const canvasRef = useRef(null)
+  const formatPriceRef = useRef(formatPrice) // New function every OrderBook render
+
+  formatPriceRef.current = formatPrice
+
+  useEffect(() => {
+    const draw = () => {
+      const canvas = canvasRef.current
+      if (!canvas) return
+
+      // Match backing store to CSS size (sharp on HiDPI)
+      const dpr = window.devicePixelRatio || 1
+      const width = canvas.clientWidth
+      const height = canvas.clientHeight
+      if (canvas.width !== Math.round(width * dpr) || canvas.height !== Math.round(height * dpr)) {
+        canvas.width = Math.round(width * dpr)
+        canvas.height = Math.round(height * dpr)
+      }
+
+      const ctx = canvas.getContext('2d')
+      ctx.setTransform(dpr, 0, 0, dpr, 0, 0)
+      ctx.fillStyle = '#0b0e11'
+      ctx.fillRect(0, 0, width, height)
+
+      const history = historyRef.current
+      const last = history[history.length - 1]
+      if (!last || !tickSize) {
+        ctx.fillStyle = '#787b86'
+        ctx.font = '12px monospace'
+        ctx.fillText('Collecting depth...', 12, 20)
+        return
+      }
+
+      // Price axis centered on the latest mid price
+      const now = Date.now()
+      const rows = Math.floor(height / ROW_HEIGHT)
+      const mid = last.bestBid && last.bestAsk ? (last.bestBid + last.bestAsk) / 2 : (last.bestBid || last.bestAsk)
+      const topPrice = Math.round(mid / tickSize) * tickSize + Math.floor(rows / 2) * tickSize
+      const rowOf = (price) => Math.round((topPrice - price) / tickSize)
+
+      const plotWidth = width - AXIS_WIDTH
+      const columnWidth = Math.max(1, (plotWidth * HEATMAP_SAMPLE_INTERVAL) / windowMs)
+      const xOf = (time) => plotWidth - ((now - time) / windowMs) * plotWidth
+      const scale = intensityScale(history)
+
+      // Resting liquidity cells
+      history.forEach(column => {
+        const x = xOf(column.time)
+        if (x + columnWidth < 0) return
+
+        for (let i = 0; i < column.prices.length; i++) {
+          const row = rowOf(column.prices[i])
+          if (row < 0 || row >= rows) continue
+
+          const step = Math.min(PALETTE_SIZE - 1, Math.round((column.sizes[i] / scale) * (PALETTE_SIZE - 1)))
+          if (step === 0) continue // Background color already
+
+          ctx.fillStyle = PALETTE[step]
+          ctx.fillRect(x - columnWidth, row * ROW_HEIGHT, columnWidth + 0.5, ROW_HEIGHT)
+        }
+      })
+
+      // Best bid / best ask lines
+      const drawLine = (key, color) => {
+        ctx.strokeStyle = color
+        ctx.lineWidth = 1
+        ctx.beginPath()
+        let started = false
+        history.forEach(column => {
+          if (!column[key]) return
+          const x = xOf(column.time)
+          const y = rowOf(column[key]) * ROW_HEIGHT + ROW_HEIGHT / 2
+          if (started) {
+            ctx.lineTo(x, y)
+          } else {
+            ctx.moveTo(x, y)
+            started = true
+          }
+        })
+        ctx.stroke()
+      }
+      drawLine('bestBid', '#26a69a')
+      drawLine('bestAsk', '#ef5350')
+
+      // Trade prints (circle area ~ traded value)
+      history.forEach(column => {
+        const x = xOf(column.time) - columnWidth / 2
+        if (x < 0) return
+
+        column.trades.forEach(({ price, value, side }) => {
+          const row = rowOf(price)
+          if (row < 0 || row >= rows) return
+
+          const radius = Math.min(Math.max(Math.sqrt(value) / 30, 2), 16)
+          ctx.fillStyle = side === 'Buy' ? 'rgba(38, 166, 154, 0.7)' : 'rgba(239, 83, 80, 0.7)'
+          ctx.beginPath()
+          ctx.arc(x, row * ROW_HEIGHT + ROW_HEIGHT / 2, radius, 0, Math.PI * 2)
+          ctx.fill()
+        })
+      })
+
+      // Price axis
+      ctx.fillStyle = '#131722'
+      ctx.fillRect(plotWidth, 0, AXIS_WIDTH, height)
+      ctx.fillStyle = '#787b86'
+      ctx.font = '10px monospace'
+      ctx.textBaseline = 'middle'
+      for (let row = LABEL_EVERY / 2; row < rows; row += LABEL_EVERY) {
+        ctx.fillText(formatPriceRef.current(topPrice - row * tickSize), plotWidth + 4, row * ROW_HEIGHT + ROW_HEIGHT / 2)
+      }
+    }
+
+    draw()
+    const interval = setInterval(draw, HEATMAP_SAMPLE_INTERVAL)
+    return () => clearInterval(interval)
+  }, [historyRef, tickSize, windowMs])
+
+  return (
+    <div className="liquidity-heatmap">
+      <div className="heatmap-toolbar">
+        <span className="heatmap-title">Liquidity heatmap</span>
+        {WINDOWS.map(({ label, ms }) => (
+          <button
+            key={label}
+            className={`heatmap-window ${ms === windowMs ? 'active' : ''}`}
+            onClick={() => setWindowMs(ms)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      <canvas ref={canvasRef} className="heatmap-canvas" />
+    </div>
+  )
+}
@@ -7,8 +7,11 @@ export function Login() {
   const [password, setPassword] = useState('')
   const [error, setError] = useState('')
   const [isLoading, setIsLoading] = useState(false)
+  const [challengeToken, setChallengeToken] = useState(null) // Password accepted, 2FA code pending
+  const [code, setCode] = useState('')
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false)
 
-  const { login } = useAuth()
+  const { login, verifyTwoFactor } = useAuth()
 
   const handleSubmit = async (e) => {
     e.preventDefault()
@@ -17,12 +20,39 @@ export function Login() {
 
     const result = await login(username, password)
 
+    if (result.twoFactor) {
+      setChallengeToken(result.twoFactor.challengeToken)
+      setPassword('')
+      setIsLoading(false)
+    } else if (!result.success) {
+      setError(result.error)
+      setIsLoading(false)
+    }
+  }
+
+  const handleVerify = async (e) => {
+    e.preventDefault()
+    setError('')
+    setIsLoading(true)
+
+    const result = await verifyTwoFactor(challengeToken, code)
+
     if (!result.success) {
       setError(result.error)
+      setCode('')
       setIsLoading(false)
+      // The challenge lasts 5 minutes: after that the password is needed again
+      if (result.error.startsWith('Login expired')) setChallengeToken(null)
     }
   }
 
+  const backToPassword = () => {
+    setChallengeToken(null)
+    setCode('')
+    setUseRecoveryCode(false)
+    setError('')
+  }
+
   return (
     <div className="login-container">
       <div className="login-box">
@@ -31,44 +61,83 @@ export function Login() {
           <p className="login-subtitle">Bybit Perpetual OrderBook</p>
         </div>
 
-        <form onSubmit={handleSubmit} className="login-form">
-          <div className="form-group">
-            <label htmlFor="username">Username</label>
-            <input
-              id="username"
-              type="text"
-              value={username}
-              onChange={(e) => setUsername(e.target.value)}
-              placeholder="Enter username"
-              disabled={isLoading}
-              required
-              autoFocus
-            />
-          </div>
-
-          <div className="form-group">
-            <label htmlFor="password">Password</label>
-            <input
-              id="password"
-              type="password"
-              value={password}
-              onChange={(e) => setPassword(e.target.value)}
-              placeholder="Enter password"
-              disabled={isLoading}
-              required
-            />
-          </div>
-
-          {error && (
-            <div className="login-error">
-              🔴 {error}
+        {challengeToken ? (
+          <form onSubmit={handleVerify} className="login-form">
+            <div className="form-group">
+              <label htmlFor="code">{useRecoveryCode ? 'Recovery code' : 'Authentication code'}</label>
+              <input
+                id="code"
+                type="text"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                placeholder={useRecoveryCode ? 'xxxx-xxxx' : '6-digit code from your app'}
+                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                autoComplete={useRecoveryCode ? 'off' : 'one-time-code'}
+                disabled={isLoading}
+                required
+                autoFocus
+              />
             </div>
-          )}
 
-          <button type="submit" className="login-button" disabled={isLoading}>
-            {isLoading ? 'Logging in...' : 'Login'}
-          </button>
-        </form>
+            {error && (
+              <div className="login-error">
+                🔴 {error}
+              </div>
+            )}
+
+            <button type="submit" className="login-button" disabled={isLoading}>
+              {isLoading ? 'Verifying...' : 'Verify'}
+            </button>
+
+            <div className="login-links">
+              <button type="button" className="login-link" onClick={() => { setUseRecoveryCode(!useRecoveryCode); setCode('') }}>
+                {useRecoveryCode ? 'Use the authenticator app' : 'Use a recovery code'}
+              </button>
+              <button type="button" className="login-link" onClick={backToPassword}>
+                ← Back
+              </button>
+            </div>
+          </form>
+        ) : (
+          <form onSubmit={handleSubmit} className="login-form">
+            <div className="form-group">
+              <label htmlFor="username">Username</label>
+              <input
+                id="username"
+                type="text"
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+                placeholder="Enter username"
+                disabled={isLoading}
+                required
+                autoFocus
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="password">Password</label>
+              <input
+                id="password"
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="Enter password"
+                disabled={isLoading}
+                required
+              />
+            </div>
+
+            {error && (
+              <div className="login-error">
+                🔴 {error}
+              </div>
+            )}
+
+            <button type="submit" className="login-button" disabled={isLoading}>
+              {isLoading ? 'Logging in...' : 'Login'}
+            </button>
+          </form>
+        )}
       </div>
 
       <footer className="login-footer">
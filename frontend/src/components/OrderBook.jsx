@@ -2,9 +2,33 @@ import { useState, useRef, useEffect, useMemo } from 'react'
 import { useOrderBookAuto } from '../hooks/useOrderBookAuto'
 import { useDeepOrderBook } from '../hooks/useDeepOrderBook'
 import { useMarketData } from '../hooks/useMarketData'
-import { calculateSmartTickSize, findBiggestLevel, calculatePercentDistance, formatSmartPrice, formatBigSize, detectBigWalls } from '../utils/smartOrderBook'
+import { useTrades } from '../hooks/useTrades'
+import { useHeatmapHistory } from '../hooks/useHeatmapHistory'
+import { useReplay } from '../hooks/useReplay'
+import { useAuth } from '../context/AuthContext'
+import { calculateSmartTickSize, calculatePercentDistance, formatSmartPrice, formatBigSize } from '../utils/smartOrderBook'
+import { COIN_TABS, coinTabFor, quoteCurrency } from '../utils/markets'
+import { TimeAndSales } from './TimeAndSales'
+import { LiquidityHeatmap } from './LiquidityHeatmap'
+import { DepthChart } from './DepthChart'
+import { ReplayBar } from './ReplayBar'
 import './OrderBook.css'
 
+// Venues available through the backend exchange adapters, with the categories each serves
+const EXCHANGES = [
+  { id: 'bybit', label: 'Bybit', categories: ['linear', 'inverse', 'spot'] },
+  { id: 'binance', label: 'Binance', categories: ['linear'] }
+]
+
+const exchangeLabel = (id) => EXCHANGES.find(e => e.id === id)?.label || id
+
+// Book views (switchable per book)
+const VIEWS = [
+  { id: 'ladder', label: 'Ladder' },
+  { id: 'heatmap', label: 'Heatmap' },
+  { id: 'depth', label: 'Depth' }
+]
+
 export function OrderBook({
   symbol: initialSymbol = 'BTCUSDT',
   maxLevels = 100, // Fetch 100 levels (ASKS will show all 100, BIDS will show 10 via CSS height)
@@ -16,17 +40,28 @@ export function OrderBook({
   tickSizeMode = 'auto', // Controlled from parent (global)
   onTickSizeModeChange, // callback to update parent state
   manualTickSize = 1, // Controlled from parent (global)
-  onManualTickSizeChange // callback to update parent state
+  onManualTickSizeChange, // callback to update parent state
+  exchange = 'bybit', // Venue the book comes from (controlled from parent)
+  onExchangeChange, // callback to update parent state
+  category = 'linear', // Market category: 'linear', 'inverse', 'spot' (controlled from parent)
+  onCategoryChange, // callback to update parent state
+  view = 'ladder', // Book view: 'ladder', 'heatmap' or 'depth' (controlled from parent)
+  onViewChange // callback to update parent state
 }) {
   const [symbol, setSymbol] = useState(initialSymbol)
   const [showCoinSelector, setShowCoinSelector] = useState(false)
   const [asksSnapped, setAsksSnapped] = useState(true)
   const [bidsSnapped, setBidsSnapped] = useState(true)
   const [availableCoins, setAvailableCoins] = useState([])
+  const [coinsCategory, setCoinsCategory] = useState(null) // Category availableCoins were loaded for
+  const [coinTab, setCoinTab] = useState(() => coinTabFor(initialSymbol, category).id)
   const [loadingCoins, setLoadingCoins] = useState(false)
   const [sortField, setSortField] = useState('change24h') // 'change24h', 'volume24h', 'symbol'
   const [sortDirection, setSortDirection] = useState('desc') // 'asc' or 'desc'
   const [searchQuery, setSearchQuery] = useState('') // Search filter for coin selector
+  const [showTrades, setShowTrades] = useState(true) // Time & Sales panel
+  const [showReplay, setShowReplay] = useState(false) // Replay bar (session picker / playback controls)
+  const { request } = useAuth()
 
   const asksRef = useRef(null)
   const bidsRef = useRef(null)
@@ -34,11 +69,46 @@ export function OrderBook({
   const autoScrollingBids = useRef(false)
   const maintainScrollIntervalRef = useRef(null)
 
-  // Use auto hook with tick config and manual source
+  // Replay shows the recorded market; live-only data (deep REST levels, trades, daily range) is off meanwhile
+  const replay = useReplay()
+  const replaying = !!replay.session
+  const bookSymbol = replaying ? replay.session.symbol : symbol
+  const bookExchange = replaying ? replay.session.exchange : exchange
+  const bookCategory = replaying ? replay.session.category : category
+  const replayConfig = useMemo(
+    () => replaying ? { id: replay.replayId, depth: replay.session.depth } : null,
+    [replaying, replay.replayId, replay.session?.depth]
+  )
+
+  // Deep REST levels come from Bybit: only merge them into live Bybit books
+  const deepEnabled = exchange === 'bybit' && !replaying
+  const { deepAsks, deepBids } = useDeepOrderBook(symbol, deepEnabled, 10000, category) // Fetch every 10s
+  // Worker merges WebSocket levels near spread with REST levels beyond 1% and detects walls on the result
+  const analysis = useMemo(
+    () => ({ deep: deepEnabled ? { asks: deepAsks, bids: deepBids } : null, withMerged: view === 'depth' }),
+    [deepEnabled, deepAsks, deepBids, view]
+  )
+
+  // Use auto hook with tick config and manual source (grouping and walls computed in the orderbook worker)
   const tickConfig = { mode: tickSizeMode, value: manualTickSize }
-  const { orderBook, tickSize, source, sourceIcon, sourceLatency, isLoading, isConnected, isStale, timeSinceUpdate, paused, togglePaused, currentPrice } = useOrderBookAuto(symbol, tickConfig, maxLevels, manualSource)
-  const { volatility, range24h, isLoading: isMarketDataLoading } = useMarketData(symbol)
-  const { deepAsks, deepBids } = useDeepOrderBook(symbol, true, 10000) // Fetch every 10s
+  const {
+    orderBook, tickSize, source, sourceIcon, sourceLatency, isLoading, isConnected, isStale, timeSinceUpdate, paused, togglePaused, currentPrice,
+    bigWalls, biggestAsk, biggestBid, mergedAsks, mergedBids
+  } = useOrderBookAuto(bookSymbol, tickConfig, maxLevels, manualSource, bookExchange, bookCategory, replayConfig, analysis)
+  const { volatility, range24h, isLoading: isMarketDataLoading } = useMarketData(symbol, category)
+  // Depth history keeps recording while the ladder is shown, so switching views keeps context
+  const { historyRef, addTrades } = useHeatmapHistory(orderBook, tickSize, `${bookExchange}:${bookCategory}:${bookSymbol}:${replay.session?.id || 'live'}`)
+  const { trades } = useTrades(symbol, exchange, category, !replaying && (showTrades || view === 'heatmap'), 100, addTrades)
+
+  const exchangeInfo = EXCHANGES.find(e => e.id === exchange) || EXCHANGES[0]
+  const coinTabs = COIN_TABS.filter(tab => exchangeInfo.categories.includes(tab.category))
+  const activeCoinTab = coinTabs.find(tab => tab.id === coinTab) || coinTabs[0]
+  const quote = quoteCurrency(bookSymbol, bookCategory)
+  const marketLabel = bookCategory === 'linear' ? exchangeLabel(bookExchange) : `${exchangeLabel(bookExchange)} ${bookCategory}`
+
+  const replayBar = showReplay && (
+    <ReplayBar replay={replay} onClose={() => setShowReplay(false)} />
+  )
 
   // Tick size is now managed by useOrderBookAuto hook
 
@@ -159,34 +229,36 @@ export function OrderBook({
     }
   }, [initialSymbol])
 
-  // Fetch available coins from Bybit when selector opens
+  // Fetch available coins from Bybit when selector opens or switches category tab
   useEffect(() => {
-    if (showCoinSelector && availableCoins.length === 0) {
-      fetchAvailableCoins()
+    if (showCoinSelector && coinsCategory !== activeCoinTab.category) {
+      fetchAvailableCoins(activeCoinTab.category)
     }
-  }, [showCoinSelector])
+  }, [showCoinSelector, activeCoinTab.category])
 
-  const fetchAvailableCoins = async () => {
+  const fetchAvailableCoins = async (tabCategory) => {
     setLoadingCoins(true)
+    setAvailableCoins([])
+    setCoinsCategory(tabCategory)
     try {
-      // Fetch tickers from Bybit (24h data)
-      const response = await fetch('https://api.bybit.com/v5/market/tickers?category=linear')
+      // Fetch Bybit tickers (24h data) through the backend cache
+      const response = await request(`/api/market/tickers?category=${tabCategory}`)
       const data = await response.json()
 
-      if (data.retCode === 0 && data.result?.list) {
-        // Filter USDT perpetuals - GET ALL (no limit)
-        const usdtPairs = data.result.list
-          .filter(ticker => ticker.symbol.endsWith('USDT'))
+      if (response.ok && data.list) {
+        // GET ALL (no limit) - tabs filter per quote later
+        const pairs = data.list
           .map(ticker => ({
             symbol: ticker.symbol,
-            volume24h: parseFloat(ticker.turnover24h || 0),
+            // Inverse turnover is in coin, volume in USD contracts
+            volume24h: parseFloat((tabCategory === 'inverse' ? ticker.volume24h : ticker.turnover24h) || 0),
             price: parseFloat(ticker.lastPrice || 0),
             change24h: parseFloat(ticker.price24hPcnt || 0) * 100
           }))
           // NO .slice() - show ALL available coins!
 
-        console.log(`[OrderBook] Loaded ${usdtPairs.length} USDT pairs`)
-        setAvailableCoins(usdtPairs)
+        console.log(`[OrderBook] Loaded ${pairs.length} ${tabCategory} pairs`)
+        setAvailableCoins(pairs)
       }
     } catch (error) {
       console.error('[OrderBook] Failed to fetch coins:', error)
@@ -194,15 +266,20 @@ export function OrderBook({
     setLoadingCoins(false)
   }
 
+  // Coins of the active category tab
+  const tabCoins = coinsCategory === activeCoinTab.category
+    ? availableCoins.filter(coin => activeCoinTab.match(coin.symbol))
+    : []
+
   // Sort and filter coins based on search query and sort field
   const getSortedCoins = () => {
-    if (availableCoins.length === 0) return []
+    if (tabCoins.length === 0) return []
 
     // Filter by search query first
-    let filtered = availableCoins
+    let filtered = tabCoins
     if (searchQuery.trim()) {
       const query = searchQuery.toUpperCase()
-      filtered = availableCoins.filter(coin =>
+      filtered = tabCoins.filter(coin =>
         coin.symbol.toUpperCase().includes(query)
       )
     }
@@ -261,10 +338,36 @@ export function OrderBook({
     setShowCoinSelector(false)
     setSearchQuery('') // Reset search on selection
 
-    // Notify parent component of symbol change (for presets)
+    // Notify parent component of symbol (and category) change (for presets)
     if (onSymbolChange) {
       onSymbolChange(newSymbol)
     }
+    if (onCategoryChange && activeCoinTab.category !== category) {
+      onCategoryChange(activeCoinTab.category)
+    }
+  }
+
+  // Open coin selector on the tab of the current book
+  const handleOpenCoinSelector = () => {
+    setCoinTab(coinTabFor(symbol, category).id)
+    setShowCoinSelector(true)
+  }
+
+  // Switch venue; fall back to linear if the venue lacks the current category
+  const handleExchangeSelect = (newExchange) => {
+    onExchangeChange(newExchange)
+    const info = EXCHANGES.find(e => e.id === newExchange)
+    if (onCategoryChange && info && !info.categories.includes(category)) {
+      onCategoryChange('linear')
+    }
+  }
+
+  // Open the replay bar, or close it and go back to live
+  const handleToggleReplay = () => {
+    if (showReplay) {
+      replay.stop()
+    }
+    setShowReplay(!showReplay)
   }
 
   // Close coin selector and reset search
@@ -341,90 +444,9 @@ export function OrderBook({
     return { opacity: 0.5, fontWeight: 400, fontSize: '0.85rem' }                   // Tiny level
   }
 
-  // Merge WebSocket (real-time, near spread) + REST API (deep, far from spread)
-  // Strategy: Use WebSocket for levels within 1% of spread, REST API for levels beyond 1%
-  const { mergedAsks, mergedBids } = useMemo(() => {
-    if (!currentPrice || !orderBook.asks.length || !orderBook.bids.length) {
-      return { mergedAsks: orderBook.asks, mergedBids: orderBook.bids }
-    }
-
-    // Calculate 1% threshold from current price
-    const threshold = currentPrice * 0.01
-
-    // Helper: check if level is within threshold
-    const isNearSpread = (price) => Math.abs(parseFloat(price) - currentPrice) <= threshold
-
-    // Filter WebSocket levels (near spread, real-time)
-    const wsAsksNear = orderBook.asks.filter(([price]) => isNearSpread(price))
-    const wsBidsNear = orderBook.bids.filter(([price]) => isNearSpread(price))
-
-    // Filter REST API levels (far from spread, updated every 10s)
-    const deepAsksFar = deepAsks.filter(([price]) => !isNearSpread(price))
-    const deepBidsFar = deepBids.filter(([price]) => !isNearSpread(price))
-
-    // Merge using Map to remove duplicates (price is key)
-    const mergeAndDedupe = (near, far) => {
-      const map = new Map()
-
-      // Add near levels first (WebSocket priority for near spread)
-      near.forEach(([price, size]) => {
-        map.set(price, size)
-      })
-
-      // Add far levels (REST API for deep levels)
-      far.forEach(([price, size]) => {
-        if (!map.has(price)) {
-          map.set(price, size)
-        }
-      })
-
-      return Array.from(map.entries())
-    }
-
-    const asks = mergeAndDedupe(wsAsksNear, deepAsksFar)
-    const bids = mergeAndDedupe(wsBidsNear, deepBidsFar)
-
-    return { mergedAsks: asks, mergedBids: bids }
-  }, [orderBook.asks, orderBook.bids, deepAsks, deepBids, currentPrice])
-
   // Calculate smart tick suggestion based on volatility
   const smartTick = volatility && currentPrice ? calculateSmartTickSize(currentPrice, volatility) : null
 
-  // Detect big walls in merged orderbook
-  const bigWallsAsks = useMemo(() => {
-    return currentPrice ? detectBigWalls(mergedAsks, currentPrice) : []
-  }, [mergedAsks, currentPrice])
-
-  const bigWallsBids = useMemo(() => {
-    return currentPrice ? detectBigWalls(mergedBids, currentPrice) : []
-  }, [mergedBids, currentPrice])
-
-  // Create Set of big wall prices for fast lookup
-  const bigWallPrices = useMemo(() => {
-    const prices = new Set()
-    bigWallsAsks.forEach(wall => prices.add(wall.price.toString()))
-    bigWallsBids.forEach(wall => prices.add(wall.price.toString()))
-    return prices
-  }, [bigWallsAsks, bigWallsBids])
-
-  // Create map of price -> big wall info for type classification
-  const bigWallsMap = useMemo(() => {
-    const map = new Map()
-    bigWallsAsks.forEach(wall => map.set(wall.price.toString(), wall))
-    bigWallsBids.forEach(wall => map.set(wall.price.toString(), wall))
-    return map
-  }, [bigWallsAsks, bigWallsBids])
-
-  // Find big levels (resistance in asks, support in bids) - use merged data
-  // IMPORTANT: Filter by position relative to current price
-  // Resistance: only asks ABOVE current price (price > currentPrice)
-  // Support: only bids BELOW current price (price < currentPrice)
-  const asksAbovePrice = currentPrice ? mergedAsks.filter(([price]) => parseFloat(price) > currentPrice) : mergedAsks
-  const bidsBelowPrice = currentPrice ? mergedBids.filter(([price]) => parseFloat(price) < currentPrice) : mergedBids
-
-  const biggestAsk = asksAbovePrice.length > 0 ? findBiggestLevel(asksAbovePrice) : null
-  const biggestBid = bidsBelowPrice.length > 0 ? findBiggestLevel(bidsBelowPrice) : null
-
   // Calculate percentage distance for big levels
   const resistancePercent = biggestAsk && currentPrice ? calculatePercentDistance(biggestAsk.price, currentPrice) : null
   const supportPercent = biggestBid && currentPrice ? calculatePercentDistance(biggestBid.price, currentPrice) : null
@@ -433,9 +455,11 @@ export function OrderBook({
     return (
       <div className="orderbook">
         <div className="orderbook-header">
-          <h3>{symbol}</h3>
+          <h3>{bookSymbol}</h3>
+          <span className="exchange-badge">{marketLabel}</span>
           <span className="status-indicator offline">🔴 Disconnected</span>
         </div>
+        {replayBar}
         <div className="orderbook-loading">
           Connecting to WebSocket...
         </div>
@@ -447,9 +471,11 @@ export function OrderBook({
     return (
       <div className="orderbook">
         <div className="orderbook-header">
-          <h3>{symbol}</h3>
+          <h3>{bookSymbol}</h3>
+          <span className="exchange-badge">{marketLabel}</span>
           <span className="status-indicator">🟡 Loading...</span>
         </div>
+        {replayBar}
         <div className="orderbook-loading">
           Waiting for orderbook data...
         </div>
@@ -484,22 +510,48 @@ export function OrderBook({
     <div className="orderbook">
       <div className="orderbook-header">
         <h3
-          className="symbol-name clickable"
-          onClick={() => setShowCoinSelector(true)}
-          title="Click to change coin"
+          className={`symbol-name ${replaying ? '' : 'clickable'}`}
+          onClick={replaying ? undefined : handleOpenCoinSelector}
+          title={replaying ? `Replay: ${replay.session.id}` : `Click to change coin (${marketLabel})`}
         >
-          {symbol}
+          {bookSymbol}
         </h3>
+        {replaying ? (
+          <span className="exchange-badge">{marketLabel}</span>
+        ) : (
+          <select
+            value={exchange}
+            onChange={(e) => handleExchangeSelect(e.target.value)}
+            className="source-select exchange-select"
+            title={`Exchange: ${marketLabel}`}
+          >
+            {EXCHANGES.map(({ id, label }) => (
+              <option key={id} value={id}>{label}</option>
+            ))}
+          </select>
+        )}
         <select
-          value={manualSource}
-          onChange={(e) => onManualSourceChange(e.target.value)}
-          className="source-select"
-          title={`Data source: ${source} (${sourceLatency}ms latency)`}
+          value={view}
+          onChange={(e) => onViewChange(e.target.value)}
+          className="source-select view-select"
+          title="Book view"
         >
-          <option value="L50">L50</option>
-          <option value="L200">L200</option>
-          <option value="L1000">L1000</option>
+          {VIEWS.map(({ id, label }) => (
+            <option key={id} value={id}>{label}</option>
+          ))}
         </select>
+        {!replaying && (
+          <select
+            value={manualSource}
+            onChange={(e) => onManualSourceChange(e.target.value)}
+            className="source-select"
+            title={`Data source: ${source} (${sourceLatency}ms latency)`}
+          >
+            <option value="L50">L50</option>
+            <option value="L200">L200</option>
+            <option value="L1000">L1000</option>
+          </select>
+        )}
         <select
           value={tickSizeMode === 'auto' ? 'auto' : manualTickSize}
           onChange={(e) => {
@@ -527,127 +579,169 @@ export function OrderBook({
           <option value={100}>100</option>
           <option value={1000}>1000</option>
         </select>
-        <span
-          className={`status-indicator clickable ${
-            !isConnected ? 'offline' :
-            paused ? 'paused' :
-            isStale ? 'stale' :
-            'online'
-          }`}
-          onClick={togglePaused}
-          title={
-            paused ? 'Paused - Click to resume' :
-            timeSinceUpdate < Infinity ? `Live - Click to pause (Last update: ${(timeSinceUpdate / 1000).toFixed(1)}s ago)` :
-            'No data yet'
-          }
+        {!replaying && (
+          <button
+            className={`tas-toggle ${showTrades ? 'active' : ''}`}
+            onClick={() => setShowTrades(prev => !prev)}
+            title={showTrades ? 'Hide Time & Sales' : 'Show Time & Sales'}
+          >
+            T&amp;S
+          </button>
+        )}
+        <button
+          className={`tas-toggle ${showReplay ? 'active' : ''}`}
+          onClick={handleToggleReplay}
+          title={showReplay ? 'Close replay (back to live)' : 'Replay a recorded session'}
         >
-          {!isConnected ? '🔴 Dead' :
-           paused ? '⏸️ Paused' :
-           isStale ? '🟡 Stale' :
-           '🟢 Live'}
-          {!paused && timeSinceUpdate < Infinity && timeSinceUpdate < 10000 && (
-            <span style={{fontSize: '0.7em', opacity: 0.7}}> {(timeSinceUpdate / 1000).toFixed(0)}s</span>
-          )}
-        </span>
+          ⏪
+        </button>
+        {replaying ? (
+          <span className="status-indicator paused" title={`Replay: ${replay.session.id}`}>
+            {replay.status?.state === 'playing' ? `⏪ Replay ${replay.status.speed}x` :
+             replay.status?.state === 'ended' ? '⏹️ Ended' :
+             '⏸️ Replay'}
+          </span>
+        ) : (
+          <span
+            className={`status-indicator clickable ${
+              !isConnected ? 'offline' :
+              paused ? 'paused' :
+              isStale ? 'stale' :
+              'online'
+            }`}
+            onClick={togglePaused}
+            title={
+              paused ? 'Paused - Click to resume' :
+              timeSinceUpdate < Infinity ? `Live - Click to pause (Last update: ${(timeSinceUpdate / 1000).toFixed(1)}s ago)` :
+              'No data yet'
+            }
+          >
+            {!isConnected ? '🔴 Dead' :
+             paused ? '⏸️ Paused' :
+             isStale ? '🟡 Stale' :
+             '🟢 Live'}
+            {!paused && timeSinceUpdate < Infinity && timeSinceUpdate < 10000 && (
+              <span style={{fontSize: '0.7em', opacity: 0.7}}> {(timeSinceUpdate / 1000).toFixed(0)}s</span>
+            )}
+          </span>
+        )}
       </div>
 
-      <div className="orderbook-columns">
-        <div className="column-header price">Price(USDT)</div>
-        <div className="column-header size">Amount(Coin)</div>
-        <div className="column-header total">Value(USDT)</div>
-        <div className="column-header distance">Distance%</div>
-      </div>
+      {replayBar}
+
+      {view === 'heatmap' ? (
+        <LiquidityHeatmap historyRef={historyRef} tickSize={tickSize} formatPrice={formatPrice} />
+      ) : view === 'depth' ? (
+        <DepthChart
+          asks={mergedAsks}
+          bids={mergedBids}
+          midPrice={midPrice}
+          quote={quote}
+          formatPrice={formatPrice}
+          formatSize={formatSize}
+          formatValue={formatUSDT}
+        />
+      ) : (
+        <>
+          <div className="orderbook-columns">
+            <div className="column-header price">Price({quote})</div>
+            <div className="column-header size">Amount(Coin)</div>
+            <div className="column-header total">Value({quote})</div>
+            <div className="column-header distance">Distance%</div>
+          </div>
 
-      {/* Asks (Sell orders) - Red */}
-      <div className="orderbook-asks" ref={asksRef} onScroll={handleAsksScroll}>
-        {visibleAsks.map(([price, size], index) => {
-          const priceNum = parseFloat(price)
-          const sizeNum = parseFloat(size)
-
-          // Value in USDT = size * price
-          const valueUSDT = sizeNum * priceNum
-
-          // Calculate distance from mid-price (symmetric for asks/bids)
-          const distancePercent = midPrice ? ((priceNum - midPrice) / midPrice) * 100 : 0
-
-          // Check if this is a big wall
-          const isBigWall = bigWallPrices.has(price)
-          const bigWallInfo = isBigWall ? bigWallsMap.get(price) : null
-
-          const barWidth = calculateBarWidth(size, maxAskSize)
-          const weight = calculateLevelWeight(size, maxAskSize)
-
-          return (
-            <div
-              key={`ask-${price}`}
-              className={`orderbook-row ask ${isBigWall ? 'big-wall' : ''}`}
-              data-wall-type={bigWallInfo?.type || ''}
-              style={{ opacity: weight.opacity }}
-            >
-              <div className="volume-bar ask-bar" style={{ width: `${barWidth}%` }} />
-              <div className="price ask-price" style={{ fontWeight: weight.fontWeight, fontSize: weight.fontSize }}>
-                {isBigWall && <span className="wall-icon">🧱</span>}
-                {formatPrice(price)}
-              </div>
-              <div className="size" style={{ fontWeight: weight.fontWeight, fontSize: weight.fontSize }}>{formatSize(size)}</div>
-              <div className="total" style={{ fontSize: weight.fontSize }}>{formatUSDT(valueUSDT)}</div>
-              <div className="distance ask-distance" style={{ fontSize: weight.fontSize }}>
-                {distancePercent > 0 ? '+' : ''}{distancePercent.toFixed(2)}%
-              </div>
-            </div>
-          )
-        })}
-      </div>
+          {/* Asks (Sell orders) - Red */}
+          <div className="orderbook-asks" ref={asksRef} onScroll={handleAsksScroll}>
+            {visibleAsks.map(([price, size], index) => {
+              const priceNum = parseFloat(price)
+              const sizeNum = parseFloat(size)
 
-      {/* Spread indicator */}
-      <div className="orderbook-spread">
-        <span className="spread-value">{formatPrice(bestAsk)}</span>
-        <span className="spread-info">
-          Spread: {spread.toFixed(2)} ({spreadPercent}%)
-        </span>
-        <span className="spread-value">{formatPrice(bestBid)}</span>
-      </div>
+              // Value in USDT = size * price
+              const valueUSDT = sizeNum * priceNum
 
-      {/* Bids (Buy orders) - Green */}
-      <div className="orderbook-bids" ref={bidsRef} onScroll={handleBidsScroll}>
-        {visibleBids.map(([price, size], index) => {
-          const priceNum = parseFloat(price)
-          const sizeNum = parseFloat(size)
-
-          // Value in USDT = size * price
-          const valueUSDT = sizeNum * priceNum
-
-          // Calculate distance from mid-price (symmetric for asks/bids)
-          const distancePercent = midPrice ? ((priceNum - midPrice) / midPrice) * 100 : 0
-
-          // Check if this is a big wall
-          const isBigWall = bigWallPrices.has(price)
-          const bigWallInfo = isBigWall ? bigWallsMap.get(price) : null
-
-          const barWidth = calculateBarWidth(size, maxBidSize)
-          const weight = calculateLevelWeight(size, maxBidSize)
-
-          return (
-            <div
-              key={`bid-${price}`}
-              className={`orderbook-row bid ${isBigWall ? 'big-wall' : ''}`}
-              data-wall-type={bigWallInfo?.type || ''}
-              style={{ opacity: weight.opacity }}
-            >
-              <div className="volume-bar bid-bar" style={{ width: `${barWidth}%` }} />
-              <div className="price bid-price" style={{ fontWeight: weight.fontWeight, fontSize: weight.fontSize }}>
-                {isBigWall && <span className="wall-icon">🧱</span>}
-                {formatPrice(price)}
-              </div>
-              <div className="size" style={{ fontWeight: weight.fontWeight, fontSize: weight.fontSize }}>{formatSize(size)}</div>
-              <div className="total" style={{ fontSize: weight.fontSize }}>{formatUSDT(valueUSDT)}</div>
-              <div className="distance bid-distance" style={{ fontSize: weight.fontSize }}>
-                {distancePercent > 0 ? '+' : ''}{distancePercent.toFixed(2)}%
-              </div>
-            </div>
-          )
-        })}
-      </div>
+              // Calculate distance from mid-price (symmetric for asks/bids)
+              const distancePercent = midPrice ? ((priceNum - midPrice) / midPrice) * 100 : 0
+
+              // Check if this is a big wall
+              const bigWallInfo = bigWalls.get(price) || null
+              const isBigWall = !!bigWallInfo
+
+              const barWidth = calculateBarWidth(size, maxAskSize)
+              const weight = calculateLevelWeight(size, maxAskSize)
+
+              return (
+                <div
+                  key={`ask-${price}`}
+                  className={`orderbook-row ask ${isBigWall ? 'big-wall' : ''}`}
+                  data-wall-type={bigWallInfo?.type || ''}
+                  style={{ opacity: weight.opacity }}
+                >
+                  <div className="volume-bar ask-bar" style={{ width: `${barWidth}%` }} />
+                  <div className="price ask-price" style={{ fontWeight: weight.fontWeight, fontSize: weight.fontSize }}>
+                    {isBigWall && <span className="wall-icon">🧱</span>}
+                    {formatPrice(price)}
+                  </div>
+                  <div className="size" style={{ fontWeight: weight.fontWeight, fontSize: weight.fontSize }}>{formatSize(size)}</div>
+                  <div className="total" style={{ fontSize: weight.fontSize }}>{formatUSDT(valueUSDT)}</div>
+                  <div className="distance ask-distance" style={{ fontSize: weight.fontSize }}>
+                    {distancePercent > 0 ? '+' : ''}{distancePercent.toFixed(2)}%
+                  </div>
+                </div>
+              )
+            })}
+          </div>
+
+          {/* Spread indicator */}
+          <div className="orderbook-spread">
+            <span className="spread-value">{formatPrice(bestAsk)}</span>
+            <span className="spread-info">
+              Spread: {spread.toFixed(2)} ({spreadPercent}%)
+            </span>
+            <span className="spread-value">{formatPrice(bestBid)}</span>
+          </div>
+
+          {/* Bids (Buy orders) - Green */}
+          <div className="orderbook-bids" ref={bidsRef} onScroll={handleBidsScroll}>
+            {visibleBids.map(([price, size], index) => {
+              const priceNum = parseFloat(price)
+              const sizeNum = parseFloat(size)
+
+              // Value in USDT = size * price
+              const valueUSDT = sizeNum * priceNum
+
+              // Calculate distance from mid-price (symmetric for asks/bids)
+              const distancePercent = midPrice ? ((priceNum - midPrice) / midPrice) * 100 : 0
+
+              // Check if this is a big wall
+              const bigWallInfo = bigWalls.get(price) || null
+              const isBigWall = !!bigWallInfo
+
+              const barWidth = calculateBarWidth(size, maxBidSize)
+              const weight = calculateLevelWeight(size, maxBidSize)
+
+              return (
+                <div
+                  key={`bid-${price}`}
+                  className={`orderbook-row bid ${isBigWall ? 'big-wall' : ''}`}
+                  data-wall-type={bigWallInfo?.type || ''}
+                  style={{ opacity: weight.opacity }}
+                >
+                  <div className="volume-bar bid-bar" style={{ width: `${barWidth}%` }} />
+                  <div className="price bid-price" style={{ fontWeight: weight.fontWeight, fontSize: weight.fontSize }}>
+                    {isBigWall && <span className="wall-icon">🧱</span>}
+                    {formatPrice(price)}
+                  </div>
+                  <div className="size" style={{ fontWeight: weight.fontWeight, fontSize: weight.fontSize }}>{formatSize(size)}</div>
+                  <div className="total" style={{ fontSize: weight.fontSize }}>{formatUSDT(valueUSDT)}</div>
+                  <div className="distance bid-distance" style={{ fontSize: weight.fontSize }}>
+                    {distancePercent > 0 ? '+' : ''}{distancePercent.toFixed(2)}%
+                  </div>
+                </div>
+              )
+            })}
+          </div>
+        </>
+      )}
 
       {/* Big Levels Display - ALWAYS VISIBLE */}
       <div className="big-levels">
@@ -674,7 +768,7 @@ export function OrderBook({
       </div>
 
       {/* Range Tracker - Daily (00:00 UTC) */}
-      {range24h.max && range24h.min && (
+      {!replaying && range24h.max && range24h.min && (
         <div className="range-tracker">
           <span className="range-label">📊 Range Daily:</span>
           <span className="range-max">MAX ${formatSmartPrice(range24h.max, tickSize)}</span>
@@ -695,15 +789,38 @@ export function OrderBook({
         </div>
       </div>
 
+      {/* Time & Sales - public trades tape */}
+      {showTrades && !replaying && (
+        <TimeAndSales
+          trades={trades}
+          quote={quote}
+          formatPrice={formatPrice}
+          formatSize={formatSize}
+        />
+      )}
+
       {/* Coin Selector Modal */}
       {showCoinSelector && (
         <div className="coin-selector-overlay" onClick={handleCloseCoinSelector}>
           <div className="coin-selector-modal" onClick={(e) => e.stopPropagation()}>
             <div className="coin-selector-header">
-              <h4>Select Coin ({availableCoins.length} available)</h4>
+              <h4>Select Coin ({tabCoins.length} available)</h4>
               <button onClick={handleCloseCoinSelector} className="close-btn">✕</button>
             </div>
 
+            {/* Category Tabs */}
+            <div className="coin-tabs">
+              {coinTabs.map(tab => (
+                <button
+                  key={tab.id}
+                  className={`coin-tab ${tab.id === activeCoinTab.id ? 'active' : ''}`}
+                  onClick={() => setCoinTab(tab.id)}
+                >
+                  {tab.label}
+                </button>
+              ))}
+            </div>
+
             {/* Search Input */}
             <div className="coin-search-container">
               <input
@@ -769,7 +886,7 @@ export function OrderBook({
                   getSortedCoins().map((coin) => (
                     <div
                       key={coin.symbol}
-                      className={`coin-selector-row ${coin.symbol === symbol ? 'active' : ''}`}
+                      className={`coin-selector-row ${coin.symbol === symbol && activeCoinTab.category === category ? 'active' : ''}`}
                       onClick={() => handleCoinSelect(coin.symbol)}
                     >
                       <div className="coin-symbol">{coin.symbol.replace('USDT', '')}</div>
@@ -0,0 +1,149 @@
+import { useState, useEffect } from 'react'
+import { useAuth } from '../context/AuthContext'
+import { REPLAY_SPEEDS } from '../hooks/useReplay'
+import './ReplayBar.css'
+
+/**
+ * Format a recorded timestamp as HH:MM:SS (local time)
+ */
+function formatClock(timestamp) {
+  return new Date(timestamp).toLocaleTimeString('it-IT', { hour12: false })
+}
+
+/**
+ * Session label for the picker: market, depth and start date
+ */
+function sessionLabel(session) {
+  const started = new Date(session.startedAt).toLocaleString('it-IT', { hour12: false })
+  const live = session.stoppedAt ? '' : ' (recording)'
+  return `${session.symbol} ${session.exchange}/${session.category} L${session.depth} - ${started}${live}`
+}
+
+/**
+ * Replay Bar - pick a recorded session and control its playback
+ * (play/pause, speed, seek) for one book
+ *
+ * @param {object} replay - Controls and state from useReplay
+ */
+export function ReplayBar({ replay, onClose }) {
+  const { request } = useAuth()
+  const [sessions, setSessions] = useState([])
+  const [selectedId, setSelectedId] = useState('')
+  const [loadError, setLoadError] = useState(null)
+  const [dragTime, setDragTime] = useState(null) // Slider position while dragging (seek on release)
+
+  const { session, status, error } = replay
+
+  // Load recorded sessions when the picker is shown
+  useEffect(() => {
+    if (session) return
+
+    const fetchSessions = async () => {
+      try {
+        const response = await request('/api/recorder')
+        if (!response.ok) throw new Error(`HTTP ${response.status}`)
+
+        const data = await response.json()
+        setSessions(data.sessions || [])
+        setSelectedId(current => current || data.sessions?.[0]?.id || '')
+        setLoadError(null)
+      } catch (err) {
+        console.error('[ReplayBar] Failed to load sessions:', err)
+        setLoadError('Failed to load sessions')
+      }
+    }
+
+    fetchSessions()
+  }, [session, request])
+
+  const handleStart = () => {
+    const selected = sessions.find(s => s.id === selectedId)
+    if (selected) replay.start(selected)
+  }
+
+  const commitSeek = () => {
+    if (dragTime === null) return
+    replay.seek(dragTime)
+    setDragTime(null)
+  }
+
+  const handleClose = () => {
+    replay.stop()
+    onClose()
+  }
+
+  if (!session) {
+    return (
+      <div className="replay-bar">
+        <span className="replay-label">⏪ Replay</span>
+        {loadError ? (
+          <span className="replay-error">{loadError}</span>
+        ) : sessions.length === 0 ? (
+          <span className="replay-empty">No recorded sessions</span>
+        ) : (
+          <>
+            <select
+              className="replay-session-select"
+              value={selectedId}
+              onChange={(e) => setSelectedId(e.target.value)}
+            >
+              {sessions.map(s => (
+                <option key={s.id} value={s.id}>{sessionLabel(s)}</option>
+              ))}
+            </select>
+            <button className="replay-button" onClick={handleStart} disabled={!selectedId}>
+              ▶ Load
+            </button>
+          </>
+        )}
+        <button className="replay-button" onClick={handleClose} title="Close replay">✕</button>
+      </div>
+    )
+  }
+
+  const startedAt = status?.startedAt ?? session.startedAt
+  const endedAt = status?.endedAt ?? session.stoppedAt ?? startedAt
+  const time = dragTime ?? status?.time ?? startedAt
+  const isPlaying = status?.state === 'playing'
+
+  return (
+    <div className="replay-bar active">
+      <button
+        className="replay-button"
+        onClick={isPlaying ? replay.pause : replay.resume}
+        title={isPlaying ? 'Pause' : status?.state === 'ended' ? 'Replay from start' : 'Play'}
+      >
+        {isPlaying ? '⏸' : '▶'}
+      </button>
+      <select
+        className="replay-speed-select"
+        value={status?.speed ?? 1}
+        onChange={(e) => replay.setSpeed(Number(e.target.value))}
+        title="Playback speed"
+      >
+        {REPLAY_SPEEDS.map(speed => (
+          <option key={speed} value={speed}>{speed}x</option>
+        ))}
+      </select>
+      <input
+        type="range"
+        className="replay-slider"
+        min={startedAt}
+        max={endedAt}
+        step={1000}
+        value={time}
+        onChange={(e) => setDragTime(Number(e.target.value))}
+        onPointerUp={commitSeek}
+        onKeyUp={commitSeek}
+        title="Seek"
+      />
+      <span className="replay-time">
+        {formatClock(time)} / {formatClock(endedAt)}
+      </span>
+      {error && <span className="replay-error">{error}</span>}
+      <button className="replay-button" onClick={handleClose} title="Back to live">
+        Live
+      </button>
+    </div>
+  )
+}
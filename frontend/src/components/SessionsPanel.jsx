@@ -0,0 +1,111 @@
+import { useState, useEffect, useCallback } from 'react'
+import { useAuth } from '../context/AuthContext'
+import { TwoFactorSettings } from './TwoFactorSettings'
+import { ApiKeysSettings } from './ApiKeysSettings'
+import './SessionsPanel.css'
+
+const BROWSERS = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']]
+const SYSTEMS = [['iPhone', 'iPhone'], ['iPad', 'iPad'], ['Android', 'Android'], ['Windows', 'Windows'], ['Mac OS X', 'macOS'], ['Linux', 'Linux']]
+
+/**
+ * Short device label from a user agent ("Chrome on Windows")
+ */
+function describeDevice(userAgent = '') {
+  const browser = BROWSERS.find(([marker]) => userAgent.includes(marker))?.[1]
+  const system = SYSTEMS.find(([marker]) => userAgent.includes(marker))?.[1]
+  if (!browser && !system) return userAgent || 'Unknown device'
+  return [browser || 'Browser', system].filter(Boolean).join(' on ')
+}
+
+function formatTime(timestamp) {
+  return new Date(timestamp).toLocaleString('it-IT', { hour12: false })
+}
+
+/**
+ * Sessions Panel - account security settings: the current user's logged-in
+ * devices (with revoke), two-factor authentication and API keys
+ *
+ * @param {function} onClose - Back to the dashboard
+ */
+export function SessionsPanel({ onClose }) {
+  const { request, logout } = useAuth()
+  const [sessions, setSessions] = useState([])
+  const [error, setError] = useState(null)
+  const [busy, setBusy] = useState(false)
+
+  const loadSessions = useCallback(async () => {
+    try {
+      const response = await request('/api/auth/sessions')
+      if (!response.ok) throw new Error(`HTTP ${response.status}`)
+
+      const data = await response.json()
+      setSessions(data.sessions)
+      setError(null)
+    } catch (err) {
+      console.error('[SessionsPanel] Failed to load sessions:', err)
+      setError(err.message)
+    }
+  }, [request])
+
+  useEffect(() => {
+    loadSessions()
+  }, [loadSessions])
+
+  const revoke = async (ids) => {
+    setBusy(true)
+    try {
+      for (const id of ids) {
+        const response = await request(`/api/auth/sessions/${id}`, { method: 'DELETE' })
+        if (!response.ok && response.status !== 404) throw new Error(`HTTP ${response.status}`)
+      }
+      await loadSessions()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const others = sessions.filter(session => !session.current)
+
+  return (
+    <div className="sessions-overlay">
+      <div className="sessions-panel">
+        <div className="sessions-header">
+          <h2>🔐 Security</h2>
+          <button className="sessions-close" onClick={onClose} title="Back to books">✕</button>
+        </div>
+
+        {error && <div className="sessions-error">{error}</div>}
+
+        <ul className="sessions-list">
+          {sessions.map(session => (
+            <li key={session.id} className={`sessions-item ${session.current ? 'current' : ''}`}>
+              <div className="sessions-device">
+                <span className="sessions-name" title={session.userAgent}>{describeDevice(session.userAgent)}</span>
+                {session.current && <span className="sessions-tag">This device</span>}
+              </div>
+              <div className="sessions-meta">
+                {session.ip} · signed in {formatTime(session.createdAt)} · last active {formatTime(session.lastUsedAt)}
+              </div>
+              {session.current ? (
+                <button className="sessions-revoke" onClick={logout}>Log out</button>
+              ) : (
+                <button className="sessions-revoke" disabled={busy} onClick={() => revoke([session.id])}>Revoke</button>
+              )}
+            </li>
+          ))}
+        </ul>
+
+        {others.length > 0 && (
+          <button className="sessions-revoke-all" disabled={busy} onClick={() => revoke(others.map(s => s.id))}>
+            Sign out all other devices ({others.length})
+          </button>
+        )}
+
+        <TwoFactorSettings />
+        <ApiKeysSettings />
+      </div>
+    </div>
+  )
+}
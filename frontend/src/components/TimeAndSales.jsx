@@ -0,0 +1,63 @@
+import './TimeAndSales.css'
+
+// Large print thresholds (trade value in quote currency)
+const LARGE_PRINT_VALUE = 100000 // 100K
+const HUGE_PRINT_VALUE = 1000000 // 1M
+
+/**
+ * Time & Sales - public trades tape for one book
+ * Rows colored by aggressor side, large prints highlighted by value
+ *
+ * @param {Array} trades - Prints from useTrades (newest first)
+ */
+export function TimeAndSales({ trades, quote = 'USDT', formatPrice, formatSize }) {
+  const formatTime = (timestamp) => {
+    const date = new Date(timestamp)
+    return date.toLocaleTimeString('it-IT', { hour12: false }) + '.' + String(date.getMilliseconds()).padStart(3, '0')
+  }
+
+  const formatValue = (value) => {
+    if (value >= 1000000) return `${(value / 1000000).toFixed(2)}M`
+    if (value >= 1000) return `${(value / 1000).toFixed(1)}K`
+    return value.toFixed(0)
+  }
+
+  return (
+    <div className="time-and-sales">
+      <div className="tas-columns">
+        <div className="column-header">Time</div>
+        <div className="column-header">Price({quote})</div>
+        <div className="column-header">Amount(Coin)</div>
+        <div className="column-header">Aggressor</div>
+      </div>
+
+      <div className="tas-rows">
+        {trades.length === 0 ? (
+          <div className="tas-empty">Waiting for trades...</div>
+        ) : (
+          trades.map((trade) => {
+            const isBuy = trade.side === 'Buy'
+            const printClass = trade.value >= HUGE_PRINT_VALUE ? 'huge-print'
+              : trade.value >= LARGE_PRINT_VALUE ? 'large-print' : ''
+
+            return (
+              <div
+                key={trade.id}
+                className={`tas-row ${isBuy ? 'buy' : 'sell'} ${printClass}`}
+                title={`${formatValue(trade.value)} ${quote}`}
+              >
+                <div className="tas-time">{formatTime(trade.time)}</div>
+                <div className="tas-price">{formatPrice(trade.price)}</div>
+                <div className="tas-size">{formatSize(trade.size)}</div>
+                <div className="tas-side">
+                  {isBuy ? '▲ Buyer' : '▼ Seller'}
+                  {printClass && <span className="tas-value"> {formatValue(trade.value)}</span>}
+                </div>
+              </div>
+            )
+          })
+        )}
+      </div>
+    </div>
+  )
+}
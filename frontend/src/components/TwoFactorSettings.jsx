@@ -0,0 +1,209 @@
+import { useState, useEffect, useCallback } from 'react'
+import { useAuth } from '../context/AuthContext'
+import './TwoFactorSettings.css'
+
+function formatDate(timestamp) {
+  return new Date(timestamp).toLocaleDateString('it-IT')
+}
+
+// Secret in groups of 4 for typing it into an authenticator app
+function formatSecret(secret) {
+  return secret.match(/.{1,4}/g).join(' ')
+}
+
+/**
+ * Two-Factor Settings - turn TOTP 2FA on (secret + code from the app) or off,
+ * and issue new recovery codes
+ */
+export function TwoFactorSettings() {
+  const { request } = useAuth()
+  const [status, setStatus] = useState(null)
+  const [step, setStep] = useState(null) // null | 'password' | 'verify' | 'regenerate' | 'disable'
+  const [setup, setSetup] = useState(null) // { secret, otpauthUri } while enrolling
+  const [recoveryCodes, setRecoveryCodes] = useState(null) // Shown once after enabling/regenerating
+  const [password, setPassword] = useState('')
+  const [code, setCode] = useState('')
+  const [error, setError] = useState(null)
+  const [busy, setBusy] = useState(false)
+
+  // JSON call to /api/auth/2fa; throws with the backend message on failure
+  const call2fa = useCallback(async (method, path, body) => {
+    const response = await request(`/api/auth/2fa${path}`, {
+      method,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    })
+    const data = await response.json()
+    if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`)
+    return data
+  }, [request])
+
+  const loadStatus = useCallback(async () => {
+    try {
+      setStatus(await call2fa('GET', ''))
+    } catch (err) {
+      console.error('[TwoFactorSettings] Failed to load status:', err)
+      setError(err.message)
+    }
+  }, [call2fa])
+
+  useEffect(() => {
+    loadStatus()
+  }, [loadStatus])
+
+  const reset = (nextStep = null) => {
+    setStep(nextStep)
+    setPassword('')
+    setCode('')
+    setError(null)
+  }
+
+  // Run a step; the form stays open with the error on failure
+  const run = async (action) => {
+    setBusy(true)
+    setError(null)
+    try {
+      await action()
+    } catch (err) {
+      setError(err.message)
+      setCode('')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+
+    if (step === 'password') {
+      run(async () => {
+        setSetup(await call2fa('POST', '/setup', { password }))
+        reset('verify')
+      })
+    } else if (step === 'verify') {
+      run(async () => {
+        const data = await call2fa('POST', '/enable', { code })
+        setSetup(null)
+        setRecoveryCodes(data.recoveryCodes)
+        reset()
+        await loadStatus()
+      })
+    } else if (step === 'regenerate') {
+      run(async () => {
+        const data = await call2fa('POST', '/recovery-codes', { code })
+        setRecoveryCodes(data.recoveryCodes)
+        reset()
+        await loadStatus()
+      })
+    } else if (step === 'disable') {
+      run(async () => {
+        await call2fa('POST', '/disable', { password, code })
+        setRecoveryCodes(null)
+        reset()
+        await loadStatus()
+      })
+    }
+  }
+
+  const cancel = () => {
+    setSetup(null)
+    reset()
+  }
+
+  if (!status) {
+    return error ? <div className="twofa-error">{error}</div> : null
+  }
+
+  const needsPassword = step === 'password' || step === 'disable'
+  const needsCode = step === 'verify' || step === 'regenerate' || step === 'disable'
+
+  return (
+    <section className="twofa">
+      <div className="twofa-header">
+        <h3>🛡️ Two-factor authentication</h3>
+        <span className={`twofa-state ${status.enabled ? 'on' : ''}`}>{status.enabled ? 'On' : 'Off'}</span>
+      </div>
+
+      {status.enabled ? (
+        <p className="twofa-text">
+          Logins ask for a code from your authenticator app (since {formatDate(status.enabledAt)}).
+          {' '}{status.recoveryCodesLeft} recovery codes left.
+        </p>
+      ) : (
+        <p className="twofa-text">
+          Protect your account with a code from an authenticator app (Google Authenticator, Aegis, 1Password...)
+          in addition to the password.
+        </p>
+      )}
+
+      {recoveryCodes && (
+        <div className="twofa-recovery">
+          <p>
+            Recovery codes: each one logs you in once if you lose your phone. Save them now,
+            they are not shown again.
+          </p>
+          <ul>
+            {recoveryCodes.map(recoveryCode => <li key={recoveryCode}>{recoveryCode}</li>)}
+          </ul>
+          <div className="twofa-actions">
+            <button onClick={() => navigator.clipboard?.writeText(recoveryCodes.join('\n'))}>📋 Copy</button>
+            <button onClick={() => setRecoveryCodes(null)}>I saved them</button>
+          </div>
+        </div>
+      )}
+
+      {step === 'verify' && setup && (
+        <div className="twofa-setup">
+          <p>
+            Type this key into your authenticator app (or <a href={setup.otpauthUri}>open it in the app</a> on
+            this device), then enter the code it shows.
+          </p>
+          <code className="twofa-secret">{formatSecret(setup.secret)}</code>
+        </div>
+      )}
+
+      {step ? (
+        <form className="twofa-form" onSubmit={handleSubmit}>
+          {needsPassword && (
+            <input
+              type="password"
+              placeholder="Current password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoComplete="current-password"
+              required
+              autoFocus
+            />
+          )}
+          {needsCode && (
+            <input
+              type="text"
+              placeholder={step === 'verify' ? '6-digit code' : 'Code or recovery code'}
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              autoComplete="one-time-code"
+              required
+              autoFocus={!needsPassword}
+            />
+          )}
+          <button type="submit" disabled={busy}>
+            {step === 'password' ? 'Continue' : step === 'verify' ? 'Turn on' : step === 'regenerate' ? 'New codes' : 'Turn off'}
+          </button>
+          <button type="button" onClick={cancel} disabled={busy}>Cancel</button>
+        </form>
+      ) : (
+        <div className="twofa-actions">
+          {status.enabled ? (
+            <>
+              <button onClick={() => reset('regenerate')}>New recovery codes</button>
+              <button className="twofa-danger" onClick={() => reset('disable')}>Turn off</button>
+            </>
+          ) : (
+            <button onClick={() => reset('password')}>Set up</button>
+          )}
+        </div>
+      )}
+
+      {error && <div className="twofa-error">{error}</div>}
+    </section>
+  )
+}
@@ -1,12 +1,34 @@
-import { createContext, useContext, useState, useEffect } from 'react'
+import { createContext, useContext, useState, useEffect, useRef, useCallback } from 'react'
 
 const AuthContext = createContext(null)
 
+const SYNC_DELAY = 800 // ms, bursts of local edits (e.g. dragging) go out as one PUT
+const REFRESH_MARGIN = 60000 // ms, renew the access token this long before it expires
+const MAX_TIMER_DELAY = 2147483647 // setTimeout limit (~24.8 days)
+
+/**
+ * Expiry of a JWT in ms (null if unreadable)
+ */
+function tokenExpiry(token) {
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')))
+    return payload.exp ? payload.exp * 1000 : null
+  } catch {
+    return null
+  }
+}
+
 export function AuthProvider({ children }) {
   const [user, setUser] = useState(null)
   const [token, setToken] = useState(null)
   const [isLoading, setIsLoading] = useState(true)
 
+  // Preference changes not yet accepted by the backend (kept on failure, retried on next sync)
+  const pendingRef = useRef({})
+  const inFlightRef = useRef({}) // Changes of the PUT in progress
+  const syncTimerRef = useRef(null)
+  const refreshPromiseRef = useRef(null) // Refresh in progress, shared by concurrent callers
+
   // Check for existing token on mount
   useEffect(() => {
     const savedToken = localStorage.getItem('bullbook_token')
@@ -19,50 +41,301 @@ export function AuthProvider({ children }) {
     setIsLoading(false)
   }, [])
 
-  const login = async (username, password) => {
-    try {
-      const response = await fetch('/api/auth/login', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ username, password })
-      })
+  // Local copy of the user (and preferences) for offline starts
+  useEffect(() => {
+    if (user) {
+      localStorage.setItem('bullbook_user', JSON.stringify(user))
+    }
+  }, [user])
 
-      if (!response.ok) {
-        const error = await response.json()
-        throw new Error(error.error || 'Login failed')
-      }
+  // Server preferences with local changes not yet saved applied on top
+  const applyServerPreferences = useCallback((preferences) => {
+    const unsaved = { ...inFlightRef.current, ...pendingRef.current }
+    setUser(prev => prev && { ...prev, preferences: { ...preferences, ...unsaved } })
+  }, [])
 
-      const data = await response.json()
+  // POST a login step; resolves with the response body, throws with the backend message
+  const postLogin = async (url, body) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    })
 
-      setToken(data.token)
-      setUser(data.user)
+    if (!response.ok) {
+      const error = await response.json()
+      // Throttled or locked out (429): say how long to wait
+      const wait = response.status === 429 && error.retryAfter
+        ? ` (retry in ${error.retryAfter < 60 ? `${error.retryAfter}s` : `${Math.ceil(error.retryAfter / 60)} min`})`
+        : ''
+      throw new Error(`${error.error || 'Login failed'}${wait}`)
+    }
+    return response.json()
+  }
 
-      localStorage.setItem('bullbook_token', data.token)
-      localStorage.setItem('bullbook_user', JSON.stringify(data.user))
+  const startSession = (data) => {
+    pendingRef.current = {}
+    setToken(data.token)
+    setUser(data.user)
+
+    localStorage.setItem('bullbook_token', data.token)
+    localStorage.setItem('bullbook_refresh_token', data.refreshToken)
+  }
+
+  /**
+   * Password step; accounts with 2FA get { twoFactor: { challengeToken } } and
+   * finish with verifyTwoFactor
+   */
+  const login = async (username, password) => {
+    try {
+      const data = await postLogin('/api/auth/login', { username, password })
+      if (data.twoFactorRequired) {
+        return { success: false, twoFactor: { challengeToken: data.challengeToken } }
+      }
 
+      startSession(data)
       return { success: true }
     } catch (error) {
       return { success: false, error: error.message }
     }
   }
 
-  const logout = () => {
+  // Second login step: authenticator code or recovery code
+  const verifyTwoFactor = async (challengeToken, code) => {
+    try {
+      const data = await postLogin('/api/auth/login/2fa', { challengeToken, code })
+      startSession(data)
+      return { success: true }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  }
+
+  // Forget the session in this browser (tabs follow through the storage event)
+  const clearSession = useCallback(() => {
+    clearTimeout(syncTimerRef.current)
+    pendingRef.current = {}
     setToken(null)
     setUser(null)
     localStorage.removeItem('bullbook_token')
+    localStorage.removeItem('bullbook_refresh_token')
     localStorage.removeItem('bullbook_user')
-  }
+  }, [])
 
-  const updatePreferences = (preferences) => {
-    if (user) {
-      const updatedUser = { ...user, preferences: { ...user.preferences, ...preferences } }
-      setUser(updatedUser)
-      localStorage.setItem('bullbook_user', JSON.stringify(updatedUser))
+  // End the session on the backend too (best effort: offline logouts still end it here)
+  const logout = useCallback(() => {
+    const refreshToken = localStorage.getItem('bullbook_refresh_token')
+    if (refreshToken) {
+      fetch('/api/auth/logout', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken })
+      }).catch(error => console.warn('[Auth] Logout request failed:', error))
+    }
+    clearSession()
+  }, [clearSession])
+
+  /**
+   * Renew the access token with the refresh token (rotated on every use)
+   * Concurrent callers share one request; the token is read from localStorage
+   * because another tab may have rotated it
+   *
+   * @returns {Promise<string|null>} New access token, null if the session is over (logged out)
+   * @throws If the backend cannot be reached (the session is kept)
+   */
+  const refreshSession = useCallback(() => {
+    if (refreshPromiseRef.current) return refreshPromiseRef.current
+
+    const run = async () => {
+      const refreshToken = localStorage.getItem('bullbook_refresh_token')
+      if (!refreshToken) {
+        clearSession() // Logged in before refresh tokens existed
+        return null
+      }
+
+      const response = await fetch('/api/auth/refresh', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken })
+      })
+
+      if (response.status === 401) {
+        console.warn('[Auth] Session ended - logging out')
+        clearSession()
+        return null
+      }
+      if (!response.ok) throw new Error(`HTTP ${response.status}`)
+
+      const data = await response.json()
+      localStorage.setItem('bullbook_token', data.token)
+      localStorage.setItem('bullbook_refresh_token', data.refreshToken)
+      setToken(data.token)
+      return data.token
+    }
+
+    refreshPromiseRef.current = run().finally(() => {
+      refreshPromiseRef.current = null
+    })
+    return refreshPromiseRef.current
+  }, [clearSession])
+
+  // Renew the access token shortly before it expires (right away if it already has)
+  useEffect(() => {
+    const expiry = token && tokenExpiry(token)
+    if (!expiry) return
+
+    const delay = Math.min(Math.max(expiry - REFRESH_MARGIN - Date.now(), 0), MAX_TIMER_DELAY)
+    const timer = setTimeout(() => {
+      refreshSession().catch(error => console.warn('[Auth] Token refresh failed:', error))
+    }, delay)
+    return () => clearTimeout(timer)
+  }, [token, refreshSession])
+
+  // Tabs share the session: follow refreshes and logouts done in another tab
+  useEffect(() => {
+    const handleStorage = (event) => {
+      if (event.key !== 'bullbook_token') return
+
+      if (event.newValue) {
+        setToken(event.newValue)
+      } else {
+        clearTimeout(syncTimerRef.current)
+        pendingRef.current = {}
+        setToken(null)
+        setUser(null)
+      }
+    }
+
+    window.addEventListener('storage', handleStorage)
+    return () => window.removeEventListener('storage', handleStorage)
+  }, [])
+
+  // Authenticated JSON request; a rejected access token is renewed once, then the request retried
+  const request = useCallback(async (url, options = {}) => {
+    const send = (accessToken) => fetch(url, {
+      ...options,
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${accessToken}`, ...options.headers }
+    })
+
+    let response = await send(token)
+    if (response.status === 401) {
+      const fresh = await refreshSession()
+      if (!fresh) throw new Error('Session expired')
+
+      response = await send(fresh)
+      if (response.status === 401) {
+        clearSession()
+        throw new Error('Session expired')
+      }
+    }
+    return response
+  }, [token, refreshSession, clearSession])
+
+  // Reload preferences from the backend (changes made on other devices)
+  const refreshPreferences = useCallback(async () => {
+    if (!token) return
+
+    try {
+      const response = await request('/api/user/preferences')
+      if (!response.ok) throw new Error(`HTTP ${response.status}`)
+
+      const data = await response.json()
+      applyServerPreferences(data.preferences)
+    } catch (error) {
+      console.error('[Auth] Failed to load preferences:', error)
+    }
+  }, [token, request, applyServerPreferences])
+
+  // Send pending changes; on failure they stay pending for the next attempt
+  const flushPreferences = useCallback(async () => {
+    clearTimeout(syncTimerRef.current)
+
+    const changes = pendingRef.current
+    if (!token || Object.keys(changes).length === 0) return
+    pendingRef.current = {}
+    inFlightRef.current = changes
+
+    try {
+      const response = await request('/api/user/preferences', {
+        method: 'PUT',
+        body: JSON.stringify({ preferences: changes })
+      })
+      if (!response.ok) throw new Error(`HTTP ${response.status}`)
+
+      const data = await response.json()
+      inFlightRef.current = {}
+      applyServerPreferences(data.preferences)
+    } catch (error) {
+      console.error('[Auth] Failed to save preferences:', error)
+      inFlightRef.current = {}
+      pendingRef.current = { ...changes, ...pendingRef.current }
+    }
+  }, [token, request, applyServerPreferences])
+
+  // Load on start and whenever the app comes back to the foreground; retry pending changes when back online
+  useEffect(() => {
+    if (!token) return
+
+    const handleVisible = () => {
+      if (document.visibilityState === 'visible') {
+        flushPreferences().then(refreshPreferences)
+      }
+    }
+
+    refreshPreferences()
+    document.addEventListener('visibilitychange', handleVisible)
+    window.addEventListener('online', flushPreferences)
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisible)
+      window.removeEventListener('online', flushPreferences)
+    }
+  }, [token, refreshPreferences, flushPreferences])
+
+  // Merge preferences locally right away, send them to the backend shortly after
+  const updatePreferences = useCallback((preferences) => {
+    pendingRef.current = { ...pendingRef.current, ...preferences }
+    setUser(prev => prev && { ...prev, preferences: { ...prev.preferences, ...preferences } })
+
+    clearTimeout(syncTimerRef.current)
+    syncTimerRef.current = setTimeout(flushPreferences, SYNC_DELAY)
+  }, [flushPreferences])
+
+  /**
+   * Save a preset slot against the revision this device last saw
+   * (or an explicit baseRev: 0 only fills an empty slot)
+   *
+   * @returns {Promise<object>} { preset } saved, { conflict } with the preset
+   *   another device saved (now the local copy), or { error }
+   */
+  const savePreset = async (slot, preset, { force = false, baseRev = user?.preferences?.presets?.[slot]?.rev || 0 } = {}) => {
+    const setPreset = (saved) => setUser(prev => prev && {
+      ...prev,
+      preferences: { ...prev.preferences, presets: { ...prev.preferences.presets, [slot]: saved } }
+    })
+
+    try {
+      const response = await request(`/api/user/preferences/presets/${slot}`, {
+        method: 'PUT',
+        body: JSON.stringify({ preset, baseRev, force })
+      })
+      const data = await response.json()
+
+      if (response.status === 409) {
+        setPreset(data.preset)
+        return { conflict: data.preset }
+      }
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`)
+
+      setPreset(data.preset)
+      return { preset: data.preset }
+    } catch (error) {
+      console.error(`[Auth] Failed to save preset ${slot}:`, error)
+      return { error: error.message }
     }
   }
 
   return (
-    <AuthContext.Provider value={{ user, token, isLoading, login, logout, updatePreferences }}>
+    <AuthContext.Provider value={{ user, token, isLoading, login, verifyTwoFactor, logout, request, refreshSession, updatePreferences, refreshPreferences, savePreset }}>
       {children}
     </AuthContext.Provider>
   )
@@ -1,11 +1,13 @@
 import { createContext, useContext, useState, useEffect, useRef, useCallback } from 'react'
+import { useAuth } from './AuthContext'
 
 /**
  * WebSocket Context - Single shared WebSocket connection
  */
 const WebSocketContext = createContext(null)
 
-export function WebSocketProvider({ children }) {
+export function WebSocketProvider({ children, updateInterval }) {
+  const { token, logout, refreshSession } = useAuth()
   const [isConnected, setIsConnected] = useState(false)
   const [error, setError] = useState(null)
   const [lastMessageTime, setLastMessageTime] = useState(null)
@@ -16,15 +18,33 @@ export function WebSocketProvider({ children }) {
   const heartbeatIntervalRef = useRef(null)
   const watchdogIntervalRef = useRef(null)
   const listenersRef = useRef(new Map()) // Map of symbol -> Set of callbacks
+  // Orderbook worker (parses every message, keeps books, posts grouped frames) and its frame callbacks
+  const workerRef = useRef(null)
+  const bookListenersRef = useRef(new Map()) // view id -> callback(frame)
   // Queue subscribe requests if connection isn't OPEN; flush on next onopen
   const pendingSubscribesRef = useRef([])
   // Reconnect controls
   const connectAttemptRef = useRef(0)
   const connectingRef = useRef(false)
+  // Active book subscriptions ("exchange|category|symbol|depth" -> subscriber count), resent when update rate changes
+  const activeSubscriptionsRef = useRef(new Map())
+  // Active trade subscriptions ("exchange|category|symbol" -> subscriber count)
+  const activeTradeSubscriptionsRef = useRef(new Map())
+  const updateIntervalRef = useRef(null)
+  // Latest JWT, sent as first message on every (re)connect
+  const tokenRef = useRef(token)
+  const logoutRef = useRef(logout)
+  const refreshSessionRef = useRef(refreshSession)
 
   const RECONNECT_DELAY = 1000 // 1 second (aggressive)
   const HEARTBEAT_INTERVAL = 5000 // 5 seconds
   const STALE_THRESHOLD = 30000 // 30 seconds (if no data, consider stale)
+  const MOBILE_UPDATE_INTERVAL = 250 // Conflate deltas to 4/s on phones
+  const BACKGROUND_UPDATE_INTERVAL = 1000 // Conflate deltas to 1/s in hidden tabs
+  const CLOSE_UNAUTHORIZED = 4001 // Backend: missing/invalid token, or session revoked
+  const CLOSE_TOKEN_EXPIRED = 4002 // Backend: access token expired while connected
+  const CLOSE_ACCOUNT_DISABLED = 4003 // Backend: account disabled or deleted by an admin
+  const LAST_MESSAGE_STATE_INTERVAL = 1000 // lastMessageTime state refresh (ref is exact; avoids a render per message)
 
   // Register a listener for messages
   const addListener = useCallback((id, callback) => {
@@ -38,14 +58,67 @@ export function WebSocketProvider({ children }) {
 
   // Broadcast message to all listeners
   const broadcastMessage = useCallback((message) => {
-    const now = Date.now()
-    setLastMessageTime(now)
-    lastMessageTimeRef.current = now
     listenersRef.current.forEach((callback) => {
       callback(message)
     })
   }, [])
 
+  // Record data activity for the watchdog
+  const touchLastMessage = useCallback(() => {
+    const now = Date.now()
+    if (!lastMessageTimeRef.current || now - lastMessageTimeRef.current >= LAST_MESSAGE_STATE_INTERVAL) {
+      setLastMessageTime(now)
+    }
+    lastMessageTimeRef.current = now
+  }, [])
+
+  // Orderbook worker, created on first use (book hooks register before our effects run)
+  const getWorker = useCallback(() => {
+    if (!workerRef.current) {
+      const worker = new Worker(new URL('../workers/orderBookWorker.js', import.meta.url), { type: 'module' })
+
+      worker.onmessage = (event) => {
+        const { type } = event.data
+
+        if (type === 'frames') {
+          Object.entries(event.data.frames).forEach(([id, frame]) => {
+            bookListenersRef.current.get(id)?.(frame)
+          })
+        } else if (type === 'message') {
+          broadcastMessage(event.data.message)
+        }
+      }
+      worker.onerror = (err) => {
+        console.error('[WebSocket] Orderbook worker error:', err.message || err)
+      }
+
+      workerRef.current = worker
+    }
+    return workerRef.current
+  }, [broadcastMessage])
+
+  // Register (or update) a book view: the worker posts grouped frames to onFrame
+  const watchBook = useCallback((id, config, onFrame) => {
+    bookListenersRef.current.set(id, onFrame)
+    getWorker().postMessage({ type: 'watch', id, config })
+  }, [getWorker])
+
+  // Drop a book view
+  const unwatchBook = useCallback((id) => {
+    bookListenersRef.current.delete(id)
+    workerRef.current?.postMessage({ type: 'unwatch', id })
+  }, [])
+
+  // Deep REST levels ({ asks, bids }) merged into a view for wall detection
+  const setBookDeep = useCallback((id, deep) => {
+    getWorker().postMessage({ type: 'deep', id, deep })
+  }, [getWorker])
+
+  // Freeze/unfreeze a view's frames
+  const pauseBook = useCallback((id, paused) => {
+    getWorker().postMessage({ type: 'pause', id, paused })
+  }, [getWorker])
+
   // Start heartbeat to keep connection alive
   const startHeartbeat = useCallback(() => {
     if (heartbeatIntervalRef.current) {
@@ -124,6 +197,9 @@ export function WebSocketProvider({ children }) {
         startHeartbeat()
         startWatchdog()
 
+        // Authenticate before anything else (backend rejects subscribes until then)
+        ws.send(JSON.stringify({ type: 'auth', token: tokenRef.current }))
+
         // Flush any queued subscribes
         if (pendingSubscribesRef.current.length > 0) {
           const queued = [...pendingSubscribesRef.current]
@@ -139,13 +215,9 @@ export function WebSocketProvider({ children }) {
       }
 
       ws.onmessage = (event) => {
-        try {
-          const data = JSON.parse(event.data)
-          // Broadcast to all listeners instead of using state
-          broadcastMessage(data)
-        } catch (err) {
-          console.error('[WebSocket] Failed to parse message:', err)
-        }
+        touchLastMessage()
+        // Parsed off the main thread; non-book messages come back to the listeners
+        getWorker().postMessage({ type: 'message', data: event.data })
       }
 
       ws.onerror = (err) => {
@@ -167,20 +239,41 @@ export function WebSocketProvider({ children }) {
         stopHeartbeat()
         stopWatchdog()
 
+        // Account disabled: reconnecting would fail again
+        if (event?.code === CLOSE_ACCOUNT_DISABLED) {
+          console.warn('[WebSocket] Account disabled - logging out')
+          setError('Account disabled')
+          logoutRef.current()
+          return
+        }
+
         // Exponential backoff with jitter to avoid resource exhaustion
-        const attempt = Math.min(connectAttemptRef.current + 1, 10)
-        connectAttemptRef.current = attempt
-        const base = RECONNECT_DELAY * Math.pow(2, attempt - 1)
-        const max = 30000
-        const delay = Math.min(base, max)
-        const jitter = Math.random() * 0.2 * delay // ±20% jitter
-        const finalDelay = Math.max(500, Math.floor(delay * 0.9 + jitter))
-
-        if (reconnectTimeoutRef.current) clearTimeout(reconnectTimeoutRef.current)
-        console.log(`[WebSocket] Reconnecting in ${finalDelay}ms (attempt ${attempt})...`)
-        reconnectTimeoutRef.current = setTimeout(() => {
-          connect()
-        }, finalDelay)
+        const scheduleReconnect = () => {
+          const attempt = Math.min(connectAttemptRef.current + 1, 10)
+          connectAttemptRef.current = attempt
+          const base = RECONNECT_DELAY * Math.pow(2, attempt - 1)
+          const max = 30000
+          const delay = Math.min(base, max)
+          const jitter = Math.random() * 0.2 * delay // ±20% jitter
+          const finalDelay = Math.max(500, Math.floor(delay * 0.9 + jitter))
+
+          if (reconnectTimeoutRef.current) clearTimeout(reconnectTimeoutRef.current)
+          console.log(`[WebSocket] Reconnecting in ${finalDelay}ms (attempt ${attempt})...`)
+          reconnectTimeoutRef.current = setTimeout(() => {
+            connect()
+          }, finalDelay)
+        }
+
+        // Access token rejected or expired: renew it first (a revoked session logs out)
+        if (event?.code === CLOSE_UNAUTHORIZED || event?.code === CLOSE_TOKEN_EXPIRED) {
+          console.warn('[WebSocket] Session token rejected - renewing')
+          refreshSessionRef.current()
+            .then(fresh => fresh && scheduleReconnect())
+            .catch(scheduleReconnect) // Backend unreachable: retry with the current token
+          return
+        }
+
+        scheduleReconnect()
       }
 
       wsRef.current = ws
@@ -189,7 +282,7 @@ export function WebSocketProvider({ children }) {
       setError(err.message)
       connectingRef.current = false
     }
-  }, [broadcastMessage, startHeartbeat, startWatchdog, stopHeartbeat, stopWatchdog, RECONNECT_DELAY])
+  }, [touchLastMessage, getWorker, startHeartbeat, startWatchdog, stopHeartbeat, stopWatchdog, RECONNECT_DELAY])
 
   // Send message to WebSocket
   const sendMessage = useCallback((message) => {
@@ -202,12 +295,19 @@ export function WebSocketProvider({ children }) {
   }, [])
 
   // Subscribe to symbols
-  const subscribe = useCallback((symbols, depth = 50) => {
+  const subscribe = useCallback((symbols, depth = 50, exchange = 'bybit', category = 'linear') => {
     const msg = {
       action: 'subscribe',
+      exchange,
+      category,
       symbols: Array.isArray(symbols) ? symbols : [symbols],
-      depth
+      depth,
+      interval: updateIntervalRef.current ?? 0
     }
+    msg.symbols.forEach(symbol => {
+      const key = `${exchange}|${category}|${symbol}|${depth}`
+      activeSubscriptionsRef.current.set(key, (activeSubscriptionsRef.current.get(key) || 0) + 1)
+    })
     const sent = sendMessage(msg)
     if (!sent) {
       // Queue only subscribes; avoid queueing unsubscribes across reconnects
@@ -217,7 +317,20 @@ export function WebSocketProvider({ children }) {
   }, [sendMessage])
 
   // Unsubscribe from symbols
-  const unsubscribe = useCallback((symbols, depth = 50) => {
+  const unsubscribe = useCallback((symbols, depth = 50, exchange = 'bybit', category = 'linear') => {
+    // Backend routes per socket: only unsubscribe when no other book here still shows the symbol
+    const released = (Array.isArray(symbols) ? symbols : [symbols]).filter(symbol => {
+      const key = `${exchange}|${category}|${symbol}|${depth}`
+      const count = (activeSubscriptionsRef.current.get(key) || 0) - 1
+      if (count > 0) {
+        activeSubscriptionsRef.current.set(key, count)
+        return false
+      }
+      activeSubscriptionsRef.current.delete(key)
+      return true
+    })
+    if (released.length === 0) return true
+
     // If not connected, drop unsubscribe (state will resubscribe fresh on reopen)
     if (!wsRef.current || wsRef.current.readyState !== WebSocket.OPEN) {
       console.warn('[WebSocket] Not connected, dropping unsubscribe')
@@ -225,11 +338,88 @@ export function WebSocketProvider({ children }) {
     }
     return sendMessage({
       action: 'unsubscribe',
-      symbols: Array.isArray(symbols) ? symbols : [symbols],
+      exchange,
+      category,
+      symbols: released,
       depth
     })
   }, [sendMessage])
 
+  // Subscribe to public trades (time & sales); never conflated by the backend
+  const subscribeTrades = useCallback((symbol, exchange = 'bybit', category = 'linear') => {
+    const key = `${exchange}|${category}|${symbol}`
+    activeTradeSubscriptionsRef.current.set(key, (activeTradeSubscriptionsRef.current.get(key) || 0) + 1)
+
+    const msg = { action: 'subscribe', stream: 'trades', exchange, category, symbols: [symbol] }
+    const sent = sendMessage(msg)
+    if (!sent) {
+      pendingSubscribesRef.current.push(msg)
+    }
+    return sent
+  }, [sendMessage])
+
+  // Unsubscribe from public trades once no book here shows them anymore
+  const unsubscribeTrades = useCallback((symbol, exchange = 'bybit', category = 'linear') => {
+    const key = `${exchange}|${category}|${symbol}`
+    const count = (activeTradeSubscriptionsRef.current.get(key) || 0) - 1
+    if (count > 0) {
+      activeTradeSubscriptionsRef.current.set(key, count)
+      return true
+    }
+    activeTradeSubscriptionsRef.current.delete(key)
+
+    if (!wsRef.current || wsRef.current.readyState !== WebSocket.OPEN) {
+      console.warn('[WebSocket] Not connected, dropping trades unsubscribe')
+      return false
+    }
+    return sendMessage({ action: 'unsubscribe', stream: 'trades', exchange, category, symbols: [symbol] })
+  }, [sendMessage])
+
+  // Keep latest token/logout for socket callbacks; re-authenticate open socket on token change
+  useEffect(() => {
+    logoutRef.current = logout
+    refreshSessionRef.current = refreshSession
+  }, [logout, refreshSession])
+
+  useEffect(() => {
+    if (token === tokenRef.current) return
+    tokenRef.current = token
+    if (token && wsRef.current && wsRef.current.readyState === WebSocket.OPEN) {
+      wsRef.current.send(JSON.stringify({ type: 'auth', token }))
+    }
+  }, [token])
+
+  // Pick update rate: throttle hidden tabs and mobile, else user preference (0 = realtime)
+  useEffect(() => {
+    const applyUpdateInterval = () => {
+      const preferred = updateInterval ?? (window.matchMedia?.('(max-width: 768px)').matches ? MOBILE_UPDATE_INTERVAL : 0)
+      const next = document.hidden ? Math.max(preferred, BACKGROUND_UPDATE_INTERVAL) : preferred
+      if (next === updateIntervalRef.current) return
+
+      updateIntervalRef.current = next
+      console.log(`[WebSocket] Update interval: ${next ? `${next}ms` : 'realtime'}`)
+
+      // Resend active subscribes so the backend switches conflation rate
+      if (wsRef.current && wsRef.current.readyState === WebSocket.OPEN) {
+        activeSubscriptionsRef.current.forEach((_, key) => {
+          const [exchange, category, symbol, depth] = key.split('|')
+          wsRef.current.send(JSON.stringify({
+            action: 'subscribe',
+            exchange,
+            category,
+            symbols: [symbol],
+            depth: Number(depth),
+            interval: next
+          }))
+        })
+      }
+    }
+
+    applyUpdateInterval()
+    document.addEventListener('visibilitychange', applyUpdateInterval)
+    return () => document.removeEventListener('visibilitychange', applyUpdateInterval)
+  }, [updateInterval])
+
   // Connect on mount
   useEffect(() => {
     connect()
@@ -244,6 +434,10 @@ export function WebSocketProvider({ children }) {
       if (wsRef.current) {
         wsRef.current.close()
       }
+      if (workerRef.current) {
+        workerRef.current.terminate()
+        workerRef.current = null
+      }
     }
   }, [])
 
@@ -256,8 +450,14 @@ export function WebSocketProvider({ children }) {
         sendMessage,
         subscribe,
         unsubscribe,
+        subscribeTrades,
+        unsubscribeTrades,
         addListener,
-        removeListener
+        removeListener,
+        watchBook,
+        unwatchBook,
+        setBookDeep,
+        pauseBook
       }}
     >
       {children}
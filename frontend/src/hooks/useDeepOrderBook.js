@@ -5,22 +5,31 @@
  */
 
 import { useState, useEffect, useRef } from 'react'
+import { useAuth } from '../context/AuthContext'
+import { contractsToCoin, restDepthLimit } from '../utils/markets'
 
 /**
- * Fetch deep orderbook levels from Bybit REST API
+ * Fetch deep orderbook levels through the backend (/api/market/orderbook,
+ * a short-lived cache shared by all users in front of Bybit REST)
  * Used for scanning big walls beyond WebSocket real-time range
  *
  * @param {string} symbol - Trading pair (e.g., 'BTCUSDT')
  * @param {boolean} enabled - Whether to fetch (allows pause/resume)
  * @param {number} intervalMs - Fetch interval in milliseconds (default: 10000)
+ * @param {string} category - Market category ('linear', 'inverse', 'spot')
  * @returns {Object} - { deepAsks, deepBids, isLoading, error, lastUpdate }
  */
-export function useDeepOrderBook(symbol, enabled = true, intervalMs = 10000) {
+export function useDeepOrderBook(symbol, enabled = true, intervalMs = 10000, category = 'linear') {
   const [deepAsks, setDeepAsks] = useState([])
   const [deepBids, setDeepBids] = useState([])
   const [isLoading, setIsLoading] = useState(false)
   const [error, setError] = useState(null)
   const [lastUpdate, setLastUpdate] = useState(null)
+  const { request } = useAuth()
+
+  // Latest request (token refreshes must not restart the polling)
+  const requestRef = useRef(request)
+  requestRef.current = request
 
   const intervalRef = useRef(null)
   const abortControllerRef = useRef(null)
@@ -40,19 +49,19 @@ export function useDeepOrderBook(symbol, enabled = true, intervalMs = 10000) {
       setIsLoading(true)
       setError(null)
 
-      const response = await fetch(
-        `https://api.bybit.com/v5/market/orderbook?category=linear&symbol=${symbol}&limit=500`,
+      const response = await requestRef.current(
+        `/api/market/orderbook?category=${category}&symbol=${symbol}&limit=${restDepthLimit(category)}`,
         { signal: abortControllerRef.current.signal }
       )
 
       const data = await response.json()
 
-      if (data.retCode === 0 && data.result) {
-        const { a: asks, b: bids } = data.result
+      if (response.ok) {
+        const { a: asks, b: bids } = data
 
-        // Convert to [price, size] format (same as WebSocket)
-        const formattedAsks = asks.map(([price, size]) => [price, size])
-        const formattedBids = bids.map(([price, size]) => [price, size])
+        // Convert to [price, size] format (same as WebSocket, inverse sizes in coin)
+        const formattedAsks = category === 'inverse' ? contractsToCoin(asks) : asks.map(([price, size]) => [price, size])
+        const formattedBids = category === 'inverse' ? contractsToCoin(bids) : bids.map(([price, size]) => [price, size])
 
         setDeepAsks(formattedAsks)
         setDeepBids(formattedBids)
@@ -60,7 +69,7 @@ export function useDeepOrderBook(symbol, enabled = true, intervalMs = 10000) {
 
         console.log(`[useDeepOrderBook] Fetched ${formattedAsks.length} asks, ${formattedBids.length} bids for ${symbol}`)
       } else {
-        throw new Error(`Bybit API error: ${data.retMsg || 'Unknown error'}`)
+        throw new Error(`Market data error: ${data.error || `HTTP ${response.status}`}`)
       }
     } catch (err) {
       // Ignore abort errors (normal when switching symbols)
@@ -99,7 +108,7 @@ export function useDeepOrderBook(symbol, enabled = true, intervalMs = 10000) {
         abortControllerRef.current.abort()
       }
     }
-  }, [symbol, enabled, intervalMs])
+  }, [symbol, enabled, intervalMs, category])
 
   return {
     deepAsks,
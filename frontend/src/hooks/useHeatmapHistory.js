@@ -0,0 +1,94 @@
+import { useEffect, useRef, useCallback } from 'react'
+
+export const HEATMAP_SAMPLE_INTERVAL = 500 // ms between heatmap columns
+export const HEATMAP_MAX_WINDOW = 15 * 60 * 1000 // Longest selectable window (15 minutes)
+
+/**
+ * Custom hook recording grouped book depth over time for the liquidity heatmap
+ *
+ * Samples the grouped orderbook (already bucketed by groupOrderbook at the
+ * current tick size) every HEATMAP_SAMPLE_INTERVAL into a column, and buckets
+ * trade prints received in between into the same column.
+ * History restarts when resetKey changes (market or tick size switch),
+ * since buckets of different tick sizes cannot share an axis.
+ *
+ * @param {object} orderBook - Grouped orderbook { bids, asks }
+ * @param {number} tickSize - Current tick size (trade price buckets)
+ * @param {string} resetKey - Changes whenever history must restart
+ * @returns {Object} - { historyRef, addTrades }
+ *   historyRef.current: [{ time, prices, sizes, bestBid, bestAsk, trades: [{ price, value, side }] }]
+ */
+export function useHeatmapHistory(orderBook, tickSize, resetKey) {
+  const historyRef = useRef([])
+  const bookRef = useRef(orderBook)
+  const pendingTradesRef = useRef([])
+
+  bookRef.current = orderBook
+
+  // Trades arriving between samples (from useTrades)
+  const addTrades = useCallback((prints) => {
+    pendingTradesRef.current.push(...prints)
+  }, [])
+
+  useEffect(() => {
+    historyRef.current = []
+    pendingTradesRef.current = []
+
+    const interval = setInterval(() => {
+      const { bids = [], asks = [] } = bookRef.current || {}
+      if (bids.length === 0 && asks.length === 0) return
+
+      // Copy into typed arrays: grouped arrays are re-sorted in place by the ladder
+      const count = bids.length + asks.length
+      const prices = new Float64Array(count)
+      const sizes = new Float64Array(count)
+      let bestBid = 0
+      let bestAsk = Infinity
+
+      bids.forEach(([price, size], index) => {
+        prices[index] = parseFloat(price)
+        sizes[index] = parseFloat(size)
+        bestBid = Math.max(bestBid, prices[index])
+      })
+      asks.forEach(([price, size], index) => {
+        prices[bids.length + index] = parseFloat(price)
+        sizes[bids.length + index] = parseFloat(size)
+        bestAsk = Math.min(bestAsk, prices[bids.length + index])
+      })
+
+      // Aggregate prints per price bucket and aggressor side
+      const tradeBuckets = new Map()
+      pendingTradesRef.current.forEach(({ price, value, side }) => {
+        const bucket = Math.floor(price / tickSize) * tickSize
+        const key = `${bucket}|${side}`
+        const current = tradeBuckets.get(key)
+        if (current) {
+          current.value += value
+        } else {
+          tradeBuckets.set(key, { price: bucket, value, side })
+        }
+      })
+      pendingTradesRef.current = []
+
+      const now = Date.now()
+      const history = historyRef.current
+      history.push({
+        time: now,
+        prices,
+        sizes,
+        bestBid: bestBid || null,
+        bestAsk: bestAsk === Infinity ? null : bestAsk,
+        trades: Array.from(tradeBuckets.values())
+      })
+
+      // Drop columns older than the longest window
+      while (history.length > 0 && history[0].time < now - HEATMAP_MAX_WINDOW) {
+        history.shift()
+      }
+    }, HEATMAP_SAMPLE_INTERVAL)
+
+    return () => clearInterval(interval)
+  }, [resetKey, tickSize])
+
+  return { historyRef, addTrades }
+}
@@ -1,28 +1,38 @@
 import { useState, useEffect, useRef } from 'react'
+import { useAuth } from '../context/AuthContext'
 
 /**
  * Custom hook for market data: 5m candles, volatility, 24h range tracking
- * Fetches from Bybit API and calculates smart indicators
+ * Fetches Bybit klines through the backend (/api/market/kline, cached and
+ * shared by all users) and calculates smart indicators
+ *
+ * @param {string} symbol - Trading pair (e.g., 'BTCUSDT')
+ * @param {string} category - Market category ('linear', 'inverse', 'spot')
  */
-export function useMarketData(symbol) {
+export function useMarketData(symbol, category = 'linear') {
   const [candles, setCandles] = useState([])
   const [volatility, setVolatility] = useState(null) // % per minute
   const [range24h, setRange24h] = useState({ max: null, min: null })
   const [isLoading, setIsLoading] = useState(true)
   const fetchIntervalRef = useRef(null)
+  const { request } = useAuth()
 
-  // Fetch 5m candles from Bybit
+  // Latest request (token refreshes must not restart the polling)
+  const requestRef = useRef(request)
+  requestRef.current = request
+
+  // Fetch 5m candles
   const fetchCandles = async () => {
     try {
       // Fetch last 20 candles (5m * 20 = 100 minutes of data)
-      const response = await fetch(
-        `https://api.bybit.com/v5/market/kline?category=linear&symbol=${symbol}&interval=5&limit=20`
+      const response = await requestRef.current(
+        `/api/market/kline?category=${category}&symbol=${symbol}&interval=5&limit=20`
       )
       const data = await response.json()
 
-      if (data.retCode === 0 && data.result?.list) {
+      if (response.ok && data.list) {
         // Bybit returns: [timestamp, open, high, low, close, volume, turnover]
-        const candleData = data.result.list.map(candle => ({
+        const candleData = data.list.map(candle => ({
           timestamp: parseInt(candle[0]),
           open: parseFloat(candle[1]),
           high: parseFloat(candle[2]),
@@ -74,15 +84,15 @@ export function useMarketData(symbol) {
       const startTimestamp = todayUTC.getTime()
 
       // Fetch 1h candles from 00:00 UTC today (max 24 candles for full day)
-      const response = await fetch(
-        `https://api.bybit.com/v5/market/kline?category=linear&symbol=${symbol}&interval=60&start=${startTimestamp}&limit=50`
+      const response = await requestRef.current(
+        `/api/market/kline?category=${category}&symbol=${symbol}&interval=60&start=${startTimestamp}&limit=50`
       )
       const data = await response.json()
 
-      if (data.retCode === 0 && data.result?.list) {
+      if (response.ok && data.list) {
         // Extract high/low from all candles since 00:00 UTC
-        const highs = data.result.list.map(candle => parseFloat(candle[2]))
-        const lows = data.result.list.map(candle => parseFloat(candle[3]))
+        const highs = data.list.map(candle => parseFloat(candle[2]))
+        const lows = data.list.map(candle => parseFloat(candle[3]))
 
         const max = Math.max(...highs)
         const min = Math.min(...lows)
@@ -112,7 +122,7 @@ export function useMarketData(symbol) {
         clearInterval(fetchIntervalRef.current)
       }
     }
-  }, [symbol])
+  }, [symbol, category])
 
   return {
     candles,
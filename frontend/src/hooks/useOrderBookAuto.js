@@ -1,15 +1,16 @@
-import { useState, useEffect, useCallback, useMemo } from 'react'
+import { useState, useEffect, useCallback, useMemo, useRef, useId } from 'react'
 import { useWebSocket } from '../context/WebSocketContext'
-import {
-  calculateAutoTickSize,
-  calculateAdaptiveTickSize,
-  selectSourceAutomatic,
-  groupOrderbook,
-  formatSourceInfo
-} from '../utils/autoGrouping'
+import { formatSourceInfo } from '../utils/autoGrouping'
+import { emptyBook } from '../utils/bookState'
+import { streamKey } from '../workers/bookProcessor'
+
+const EMPTY_BOOK = emptyBook()
+const EMPTY_WALLS = new Map()
 
 /**
  * Custom hook for OrderBook management with manual source selection
+ * Book maintenance, grouping and wall detection run in the orderbook worker;
+ * the hook receives grouped, render-ready frames (at most one per animation frame)
  *
  * @param {string} symbol - Trading symbol (e.g. 'BTCUSDT')
  * @param {object} tickConfig - Tick size configuration
@@ -17,29 +18,19 @@ import {
  * @param {number} tickConfig.value - Manual tick size (when mode='manual')
  * @param {number} maxLevels - Maximum levels to show per side (default: 10)
  * @param {string} manualSource - Manual source selection ('L50', 'L200', 'L1000')
+ * @param {string} exchange - Venue the book comes from ('bybit', 'binance')
+ * @param {string} category - Market category ('linear', 'inverse', 'spot')
+ * @param {object} replay - Replay to follow instead of the live stream ({ id, depth }), null = live
+ * @param {object} analysis - Wall detection ({ deep: { asks, bids } REST levels or null, withMerged: return merged levels }), null = off
  */
-export function useOrderBookAuto(symbol, tickConfig = { mode: 'auto', value: 1 }, maxLevels = 10, manualSource = 'L200') {
-  const [rawOrderBook, setRawOrderBook] = useState({
-    bids: [],
-    asks: [],
-    timestamp: null,
-    updateId: null,
-    lastUpdate: null
-  })
+export function useOrderBookAuto(symbol, tickConfig = { mode: 'auto', value: 1 }, maxLevels = 10, manualSource = 'L200', exchange = 'bybit', category = 'linear', replay = null, analysis = null) {
+  const [frame, setFrame] = useState(null) // Latest frame from the worker
   const [isLoading, setIsLoading] = useState(true)
   const [paused, setPaused] = useState(false)
-  const [currentPrice, setCurrentPrice] = useState(null)
-
-  const { isConnected, subscribe, unsubscribe, addListener, removeListener } = useWebSocket()
+  const viewId = useId()
+  const streamKeyRef = useRef(null)
 
-  // Calculate effective tick size based on mode
-  const effectiveTickSize = useMemo(() => {
-    if (tickConfig.mode === 'auto') {
-      if (!currentPrice) return 1; // Default until we have price
-      return calculateAutoTickSize(currentPrice);
-    }
-    return tickConfig.value;
-  }, [tickConfig.mode, tickConfig.value, currentPrice])
+  const { isConnected, subscribe, unsubscribe, watchBook, unwatchBook, setBookDeep, pauseBook } = useWebSocket()
 
   // Use manual source selection (no automatic selection)
   const sourceInfo = useMemo(() => {
@@ -51,179 +42,101 @@ export function useOrderBookAuto(symbol, tickConfig = { mode: 'auto', value: 1 }
     };
   }, [manualSource])
 
+  // Replays stream at the depth they were recorded with
+  const replayId = replay?.id || null
+  const bookDepth = replay?.depth || sourceInfo.depth
+  const withAnalysis = !!analysis
+  const withMerged = !!analysis?.withMerged
+  const deep = analysis?.deep || null
+
   // Toggle pause state
   const togglePaused = useCallback(() => {
     setPaused(prev => !prev)
   }, [])
 
-  // Apply snapshot update (full orderbook)
-  const applySnapshot = useCallback((data) => {
-    const updateId = data.u || 0
-
-    if (updateId === 1) {
-      console.warn(`[useOrderBookAuto ${symbol} ${sourceInfo.source}] ⚠️ Bybit service restart detected (u=1)`)
-    }
-
-    const newBook = {
-      bids: data.b || [],
-      asks: data.a || [],
-      timestamp: data.ts || Date.now(),
-      updateId,
-      lastUpdate: Date.now()
-    }
-
-    // Update current price from best bid
-    if (newBook.bids.length > 0) {
-      setCurrentPrice(parseFloat(newBook.bids[0][0]))
-    }
-
-    setRawOrderBook(newBook)
+  // Frames of a previous stream (still in flight after a switch) are dropped
+  const handleFrame = useCallback((next) => {
+    if (next.key !== streamKeyRef.current) return
+    setFrame(next)
     setIsLoading(false)
-  }, [symbol, sourceInfo.source])
-
-  // Apply delta update (incremental changes)
-  const applyDelta = useCallback((data, currentBook) => {
-    const updateId = data.u || currentBook.updateId
-
-    if (updateId === 1) {
-      console.warn(`[useOrderBookAuto ${symbol} ${sourceInfo.source}] ⚠️ Delta with u=1 - forcing snapshot reset`)
-      return {
-        bids: data.b || [],
-        asks: data.a || [],
-        timestamp: data.ts || Date.now(),
-        updateId,
-        lastUpdate: Date.now()
-      }
-    }
-
-    const newBook = { ...currentBook }
-
-    // Update bids
-    if (data.b && data.b.length > 0) {
-      const bidMap = new Map(newBook.bids.map(([price, size]) => [price, size]))
-
-      data.b.forEach(([price, size]) => {
-        if (parseFloat(size) === 0) {
-          bidMap.delete(price)
-        } else {
-          bidMap.set(price, size)
-        }
-      })
-
-      newBook.bids = Array.from(bidMap.entries())
-        .sort((a, b) => parseFloat(b[0]) - parseFloat(a[0]))
-        .slice(0, sourceInfo.depth)
-    }
-
-    // Update asks
-    if (data.a && data.a.length > 0) {
-      const askMap = new Map(newBook.asks.map(([price, size]) => [price, size]))
-
-      data.a.forEach(([price, size]) => {
-        if (parseFloat(size) === 0) {
-          askMap.delete(price)
-        } else {
-          askMap.set(price, size)
-        }
-      })
-
-      newBook.asks = Array.from(askMap.entries())
-        .sort((a, b) => parseFloat(a[0]) - parseFloat(b[0]))
-        .slice(0, sourceInfo.depth)
-    }
-
-    newBook.timestamp = data.ts || Date.now()
-    newBook.updateId = updateId
-    newBook.lastUpdate = Date.now()
+  }, [])
 
-    // Update current price
-    if (newBook.bids.length > 0) {
-      setCurrentPrice(parseFloat(newBook.bids[0][0]))
+  // Register the view with the worker (updated in place: tick or level changes keep the live book)
+  useEffect(() => {
+    const config = {
+      exchange,
+      category,
+      symbol,
+      depth: bookDepth,
+      replay: replayId,
+      tickConfig: { mode: tickConfig.mode, value: tickConfig.value },
+      maxLevels,
+      analysis: withAnalysis,
+      withMerged
     }
+    streamKeyRef.current = streamKey(config)
+    watchBook(viewId, config, handleFrame)
+  }, [viewId, exchange, category, symbol, bookDepth, replayId, tickConfig.mode, tickConfig.value, maxLevels, withAnalysis, withMerged, watchBook, handleFrame])
 
-    return newBook
-  }, [symbol, sourceInfo.source, sourceInfo.depth])
-
-  // Process incoming messages
+  // Drop the view on unmount
   useEffect(() => {
-    const listenerId = `orderbook-${symbol}-${sourceInfo.depth}`
-
-    const handleMessage = (message) => {
-      if (paused) return
-
-      const { topic, type, data } = message
-
-      // Check if message is for our symbol AND depth
-      if (!topic || !topic.includes(symbol) || !topic.includes(`orderbook.${sourceInfo.depth}.`)) {
-        return
-      }
-
-      console.log(`[useOrderBookAuto ${symbol} ${sourceInfo.source}] Processing ${type}`, {
-        bids: data?.b?.length || 0,
-        asks: data?.a?.length || 0
-      })
+    return () => unwatchBook(viewId)
+  }, [viewId, unwatchBook])
 
-      if (type === 'snapshot') {
-        applySnapshot(data)
-        console.log(`[useOrderBookAuto ${symbol} ${sourceInfo.source}] Snapshot applied`)
-      } else if (type === 'delta') {
-        setRawOrderBook(current => applyDelta(data, current))
-      }
+  // Deep REST levels for wall detection
+  useEffect(() => {
+    if (withAnalysis) {
+      setBookDeep(viewId, deep)
     }
+  }, [viewId, withAnalysis, deep, setBookDeep])
 
-    addListener(listenerId, handleMessage)
-
-    return () => {
-      removeListener(listenerId)
-    }
-  }, [symbol, sourceInfo.depth, sourceInfo.source, paused, applySnapshot, applyDelta, addListener, removeListener])
+  // Paused books keep updating in the worker, only frames stop
+  useEffect(() => {
+    pauseBook(viewId, paused)
+  }, [viewId, paused, pauseBook])
 
-  // Reset orderbook when symbol changes
+  // Reset orderbook when symbol, exchange, category or replay changes
   useEffect(() => {
-    console.log(`[useOrderBookAuto] Symbol changed to ${symbol}, resetting orderbook`)
-    setRawOrderBook({
-      bids: [],
-      asks: [],
-      timestamp: null,
-      updateId: null,
-      lastUpdate: null
-    })
-    setCurrentPrice(null)
+    console.log(`[useOrderBookAuto] Symbol changed to ${exchange}/${category} ${symbol}${replayId ? ' (replay)' : ''}, resetting orderbook`)
+    setFrame(null)
     setIsLoading(true)
-  }, [symbol])
+  }, [symbol, exchange, category, replayId])
 
-  // Subscribe to symbol when connected (with auto-selected depth)
+  // Subscribe to symbol when connected (with auto-selected depth); replays are driven by useReplay
   useEffect(() => {
-    if (isConnected && symbol) {
-      console.log(`[useOrderBookAuto] Subscribing to ${symbol} with ${sourceInfo.source} (depth ${sourceInfo.depth})`)
-      subscribe(symbol, sourceInfo.depth)
+    if (isConnected && symbol && !replayId) {
+      console.log(`[useOrderBookAuto] Subscribing to ${exchange}/${category} ${symbol} with ${sourceInfo.source} (depth ${sourceInfo.depth})`)
+      subscribe(symbol, sourceInfo.depth, exchange, category)
       setIsLoading(true)
 
       return () => {
-        console.log(`[useOrderBookAuto] Unsubscribing from ${symbol}`)
-        unsubscribe(symbol, sourceInfo.depth)
+        console.log(`[useOrderBookAuto] Unsubscribing from ${exchange}/${category} ${symbol}`)
+        unsubscribe(symbol, sourceInfo.depth, exchange, category)
       }
     }
-  }, [isConnected, symbol, sourceInfo.depth, sourceInfo.source, subscribe, unsubscribe])
+  }, [isConnected, symbol, exchange, category, sourceInfo.depth, sourceInfo.source, replayId, subscribe, unsubscribe])
 
-  // Group orderbook by tick size
-  const groupedOrderBook = useMemo(() => {
-    return groupOrderbook(rawOrderBook, effectiveTickSize, maxLevels)
-  }, [rawOrderBook, effectiveTickSize, maxLevels])
+  // Grouped orderbook (ready for display)
+  const orderBook = useMemo(() => {
+    if (!frame) return EMPTY_BOOK
+    return { bids: frame.bids, asks: frame.asks, timestamp: frame.timestamp, updateId: frame.updateId }
+  }, [frame])
+
+  // Tick size in use (worker resolves auto mode from price)
+  const effectiveTickSize = frame?.tickSize ?? (tickConfig.mode === 'auto' ? 1 : tickConfig.value)
 
   // Calculate if data is stale
   const now = Date.now()
-  const timeSinceUpdate = rawOrderBook.lastUpdate ? now - rawOrderBook.lastUpdate : Infinity
+  const timeSinceUpdate = frame?.lastUpdate ? now - frame.lastUpdate : Infinity
   const isStale = timeSinceUpdate > 10000
 
   return {
     // Grouped orderbook (ready for display)
-    orderBook: groupedOrderBook,
-
-    // Raw orderbook (if needed)
-    rawOrderBook,
+    orderBook,
 
     // Tick and source info
+    exchange,
+    category,
     tickSize: effectiveTickSize,
     source: sourceInfo.source,
     sourceIcon: sourceInfo.icon,
@@ -231,8 +144,18 @@ export function useOrderBookAuto(symbol, tickConfig = { mode: 'auto', value: 1 }
     estimatedLevels: sourceInfo.estimatedLevels,
     sourceWarning: sourceInfo.warning,
 
-    // Current price
-    currentPrice,
+    // Prices (raw book)
+    currentPrice: frame?.currentPrice ?? null,
+    bestBid: frame?.bestBid ?? null,
+    bestAsk: frame?.bestAsk ?? null,
+    midPrice: frame?.midPrice ?? null,
+
+    // Wall detection (analysis only): price -> wall, biggest levels, merged levels (withMerged)
+    bigWalls: frame?.bigWalls ?? EMPTY_WALLS,
+    biggestAsk: frame?.biggestAsk ?? null,
+    biggestBid: frame?.biggestBid ?? null,
+    mergedAsks: frame?.mergedAsks ?? orderBook.asks,
+    mergedBids: frame?.mergedBids ?? orderBook.bids,
 
     // State
     isLoading,
@@ -0,0 +1,91 @@
+import { useState, useEffect, useRef, useCallback, useId } from 'react'
+import { useWebSocket } from '../context/WebSocketContext'
+
+// Playback speeds offered by the replay bar (backend clamps to 0.5x-20x)
+export const REPLAY_SPEEDS = [0.5, 1, 2, 5, 10, 20]
+
+/**
+ * Custom hook driving the replay of a recorded session for one book
+ * The backend streams the session in the live message format, tagged with our replayId
+ *
+ * @returns {Object} - { replayId, session, status, error, start, pause, resume, seek, setSpeed, stop }
+ */
+export function useReplay() {
+  const [session, setSession] = useState(null) // Recorder session meta being replayed
+  const [status, setStatus] = useState(null) // { state, time, speed, startedAt, endedAt }
+  const [error, setError] = useState(null)
+  const replayId = useId() // Two books may replay the same session
+  const resumeFromRef = useRef(null) // { from, speed } to (re)start with
+  const statusRef = useRef(null)
+
+  statusRef.current = status
+
+  const { isConnected, sendMessage, addListener, removeListener } = useWebSocket()
+
+  // Playback status and errors for our replay
+  useEffect(() => {
+    const listenerId = `replay-${replayId}`
+
+    const handleMessage = (message) => {
+      if (message.replayId !== replayId) return
+
+      if (message.type === 'replay') {
+        setStatus({
+          state: message.state,
+          time: message.time,
+          speed: message.speed,
+          startedAt: message.startedAt,
+          endedAt: message.endedAt
+        })
+      } else if (message.type === 'error') {
+        setError(message.error)
+      }
+    }
+
+    addListener(listenerId, handleMessage)
+    return () => removeListener(listenerId)
+  }, [replayId, addListener, removeListener])
+
+  // Start on the backend while connected; replays die with the socket, so reconnects restart from the last position
+  useEffect(() => {
+    if (!isConnected || !session) return
+
+    const { from, speed } = resumeFromRef.current || {}
+    const last = statusRef.current
+    sendMessage({
+      type: 'replay',
+      action: 'start',
+      replayId,
+      sessionId: session.id,
+      from: last ? last.time : from,
+      speed: last ? last.speed : speed
+    })
+
+    return () => sendMessage({ type: 'replay', action: 'stop', replayId })
+  }, [isConnected, session, replayId, sendMessage])
+
+  const start = useCallback((nextSession, from = null, speed = 1) => {
+    resumeFromRef.current = { from, speed }
+    setStatus(null)
+    setError(null)
+    setSession(nextSession)
+  }, [])
+
+  const control = useCallback((action, params = {}) => {
+    sendMessage({ type: 'replay', action, replayId, ...params })
+  }, [sendMessage, replayId])
+
+  const pause = useCallback(() => control('pause'), [control])
+  const resume = useCallback(() => control('resume'), [control])
+  const seek = useCallback((time) => control('seek', { time }), [control])
+  const setSpeed = useCallback((speed) => control('speed', { speed }), [control])
+
+  // Back to live (effect cleanup tells the backend)
+  const stop = useCallback(() => {
+    setSession(null)
+    setStatus(null)
+    setError(null)
+  }, [])
+
+  return { replayId, session, status, error, start, pause, resume, seek, setSpeed, stop }
+}
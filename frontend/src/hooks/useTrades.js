@@ -0,0 +1,74 @@
+import { useState, useEffect, useRef, useId } from 'react'
+import { useWebSocket } from '../context/WebSocketContext'
+
+/**
+ * Custom hook for the public trades tape (time & sales) of one book
+ *
+ * @param {string} symbol - Trading symbol (e.g. 'BTCUSDT')
+ * @param {string} exchange - Venue the trades come from ('bybit', 'binance')
+ * @param {string} category - Market category ('linear', 'inverse', 'spot')
+ * @param {boolean} enabled - Whether to subscribe (panel visible)
+ * @param {number} maxTrades - Trades kept on the tape (newest first)
+ * @param {function} onTrades - Optional callback with every batch of new prints (e.g. heatmap history)
+ * @returns {Object} - { trades: [{ id, time, price, size, value, side }] }
+ */
+export function useTrades(symbol, exchange = 'bybit', category = 'linear', enabled = true, maxTrades = 100, onTrades = null) {
+  const [trades, setTrades] = useState([])
+  const onTradesRef = useRef(onTrades)
+  const instanceId = useId() // Two books may show the same market
+
+  onTradesRef.current = onTrades
+
+  const { isConnected, subscribeTrades, unsubscribeTrades, addListener, removeListener } = useWebSocket()
+
+  // Collect prints for our exchange, category and symbol
+  useEffect(() => {
+    if (!enabled) return
+
+    const listenerId = `trades-${exchange}-${category}-${symbol}-${instanceId}`
+
+    const handleMessage = (message) => {
+      if (message.topic !== `publicTrade.${symbol}`) return
+      if ((message.exchange || 'bybit') !== exchange || (message.category || 'linear') !== category) return
+
+      // Bybit sends oldest first within a message; tape shows newest first
+      const prints = (message.data || []).map(({ i, T, p, v, S }) => {
+        const price = parseFloat(p)
+        const quantity = parseFloat(v)
+        // Inverse sizes are USD contracts: value is the size, coin amount is size / price
+        const size = category === 'inverse' ? quantity / price : quantity
+        return {
+          id: i,
+          time: T,
+          price,
+          size,
+          value: size * price,
+          side: S // Aggressor (taker) side: 'Buy' lifted the ask, 'Sell' hit the bid
+        }
+      }).reverse()
+
+      if (prints.length > 0) {
+        setTrades(current => [...prints, ...current].slice(0, maxTrades))
+        onTradesRef.current?.(prints)
+      }
+    }
+
+    addListener(listenerId, handleMessage)
+    return () => removeListener(listenerId)
+  }, [symbol, exchange, category, enabled, maxTrades, instanceId, addListener, removeListener])
+
+  // Clear tape when the market changes
+  useEffect(() => {
+    setTrades([])
+  }, [symbol, exchange, category])
+
+  // Subscribe while connected and enabled
+  useEffect(() => {
+    if (isConnected && enabled && symbol) {
+      subscribeTrades(symbol, exchange, category)
+      return () => unsubscribeTrades(symbol, exchange, category)
+    }
+  }, [isConnected, enabled, symbol, exchange, category, subscribeTrades, unsubscribeTrades])
+
+  return { trades }
+}
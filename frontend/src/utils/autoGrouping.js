@@ -23,6 +23,12 @@ const SOURCE_LATENCIES = {
   L1000: 300
 };
 
+/**
+ * Tolerance when mapping a price to its bucket index
+ * (keeps prices sitting exactly on a boundary in their own bucket)
+ */
+const BUCKET_EPSILON = 1e-6;
+
 /**
  * Human-readable tick sizes for rounding
  */
@@ -188,18 +194,18 @@ export function groupLevels(levels, tickSize, sortDirection = 'desc', maxLevels
 
     if (isNaN(priceNum) || isNaN(sizeNum)) return;
 
-    // Calculate bucket price
-    const bucketPrice = Math.floor(priceNum / tickSize) * tickSize;
+    // Bucket by integer index (epsilon absorbs float error: 0.3 / 0.1 = 2.9999999999999996)
+    const bucketIndex = Math.floor(priceNum / tickSize + BUCKET_EPSILON);
 
     // Accumulate size in bucket
-    const currentSize = buckets.get(bucketPrice) || 0;
-    buckets.set(bucketPrice, currentSize + sizeNum);
+    const currentSize = buckets.get(bucketIndex) || 0;
+    buckets.set(bucketIndex, currentSize + sizeNum);
   });
 
   // Convert to array and sort
   const grouped = Array.from(buckets.entries())
-    .map(([price, size]) => [
-      price.toFixed(getDecimals(tickSize)),
+    .map(([index, size]) => [
+      (index * tickSize).toFixed(getDecimals(tickSize)),
       size.toFixed(3)
     ])
     .sort((a, b) => {
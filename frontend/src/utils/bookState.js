@@ -0,0 +1,15 @@
+/**
+ * Book State Utilities
+ */
+
+/**
+ * Empty book (before the first frame, after a reset)
+ */
+export function emptyBook() {
+  return {
+    bids: [], // Array of [price, size]
+    asks: [], // Array of [price, size]
+    timestamp: null,
+    updateId: null
+  }
+}
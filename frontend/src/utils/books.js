@@ -0,0 +1,92 @@
+/**
+ * Book Workspace
+ *
+ * The books on screen are one object of parallel per-book arrays, the same
+ * shape stored in presets and in user preferences (`preferences.books`):
+ *   { symbols, exchanges, categories, views, manualSources, tickSizeModes, manualTickSizes }
+ */
+
+import { fitArray } from './gridLayout.js'
+
+export const DEFAULT_SYMBOLS = ['BTCUSDT', 'ETHUSDT', 'SOLUSDT']
+
+// Value for a new book (and for entries missing from older presets), per array
+export const BOOK_DEFAULTS = {
+  symbols: 'BTCUSDT',
+  exchanges: 'bybit',
+  categories: 'linear',
+  views: 'ladder',
+  manualSources: 'L200',
+  tickSizeModes: 'auto',
+  manualTickSizes: 1
+}
+
+// Workspace kept in localStorage before preferences were stored server-side
+export const LEGACY_BOOK_KEYS = {
+  symbols: 'bullbook_current_symbols',
+  exchanges: 'bullbook_exchanges',
+  categories: 'bullbook_categories',
+  views: 'bullbook_views',
+  manualSources: 'bullbook_manual_sources',
+  tickSizeModes: 'bullbook_tick_modes',
+  manualTickSizes: 'bullbook_manual_ticks'
+}
+
+// Single-value fields of presets saved before sources and ticks were per book
+const LEGACY_SINGLE_FIELDS = {
+  manualSources: 'manualSource',
+  tickSizeModes: 'tickSizeMode',
+  manualTickSizes: 'manualTickSize'
+}
+
+/**
+ * Books from a preset, stored workspace or anything older: every array is
+ * fitted to the symbols, missing entries get the defaults (extra keys such
+ * as rev, updatedAt or layout are dropped)
+ */
+export function normalizeBooks(source) {
+  const symbols = Array.isArray(source?.symbols) && source.symbols.length > 0
+    ? source.symbols
+    : DEFAULT_SYMBOLS
+
+  const books = { symbols: [...symbols] }
+  Object.keys(BOOK_DEFAULTS).forEach(field => {
+    if (field === 'symbols') return
+
+    const legacy = LEGACY_SINGLE_FIELDS[field]
+    const values = source?.[field] || (legacy && source?.[legacy] != null ? [source[legacy]] : null)
+    books[field] = fitArray(values, symbols.length, BOOK_DEFAULTS[field])
+  })
+  return books
+}
+
+/**
+ * Apply the same change (add/remove/move) to every per-book array
+ *
+ * @param {function} transform - (array, defaultValue) => new array
+ */
+export function reshapeBooks(books, transform) {
+  const next = {}
+  Object.keys(BOOK_DEFAULTS).forEach(field => {
+    next[field] = transform(books[field], BOOK_DEFAULTS[field])
+  })
+  return next
+}
+
+/**
+ * Books with one book's field changed
+ */
+export function setBookField(books, field, index, value) {
+  const values = [...books[field]]
+  values[index] = value
+  return { ...books, [field]: values }
+}
+
+/**
+ * Same books (ignores key order and extra keys)
+ */
+export function sameBooks(a, b) {
+  return Object.keys(BOOK_DEFAULTS).every(field =>
+    JSON.stringify(a?.[field]) === JSON.stringify(b?.[field])
+  )
+}
@@ -0,0 +1,143 @@
+/**
+ * Grid Layout
+ *
+ * The book grid layout is kept in user preferences (`preferences.layout`):
+ *   columns     - books per row
+ *   rows        - rows per screen height (0 = rows sized to their books)
+ *   colSizes    - relative column widths (fr), one per column
+ *   rowHeights  - dragged row heights in px by row index (null = default)
+ *
+ * Helpers here are pure so the grid component only deals with events.
+ */
+
+export const MAX_BOOKS = 12
+export const MAX_COLUMNS = 6
+export const MAX_ROWS = 4
+export const MIN_COL_SIZE = 0.3 // fr, relative to an even column (1fr)
+export const MIN_ROW_HEIGHT = 240 // px, header plus a few levels
+
+export const DEFAULT_LAYOUT = {
+  columns: 3,
+  rows: 0,
+  colSizes: [1, 1, 1],
+  rowHeights: []
+}
+
+function clampInt(value, min, max, fallback) {
+  const n = parseInt(value, 10)
+  if (isNaN(n)) return fallback
+  return Math.min(max, Math.max(min, n))
+}
+
+/**
+ * Pad or cut an array to `length`, filling missing entries with `fallback`
+ * (per-book arrays from older presets or stored state may be shorter)
+ */
+export function fitArray(values, length, fallback) {
+  const list = Array.isArray(values) ? values : []
+  return Array.from({ length }, (_, i) => (list[i] ?? fallback))
+}
+
+/**
+ * Valid layout from whatever preferences hold (missing, old or hand-edited)
+ */
+export function normalizeLayout(layout) {
+  const source = layout && typeof layout === 'object' ? layout : {}
+  const columns = clampInt(source.columns, 1, MAX_COLUMNS, DEFAULT_LAYOUT.columns)
+  const rows = clampInt(source.rows, 0, MAX_ROWS, DEFAULT_LAYOUT.rows)
+
+  const colSizes = fitArray(source.colSizes, columns, 1).map(size => {
+    const n = Number(size)
+    return Number.isFinite(n) && n > 0 ? Math.max(MIN_COL_SIZE, n) : 1
+  })
+
+  const rowHeights = (Array.isArray(source.rowHeights) ? source.rowHeights : [])
+    .slice(0, MAX_BOOKS) // One column is the most rows there can be
+    .map(height => {
+      const n = Number(height)
+      return height != null && Number.isFinite(n) && n > 0 ? Math.max(MIN_ROW_HEIGHT, Math.round(n)) : null
+    })
+
+  return { columns, rows, colSizes, rowHeights }
+}
+
+/**
+ * Layout with a new column count (column widths reset to even)
+ */
+export function withColumns(layout, columns) {
+  return normalizeLayout({ ...layout, columns, colSizes: [] })
+}
+
+/**
+ * Layout with a new rows-per-screen setting (dragged row heights are dropped)
+ */
+export function withRows(layout, rows) {
+  return normalizeLayout({ ...layout, rows, rowHeights: [] })
+}
+
+/**
+ * Move `delta` fr from the column right of `index` to column `index`
+ * (a drag on the border between them); both keep at least MIN_COL_SIZE
+ */
+export function resizeColumns(colSizes, index, delta) {
+  if (index < 0 || index >= colSizes.length - 1) return colSizes
+
+  const left = colSizes[index]
+  const right = colSizes[index + 1]
+  const clamped = Math.min(right - MIN_COL_SIZE, Math.max(MIN_COL_SIZE - left, delta))
+
+  const next = [...colSizes]
+  next[index] = Math.round((left + clamped) * 1000) / 1000
+  next[index + 1] = Math.round((right - clamped) * 1000) / 1000
+  return next
+}
+
+/**
+ * Row heights with row `index` set to `height` px (null resets it)
+ */
+export function resizeRow(rowHeights, index, height) {
+  const next = fitArray(rowHeights, Math.max(rowHeights.length, index + 1), null)
+  next[index] = height == null ? null : Math.max(MIN_ROW_HEIGHT, Math.round(height))
+  return next
+}
+
+/**
+ * CSS grid templates for `bookCount` books
+ *
+ * @returns {{ columns: string, rows: string }}
+ */
+export function gridTemplate(layout, bookCount) {
+  const columns = layout.colSizes.map(size => `minmax(0, ${size}fr)`).join(' ')
+
+  // Rows per screen split the viewport below the app chrome
+  const defaultRow = layout.rows > 0
+    ? `max(${MIN_ROW_HEIGHT}px, calc((100vh - var(--book-grid-chrome)) / ${layout.rows}))`
+    : 'auto'
+
+  const rowCount = Math.max(1, Math.ceil(bookCount / layout.columns))
+  const rows = Array.from({ length: rowCount }, (_, i) => {
+    const height = layout.rowHeights[i]
+    return height ? `${height}px` : defaultRow
+  }).join(' ')
+
+  return { columns, rows }
+}
+
+/**
+ * Copy of `list` with the item at `from` moved to `to`
+ */
+export function moveItem(list, from, to) {
+  if (from === to || from < 0 || to < 0 || from >= list.length || to >= list.length) return list
+
+  const next = [...list]
+  const [item] = next.splice(from, 1)
+  next.splice(to, 0, item)
+  return next
+}
+
+/**
+ * Copy of `list` without the item at `index`
+ */
+export function removeAt(list, index) {
+  return list.filter((_, i) => i !== index)
+}
@@ -0,0 +1,52 @@
+/**
+ * Market Categories
+ *
+ * Bybit splits markets into categories, each with its own WebSocket endpoint
+ * and REST "category" param: linear (USDT/USDC perps), inverse (coin-margined)
+ * and spot. Helpers here keep per-category differences out of components.
+ */
+
+// Coin selector tabs (USDT and USDC perps share the linear category)
+export const COIN_TABS = [
+  { id: 'usdt', label: 'USDT Perp', category: 'linear', match: (symbol) => symbol.endsWith('USDT') },
+  { id: 'usdc', label: 'USDC Perp', category: 'linear', match: (symbol) => !symbol.endsWith('USDT') },
+  { id: 'inverse', label: 'Inverse', category: 'inverse', match: () => true },
+  { id: 'spot', label: 'Spot', category: 'spot', match: () => true }
+]
+
+// Max levels returned by GET /v5/market/orderbook per category
+const REST_DEPTH_LIMITS = { linear: 500, inverse: 500, spot: 200 }
+
+// Spot quote assets, longest first so "USDT" wins over "USD"
+const SPOT_QUOTES = ['USDT', 'USDC', 'USDE', 'EUR', 'BTC', 'ETH']
+
+/**
+ * Coin selector tab a book belongs to
+ */
+export function coinTabFor(symbol, category) {
+  return COIN_TABS.find(tab => tab.category === category && tab.match(symbol)) || COIN_TABS[0]
+}
+
+/**
+ * Currency prices and values are quoted in
+ */
+export function quoteCurrency(symbol, category) {
+  if (category === 'inverse') return 'USD'
+  if (category === 'spot') return SPOT_QUOTES.find(quote => symbol.endsWith(quote)) || 'USDT'
+  return symbol.endsWith('USDT') ? 'USDT' : 'USDC'
+}
+
+/**
+ * REST orderbook depth limit for a category
+ */
+export function restDepthLimit(category) {
+  return REST_DEPTH_LIMITS[category] || REST_DEPTH_LIMITS.linear
+}
+
+/**
+ * Inverse sizes are USD contracts: convert [price, size] levels to coin
+ * so amount, value and wall detection work like linear/spot books
+ */
+export function contractsToCoin(levels) {
+  return levels.map(([price, size]) => [price, String(parseFloat(size) / parseFloat(price))])
+}
@@ -192,3 +192,31 @@ export function detectBigWalls(levels, currentPrice) {
 
   return bigWalls
 }
+
+/**
+ * Merge WebSocket (real-time, near spread) + REST API (deep, far from spread) levels
+ * Strategy: WebSocket levels within 1% of price, REST levels beyond 1%
+ *
+ * @param {Array} wsLevels - Live (grouped) levels [price, size]
+ * @param {Array} deepLevels - REST levels [price, size]
+ * @param {number} currentPrice - Current market price
+ * @returns {Array} - Merged levels [price, size], WebSocket first
+ */
+export function mergeDeepLevels(wsLevels, deepLevels, currentPrice) {
+  if (!currentPrice || !wsLevels.length) return wsLevels
+
+  // Calculate 1% threshold from current price
+  const threshold = currentPrice * 0.01
+  const isNearSpread = (price) => Math.abs(parseFloat(price) - currentPrice) <= threshold
+
+  // Merge using Map to remove duplicates (price is key, WebSocket priority near spread)
+  const map = new Map()
+  wsLevels.forEach(([price, size]) => {
+    if (isNearSpread(price)) map.set(price, size)
+  })
+  deepLevels.forEach(([price, size]) => {
+    if (!isNearSpread(price) && !map.has(price)) map.set(price, size)
+  })
+
+  return Array.from(map.entries())
+}
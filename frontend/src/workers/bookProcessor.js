@@ -0,0 +1,277 @@
+/**
+ * Book Processor
+ *
+ * Everything between the raw WebSocket text and render-ready book levels:
+ * message parsing, live book maintenance (one OrderBookEngine per stream),
+ * tick grouping, deep REST merge and wall detection.
+ *
+ * Runs inside the orderbook Web Worker; kept free of worker globals so it
+ * can be tested under Node.
+ */
+
+import { OrderBookEngine } from '../../../shared/orderbook-engine.js'
+import { calculateAutoTickSize, groupOrderbook } from '../utils/autoGrouping.js'
+import { contractsToCoin } from '../utils/markets.js'
+import { detectBigWalls, findBiggestLevel, mergeDeepLevels } from '../utils/smartOrderBook.js'
+
+const BOOK_TOPIC = /^orderbook\.(\d+)\.(.+)$/
+
+/**
+ * Stream key: one live book per venue, market, depth and replay
+ */
+export function streamKey({ exchange = 'bybit', category = 'linear', symbol, depth, replay = null }) {
+  return `${exchange}|${category}|${symbol}|${depth}|${replay || 'live'}`
+}
+
+export class BookProcessor {
+  constructor() {
+    this.streams = new Map() // stream key -> { engine, views: Set of view ids, ready }
+    this.views = new Map() // view id -> { key, config, deep, paused, dirty }
+  }
+
+  /**
+   * Handle one raw WebSocket message
+   * Book messages are applied here; anything else is returned for the main thread
+   *
+   * @param {string} raw - Message text as received
+   * @returns {object|null} Parsed non-book message, null if consumed (or invalid)
+   */
+  handleRaw(raw) {
+    let message
+    try {
+      message = JSON.parse(raw)
+    } catch (err) {
+      console.error('[BookProcessor] Failed to parse message:', err)
+      return null
+    }
+
+    const match = typeof message.topic === 'string' && message.topic.match(BOOK_TOPIC)
+    if (!match) return message
+
+    this.applyBookMessage(message, Number(match[1]), match[2])
+    return null
+  }
+
+  /**
+   * Apply a snapshot/delta to the stream it belongs to (ignored if nobody watches it)
+   */
+  applyBookMessage(message, depth, symbol) {
+    const key = streamKey({
+      exchange: message.exchange,
+      category: message.category,
+      symbol,
+      depth,
+      replay: message.replay
+    })
+    const stream = this.streams.get(key)
+    const { type, data } = message
+    if (!stream || !data) return
+
+    const ts = message.ts || Date.now()
+
+    if (type === 'snapshot') {
+      if (data.u === 1) {
+        console.warn(`[BookProcessor ${key}] ⚠️ Bybit service restart detected (u=1)`)
+      }
+      stream.engine.applySnapshot(data, ts)
+      stream.ready = true
+    } else if (type === 'delta') {
+      // Bybit docs: if u=1 in delta, treat as snapshot (service restart)
+      if (stream.engine.applyDelta(data, ts)) {
+        console.warn(`[BookProcessor ${key}] ⚠️ Delta with u=1 - forcing snapshot reset`)
+        stream.ready = true
+      }
+    } else {
+      return
+    }
+
+    stream.views.forEach(id => {
+      this.views.get(id).dirty = true
+    })
+  }
+
+  /**
+   * Register or update a book view
+   *
+   * @param {string} id - View id (one per rendered book)
+   * @param {object} config - { exchange, category, symbol, depth, replay, tickConfig, maxLevels, analysis, withMerged }
+   *   tickConfig: { mode: 'auto'|'manual', value } or null for ungrouped levels
+   *   analysis: merge deep REST levels and detect walls / biggest levels
+   *   withMerged: include the merged levels in frames (depth chart)
+   */
+  watch(id, config) {
+    const key = streamKey(config)
+    const view = this.views.get(id)
+
+    if (view && view.key !== key) {
+      this.detach(id, view.key)
+    }
+
+    let stream = this.streams.get(key)
+    if (!stream) {
+      // Untrimmed: chained venues (Binance) diff the full book and never re-send
+      // levels moving back into the top N; views cut to depth instead
+      stream = { engine: new OrderBookEngine(), views: new Set(), ready: false }
+      this.streams.set(key, stream)
+    }
+    stream.views.add(id)
+
+    this.views.set(id, {
+      key,
+      config,
+      deep: view?.key === key ? view.deep : null,
+      paused: view?.paused || false,
+      dirty: true
+    })
+  }
+
+  /**
+   * Drop a book view (and its stream once no view uses it)
+   */
+  unwatch(id) {
+    const view = this.views.get(id)
+    if (!view) return
+
+    this.detach(id, view.key)
+    this.views.delete(id)
+  }
+
+  detach(id, key) {
+    const stream = this.streams.get(key)
+    if (!stream) return
+
+    stream.views.delete(id)
+    if (stream.views.size === 0) {
+      this.streams.delete(key)
+    }
+  }
+
+  /**
+   * Set the deep REST levels merged into a view ({ asks, bids } or null)
+   */
+  setDeep(id, deep) {
+    const view = this.views.get(id)
+    if (!view) return
+
+    view.deep = deep
+    view.dirty = true
+  }
+
+  /**
+   * Freeze a view's frames (the book itself keeps updating)
+   */
+  setPaused(id, paused) {
+    const view = this.views.get(id)
+    if (!view) return
+
+    view.paused = paused
+    view.dirty = true
+  }
+
+  get hasDirtyViews() {
+    for (const view of this.views.values()) {
+      if (view.dirty && !view.paused) return true
+    }
+    return false
+  }
+
+  /**
+   * Build frames for every view that changed since the last call
+   *
+   * @returns {object|null} { [viewId]: frame }, null if nothing changed
+   */
+  collectFrames() {
+    let frames = null
+
+    this.views.forEach((view, id) => {
+      if (!view.dirty || view.paused) return
+
+      const stream = this.streams.get(view.key)
+      if (!stream.ready) return
+
+      view.dirty = false
+      frames = frames || {}
+      frames[id] = this.buildFrame(view, stream.engine)
+    })
+
+    return frames
+  }
+
+  /**
+   * Render-ready levels for one view
+   */
+  buildFrame(view, engine) {
+    const { category, depth, tickConfig, maxLevels, analysis, withMerged } = view.config
+    const bestBid = engine.bestBid
+    const currentPrice = bestBid ? bestBid.price : null
+
+    // Inverse contracts are converted to coin first
+    const levels = engine.toLevels(depth)
+    const book = category === 'inverse'
+      ? { bids: contractsToCoin(levels.bids), asks: contractsToCoin(levels.asks) }
+      : levels
+
+    let tickSize = null
+    let grouped
+    if (tickConfig) {
+      tickSize = tickConfig.mode === 'auto'
+        ? (currentPrice ? calculateAutoTickSize(currentPrice) : 1) // Default until we have price
+        : tickConfig.value
+      grouped = groupOrderbook(book, tickSize, maxLevels)
+    } else {
+      grouped = { bids: book.bids.slice(0, maxLevels), asks: book.asks.slice(0, maxLevels) }
+    }
+
+    const frame = {
+      key: view.key,
+      bids: grouped.bids,
+      asks: grouped.asks,
+      tickSize,
+      currentPrice,
+      bestBid,
+      bestAsk: engine.bestAsk,
+      midPrice: engine.midPrice,
+      timestamp: engine.timestamp,
+      updateId: engine.updateId,
+      lastUpdate: Date.now()
+    }
+
+    if (analysis) {
+      Object.assign(frame, analyzeLevels(grouped, view.deep, currentPrice, withMerged))
+    }
+    return frame
+  }
+}
+
+/**
+ * Deep merge, walls and biggest levels for a grouped book
+ */
+function analyzeLevels(grouped, deep, currentPrice, withMerged) {
+  let mergedAsks = grouped.asks
+  let mergedBids = grouped.bids
+
+  // Without REST levels the merge still narrows WebSocket levels to the 1% band
+  if (currentPrice && grouped.asks.length && grouped.bids.length) {
+    mergedAsks = mergeDeepLevels(grouped.asks, deep?.asks || [], currentPrice)
+    mergedBids = mergeDeepLevels(grouped.bids, deep?.bids || [], currentPrice)
+  }
+
+  // Price -> wall info ({ price, size, valueUSDT, distancePercent, type, index })
+  const bigWalls = new Map()
+  if (currentPrice) {
+    detectBigWalls(mergedAsks, currentPrice).forEach(wall => bigWalls.set(wall.price.toString(), wall))
+    detectBigWalls(mergedBids, currentPrice).forEach(wall => bigWalls.set(wall.price.toString(), wall))
+  }
+
+  // Resistance: only asks ABOVE current price; support: only bids BELOW current price
+  const asksAbovePrice = currentPrice ? mergedAsks.filter(([price]) => parseFloat(price) > currentPrice) : mergedAsks
+  const bidsBelowPrice = currentPrice ? mergedBids.filter(([price]) => parseFloat(price) < currentPrice) : mergedBids
+
+  return {
+    bigWalls,
+    biggestAsk: asksAbovePrice.length > 0 ? findBiggestLevel(asksAbovePrice) : null,
+    biggestBid: bidsBelowPrice.length > 0 ? findBiggestLevel(bidsBelowPrice) : null,
+    mergedAsks: withMerged ? mergedAsks : null,
+    mergedBids: withMerged ? mergedBids : null
+  }
+}
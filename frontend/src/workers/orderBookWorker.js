@@ -0,0 +1,70 @@
+/**
+ * OrderBook Worker
+ *
+ * Fed by WebSocketProvider with raw socket messages; keeps the live books
+ * off the main thread and posts back only grouped, render-ready levels,
+ * at most once per animation frame.
+ *
+ * In:  { type: 'message', data }            raw WebSocket text
+ *      { type: 'watch', id, config }         register/update a book view
+ *      { type: 'unwatch', id }
+ *      { type: 'deep', id, deep }            REST levels ({ asks, bids }) merged into a view
+ *      { type: 'pause', id, paused }
+ * Out: { type: 'message', message }          non-book message for the main thread listeners
+ *      { type: 'frames', frames }            { [viewId]: frame } for the views that changed
+ */
+
+import { BookProcessor } from './bookProcessor.js'
+
+const processor = new BookProcessor()
+
+// Dedicated workers get requestAnimationFrame in most browsers; fall back to ~60fps
+const nextFrame = typeof self.requestAnimationFrame === 'function'
+  ? (callback) => self.requestAnimationFrame(callback)
+  : (callback) => setTimeout(callback, 16)
+
+let frameScheduled = false
+
+function scheduleFrame() {
+  if (frameScheduled || !processor.hasDirtyViews) return
+  frameScheduled = true
+
+  nextFrame(() => {
+    frameScheduled = false
+    const frames = processor.collectFrames()
+    if (frames) {
+      self.postMessage({ type: 'frames', frames })
+    }
+  })
+}
+
+self.onmessage = (event) => {
+  const { type, id } = event.data
+
+  switch (type) {
+    case 'message': {
+      const message = processor.handleRaw(event.data.data)
+      if (message) {
+        self.postMessage({ type: 'message', message })
+      }
+      break
+    }
+    case 'watch':
+      processor.watch(id, event.data.config)
+      break
+    case 'unwatch':
+      processor.unwatch(id)
+      break
+    case 'deep':
+      processor.setDeep(id, event.data.deep)
+      break
+    case 'pause':
+      processor.setPaused(id, event.data.paused)
+      break
+    default:
+      console.warn('[OrderBookWorker] Unknown message type:', type)
+      return
+  }
+
+  scheduleFrame()
+}
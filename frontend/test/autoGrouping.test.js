@@ -0,0 +1,53 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { groupLevels, calculateAutoTickSize } from '../src/utils/autoGrouping.js'
+
+test('prices on a bucket boundary stay in their own bucket', () => {
+  // 0.3 / 0.1 = 2.9999999999999996 in floating point
+  assert.deepEqual(groupLevels([['0.3', '1']], 0.1), [['0.3', '1.000']])
+  assert.deepEqual(groupLevels([['0.7', '1']], 0.1), [['0.7', '1.000']])
+  assert.deepEqual(groupLevels([['1.15', '1']], 0.05), [['1.15', '1.000']])
+  assert.deepEqual(groupLevels([['0.00029', '1']], 0.00001), [['0.00029', '1.000']])
+})
+
+test('prices inside a bucket floor to its lower bound', () => {
+  const grouped = groupLevels([['100.09', '1'], ['100.01', '2'], ['100.10', '4']], 0.1, 'desc')
+
+  assert.deepEqual(grouped, [['100.1', '4.000'], ['100.0', '3.000']])
+})
+
+test('one bucket per price, sizes summed', () => {
+  const levels = [['0.1', '1'], ['0.2', '1'], ['0.3', '1'], ['0.30', '1'], ['0.35', '1']]
+  const grouped = groupLevels(levels, 0.1, 'asc')
+
+  assert.deepEqual(grouped, [['0.1', '1.000'], ['0.2', '1.000'], ['0.3', '3.000']])
+  assert.equal(new Set(grouped.map(([price]) => price)).size, grouped.length)
+})
+
+test('large prices with integer ticks', () => {
+  const grouped = groupLevels([['100049.9', '1'], ['100050', '2'], ['100099.9', '3']], 50, 'desc')
+
+  assert.deepEqual(grouped, [['100050', '5.000'], ['100000', '1.000']])
+})
+
+test('sort direction and maxLevels', () => {
+  const levels = [['1', '1'], ['2', '1'], ['3', '1'], ['4', '1']]
+
+  assert.deepEqual(groupLevels(levels, 1, 'desc', 2).map(([price]) => price), ['4', '3'])
+  assert.deepEqual(groupLevels(levels, 1, 'asc', 2).map(([price]) => price), ['1', '2'])
+})
+
+test('empty and invalid input', () => {
+  assert.deepEqual(groupLevels([], 0.1), [])
+  assert.deepEqual(groupLevels(null, 0.1), [])
+  assert.deepEqual(groupLevels([['abc', '1'], ['1.0', 'x']], 0.1), [])
+})
+
+test('calculateAutoTickSize picks the human tick nearest to price / 1000', () => {
+  assert.equal(calculateAutoTickSize(100000), 100)
+  assert.equal(calculateAutoTickSize(3500), 1)
+  assert.equal(calculateAutoTickSize(180), 0.1)
+  assert.equal(calculateAutoTickSize(2.5), 0.001)
+  assert.equal(calculateAutoTickSize(0), 0.01)
+  assert.equal(calculateAutoTickSize(-5), 0.01)
+})
@@ -0,0 +1,189 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { BookProcessor, streamKey } from '../src/workers/bookProcessor.js'
+
+const LIVE = { exchange: 'bybit', category: 'linear', symbol: 'BTCUSDT', depth: 50 }
+
+function raw(message) {
+  return JSON.stringify({ exchange: 'bybit', category: 'linear', ts: 1000, ...message })
+}
+
+function snapshot(extra = {}) {
+  return raw({
+    topic: 'orderbook.50.BTCUSDT',
+    type: 'snapshot',
+    data: { s: 'BTCUSDT', b: [['100.0', '1'], ['99.9', '2'], ['99.0', '3']], a: [['100.1', '1'], ['100.6', '2']], u: 10 },
+    ...extra
+  })
+}
+
+function watched(config = {}) {
+  const processor = new BookProcessor()
+  processor.watch('book-1', { ...LIVE, tickConfig: { mode: 'manual', value: 0.5 }, maxLevels: 10, ...config })
+  return processor
+}
+
+test('non-book messages are returned for the main thread', () => {
+  const processor = new BookProcessor()
+
+  assert.deepEqual(processor.handleRaw('{"type":"subscribed","symbols":["BTCUSDT"]}'), { type: 'subscribed', symbols: ['BTCUSDT'] })
+  assert.equal(processor.handleRaw(raw({ topic: 'publicTrade.BTCUSDT', data: [] })).topic, 'publicTrade.BTCUSDT')
+  assert.equal(processor.handleRaw(snapshot()), null)
+  assert.equal(processor.handleRaw('not json'), null)
+})
+
+test('no frame before the first snapshot', () => {
+  const processor = watched()
+
+  assert.equal(processor.collectFrames(), null)
+  processor.handleRaw(raw({ topic: 'orderbook.50.BTCUSDT', type: 'delta', data: { b: [['99.5', '1']], u: 11 } }))
+  assert.equal(processor.collectFrames(), null)
+})
+
+test('snapshot and deltas produce one grouped frame per collect', () => {
+  const processor = watched()
+  processor.handleRaw(snapshot())
+  processor.handleRaw(raw({ topic: 'orderbook.50.BTCUSDT', type: 'delta', data: { b: [['99.0', '0'], ['99.6', '5']], u: 11 } }))
+
+  const frame = processor.collectFrames()['book-1']
+  assert.equal(frame.key, streamKey(LIVE))
+  assert.deepEqual(frame.bids, [['100.0', '1.000'], ['99.5', '7.000']])
+  assert.deepEqual(frame.asks, [['100.0', '1.000'], ['100.5', '2.000']])
+  assert.equal(frame.tickSize, 0.5)
+  assert.equal(frame.currentPrice, 100)
+  assert.equal(frame.midPrice, 100.05)
+  assert.equal(frame.updateId, 11)
+
+  assert.equal(processor.collectFrames(), null)
+})
+
+test('auto tick size follows the best bid', () => {
+  const processor = watched({ tickConfig: { mode: 'auto', value: 1 } })
+  processor.handleRaw(snapshot())
+
+  assert.equal(processor.collectFrames()['book-1'].tickSize, 0.1)
+})
+
+test('ungrouped views return raw levels up to maxLevels', () => {
+  const processor = watched({ tickConfig: null, maxLevels: 2 })
+  processor.handleRaw(snapshot())
+
+  const frame = processor.collectFrames()['book-1']
+  assert.deepEqual(frame.bids, [['100.0', '1'], ['99.9', '2']])
+  assert.equal(frame.tickSize, null)
+})
+
+test('messages only reach views of the same venue, depth and replay', () => {
+  const processor = watched()
+  processor.watch('replay-1', { ...LIVE, replay: 'r1', tickConfig: null, maxLevels: 10 })
+
+  processor.handleRaw(snapshot({ category: 'spot' }))
+  processor.handleRaw(snapshot({ topic: 'orderbook.200.BTCUSDT' }))
+  assert.equal(processor.collectFrames(), null)
+
+  processor.handleRaw(snapshot({ replay: 'r1' }))
+  assert.deepEqual(Object.keys(processor.collectFrames()), ['replay-1'])
+})
+
+test('spot and linear deltas of one symbol update their own books', () => {
+  const processor = watched()
+  processor.watch('spot-1', { ...LIVE, category: 'spot', tickConfig: null, maxLevels: 10 })
+  processor.handleRaw(snapshot())
+  processor.handleRaw(snapshot({ category: 'spot' }))
+  processor.collectFrames()
+
+  processor.handleRaw(raw({ category: 'spot', topic: 'orderbook.50.BTCUSDT', type: 'delta', data: { b: [['100.0', '0']], u: 11 } }))
+  const frames = processor.collectFrames()
+
+  assert.deepEqual(Object.keys(frames), ['spot-1'])
+  assert.equal(frames['spot-1'].bids[0][0], '99.9')
+  assert.equal(processor.streams.get(streamKey(LIVE)).engine.bestBid.price, 100)
+})
+
+test('levels beyond depth are kept for when they move back into view', () => {
+  const processor = watched({ exchange: 'binance', depth: 2, tickConfig: null })
+  processor.handleRaw(snapshot({ exchange: 'binance', topic: 'orderbook.2.BTCUSDT' }))
+  assert.deepEqual(processor.collectFrames()['book-1'].bids, [['100.0', '1'], ['99.9', '2']])
+
+  // Diff stream: the best bid goes and 99.0 (now in the top 2) is not re-sent
+  processor.handleRaw(raw({ exchange: 'binance', topic: 'orderbook.2.BTCUSDT', type: 'delta', data: { b: [['100.0', '0']], u: 11, pu: 10 } }))
+  assert.deepEqual(processor.collectFrames()['book-1'].bids, [['99.9', '2'], ['99.0', '3']])
+})
+
+test('views on the same stream share one book', () => {
+  const processor = watched()
+  processor.watch('book-2', { ...LIVE, tickConfig: { mode: 'manual', value: 1 }, maxLevels: 1 })
+  processor.handleRaw(snapshot())
+
+  const frames = processor.collectFrames()
+  assert.equal(processor.streams.size, 1)
+  assert.deepEqual(frames['book-2'].bids, [['100', '1.000']])
+
+  processor.unwatch('book-1')
+  assert.equal(processor.streams.size, 1)
+  processor.unwatch('book-2')
+  assert.equal(processor.streams.size, 0)
+})
+
+test('updating a view config keeps the live book', () => {
+  const processor = watched()
+  processor.handleRaw(snapshot())
+  processor.collectFrames()
+
+  processor.watch('book-1', { ...LIVE, tickConfig: { mode: 'manual', value: 1 }, maxLevels: 10 })
+  assert.deepEqual(processor.collectFrames()['book-1'].bids, [['100', '1.000'], ['99', '5.000']])
+})
+
+test('switching symbol drops the old stream', () => {
+  const processor = watched()
+  processor.handleRaw(snapshot())
+
+  processor.watch('book-1', { ...LIVE, symbol: 'ETHUSDT', tickConfig: null, maxLevels: 10 })
+  assert.equal(processor.streams.has(streamKey(LIVE)), false)
+  assert.equal(processor.collectFrames(), null)
+})
+
+test('paused views get no frames until resumed', () => {
+  const processor = watched()
+  processor.setPaused('book-1', true)
+  processor.handleRaw(snapshot())
+
+  assert.equal(processor.hasDirtyViews, false)
+  assert.equal(processor.collectFrames(), null)
+
+  processor.setPaused('book-1', false)
+  assert.ok(processor.collectFrames()['book-1'])
+})
+
+test('u=1 delta resets the book', () => {
+  const processor = watched({ tickConfig: null })
+  processor.handleRaw(snapshot())
+  processor.handleRaw(raw({ topic: 'orderbook.50.BTCUSDT', type: 'delta', data: { b: [['50.0', '1']], a: [['51.0', '1']], u: 1 } }))
+
+  const frame = processor.collectFrames()['book-1']
+  assert.deepEqual(frame.bids, [['50.0', '1']])
+  assert.equal(frame.updateId, 1)
+})
+
+test('analysis merges deep levels and detects walls', () => {
+  const processor = watched({ tickConfig: null, analysis: true, withMerged: true })
+  processor.setDeep('book-1', { asks: [['150.0', '5000']], bids: [['50.0', '1']] })
+  processor.handleRaw(snapshot())
+
+  const frame = processor.collectFrames()['book-1']
+  assert.deepEqual(frame.mergedAsks, [['100.1', '1'], ['100.6', '2'], ['150.0', '5000']])
+  assert.deepEqual(frame.mergedBids, [['100.0', '1'], ['99.9', '2'], ['99.0', '3'], ['50.0', '1']])
+  // 750K value and 2500x its neighbour, but under 10x the average of 3 levels
+  assert.equal(frame.bigWalls.get('150').type, 'big')
+  assert.equal(frame.biggestAsk, null)
+  assert.equal(frame.biggestBid, null)
+})
+
+test('merged levels are only sent when asked for', () => {
+  const processor = watched({ tickConfig: null, analysis: true })
+  processor.handleRaw(snapshot())
+
+  const frame = processor.collectFrames()['book-1']
+  assert.equal(frame.mergedAsks, null)
+  assert.ok(frame.bigWalls instanceof Map)
+})
@@ -0,0 +1,51 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { DEFAULT_SYMBOLS, normalizeBooks, reshapeBooks, sameBooks, setBookField } from '../src/utils/books.js'
+import { moveItem } from '../src/utils/gridLayout.js'
+
+test('normalizeBooks fills every array to the symbol count', () => {
+  const books = normalizeBooks({ symbols: ['BTCUSDT', 'ETHUSDT'], views: ['heatmap'], rev: 3, layout: {} })
+
+  assert.deepEqual(books, {
+    symbols: ['BTCUSDT', 'ETHUSDT'],
+    exchanges: ['bybit', 'bybit'],
+    categories: ['linear', 'linear'],
+    views: ['heatmap', 'ladder'],
+    manualSources: ['L200', 'L200'],
+    tickSizeModes: ['auto', 'auto'],
+    manualTickSizes: [1, 1]
+  })
+})
+
+test('normalizeBooks turns old single-value presets into the first book setting', () => {
+  const books = normalizeBooks({ symbols: ['BTCUSDT', 'ETHUSDT', 'SOLUSDT'], manualSource: 'L50', tickSizeMode: 'manual', manualTickSize: 5 })
+
+  assert.deepEqual(books.manualSources, ['L50', 'L200', 'L200'])
+  assert.deepEqual(books.tickSizeModes, ['manual', 'auto', 'auto'])
+  assert.deepEqual(books.manualTickSizes, [5, 1, 1])
+})
+
+test('normalizeBooks falls back to the default books', () => {
+  assert.deepEqual(normalizeBooks(null).symbols, DEFAULT_SYMBOLS)
+  assert.deepEqual(normalizeBooks({ symbols: [] }).symbols, DEFAULT_SYMBOLS)
+})
+
+test('reshapeBooks moves every array together', () => {
+  const books = setBookField(normalizeBooks({ symbols: ['BTCUSDT', 'ETHUSDT', 'SOLUSDT'] }), 'views', 0, 'depth')
+  const moved = reshapeBooks(books, list => moveItem(list, 0, 2))
+
+  assert.deepEqual(moved.symbols, ['ETHUSDT', 'SOLUSDT', 'BTCUSDT'])
+  assert.deepEqual(moved.views, ['ladder', 'ladder', 'depth'])
+
+  const added = reshapeBooks(books, (list, fallback) => [...list, fallback])
+  assert.equal(added.symbols[3], 'BTCUSDT')
+  assert.equal(added.manualSources[3], 'L200')
+})
+
+test('sameBooks ignores extra keys', () => {
+  const books = normalizeBooks({ symbols: ['BTCUSDT'] })
+
+  assert.equal(sameBooks(books, { ...books, updatedAt: 5 }), true)
+  assert.equal(sameBooks(books, setBookField(books, 'symbols', 0, 'ETHUSDT')), false)
+  assert.equal(sameBooks(books, null), false)
+})
@@ -0,0 +1,85 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  DEFAULT_LAYOUT,
+  MAX_COLUMNS,
+  MIN_COL_SIZE,
+  MIN_ROW_HEIGHT,
+  fitArray,
+  gridTemplate,
+  moveItem,
+  normalizeLayout,
+  removeAt,
+  resizeColumns,
+  resizeRow,
+  withColumns
+} from '../src/utils/gridLayout.js'
+
+test('normalizeLayout falls back to the default for empty preferences', () => {
+  assert.deepEqual(normalizeLayout({}), DEFAULT_LAYOUT)
+  assert.deepEqual(normalizeLayout(undefined), DEFAULT_LAYOUT)
+})
+
+test('normalizeLayout clamps counts and repairs sizes', () => {
+  const layout = normalizeLayout({
+    columns: '12',
+    rows: -2,
+    colSizes: [2, 'x', 0.01],
+    rowHeights: [50, null, 'abc', 480.6]
+  })
+
+  assert.equal(layout.columns, MAX_COLUMNS)
+  assert.equal(layout.rows, 0)
+  assert.deepEqual(layout.colSizes, [2, 1, MIN_COL_SIZE, 1, 1, 1])
+  assert.deepEqual(layout.rowHeights, [MIN_ROW_HEIGHT, null, null, 481])
+})
+
+test('withColumns resets column widths to even', () => {
+  const layout = withColumns({ ...DEFAULT_LAYOUT, colSizes: [2, 0.5, 0.5] }, 2)
+
+  assert.equal(layout.columns, 2)
+  assert.deepEqual(layout.colSizes, [1, 1])
+})
+
+test('resizeColumns moves width between neighbours and keeps the minimum', () => {
+  assert.deepEqual(resizeColumns([1, 1, 1], 0, 0.5), [1.5, 0.5, 1])
+  assert.deepEqual(resizeColumns([1, 1, 1], 1, -5), [1, MIN_COL_SIZE, 1 + 1 - MIN_COL_SIZE])
+  assert.deepEqual(resizeColumns([1, 1], 1, 0.5), [1, 1]) // No column right of the last
+})
+
+test('resizeRow sets, clamps and resets row heights', () => {
+  assert.deepEqual(resizeRow([], 2, 500), [null, null, 500])
+  assert.deepEqual(resizeRow([400], 0, 10), [MIN_ROW_HEIGHT])
+  assert.deepEqual(resizeRow([400, 500], 1, null), [400, null])
+})
+
+test('gridTemplate builds one row per started row of books', () => {
+  const layout = normalizeLayout({ columns: 2, colSizes: [1.5, 0.5], rowHeights: [null, 420] })
+
+  assert.deepEqual(gridTemplate(layout, 5), {
+    columns: 'minmax(0, 1.5fr) minmax(0, 0.5fr)',
+    rows: 'auto 420px auto'
+  })
+})
+
+test('gridTemplate splits the screen when rows per screen is set', () => {
+  const { rows } = gridTemplate(normalizeLayout({ columns: 3, rows: 2 }), 3)
+
+  assert.equal(rows, `max(${MIN_ROW_HEIGHT}px, calc((100vh - var(--book-grid-chrome)) / 2))`)
+})
+
+test('fitArray pads short arrays and cuts long ones', () => {
+  assert.deepEqual(fitArray(['L50'], 3, 'L200'), ['L50', 'L200', 'L200'])
+  assert.deepEqual(fitArray([1, 2, 3], 2, 0), [1, 2])
+  assert.deepEqual(fitArray(undefined, 2, 'bybit'), ['bybit', 'bybit'])
+})
+
+test('moveItem and removeAt return reordered copies', () => {
+  const books = ['BTC', 'ETH', 'SOL', 'XRP']
+
+  assert.deepEqual(moveItem(books, 0, 2), ['ETH', 'SOL', 'BTC', 'XRP'])
+  assert.deepEqual(moveItem(books, 3, 1), ['BTC', 'XRP', 'ETH', 'SOL'])
+  assert.equal(moveItem(books, 1, 1), books)
+  assert.deepEqual(removeAt(books, 1), ['BTC', 'SOL', 'XRP'])
+  assert.deepEqual(books, ['BTC', 'ETH', 'SOL', 'XRP'])
+})
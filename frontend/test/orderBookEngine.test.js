@@ -0,0 +1,160 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { OrderBookEngine, BookSide } from '../../shared/orderbook-engine.js'
+
+function seeded(depth = Infinity) {
+  const engine = new OrderBookEngine({ depth })
+  engine.applySnapshot({
+    b: [['100.0', '1'], ['99.5', '2'], ['99.0', '3']],
+    a: [['100.5', '1'], ['101.0', '2'], ['101.5', '3']],
+    u: 10
+  }, 1)
+  return engine
+}
+
+test('zero size deletes the level', () => {
+  const engine = seeded()
+  engine.applyDelta({ b: [['99.5', '0']], a: [['101.0', '0.000']], u: 11 }, 2)
+
+  assert.deepEqual(engine.toLevels(), {
+    bids: [['100.0', '1'], ['99.0', '3']],
+    asks: [['100.5', '1'], ['101.5', '3']]
+  })
+  assert.equal(engine.updateId, 11)
+  assert.equal(engine.timestamp, 2)
+})
+
+test('zero size on an unknown price is a no-op', () => {
+  const engine = seeded()
+  engine.applyDelta({ b: [['98.0', '0']], u: 11 })
+
+  assert.deepEqual(engine.toLevels().bids, [['100.0', '1'], ['99.5', '2'], ['99.0', '3']])
+})
+
+test('updates replace sizes and new levels are sorted in', () => {
+  const engine = seeded()
+  engine.applyDelta({
+    b: [['99.75', '5'], ['100.0', '4'], ['98.5', '1']],
+    a: [['100.25', '5'], ['101.5', '9']],
+    u: 11
+  })
+
+  assert.deepEqual(engine.toLevels(), {
+    bids: [['100.0', '4'], ['99.75', '5'], ['99.5', '2'], ['99.0', '3'], ['98.5', '1']],
+    asks: [['100.25', '5'], ['100.5', '1'], ['101.0', '2'], ['101.5', '9']]
+  })
+})
+
+test('sorting is numeric, not lexicographic', () => {
+  const engine = new OrderBookEngine()
+  engine.applySnapshot({ b: [['9.5', '1']], a: [['10.5', '1']], u: 10 })
+  engine.applyDelta({ b: [['10.0', '1']], a: [['9.75', '1'], ['100.0', '1']], u: 11 })
+
+  const { bids, asks } = engine.toLevels()
+  assert.deepEqual(bids.map(([price]) => price), ['10.0', '9.5'])
+  assert.deepEqual(asks.map(([price]) => price), ['9.75', '10.5', '100.0'])
+})
+
+test('equal prices written differently are one level', () => {
+  const engine = seeded()
+  engine.applyDelta({ b: [['100', '7']], u: 11 })
+
+  assert.deepEqual(engine.toLevels().bids[0], ['100', '7'])
+  assert.equal(engine.bids.length, 3)
+})
+
+test('sides are trimmed to depth, keeping the best levels', () => {
+  const engine = seeded(2)
+  assert.equal(engine.bids.length, 2)
+
+  engine.applyDelta({ b: [['100.25', '1']], a: [['100.25', '1']], u: 11 })
+  assert.deepEqual(engine.toLevels(), {
+    bids: [['100.25', '1'], ['100.0', '1']],
+    asks: [['100.25', '1'], ['100.5', '1']]
+  })
+})
+
+test('toLevels limit does not drop stored levels', () => {
+  const engine = seeded()
+
+  assert.deepEqual(engine.toLevels(1).bids, [['100.0', '1']])
+  assert.equal(engine.bids.length, 3)
+})
+
+test('u=1 delta without pu replaces the whole book', () => {
+  const engine = seeded()
+
+  assert.equal(engine.applyDelta({ b: [['50.0', '1']], u: 1 }, 3), true)
+  assert.deepEqual(engine.toLevels(), { bids: [['50.0', '1']], asks: [] })
+  assert.equal(engine.updateId, 1)
+  assert.equal(engine.timestamp, 3)
+})
+
+test('u=1 with pu is a regular delta', () => {
+  const engine = seeded()
+
+  assert.equal(engine.applyDelta({ b: [['50.0', '1']], u: 1, pu: 0 }), false)
+  assert.equal(engine.bids.length, 4)
+})
+
+test('snapshot is sorted, zero sizes dropped, last duplicate wins', () => {
+  const engine = new OrderBookEngine()
+  engine.applySnapshot({
+    b: [['99', '1'], ['101', '1'], ['100', '0'], ['101', '2']],
+    a: [['103', '1'], ['102', '1']],
+    u: 5,
+    seq: 77
+  })
+
+  assert.deepEqual(engine.toLevels(), {
+    bids: [['101', '2'], ['99', '1']],
+    asks: [['102', '1'], ['103', '1']]
+  })
+  assert.equal(engine.seq, 77)
+  assert.equal(engine.isReady, true)
+})
+
+test('best bid, best ask, mid and spread', () => {
+  const engine = seeded()
+
+  assert.deepEqual(engine.bestBid, { price: 100, size: 1 })
+  assert.deepEqual(engine.bestAsk, { price: 100.5, size: 1 })
+  assert.equal(engine.midPrice, 100.25)
+  assert.equal(engine.spread, 0.5)
+})
+
+test('accessors on one-sided and empty books', () => {
+  const engine = new OrderBookEngine()
+  assert.equal(engine.bestBid, null)
+  assert.equal(engine.midPrice, null)
+  assert.equal(engine.spread, null)
+  assert.equal(engine.isReady, false)
+
+  engine.applySnapshot({ b: [['10', '1']], a: [], u: 2 })
+  assert.equal(engine.midPrice, 10)
+  assert.equal(engine.spread, null)
+
+  engine.reset()
+  assert.equal(engine.bestBid, null)
+  assert.equal(engine.isReady, false)
+})
+
+test('BookSide keeps order across random updates', () => {
+  const side = new BookSide('desc')
+  const reference = new Map()
+  let state = 7
+
+  for (let i = 0; i < 2000; i++) {
+    state = (state * 48271) % 2147483647
+    const price = (state % 300) / 10
+    const size = state % 5 === 0 ? '0' : String(state % 97)
+    const key = price.toFixed(1)
+
+    side.update(key, size)
+    if (size === '0') reference.delete(key)
+    else reference.set(key, size)
+  }
+
+  const expected = [...reference.entries()].sort((a, b) => parseFloat(b[0]) - parseFloat(a[0]))
+  assert.deepEqual(side.toArray(), expected)
+})
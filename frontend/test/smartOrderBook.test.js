@@ -0,0 +1,79 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { findBiggestLevel, detectBigWalls, mergeDeepLevels } from '../src/utils/smartOrderBook.js'
+
+// Flat book of 1-unit levels with optional overrides { index: size }
+function flatBook(count, overrides = {}, startPrice = 100, step = -1) {
+  return Array.from({ length: count }, (_, i) => [
+    String(startPrice + i * step),
+    String(overrides[i] ?? 1)
+  ])
+}
+
+test('findBiggestLevel returns the wall when >= 10x average', () => {
+  const levels = flatBook(20, { 7: 50 })
+
+  assert.deepEqual(findBiggestLevel(levels), { price: 93, size: 50, index: 7 })
+})
+
+test('findBiggestLevel returns null for a flat book', () => {
+  assert.equal(findBiggestLevel(flatBook(20, { 3: 5 })), null)
+  assert.equal(findBiggestLevel([]), null)
+  assert.equal(findBiggestLevel(null), null)
+})
+
+test('detectBigWalls: all three criteria make a huge wall', () => {
+  // avg = (99 + 2000) / 100 ~ 21: 2000 is >10x avg, >5x neighbour, 2000 * 100 = 200K
+  const walls = detectBigWalls(flatBook(100, { 10: 2000 }, 100, 0), 100)
+
+  assert.equal(walls.length, 1)
+  assert.equal(walls[0].type, 'huge')
+  assert.equal(walls[0].index, 10)
+  assert.equal(walls[0].valueUSDT, 200000)
+})
+
+test('detectBigWalls: two criteria make a big wall', () => {
+  // 10x average and 5x neighbour, but only 50 * 100 = 5K value
+  const walls = detectBigWalls(flatBook(100, { 10: 50 }, 100, 0), 100)
+
+  assert.deepEqual(walls.map(({ index, type }) => ({ index, type })), [{ index: 10, type: 'big' }])
+})
+
+test('detectBigWalls: one criterion makes a medium wall', () => {
+  // 5x neighbour only (avg pulled up by a second, larger level)
+  const levels = flatBook(10, { 2: 6, 8: 40 })
+  const walls = detectBigWalls(levels, 100)
+  const level2 = walls.find(wall => wall.index === 2)
+
+  assert.equal(level2.type, 'medium')
+})
+
+test('detectBigWalls: level 0 compares with the next level', () => {
+  const walls = detectBigWalls([['100', '10'], ['99', '1'], ['98', '10']], 100)
+
+  assert.deepEqual(walls.map(({ index, type }) => ({ index, type })), [
+    { index: 0, type: 'medium' },
+    { index: 2, type: 'medium' }
+  ])
+})
+
+test('detectBigWalls: distance from the current price', () => {
+  const [wall] = detectBigWalls(flatBook(100, { 10: 2000 }, 100, 0), 80)
+
+  assert.equal(wall.distancePercent, 25)
+})
+
+test('detectBigWalls: flat book and missing input', () => {
+  assert.deepEqual(detectBigWalls(flatBook(20), 100), [])
+  assert.deepEqual(detectBigWalls([], 100), [])
+  assert.deepEqual(detectBigWalls(flatBook(5), 0), [])
+})
+
+test('mergeDeepLevels keeps live levels near price and REST levels beyond 1%', () => {
+  const ws = [['100', '1'], ['100.5', '2'], ['102', '3']]
+  const deep = [['100.5', '9'], ['101.5', '4'], ['103', '5']]
+
+  assert.deepEqual(mergeDeepLevels(ws, deep, 100), [['100', '1'], ['100.5', '2'], ['101.5', '4'], ['103', '5']])
+  assert.deepEqual(mergeDeepLevels(ws, [], 100), [['100', '1'], ['100.5', '2']])
+  assert.equal(mergeDeepLevels(ws, deep, null), ws)
+})
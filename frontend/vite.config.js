@@ -6,6 +6,9 @@ export default defineConfig({
   plugins: [react()],
   server: {
     port: 5173,
+    fs: {
+      allow: ['..'] // shared/ (framework-free modules used by backend and frontend)
+    },
     proxy: {
       '/api': {
         target: 'http://localhost:3001',
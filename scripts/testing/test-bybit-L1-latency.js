@@ -29,7 +29,7 @@ const colors = {
 // Configuration
 const SYMBOL = process.argv[2] || 'BTCUSDT';
 const DEPTH = 1; // L1 only
-const WS_URL = 'wss://stream.bybit.com/v5/public/linear';
+const WS_URL = process.env.BYBIT_WS_URL || 'wss://stream.bybit.com/v5/public/linear'; // Mock: ws://localhost:8765/v5/public/linear
 const TEST_DURATION = 60000; // 60 seconds
 
 // Statistics
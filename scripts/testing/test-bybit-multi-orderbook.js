@@ -2,13 +2,15 @@
 /**
  * BullBook - Bybit Multi OrderBook WebSocket Test
  *
- * Simulates 9 simultaneous orderbook connections (3x3 grid)
+ * Simulates N simultaneous orderbook connections laid out as a grid
  * Tests performance and resource usage with multiple WebSocket connections
  *
  * Usage:
  *   node scripts/testing/test-bybit-multi-orderbook.js
+ *   BOOKS=12 COLUMNS=4 node scripts/testing/test-bybit-multi-orderbook.js
  *
- * This simulates the actual BullBook grid with 9 orderbooks running simultaneously
+ * BOOKS (default 9) and COLUMNS (default 3) mirror the BullBook grid layout;
+ * symbols repeat once the list below runs out
  */
 
 const WebSocket = require('ws');
@@ -23,25 +25,33 @@ const colors = {
   cyan: '\x1b[36m',
 };
 
-// 9 symbols for grid (default BullBook configuration)
-const SYMBOLS = [
-  'BTCUSDT', // Position 0 (top-left)
-  'ETHUSDT', // Position 1 (top-center)
-  'SOLUSDT', // Position 2 (top-right)
-  'BNBUSDT', // Position 3 (middle-left)
-  'XRPUSDT', // Position 4 (middle-center)
-  'ADAUSDT', // Position 5 (middle-right)
-  'DOGEUSDT', // Position 6 (bottom-left)
-  'AVAXUSDT', // Position 7 (bottom-center)
-  'MATICUSDT', // Position 8 (bottom-right)
+// Symbol pool for grid positions (filled row by row)
+const SYMBOL_POOL = [
+  'BTCUSDT',
+  'ETHUSDT',
+  'SOLUSDT',
+  'BNBUSDT',
+  'XRPUSDT',
+  'ADAUSDT',
+  'DOGEUSDT',
+  'AVAXUSDT',
+  'MATICUSDT',
+  'LINKUSDT',
+  'DOTUSDT',
+  'LTCUSDT',
 ];
 
+const BOOKS = Math.max(1, parseInt(process.env.BOOKS, 10) || 9);
+const COLUMNS = Math.max(1, parseInt(process.env.COLUMNS, 10) || 3);
+const ROWS = Math.ceil(BOOKS / COLUMNS);
+const SYMBOLS = Array.from({ length: BOOKS }, (_, i) => SYMBOL_POOL[i % SYMBOL_POOL.length]);
+
 const DEPTH = 50;
-const WS_URL = 'wss://stream.bybit.com/v5/public/linear';
+const WS_URL = process.env.BYBIT_WS_URL || 'wss://stream.bybit.com/v5/public/linear'; // Mock: ws://localhost:8765/v5/public/linear
 
 // Global statistics
 const globalStats = {
-  connections: new Map(), // symbol -> connection stats
+  connections: new Map(), // grid position -> connection
   totalMessages: 0,
   totalDeltas: 0,
   startTime: Date.now(),
@@ -213,18 +223,18 @@ function displayGrid() {
   const elapsed = ((Date.now() - globalStats.startTime) / 1000).toFixed(1);
 
   console.log(`${colors.cyan}┏━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━┓${colors.reset}`);
-  console.log(`${colors.cyan}┃  BullBook Multi-OrderBook Test - 3x3 Grid Simulation            ┃${colors.reset}`);
+  const title = `BullBook Multi-OrderBook Test - ${ROWS}x${COLUMNS} Grid Simulation`;
+  console.log(`${colors.cyan}┃  ${title.padEnd(65)}┃${colors.reset}`);
   console.log(`${colors.cyan}┣━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━┫${colors.reset}`);
   console.log(`${colors.cyan}┃  Elapsed: ${elapsed}s | Total Messages: ${globalStats.totalMessages} | Deltas: ${globalStats.totalDeltas}${' '.repeat(Math.max(0, 15 - globalStats.totalDeltas.toString().length))}┃${colors.reset}`);
   console.log(`${colors.cyan}┗━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━┛${colors.reset}\n`);
 
-  // Display 3x3 grid
-  for (let row = 0; row < 3; row++) {
+  // Display grid
+  for (let row = 0; row < ROWS; row++) {
     const rowConnections = [];
-    for (let col = 0; col < 3; col++) {
-      const position = row * 3 + col;
-      const symbol = SYMBOLS[position];
-      const conn = globalStats.connections.get(symbol);
+    for (let col = 0; col < COLUMNS; col++) {
+      const position = row * COLUMNS + col;
+      const conn = globalStats.connections.get(position);
 
       if (!conn) continue;
 
@@ -240,19 +250,15 @@ function displayGrid() {
       });
     }
 
-    // Display row
-    console.log(`  ┌${'─'.repeat(20)}┬${'─'.repeat(20)}┬${'─'.repeat(20)}┐`);
-    rowConnections.forEach((rc, idx) => {
-      const separator = idx < 2 ? '│' : '│';
-      console.log(
-        `  │ ${rc.statusColor}${rc.symbol.padEnd(8)}${colors.reset} ${rc.bidLevels}B/${rc.askLevels}A ${separator}`
-      );
-    });
-    console.log(`  │ ${rowConnections[0].statusColor}Δ${rowConnections[0].deltaCount}${colors.reset}`.padEnd(27) +
-      `│ ${rowConnections[1].statusColor}Δ${rowConnections[1].deltaCount}${colors.reset}`.padEnd(27) +
-      `│ ${rowConnections[2].statusColor}Δ${rowConnections[2].deltaCount}${colors.reset}`.padEnd(27) + '│');
-    console.log(`  └${'─'.repeat(20)}┴${'─'.repeat(20)}┴${'─'.repeat(20)}┘`);
-    if (row < 2) console.log();
+    // Display row (cells padded on visible text, colors added around it)
+    const cell = (rc, text) => ` ${rc.statusColor}${text}${colors.reset}${' '.repeat(Math.max(0, 19 - text.length))}`;
+    const border = (left, mid, right) => `  ${left}${rowConnections.map(() => '─'.repeat(20)).join(mid)}${right}`;
+
+    console.log(border('┌', '┬', '┐'));
+    console.log(`  │${rowConnections.map((rc) => cell(rc, `${rc.symbol.padEnd(9)} ${rc.bidLevels}B/${rc.askLevels}A`)).join('│')}│`);
+    console.log(`  │${rowConnections.map((rc) => cell(rc, `Δ${rc.deltaCount}`)).join('│')}│`);
+    console.log(border('└', '┴', '┘'));
+    if (row < ROWS - 1) console.log();
   }
 
   // Summary
@@ -272,11 +278,11 @@ function displayGrid() {
 }
 
 // Initialize connections
-console.log(`${colors.blue}[INFO]${colors.reset} Initializing 9 orderbook connections...\n`);
+console.log(`${colors.blue}[INFO]${colors.reset} Initializing ${BOOKS} orderbook connections (${ROWS}x${COLUMNS})...\n`);
 
 SYMBOLS.forEach((symbol, position) => {
   const conn = new OrderBookConnection(symbol, position);
-  globalStats.connections.set(symbol, conn);
+  globalStats.connections.set(position, conn);
 
   // Stagger connections by 100ms each
   setTimeout(() => {
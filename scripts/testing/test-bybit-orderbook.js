@@ -27,7 +27,7 @@ const colors = {
 // Configuration
 const SYMBOL = process.argv[2] || 'BTCUSDT';
 const DEPTH = parseInt(process.argv[3]) || 50;
-const WS_URL = 'wss://stream.bybit.com/v5/public/linear';
+const WS_URL = process.env.BYBIT_WS_URL || 'wss://stream.bybit.com/v5/public/linear'; // Mock: ws://localhost:8765/v5/public/linear
 
 // Valid depths for linear/spot
 const VALID_DEPTHS = [1, 50, 200, 500];
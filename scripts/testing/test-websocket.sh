@@ -14,7 +14,7 @@ echo "Orderbook Depth: $ORDERBOOK_DEPTH"
 echo ""
 
 # Bybit WebSocket V5 endpoint
-WS_URL="wss://stream.bybit.com/v5/public/linear"
+WS_URL="${BYBIT_WS_URL:-wss://stream.bybit.com/v5/public/linear}"
 CHANNEL="orderbook.${ORDERBOOK_DEPTH}.${SYMBOL}"
 
 echo "📡 Connecting to: $WS_URL"
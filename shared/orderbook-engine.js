@@ -0,0 +1,258 @@
+/**
+ * BullBook - OrderBook Engine
+ *
+ * Framework-free orderbook maintenance shared by the browser hooks, the
+ * book Web Worker and the Node backend (no imports, plain ESM).
+ *
+ * Each side keeps its levels sorted best-first. Prices and sizes are parsed
+ * once when a level is written; the exchange strings are kept as-is so
+ * output tuples ([price, size]) match what the venue sent.
+ *
+ * Levels are located by binary search (O(log n)); size changes on existing
+ * levels are applied in place, inserts/removals shift the array (a memmove,
+ * cheap at exchange depths of at most 1000 levels).
+ *
+ * Message semantics follow Bybit V5 (data: { b, a, u, pu?, seq? }):
+ * size "0" removes a level, a delta with u=1 and no "pu" is a service
+ * restart and replaces the whole book. Sequence validation (gaps, stale
+ * seq) is left to the caller.
+ */
+
+/**
+ * One side of the book, sorted best-first
+ * Level: { price: number, size: number, raw: [priceString, sizeString] }
+ */
+export class BookSide {
+  /**
+   * @param {string} direction - 'desc' (bids, highest first) or 'asc' (asks, lowest first)
+   */
+  constructor(direction) {
+    this.descending = direction === 'desc';
+    this.levels = [];
+  }
+
+  get length() {
+    return this.levels.length;
+  }
+
+  /**
+   * Index of a price, or of the slot it would be inserted at
+   *
+   * @returns {{ index: number, found: boolean }}
+   */
+  search(price) {
+    const { levels, descending } = this;
+    let low = 0;
+    let high = levels.length;
+
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      const current = levels[mid].price;
+      if (current === price) return { index: mid, found: true };
+
+      if (descending ? current > price : current < price) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return { index: low, found: false };
+  }
+
+  /**
+   * Set the size at a price (size 0 removes the level)
+   */
+  update(priceString, sizeString) {
+    const price = Number(priceString);
+    const size = Number(sizeString);
+    if (Number.isNaN(price) || Number.isNaN(size)) return;
+
+    const { index, found } = this.search(price);
+
+    if (size === 0) {
+      if (found) this.levels.splice(index, 1);
+      return;
+    }
+
+    if (found) {
+      const level = this.levels[index];
+      level.size = size;
+      level.raw = [priceString, sizeString];
+    } else {
+      this.levels.splice(index, 0, { price, size, raw: [priceString, sizeString] });
+    }
+  }
+
+  /**
+   * Replace every level (snapshot)
+   */
+  load(entries = []) {
+    this.levels = [];
+    entries.forEach(([priceString, sizeString]) => {
+      const price = Number(priceString);
+      const size = Number(sizeString);
+      if (Number.isNaN(price) || Number.isNaN(size) || size === 0) return;
+      this.levels.push({ price, size, raw: [priceString, sizeString] });
+    });
+
+    const sign = this.descending ? -1 : 1;
+    this.levels.sort((a, b) => sign * (a.price - b.price));
+
+    // Duplicated prices in a snapshot: last one wins, like sequential updates
+    this.levels = this.levels.filter((level, i, all) => i === all.length - 1 || all[i + 1].price !== level.price);
+  }
+
+  /**
+   * Keep only the best `depth` levels
+   */
+  trim(depth) {
+    if (this.levels.length > depth) {
+      this.levels.length = depth;
+    }
+  }
+
+  clear() {
+    this.levels = [];
+  }
+
+  /**
+   * Best level ({ price, size }) or null
+   */
+  best() {
+    const level = this.levels[0];
+    return level ? { price: level.price, size: level.size } : null;
+  }
+
+  /**
+   * Levels as [price, size] string tuples, best first
+   */
+  toArray(limit = Infinity) {
+    const count = Math.min(limit, this.levels.length);
+    const result = new Array(count);
+    for (let i = 0; i < count; i++) {
+      result[i] = this.levels[i].raw;
+    }
+    return result;
+  }
+}
+
+export class OrderBookEngine {
+  /**
+   * @param {object} options
+   * @param {number} options.depth - Max levels kept per side (default: unlimited)
+   */
+  constructor({ depth = Infinity } = {}) {
+    this.depth = depth;
+    this.bids = new BookSide('desc');
+    this.asks = new BookSide('asc');
+    this.updateId = null; // Update id "u" of the last applied message
+    this.seq = null; // Cross sequence "seq"
+    this.timestamp = null; // Exchange "ts" of the last applied message
+  }
+
+  /**
+   * True once a snapshot has been applied
+   */
+  get isReady() {
+    return this.updateId !== null;
+  }
+
+  /**
+   * Forget every level (e.g. symbol change, stale book)
+   */
+  reset() {
+    this.bids.clear();
+    this.asks.clear();
+    this.updateId = null;
+    this.seq = null;
+    this.timestamp = null;
+  }
+
+  /**
+   * Replace the whole book
+   *
+   * @param {object} data - { b, a, u, seq }
+   * @param {number} ts - Exchange timestamp
+   */
+  applySnapshot(data, ts = Date.now()) {
+    this.bids.load(data.b);
+    this.asks.load(data.a);
+    this.bids.trim(this.depth);
+    this.asks.trim(this.depth);
+
+    this.updateId = data.u ?? 0;
+    this.seq = data.seq ?? null;
+    this.timestamp = ts;
+  }
+
+  /**
+   * Apply incremental changes (u=1 without "pu" resets the book)
+   *
+   * @param {object} data - { b, a, u, pu, seq }
+   * @param {number} ts - Exchange timestamp
+   * @returns {boolean} true if the delta was a u=1 reset
+   */
+  applyDelta(data, ts = Date.now()) {
+    if (data.pu === undefined && data.u === 1) {
+      this.applySnapshot(data, ts);
+      return true;
+    }
+
+    (data.b || []).forEach(([price, size]) => this.bids.update(price, size));
+    (data.a || []).forEach(([price, size]) => this.asks.update(price, size));
+    this.bids.trim(this.depth);
+    this.asks.trim(this.depth);
+
+    this.updateId = data.u ?? this.updateId;
+    this.seq = data.seq ?? this.seq;
+    this.timestamp = ts;
+    return false;
+  }
+
+  /**
+   * Best bid ({ price, size }) or null
+   */
+  get bestBid() {
+    return this.bids.best();
+  }
+
+  /**
+   * Best ask ({ price, size }) or null
+   */
+  get bestAsk() {
+    return this.asks.best();
+  }
+
+  /**
+   * Mid price, or the only side available, or null on an empty book
+   */
+  get midPrice() {
+    const bid = this.bids.levels[0]?.price;
+    const ask = this.asks.levels[0]?.price;
+
+    if (bid !== undefined && ask !== undefined) return (bid + ask) / 2;
+    return bid ?? ask ?? null;
+  }
+
+  /**
+   * Best ask - best bid, null unless both sides are present
+   */
+  get spread() {
+    const bid = this.bids.levels[0]?.price;
+    const ask = this.asks.levels[0]?.price;
+    return bid !== undefined && ask !== undefined ? ask - bid : null;
+  }
+
+  /**
+   * Both sides as [price, size] string tuples, best first
+   *
+   * @param {number} limit - Max levels per side
+   * @returns {{ bids: Array, asks: Array }}
+   */
+  toLevels(limit = Infinity) {
+    return {
+      bids: this.bids.toArray(limit),
+      asks: this.asks.toArray(limit)
+    };
+  }
+}